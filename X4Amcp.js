@@ -29,7 +29,17 @@ import {
   NLPaymentProcessor,
   X402ChallengeBuilder,
   SUPPORTED_NETWORKS,
+  USDC_ADDRESSES,
+  listNetworks,
 } from './x402-ai-agent.js';
+import { PaymentLedger, isValidTimeZone } from './payment-ledger.js';
+import { SpendingPolicyEngine, parsePolicy } from './spending-policy.js';
+import { ApprovalQueue } from './approval-queue.js';
+import { Portfolio } from './portfolio.js';
+import { listStrategies } from './strategies.js';
+import { PaperWallet } from './paper-wallet.js';
+import { createSignerResolverFromEnv } from './signers.js';
+import { createIntentResolverFromEnv } from './intent-model.js';
 
 /* ═══════════════════════════════════════════════════════════════════
    MCP SERVER CONFIGURATION
@@ -40,12 +50,40 @@ const MCP_SERVER_VERSION = '1.0.0';
 
 // Initialize AI agents
 const agents = new Map();
-const scheduler = new ScheduledPaymentManager();
+const ledger = new PaymentLedger();
+const policyEngine = new SpendingPolicyEngine({ ledger });
+const approvalQueue = new ApprovalQueue();
+const portfolio = new Portfolio();
+const paperWallet = new PaperWallet();
+
+// Agents sign with the wallet's key from a remote signer, keystore or dev key (see signers.js)
+const signerResolver = createSignerResolverFromEnv();
+const intentResolver = createIntentResolverFromEnv();
+
+// Its own store: schedule files are locked to one process (agent-routes uses SCHEDULE_STORE_PATH)
+const scheduler = new ScheduledPaymentManager({
+  storePath: process.env.MCP_SCHEDULE_STORE_PATH || './data/schedules-mcp.json',
+  agentResolver: (schedule) => schedule.wallet && getOrCreatePaymentAgent(schedule.wallet, schedule.network, schedule.paperTrading),
+});
+
+// Paper agents are kept apart from live ones (PAPER_TRADING=true makes every agent paper)
+function paperMode(paper) {
+  return Boolean(paper) || process.env.PAPER_TRADING === 'true';
+}
+scheduler.start().catch((error) => {
+  // Schedules won't run from this process; the tools still work
+  console.error('❌ Scheduled payments not started:', error.message);
+  scheduler.stop();
+});
 
 /* ═══════════════════════════════════════════════════════════════════
    X402 MCP SERVER TOOLS
    ═══════════════════════════════════════════════════════════════════ */
 
+// Networks registered when the server starts (networks.js); NETWORK picks the default
+const NETWORK_IDS = listNetworks().map(network => network.id);
+const DEFAULT_NETWORK = process.env.NETWORK || SUPPORTED_NETWORKS.SOLANA;
+
 const X402_TOOLS = [
   {
     name: 'x402_pay_resource',
@@ -63,17 +101,17 @@ const X402_TOOLS = [
         },
         network: {
           type: 'string',
-          enum: Object.values(SUPPORTED_NETWORKS),
+          enum: NETWORK_IDS,
           description: 'Blockchain network to use',
-          default: SUPPORTED_NETWORKS.SOLANA,
+          default: DEFAULT_NETWORK,
         },
         wallet: {
           type: 'string',
           description: 'Wallet address for payment',
         },
-        autoApprove: {
+        paper: {
           type: 'boolean',
-          description: 'Auto-approve payment without human confirmation',
+          description: 'Paper trading: simulate transfers and swaps against virtual balances',
           default: false,
         },
       },
@@ -112,8 +150,22 @@ const X402_TOOLS = [
           type: 'object',
           description: 'AI condition for payment execution',
         },
+        wallet: {
+          type: 'string',
+          description: 'Wallet whose agent executes the payment',
+        },
+        network: {
+          type: 'string',
+          enum: NETWORK_IDS,
+          description: 'Blockchain network to use',
+        },
+        paper: {
+          type: 'boolean',
+          description: 'Paper trading: simulate transfers and swaps against virtual balances',
+          default: false,
+        },
       },
-      required: ['resource', 'amount', 'executeAt'],
+      required: ['resource', 'amount', 'executeAt', 'wallet'],
     },
   },
 
@@ -133,7 +185,7 @@ const X402_TOOLS = [
         },
         network: {
           type: 'string',
-          enum: Object.values(SUPPORTED_NETWORKS),
+          enum: NETWORK_IDS,
           description: 'Network to use',
         },
         slippage: {
@@ -145,11 +197,120 @@ const X402_TOOLS = [
           type: 'string',
           description: 'Wallet address',
         },
+        paper: {
+          type: 'boolean',
+          description: 'Paper trading: simulate transfers and swaps against virtual balances',
+          default: false,
+        },
       },
       required: ['tokenMint', 'amountUSDC', 'wallet'],
     },
   },
 
+  {
+    name: 'x402_sell_token',
+    description: 'Sell a token for USDC from the agent wallet, to exit a position',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tokenMint: {
+          type: 'string',
+          description: 'Token contract/mint address',
+        },
+        amount: {
+          type: 'number',
+          description: 'Amount of the token to sell',
+        },
+        network: {
+          type: 'string',
+          enum: NETWORK_IDS,
+          description: 'Network to use',
+        },
+        slippage: {
+          type: 'number',
+          description: 'Max slippage tolerance (0.01 = 1%)',
+          default: 0.01,
+        },
+        wallet: {
+          type: 'string',
+          description: 'Wallet address',
+        },
+        paper: {
+          type: 'boolean',
+          description: 'Paper trading: simulate transfers and swaps against virtual balances',
+          default: false,
+        },
+      },
+      required: ['tokenMint', 'amount', 'wallet'],
+    },
+  },
+
+  {
+    name: 'x402_set_strategy',
+    description: 'Select the trading strategy (signals, sizing, entry/exit rules, risk limits) of a wallet\'s trading agent',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        wallet: {
+          type: 'string',
+          description: 'Wallet address',
+        },
+        strategy: {
+          type: 'string',
+          description: `Registered strategy name (${listStrategies().join(', ')})`,
+        },
+        options: {
+          type: 'object',
+          description: 'Strategy options, e.g. { amountUSDC, intervalMs } for dca, { lookback, threshold } for momentum, '
+            + '{ lookback, entryZ, exitZ } for mean-reversion, and { risk: { maxPositionUSDC, stopLossPct, takeProfitPct, maxVolatility } }',
+        },
+        network: {
+          type: 'string',
+          enum: NETWORK_IDS,
+        },
+        paper: {
+          type: 'boolean',
+          description: 'Select the strategy of the wallet\'s paper trading agent',
+          default: false,
+        },
+      },
+      required: ['wallet', 'strategy'],
+    },
+  },
+
+  {
+    name: 'x402_run_strategy',
+    description: 'Run the agent\'s trading strategy once for a token: price it, decide buy/sell/hold, and trade',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        wallet: {
+          type: 'string',
+          description: 'Wallet address',
+        },
+        token: {
+          type: 'string',
+          description: 'Token contract/mint address',
+        },
+        network: {
+          type: 'string',
+          enum: NETWORK_IDS,
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Only report the decision',
+          default: false,
+        },
+        paper: {
+          type: 'boolean',
+          description: 'Paper trading: simulate transfers and swaps against virtual balances',
+          default: false,
+        },
+      },
+      required: ['wallet', 'token'],
+    },
+  },
+
   {
     name: 'x402_check_status',
     description: 'Check X402 payment or schedule status',
@@ -203,6 +364,11 @@ const X402_TOOLS = [
           type: 'object',
           description: 'Additional context for AI decision-making',
         },
+        paper: {
+          type: 'boolean',
+          description: 'Paper trading: simulate transfers and swaps against virtual balances',
+          default: false,
+        },
       },
       required: ['command', 'wallet'],
     },
@@ -223,9 +389,13 @@ const X402_TOOLS = [
           enum: ['resource', 'token'],
           description: 'Quote type',
         },
+        amount: {
+          type: 'number',
+          description: 'USDC to swap (token quotes, default 10)',
+        },
         network: {
           type: 'string',
-          enum: Object.values(SUPPORTED_NETWORKS),
+          enum: NETWORK_IDS,
         },
       },
       required: ['resource', 'type'],
@@ -246,47 +416,274 @@ const X402_TOOLS = [
           type: 'string',
           description: 'Second token mint address',
         },
+        amount: {
+          type: 'number',
+          description: 'Amount of tokenA to round-trip through tokenB',
+          default: 100,
+        },
         minProfitUSDC: {
           type: 'number',
           description: 'Minimum profit threshold in USDC',
           default: 5,
         },
+        network: {
+          type: 'string',
+          enum: NETWORK_IDS,
+          description: 'Network to use',
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Only scan and report the best opportunity',
+          default: false,
+        },
         wallet: {
           type: 'string',
           description: 'Wallet for execution',
         },
+        paper: {
+          type: 'boolean',
+          description: 'Paper trading: simulate transfers and swaps against virtual balances',
+          default: false,
+        },
       },
       required: ['tokenA', 'tokenB', 'wallet'],
     },
   },
+
+  {
+    name: 'x402_get_ledger',
+    description: 'Get the payment ledger and spending totals for a wallet (day/week/month)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        wallet: {
+          type: 'string',
+          description: 'Wallet address',
+        },
+        status: {
+          type: 'string',
+          enum: ['reserved', 'completed', 'rejected', 'pending_approval', 'failed'],
+          description: 'Only return entries with this outcome',
+        },
+        timeZone: {
+          type: 'string',
+          description: 'IANA time zone for calendar windows (e.g., America/New_York)',
+        },
+        rolling: {
+          type: 'boolean',
+          description: 'Use rolling 24h/7d/30d windows instead of calendar windows',
+          default: false,
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of entries to return',
+          default: 20,
+        },
+        simulated: {
+          type: 'boolean',
+          description: 'Only return paper (true) or real (false) payments; spending totals are real unless true',
+        },
+      },
+      required: ['wallet'],
+    },
+  },
+
+  {
+    name: 'x402_get_portfolio',
+    description: 'Get trading positions with cost basis, realized and unrealized PnL, reconciled against on-chain balances',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        wallet: {
+          type: 'string',
+          description: 'Wallet address',
+        },
+        network: {
+          type: 'string',
+          enum: NETWORK_IDS,
+          description: 'Only return positions on this network',
+        },
+        markToMarket: {
+          type: 'boolean',
+          description: 'Value open positions at a current sell quote',
+          default: true,
+        },
+        includeClosed: {
+          type: 'boolean',
+          description: 'Include fully sold positions (realized PnL only)',
+          default: false,
+        },
+        paper: {
+          type: 'boolean',
+          description: 'Report the paper portfolio (built from paper fills only)',
+          default: false,
+        },
+      },
+      required: ['wallet'],
+    },
+  },
+
+  {
+    name: 'x402_paper_wallet',
+    description: 'Show, fund or reset the virtual balances paper-trading agents pay and trade with',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        wallet: {
+          type: 'string',
+          description: 'Wallet address',
+        },
+        action: {
+          type: 'string',
+          enum: ['balances', 'fund', 'reset'],
+          default: 'balances',
+        },
+        network: {
+          type: 'string',
+          enum: NETWORK_IDS,
+          description: 'Network to fund (default solana-mainnet)',
+        },
+        asset: {
+          type: 'string',
+          description: 'Token to fund (default the network\'s USDC)',
+        },
+        amount: {
+          type: 'number',
+          description: 'Whole tokens to add',
+        },
+        decimals: {
+          type: 'number',
+          description: 'Token decimals (default 6)',
+        },
+      },
+      required: ['wallet'],
+    },
+  },
+
+  {
+    name: 'x402_get_policy',
+    description: 'Get the spending policy for a wallet, or evaluate a hypothetical payment against it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        wallet: {
+          type: 'string',
+          description: 'Wallet address',
+        },
+        evaluate: {
+          type: 'object',
+          description: 'Optional payment to dry-run: { resource, amount (USDC), network }',
+        },
+      },
+      required: ['wallet'],
+    },
+  },
+
+  {
+    name: 'x402_set_policy',
+    description: 'Create or replace the spending policy for a wallet (ordered rules: amount caps, domain allow/deny, network limits, velocity, time windows, budgets, approval thresholds)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        wallet: {
+          type: 'string',
+          description: 'Wallet address',
+        },
+        policy: {
+          type: ['object', 'string'],
+          description: 'Policy object, or JSON/YAML text',
+        },
+        format: {
+          type: 'string',
+          enum: ['json', 'yaml'],
+          description: 'Format of policy text (detected when omitted)',
+        },
+      },
+      required: ['wallet', 'policy'],
+    },
+  },
+
+  {
+    name: 'x402_list_approvals',
+    description: 'List payments waiting for human approval. Ask the user whether to approve each one before calling x402_resolve_approval.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        wallet: {
+          type: 'string',
+          description: 'Only list approvals for this wallet',
+        },
+        status: {
+          type: 'string',
+          enum: ['pending', 'approved', 'denied', 'expired', 'executed', 'failed'],
+          default: 'pending',
+        },
+      },
+    },
+  },
+
+  {
+    name: 'x402_resolve_approval',
+    description: 'Approve or deny a parked payment on the user\'s behalf. Approved payments are executed immediately against the original X402 challenge.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        approvalId: {
+          type: 'string',
+          description: 'Approval identifier returned by x402_pay_resource or x402_list_approvals',
+        },
+        decision: {
+          type: 'string',
+          enum: ['approve', 'deny'],
+        },
+        note: {
+          type: 'string',
+          description: 'Optional note recorded with the decision',
+        },
+      },
+      required: ['approvalId', 'decision'],
+    },
+  },
 ];
 
 /* ═══════════════════════════════════════════════════════════════════
    MCP SERVER TOOL HANDLERS
    ═══════════════════════════════════════════════════════════════════ */
 
-async function handlePayResource(args) {
-  const { resource, amount, network, wallet, autoApprove } = args;
+function getOrCreatePaymentAgent(wallet, network, paper) {
+  const paperTrading = paperMode(paper);
+  const key = paperTrading ? `${wallet}_paper` : wallet;
 
-  // Get or create agent for this wallet
-  let agent = agents.get(wallet);
+  let agent = agents.get(key);
   if (!agent) {
     agent = new AIPaymentAgent({
       wallet,
-      network: network || SUPPORTED_NETWORKS.SOLANA,
-      rpcEndpoint: process.env.RPC_ENDPOINT,
+      network: network || DEFAULT_NETWORK,
       payTo: process.env.X402_PAY_TO_ADDRESS,
+      ledger,
+      policyEngine,
+      approvalQueue,
+      paperTrading,
+      paperWallet,
+      signerResolver,
       agentName: `MCP-Agent-${wallet.slice(0, 8)}`,
     });
-    agents.set(wallet, agent);
+    agents.set(key, agent);
   }
+  return agent;
+}
+
+async function handlePayResource(args) {
+  const { resource, amount, network, wallet, paper } = args;
+
+  // Get or create agent for this wallet
+  const agent = getOrCreatePaymentAgent(wallet, network, paper);
 
   try {
     const result = await agent.executePayment({
       resource,
       amount: amount ? Math.floor(amount * 1e6) : undefined,
-      network: network || SUPPORTED_NETWORKS.SOLANA,
-      autoApprove,
+      network: network || DEFAULT_NETWORK,
     });
 
     return {
@@ -299,6 +696,11 @@ async function handlePayResource(args) {
             amount: result.amount,
             network: result.network,
             resourceData: result.verification?.data,
+            reason: result.reason,
+            pendingApproval: result.pendingApproval,
+            approvalId: result.approvalId,
+            selectedOption: result.selectedOption,
+            subscription: result.subscription,
           }, null, 2),
         },
       ],
@@ -312,16 +714,19 @@ async function handlePayResource(args) {
 }
 
 async function handleSchedulePayment(args) {
-  const { resource, amount, executeAt, recurring, interval, condition } = args;
+  const { resource, amount, executeAt, recurring, interval, condition, wallet, network, paper } = args;
 
   try {
-    const scheduleId = scheduler.schedulePayment({
+    const scheduleId = await scheduler.schedulePayment({
       resource,
       amount: Math.floor(amount * 1e6),
       executeAt,
       recurring,
       interval,
       condition,
+      wallet,
+      network: network || DEFAULT_NETWORK,
+      paperTrading: paperMode(paper),
     });
 
     return {
@@ -345,22 +750,38 @@ async function handleSchedulePayment(args) {
   }
 }
 
-async function handleBuyToken(args) {
-  const { tokenMint, amountUSDC, network, slippage, wallet } = args;
+/**
+ * Trading agent of a wallet (created on first use)
+ */
+function getTradingAgent(wallet, network, paper) {
+  const paperTrading = paperMode(paper);
+  const key = `trading_${wallet}${paperTrading ? '_paper' : ''}`;
 
-  // Get or create trading agent
-  let agent = agents.get(`trading_${wallet}`);
+  let agent = agents.get(key);
   if (!agent) {
     agent = new TokenTradingAgent({
       wallet,
-      network: network || SUPPORTED_NETWORKS.SOLANA,
-      rpcEndpoint: process.env.RPC_ENDPOINT,
+      network: network || DEFAULT_NETWORK,
       payTo: process.env.X402_PAY_TO_ADDRESS,
+      ledger,
+      policyEngine,
+      approvalQueue,
+      portfolio,
+      paperTrading,
+      paperWallet,
+      signerResolver,
       agentName: `TradingAgent-${wallet.slice(0, 8)}`,
       strategy: 'conservative',
     });
-    agents.set(`trading_${wallet}`, agent);
+    agents.set(key, agent);
   }
+  return agent;
+}
+
+async function handleBuyToken(args) {
+  const { tokenMint, amountUSDC, network, slippage, wallet, paper } = args;
+
+  const agent = getTradingAgent(wallet, network, paper);
 
   try {
     const result = await agent.buyToken({
@@ -376,9 +797,12 @@ async function handleBuyToken(args) {
           type: 'text',
           text: JSON.stringify({
             success: result.success,
+            reason: result.reason,
             txHash: result.txHash,
             token: tokenMint,
             spent: amountUSDC,
+            received: result.trade?.outputAmount,
+            swapTxHash: result.trade?.txHash,
           }, null, 2),
         },
       ],
@@ -391,6 +815,103 @@ async function handleBuyToken(args) {
   }
 }
 
+async function handleSellToken(args) {
+  const { tokenMint, amount, network, slippage, wallet, paper } = args;
+
+  const agent = getTradingAgent(wallet, network, paper);
+
+  try {
+    const result = await agent.sellToken({
+      tokenMint,
+      amount,
+      network,
+      slippage,
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: result.success,
+            reason: result.reason,
+            token: tokenMint,
+            sold: amount,
+            receivedUSDC: result.trade?.outputAmount,
+            swapTxHash: result.trade?.txHash,
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Token sale failed: ${error.message}`
+    );
+  }
+}
+
+async function handleSetStrategy(args) {
+  const { wallet, strategy, options, network, paper } = args;
+
+  const agent = getTradingAgent(wallet, network, paper);
+
+  try {
+    const selected = agent.setStrategy(strategy, options);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            wallet,
+            strategy: selected.name,
+            risk: selected.risk,
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Strategy selection failed: ${error.message}`
+    );
+  }
+}
+
+async function handleRunStrategy(args) {
+  const { wallet, token, network, dryRun = false, paper } = args;
+
+  const agent = getTradingAgent(wallet, network, paper);
+
+  try {
+    const result = await agent.runStrategy({ token, network, dryRun });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: result.success,
+            strategy: agent.strategy.name,
+            decision: result.decision,
+            reason: result.reason,
+            txHash: result.txHash,
+            swapTxHash: result.trade?.txHash,
+            received: result.trade?.outputAmount,
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Strategy run failed: ${error.message}`
+    );
+  }
+}
+
 async function handleCheckStatus(args) {
   const { type, identifier } = args;
 
@@ -399,7 +920,7 @@ async function handleCheckStatus(args) {
 
     switch (type) {
       case 'schedule':
-        const schedule = scheduler.scheduledPayments.get(identifier);
+        const schedule = await scheduler.getScheduledPayment(identifier);
         status = schedule || { error: 'Schedule not found' };
         break;
 
@@ -432,7 +953,7 @@ async function handleCancelSchedule(args) {
   const { scheduleId } = args;
 
   try {
-    scheduler.cancelScheduledPayment(scheduleId);
+    await scheduler.cancelScheduledPayment(scheduleId);
 
     return {
       content: [
@@ -455,22 +976,30 @@ async function handleCancelSchedule(args) {
 }
 
 async function handleNaturalLanguage(args) {
-  const { command, wallet, context } = args;
+  const { command, wallet, context, paper } = args;
+  const paperTrading = paperMode(paper);
+  const key = paperTrading ? `${wallet}_paper` : wallet;
 
   // Get or create agent
-  let agent = agents.get(wallet);
+  let agent = agents.get(key);
   if (!agent) {
     agent = new TokenTradingAgent({
       wallet,
-      network: SUPPORTED_NETWORKS.SOLANA,
-      rpcEndpoint: process.env.RPC_ENDPOINT,
+      network: DEFAULT_NETWORK,
       payTo: process.env.X402_PAY_TO_ADDRESS,
+      ledger,
+      policyEngine,
+      approvalQueue,
+      portfolio,
+      paperTrading,
+      paperWallet,
+      signerResolver,
       agentName: `NL-Agent-${wallet.slice(0, 8)}`,
     });
-    agents.set(wallet, agent);
+    agents.set(key, agent);
   }
 
-  const processor = new NLPaymentProcessor(agent);
+  const processor = new NLPaymentProcessor(agent, scheduler, { intentResolver });
 
   try {
     const result = await processor.processCommand(command);
@@ -495,7 +1024,7 @@ async function handleNaturalLanguage(args) {
 }
 
 async function handleGetQuote(args) {
-  const { resource, type, network } = args;
+  const { resource, type, amount, network } = args;
 
   try {
     const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
@@ -504,6 +1033,9 @@ async function handleGetQuote(args) {
     if (type === 'token') {
       url = new URL('/api/trade/quote', baseUrl);
       url.searchParams.set('token', resource);
+      if (amount) {
+        url.searchParams.set('amount', String(amount));
+      }
     } else {
       url = new URL(resource, baseUrl);
     }
@@ -532,26 +1064,37 @@ async function handleGetQuote(args) {
 }
 
 async function handleExecuteArbitrage(args) {
-  const { tokenA, tokenB, minProfitUSDC, wallet } = args;
+  const { tokenA, tokenB, amount, minProfitUSDC, network, dryRun, wallet, paper } = args;
+  const paperTrading = paperMode(paper);
+  const key = `arbitrage_${wallet}${paperTrading ? '_paper' : ''}`;
 
-  let agent = agents.get(`arbitrage_${wallet}`);
+  let agent = agents.get(key);
   if (!agent) {
     agent = new TokenTradingAgent({
       wallet,
-      network: SUPPORTED_NETWORKS.SOLANA,
-      rpcEndpoint: process.env.RPC_ENDPOINT,
+      network: network || DEFAULT_NETWORK,
       payTo: process.env.X402_PAY_TO_ADDRESS,
+      ledger,
+      policyEngine,
+      approvalQueue,
+      portfolio,
+      paperTrading,
+      paperWallet,
+      signerResolver,
       agentName: `ArbitrageAgent-${wallet.slice(0, 8)}`,
       strategy: 'aggressive',
     });
-    agents.set(`arbitrage_${wallet}`, agent);
+    agents.set(key, agent);
   }
 
   try {
     const result = await agent.executeArbitrage({
       tokenA,
       tokenB,
+      amount,
       minProfitUSDC,
+      network,
+      dryRun,
     });
 
     return {
@@ -570,6 +1113,252 @@ async function handleExecuteArbitrage(args) {
   }
 }
 
+async function handleGetLedger(args) {
+  const { wallet, status, timeZone, rolling = false, limit = 20, simulated } = args;
+
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid timeZone: ${timeZone}`
+    );
+  }
+
+  try {
+    const entries = await ledger.getEntries({ wallet, status, limit, simulated });
+    // Real spend unless the paper ledger is asked for
+    const spending = await ledger.getSpendingSummary({ wallet, timeZone, rolling, simulated: simulated === true });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            wallet,
+            spending,
+            entries: entries.map(e => ({ ...e, amount: e.amount / 1e6 })),
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Ledger query failed: ${error.message}`
+    );
+  }
+}
+
+async function handleGetPortfolio(args) {
+  const { wallet, network, markToMarket = true, includeClosed = false, paper } = args;
+
+  const agent = getTradingAgent(wallet, network, paper);
+
+  try {
+    const result = await agent.getPortfolio({ network, markToMarket, includeClosed });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Portfolio query failed: ${error.message}`
+    );
+  }
+}
+
+async function handlePaperWallet(args) {
+  const { wallet, action = 'balances', network = DEFAULT_NETWORK, amount, decimals = 6 } = args;
+  const asset = args.asset || USDC_ADDRESSES[network];
+
+  if (action === 'fund' && (!amount || !asset)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      'Funding needs an amount (and an asset off the USDC networks)'
+    );
+  }
+
+  try {
+    if (action === 'fund') {
+      await paperWallet.fund({
+        wallet,
+        network,
+        asset,
+        amount: BigInt(Math.round(amount * 10 ** decimals)),
+        decimals,
+      });
+    } else if (action === 'reset') {
+      await paperWallet.reset(wallet);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            wallet,
+            balances: await paperWallet.getBalances(wallet),
+            transactions: await paperWallet.getTransactions(wallet, { limit: 10 }),
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Paper wallet ${action} failed: ${error.message}`
+    );
+  }
+}
+
+async function handleGetPolicy(args) {
+  const { wallet, evaluate } = args;
+
+  try {
+    const policy = await policyEngine.getPolicy(wallet);
+    const result = { wallet, policy };
+
+    if (evaluate) {
+      result.decision = await policyEngine.evaluate({
+        wallet,
+        resource: evaluate.resource,
+        amount: Math.floor((evaluate.amount || 0) * 1e6),
+        network: evaluate.network || DEFAULT_NETWORK,
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Policy lookup failed: ${error.message}`
+    );
+  }
+}
+
+async function handleSetPolicy(args) {
+  const { wallet, policy, format } = args;
+
+  let parsed;
+  try {
+    parsed = parsePolicy(policy, format);
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid policy: ${error.message}`
+    );
+  }
+
+  let stored;
+  try {
+    stored = await policyEngine.setPolicy(wallet, parsed);
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Policy update failed: ${error.message}`
+    );
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          success: true,
+          wallet,
+          policy: stored,
+        }, null, 2),
+      },
+    ],
+  };
+}
+
+async function handleListApprovals(args) {
+  const { wallet, status = 'pending' } = args;
+
+  try {
+    const approvals = await approvalQueue.list({ wallet, status });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(approvals.map(a => ({
+            approvalId: a.id,
+            wallet: a.wallet,
+            resource: a.resource,
+            amount: a.amount / 1e6,
+            network: a.network,
+            reason: a.reason,
+            status: a.status,
+            expiresAt: a.expiresAt,
+          })), null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Failed to list approvals: ${error.message}`
+    );
+  }
+}
+
+async function handleResolveApproval(args) {
+  const { approvalId, decision, note } = args;
+
+  let approval;
+  try {
+    approval = await approvalQueue.resolve(approvalId, decision, { note, resolvedBy: 'mcp' });
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      error.message
+    );
+  }
+
+  try {
+    let result = { success: false, reason: 'Denied by user' };
+    if (approval.status === 'approved') {
+      const agent = getOrCreatePaymentAgent(approval.wallet, approval.network, approval.paperTrading);
+      result = await agent.resumeApprovedPayment(approval);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            approvalId,
+            decision,
+            success: result.success,
+            txHash: result.txHash,
+            reason: result.reason,
+            resourceData: result.verification?.data,
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Approved payment failed: ${error.message}`
+    );
+  }
+}
+
 /* ═══════════════════════════════════════════════════════════════════
    MCP SERVER INITIALIZATION
    ═══════════════════════════════════════════════════════════════════ */
@@ -605,6 +1394,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     case 'x402_buy_token':
       return await handleBuyToken(args);
     
+    case 'x402_sell_token':
+      return await handleSellToken(args);
+    
+    case 'x402_set_strategy':
+      return await handleSetStrategy(args);
+    
+    case 'x402_run_strategy':
+      return await handleRunStrategy(args);
+    
     case 'x402_check_status':
       return await handleCheckStatus(args);
     
@@ -620,6 +1418,27 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     case 'x402_execute_arbitrage':
       return await handleExecuteArbitrage(args);
     
+    case 'x402_get_ledger':
+      return await handleGetLedger(args);
+    
+    case 'x402_get_portfolio':
+      return await handleGetPortfolio(args);
+    
+    case 'x402_paper_wallet':
+      return await handlePaperWallet(args);
+    
+    case 'x402_get_policy':
+      return await handleGetPolicy(args);
+    
+    case 'x402_set_policy':
+      return await handleSetPolicy(args);
+    
+    case 'x402_list_approvals':
+      return await handleListApprovals(args);
+    
+    case 'x402_resolve_approval':
+      return await handleResolveApproval(args);
+    
     default:
       throw new McpError(
         ErrorCode.MethodNotFound,
@@ -14,7 +14,27 @@ import {
   X402ChallengeBuilder,
   SUPPORTED_NETWORKS,
   PAYMENT_SCHEMES,
+  USDC_ADDRESSES,
+  listNetworks,
 } from './x402-ai-agent.js';
+import { createVerifierFromEnv } from './payment-verifier.js';
+import { FacilitatorClient } from './facilitator.js';
+import { ChallengeRegistry } from './challenge-registry.js';
+import { PaymentLedger, isValidTimeZone } from './payment-ledger.js';
+import { SpendingPolicyEngine, parsePolicy } from './spending-policy.js';
+import { ApprovalQueue } from './approval-queue.js';
+import { x402Paywall } from './x402-paywall.js';
+import { QuoteService, parseQuoteParams } from './quote-providers.js';
+import { createSwapExecutorsFromEnv, canExecuteQuote } from './swap-executors.js';
+import { RateLimiter, rateLimit } from './rate-limiter.js';
+import { Portfolio } from './portfolio.js';
+import { listStrategies } from './strategies.js';
+import { Backtester } from './backtest.js';
+import { PaperWallet } from './paper-wallet.js';
+import { createSignerResolverFromEnv } from './signers.js';
+import { createIntentResolverFromEnv } from './intent-model.js';
+import { ConversationManager } from './conversation.js';
+import { WalletAuth, createAuthRouter, sameWallet } from './wallet-auth.js';
 
 const router = express.Router();
 
@@ -22,21 +42,109 @@ const router = express.Router();
    INITIALIZATION
    ═══════════════════════════════════════════════════════════════════ */
 
+// Default network of agents and challenges: NETWORK (any registered network, e.g. solana-devnet)
+const DEFAULT_NETWORK = process.env.NETWORK || SUPPORTED_NETWORKS.SOLANA;
+
 const agents = new Map();
-const scheduler = new ScheduledPaymentManager();
+const ledger = new PaymentLedger();
+const portfolio = new Portfolio();
+const paperWallet = new PaperWallet();
+
+// Agents sign with the wallet's key from a remote signer, keystore or dev key (see signers.js)
+const signerResolver = createSignerResolverFromEnv();
+const intentResolver = createIntentResolverFromEnv();
+const conversations = new ConversationManager();
+
+const policyEngine = new SpendingPolicyEngine({ ledger });
+const approvalQueue = new ApprovalQueue();
+const scheduler = new ScheduledPaymentManager({
+  // Each schedule is executed by the agent of the wallet that created it
+  agentResolver: (schedule) => getOrCreateAgent(schedule.wallet, schedule.network, 'basic', schedule.paperTrading),
+});
+scheduler.start().catch((error) => {
+  // Schedules won't run from this process; paying and trading still work
+  console.error('❌ Scheduled payments not started:', error.message);
+  scheduler.stop();
+});
+
+// Challenges offer USDC on the default network, plus Base (or X402_EVM_NETWORK)
+// when an EVM recipient is configured
+const paymentOptions = [
+  {
+    network: DEFAULT_NETWORK,
+    asset: process.env.USDC_MINT,
+    payTo: process.env.X402_PAY_TO_ADDRESS || process.env.TREASURY_WALLET,
+  },
+  process.env.X402_BASE_PAY_TO_ADDRESS && {
+    network: process.env.X402_EVM_NETWORK || SUPPORTED_NETWORKS.BASE,
+    payTo: process.env.X402_BASE_PAY_TO_ADDRESS,
+  },
+].filter(Boolean);
 
 const challengeBuilder = new X402ChallengeBuilder({
-  network: SUPPORTED_NETWORKS.SOLANA,
+  network: DEFAULT_NETWORK,
   usdcAddress: process.env.USDC_MINT,
   payTo: process.env.X402_PAY_TO_ADDRESS || process.env.TREASURY_WALLET,
+  paymentOptions,
+});
+
+const challengeRegistry = new ChallengeRegistry({
+  ttlMs: Number(process.env.X402_CHALLENGE_TTL_MS) || undefined,
 });
 
+// Delegate verification and settlement to a facilitator when one is configured
+const paymentVerifier = process.env.X402_FACILITATOR_URL
+  ? new FacilitatorClient({ url: process.env.X402_FACILITATOR_URL })
+  : createVerifierFromEnv();
+
+// Jupiter on Solana, 0x (or Uniswap V3) on EVM; QUOTE_PROVIDER=fixture for offline quotes
+const quoteService = new QuoteService();
+
+// Anyone can make the server fetch a quote (/api/trade/quote, and /api/trade/buy
+// before it is paid for), so each client gets TRADE_QUOTE_RATE_LIMIT a minute
+const quoteLimit = rateLimit(new RateLimiter({
+  limit: Number(process.env.TRADE_QUOTE_RATE_LIMIT) || 30,
+  windowMs: 60 * 1000,
+}));
+
+// Trades paid for at /api/trade/buy are swapped from these wallets, which must
+// be the payTo addresses of their networks
+const swapExecutors = createSwapExecutorsFromEnv();
+
+// Callers sign in with their wallet (POST /api/agent/auth/nonce, /verify) and
+// send the session token or an API key (see wallet-auth.js)
+const walletAuth = new WalletAuth();
+router.use('/agent/auth', createAuthRouter(walletAuth));
+
+/**
+ * Require a signed-in caller that owns the wallet the request names (route
+ * param, body or query); req.wallet is the caller's wallet
+ */
+const requireWallet = [
+  walletAuth.middleware(),
+  (req, res, next) => {
+    const wallet = req.params.wallet || req.body?.wallet || req.query.wallet;
+
+    if (wallet && !sameWallet(wallet, req.auth.wallet)) {
+      return res.status(403).json({
+        ok: false,
+        error: `Signed in as ${req.auth.wallet}, not ${wallet}`,
+      });
+    }
+
+    req.wallet = req.auth.wallet;
+    next();
+  },
+];
+
 /* ═══════════════════════════════════════════════════════════════════
    HELPER: Get or create AI agent
    ═══════════════════════════════════════════════════════════════════ */
 
-function getOrCreateAgent(wallet, network = SUPPORTED_NETWORKS.SOLANA, type = 'basic') {
-  const key = `${type}_${wallet}_${network}`;
+function getOrCreateAgent(wallet, network = DEFAULT_NETWORK, type = 'basic', paper = false) {
+  // Paper agents pay and trade against virtual balances (see paper-wallet.js)
+  const paperTrading = Boolean(paper) || process.env.PAPER_TRADING === 'true';
+  const key = `${type}_${wallet}_${network}${paperTrading ? '_paper' : ''}`;
   
   if (agents.has(key)) {
     return agents.get(key);
@@ -47,9 +155,16 @@ function getOrCreateAgent(wallet, network = SUPPORTED_NETWORKS.SOLANA, type = 'b
   const agent = new AgentClass({
     wallet,
     network,
-    rpcEndpoint: process.env.RPC_ENDPOINT,
     payTo: process.env.X402_PAY_TO_ADDRESS || process.env.TREASURY_WALLET,
-    agentName: `${type}-agent-${wallet.slice(0, 8)}`,
+    ledger,
+    policyEngine,
+    approvalQueue,
+    portfolio,
+    quoteService,
+    paperTrading,
+    paperWallet,
+    signerResolver,
+    agentName: `${type}-agent-${wallet.slice(0, 8)}${paperTrading ? '-paper' : ''}`,
     capabilities: ['payment', 'schedule', type === 'trading' ? 'trade' : null].filter(Boolean),
   });
 
@@ -62,26 +177,34 @@ function getOrCreateAgent(wallet, network = SUPPORTED_NETWORKS.SOLANA, type = 'b
    POST /api/agent/command
    ═══════════════════════════════════════════════════════════════════ */
 
-router.post('/agent/command', async (req, res) => {
+// Commands are turns of a session (see conversation.js): follow-up questions
+// for missing details, and nothing runs until the user says "confirm"
+router.post('/agent/command', requireWallet, async (req, res) => {
   try {
-    const { command, wallet, network, context } = req.body;
+    const { command, sessionId, network, paper } = req.body;
 
-    if (!command || !wallet) {
+    if (!command) {
       return res.status(400).json({
         ok: false,
-        error: 'Missing required fields: command, wallet',
+        error: 'Missing required field: command',
       });
     }
 
-    const agent = getOrCreateAgent(wallet, network, 'trading');
-    const processor = new NLPaymentProcessor(agent);
+    const session = await conversations.open({
+      sessionId,
+      wallet: req.wallet,
+      network: network || DEFAULT_NETWORK,
+      paperTrading: paper,
+    });
+    const agent = getOrCreateAgent(req.wallet, session.network, 'trading', session.paperTrading);
+    const processor = new NLPaymentProcessor(agent, scheduler, { intentResolver });
 
-    const result = await processor.processCommand(command);
+    const turn = await conversations.reply(session, command, processor);
 
     res.json({
       ok: true,
       command,
-      result,
+      ...turn,
     });
   } catch (error) {
     console.error('❌ Command processing error:', error);
@@ -92,28 +215,86 @@ router.post('/agent/command', async (req, res) => {
   }
 });
 
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTE: Command Session
+   GET /api/agent/command/:sessionId · DELETE /api/agent/command/:sessionId
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.get('/agent/command/:sessionId', requireWallet, async (req, res) => {
+  try {
+    const session = await conversations.get(req.params.sessionId, req.wallet);
+    if (!session) {
+      return res.status(404).json({
+        ok: false,
+        error: `No session ${req.params.sessionId} for this wallet`,
+      });
+    }
+
+    const { id, network, paperTrading, pending, history, turns, expiresAt } = session;
+    res.json({
+      ok: true,
+      sessionId: id,
+      network,
+      paperTrading,
+      pending,
+      history,
+      turns,
+      expiresAt,
+    });
+  } catch (error) {
+    console.error('❌ Get session error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+router.delete('/agent/command/:sessionId', requireWallet, async (req, res) => {
+  try {
+    if (!await conversations.end(req.params.sessionId, req.wallet)) {
+      return res.status(404).json({
+        ok: false,
+        error: `No session ${req.params.sessionId} for this wallet`,
+      });
+    }
+
+    res.json({
+      ok: true,
+      sessionId: req.params.sessionId,
+      status: 'ended',
+    });
+  } catch (error) {
+    console.error('❌ End session error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
 /* ═══════════════════════════════════════════════════════════════════
    ROUTE: AI Agent Buy Token
    POST /api/agent/buy-token
    ═══════════════════════════════════════════════════════════════════ */
 
-router.post('/agent/buy-token', async (req, res) => {
+router.post('/agent/buy-token', requireWallet, async (req, res) => {
   try {
-    const { tokenMint, amountUSDC, wallet, network, slippage, autoApprove } = req.body;
+    const { tokenMint, amountUSDC, network, slippage, paper } = req.body;
 
-    if (!tokenMint || !amountUSDC || !wallet) {
+    if (!tokenMint || !amountUSDC) {
       return res.status(400).json({
         ok: false,
-        error: 'Missing required fields: tokenMint, amountUSDC, wallet',
+        error: 'Missing required fields: tokenMint, amountUSDC',
       });
     }
 
-    const agent = getOrCreateAgent(wallet, network, 'trading');
+    const agent = getOrCreateAgent(req.wallet, network, 'trading', paper);
 
     const result = await agent.buyToken({
       tokenMint,
       amountUSDC,
-      network: network || SUPPORTED_NETWORKS.SOLANA,
+      network: network || DEFAULT_NETWORK,
       slippage: slippage || 0.01,
     });
 
@@ -130,12 +311,50 @@ router.post('/agent/buy-token', async (req, res) => {
   }
 });
 
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTE: AI Agent Sell Token
+   POST /api/agent/sell-token
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.post('/agent/sell-token', requireWallet, async (req, res) => {
+  try {
+    const { tokenMint, amount, network, slippage, paper } = req.body;
+
+    if (!tokenMint || !amount) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required fields: tokenMint, amount',
+      });
+    }
+
+    const agent = getOrCreateAgent(req.wallet, network, 'trading', paper);
+
+    const result = await agent.sellToken({
+      tokenMint,
+      amount,
+      network: network || DEFAULT_NETWORK,
+      slippage: slippage || 0.01,
+    });
+
+    res.json({
+      ok: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('❌ Sell token error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
 /* ═══════════════════════════════════════════════════════════════════
    ROUTE: Schedule Payment
    POST /api/agent/schedule
    ═══════════════════════════════════════════════════════════════════ */
 
-router.post('/agent/schedule', async (req, res) => {
+router.post('/agent/schedule', requireWallet, async (req, res) => {
   try {
     const {
       resource,
@@ -144,27 +363,27 @@ router.post('/agent/schedule', async (req, res) => {
       recurring,
       interval,
       condition,
-      wallet,
       network,
+      paper,
     } = req.body;
 
-    if (!resource || !amount || !executeAt || !wallet) {
+    if (!resource || !amount || !executeAt) {
       return res.status(400).json({
         ok: false,
-        error: 'Missing required fields: resource, amount, executeAt, wallet',
+        error: 'Missing required fields: resource, amount, executeAt',
       });
     }
 
-    const agent = getOrCreateAgent(wallet, network);
-    scheduler.setAgent(agent);
-
-    const scheduleId = scheduler.schedulePayment({
+    const scheduleId = await scheduler.schedulePayment({
       resource,
       amount: Math.floor(amount * 1e6),
       executeAt,
       recurring,
       interval,
       condition,
+      wallet: req.wallet,
+      network: network || DEFAULT_NETWORK,
+      paperTrading: Boolean(paper) || process.env.PAPER_TRADING === 'true',
     });
 
     res.json({
@@ -187,9 +406,9 @@ router.post('/agent/schedule', async (req, res) => {
    GET /api/agent/schedules
    ═══════════════════════════════════════════════════════════════════ */
 
-router.get('/agent/schedules', (req, res) => {
+router.get('/agent/schedules', requireWallet, async (req, res) => {
   try {
-    const schedules = scheduler.getScheduledPayments();
+    const schedules = (await scheduler.getScheduledPayments()).filter(s => sameWallet(s.wallet, req.wallet));
 
     res.json({
       ok: true,
@@ -216,11 +435,20 @@ router.get('/agent/schedules', (req, res) => {
    DELETE /api/agent/schedule/:id
    ═══════════════════════════════════════════════════════════════════ */
 
-router.delete('/agent/schedule/:id', (req, res) => {
+router.delete('/agent/schedule/:id', requireWallet, async (req, res) => {
   try {
     const { id } = req.params;
 
-    scheduler.cancelScheduledPayment(id);
+    // Other wallets' schedules look just like missing ones
+    const schedule = await scheduler.getScheduledPayment(id);
+    if (!schedule || !sameWallet(schedule.wallet, req.wallet)) {
+      return res.status(404).json({
+        ok: false,
+        error: `No schedule ${id} for this wallet`,
+      });
+    }
+
+    await scheduler.cancelScheduledPayment(id);
 
     res.json({
       ok: true,
@@ -241,23 +469,27 @@ router.delete('/agent/schedule/:id', (req, res) => {
    POST /api/agent/arbitrage
    ═══════════════════════════════════════════════════════════════════ */
 
-router.post('/agent/arbitrage', async (req, res) => {
+router.post('/agent/arbitrage', requireWallet, async (req, res) => {
   try {
-    const { tokenA, tokenB, minProfitUSDC, wallet, network } = req.body;
+    const { tokenA, tokenB, amount, minProfitUSDC, network, slippage, dryRun, paper } = req.body;
 
-    if (!tokenA || !tokenB || !wallet) {
+    if (!tokenA || !tokenB) {
       return res.status(400).json({
         ok: false,
-        error: 'Missing required fields: tokenA, tokenB, wallet',
+        error: 'Missing required fields: tokenA, tokenB',
       });
     }
 
-    const agent = getOrCreateAgent(wallet, network, 'trading');
+    const agent = getOrCreateAgent(req.wallet, network, 'trading', paper);
 
     const result = await agent.executeArbitrage({
       tokenA,
       tokenB,
+      amount,
       minProfitUSDC: minProfitUSDC || 5,
+      network: network || DEFAULT_NETWORK,
+      slippage,
+      dryRun: Boolean(dryRun),
     });
 
     res.json({
@@ -273,14 +505,167 @@ router.post('/agent/arbitrage', async (req, res) => {
   }
 });
 
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTES: Trading Strategies
+   GET  /api/agent/strategies
+   POST /api/agent/strategy
+   POST /api/agent/strategy/run
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.get('/agent/strategies', (req, res) => {
+  res.json({
+    ok: true,
+    strategies: listStrategies(),
+  });
+});
+
+router.post('/agent/strategy', requireWallet, (req, res) => {
+  try {
+    const { network, strategy, options, paper } = req.body;
+    const { wallet } = req;
+
+    if (!strategy) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required field: strategy',
+      });
+    }
+
+    if (!listStrategies().includes(strategy)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown trading strategy: ${strategy}`,
+        strategies: listStrategies(),
+      });
+    }
+
+    const agent = getOrCreateAgent(wallet, network, 'trading', paper);
+    const selected = agent.setStrategy(strategy, options);
+
+    res.json({
+      ok: true,
+      wallet,
+      strategy: selected.name,
+      risk: selected.risk,
+    });
+  } catch (error) {
+    console.error('❌ Strategy selection error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+router.post('/agent/strategy/run', requireWallet, async (req, res) => {
+  try {
+    const { network, token, slippage, dryRun, paper } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required field: token',
+      });
+    }
+
+    const agent = getOrCreateAgent(req.wallet, network, 'trading', paper);
+
+    const result = await agent.runStrategy({
+      token,
+      network: network || DEFAULT_NETWORK,
+      slippage,
+      dryRun: Boolean(dryRun),
+    });
+
+    res.json({
+      ok: true,
+      strategy: agent.strategy.name,
+      ...result,
+    });
+  } catch (error) {
+    console.error('❌ Strategy run error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTE: Strategy Backtest
+   POST /api/agent/backtest
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.post('/agent/backtest', async (req, res) => {
+  try {
+    const {
+      candles,
+      strategy,
+      options,
+      token,
+      initialUSDC,
+      feeBps,
+      slippageBps,
+      maxSlippage,
+      equityCurve,
+    } = req.body;
+
+    if (!candles || !strategy) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required fields: candles (array, CSV or JSON text), strategy',
+      });
+    }
+
+    if (!listStrategies().includes(strategy)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown trading strategy: ${strategy}`,
+        strategies: listStrategies(),
+      });
+    }
+
+    let report;
+    try {
+      const backtester = new Backtester({
+        strategy,
+        strategyOptions: options,
+        token,
+        initialUSDC,
+        feeBps,
+        slippageBps,
+        maxSlippage,
+      });
+      report = await backtester.run(candles, { equityCurve: Boolean(equityCurve) });
+    } catch (error) {
+      // Invalid amounts, fees or slippage, or malformed candles
+      return res.status(400).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+
+    res.json({
+      ok: true,
+      ...report,
+    });
+  } catch (error) {
+    console.error('❌ Backtest error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
 /* ═══════════════════════════════════════════════════════════════════
    ROUTE: AI Agent Status
    GET /api/agent/status/:wallet
    ═══════════════════════════════════════════════════════════════════ */
 
-router.get('/agent/status/:wallet', (req, res) => {
+router.get('/agent/status/:wallet', requireWallet, (req, res) => {
   try {
-    const { wallet } = req.params;
+    const { wallet } = req;
 
     const activeAgents = [];
     for (const [key, agent] of agents.entries()) {
@@ -290,6 +675,7 @@ router.get('/agent/status/:wallet', (req, res) => {
           wallet: agent.wallet,
           network: agent.network,
           capabilities: agent.capabilities,
+          paperTrading: agent.paperTrading,
         });
       }
     }
@@ -309,14 +695,405 @@ router.get('/agent/status/:wallet', (req, res) => {
   }
 });
 
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTE: Payment Ledger
+   GET /api/agent/ledger/:wallet
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.get('/agent/ledger/:wallet', requireWallet, async (req, res) => {
+  try {
+    const { wallet } = req;
+    const { status, since, until, limit, timeZone, rolling, simulated } = req.query;
+
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid timeZone: ${timeZone}`,
+      });
+    }
+
+    const entries = await ledger.getEntries({
+      wallet,
+      status,
+      since,
+      until,
+      limit: limit ? parseInt(limit) : 100,
+      simulated: simulated === undefined ? undefined : simulated === 'true',
+    });
+
+    // Real spend unless the paper ledger is asked for
+    const spending = await ledger.getSpendingSummary({
+      wallet,
+      timeZone,
+      rolling: rolling === 'true',
+      simulated: simulated === 'true',
+    });
+
+    res.json({
+      ok: true,
+      wallet,
+      spending,
+      entries: entries.map(e => ({
+        ...e,
+        amount: e.amount / 1e6,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Ledger query error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTE: Trading Portfolio
+   GET /api/agent/portfolio/:wallet
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.get('/agent/portfolio/:wallet', requireWallet, async (req, res) => {
+  try {
+    const { wallet } = req;
+    const { network, mark, reconcile, includeClosed, fills, paper } = req.query;
+
+    const agent = getOrCreateAgent(wallet, network, 'trading', paper === 'true');
+
+    const result = await agent.getPortfolio({
+      network,
+      markToMarket: mark !== 'false',
+      reconcile: reconcile !== 'false',
+      includeClosed: includeClosed === 'true',
+    });
+
+    res.json({
+      ok: true,
+      ...result,
+      fills: fills
+        ? await portfolio.getFills({ wallet, network, simulated: agent.paperTrading, limit: parseInt(fills) || 50 })
+        : undefined,
+    });
+  } catch (error) {
+    console.error('❌ Portfolio query error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTES: Paper Wallets
+   GET  /api/agent/paper/:wallet
+   POST /api/agent/paper/:wallet/fund
+   POST /api/agent/paper/:wallet/reset
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.get('/agent/paper/:wallet', requireWallet, async (req, res) => {
+  try {
+    const { wallet } = req;
+    const { limit } = req.query;
+
+    res.json({
+      ok: true,
+      wallet,
+      balances: await paperWallet.getBalances(wallet),
+      transactions: await paperWallet.getTransactions(wallet, { limit: limit ? parseInt(limit) : 50 }),
+    });
+  } catch (error) {
+    console.error('❌ Paper wallet query error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+router.post('/agent/paper/:wallet/fund', requireWallet, async (req, res) => {
+  try {
+    const { wallet } = req;
+    const { network = DEFAULT_NETWORK, amount, decimals } = req.body;
+    const asset = req.body.asset || USDC_ADDRESSES[network];
+
+    if (!amount || !asset) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required fields: amount (and asset off the USDC networks)',
+      });
+    }
+
+    // Whole tokens in, base units stored; USDC has 6 decimals
+    const tokenDecimals = decimals ?? 6;
+    const transaction = await paperWallet.fund({
+      wallet,
+      network,
+      asset,
+      amount: BigInt(Math.round(amount * 10 ** tokenDecimals)),
+      decimals: tokenDecimals,
+    });
+
+    res.json({
+      ok: true,
+      transaction,
+      balance: await paperWallet.getTokenBalance(wallet, network, asset),
+    });
+  } catch (error) {
+    console.error('❌ Paper wallet funding error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+router.post('/agent/paper/:wallet/reset', requireWallet, async (req, res) => {
+  try {
+    const { wallet } = req;
+    await paperWallet.reset(wallet);
+
+    res.json({
+      ok: true,
+      wallet,
+      balances: await paperWallet.getBalances(wallet),
+    });
+  } catch (error) {
+    console.error('❌ Paper wallet reset error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTES: Payment Approvals
+   GET  /api/agent/approvals
+   POST /api/agent/approvals/:id
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.get('/agent/approvals', requireWallet, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const approvals = await approvalQueue.list({ wallet: req.wallet, status: status || 'pending' });
+
+    res.json({
+      ok: true,
+      approvals: approvals.map(a => ({
+        id: a.id,
+        wallet: a.wallet,
+        resource: a.resource,
+        amount: a.amount / 1e6,
+        network: a.network,
+        reason: a.reason,
+        decidedBy: a.decidedBy,
+        status: a.status,
+        createdAt: a.createdAt,
+        expiresAt: a.expiresAt,
+        txHash: a.txHash,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ List approvals error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+router.post('/agent/approvals/:id', requireWallet, async (req, res) => {
+  const { id } = req.params;
+  const { decision, note } = req.body;
+
+  if (!['approve', 'deny'].includes(decision)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'decision must be "approve" or "deny"',
+    });
+  }
+
+  let approval;
+  try {
+    // Other wallets' approvals look just like missing ones
+    const parked = await approvalQueue.get(id);
+    if (!parked || !sameWallet(parked.wallet, req.wallet)) {
+      return res.status(404).json({
+        ok: false,
+        error: `No approval ${id} for this wallet`,
+      });
+    }
+
+    approval = await approvalQueue.resolve(id, decision, { note, resolvedBy: req.wallet });
+  } catch (error) {
+    return res.status(409).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+
+  try {
+    if (approval.status !== 'approved') {
+      return res.json({
+        ok: true,
+        approvalId: id,
+        status: approval.status,
+      });
+    }
+
+    const agent = getOrCreateAgent(approval.wallet, approval.network, 'basic', approval.paperTrading);
+    const result = await agent.resumeApprovedPayment(approval);
+
+    res.json({
+      ok: true,
+      approvalId: id,
+      status: result.success ? 'executed' : 'failed',
+      ...result,
+    });
+  } catch (error) {
+    console.error('❌ Approved payment error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTES: Spending Policy
+   GET    /api/agent/policy/:wallet
+   PUT    /api/agent/policy/:wallet
+   DELETE /api/agent/policy/:wallet
+   POST   /api/agent/policy/:wallet/evaluate
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.get('/agent/policy/:wallet', requireWallet, async (req, res) => {
+  try {
+    const { wallet } = req;
+    const policy = await policyEngine.getPolicy(wallet);
+
+    if (!policy) {
+      return res.status(404).json({
+        ok: false,
+        error: 'No policy for this wallet',
+      });
+    }
+
+    res.json({
+      ok: true,
+      wallet,
+      policy,
+    });
+  } catch (error) {
+    console.error('❌ Get policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+router.put('/agent/policy/:wallet', requireWallet, async (req, res) => {
+  const { wallet } = req;
+  const { policy, format } = req.body;
+
+  if (!policy) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Missing required field: policy (object, JSON or YAML text)',
+    });
+  }
+
+  // Rules are checked for the fields their type needs before anything is stored
+  let parsed;
+  try {
+    parsed = parsePolicy(policy, format);
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid policy: ${error.message}`,
+    });
+  }
+
+  try {
+    const stored = await policyEngine.setPolicy(wallet, parsed);
+
+    res.json({
+      ok: true,
+      wallet,
+      policy: stored,
+    });
+  } catch (error) {
+    console.error('❌ Set policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+router.delete('/agent/policy/:wallet', requireWallet, async (req, res) => {
+  try {
+    const { wallet } = req;
+    const deleted = await policyEngine.deletePolicy(wallet);
+
+    res.json({
+      ok: true,
+      wallet,
+      deleted,
+    });
+  } catch (error) {
+    console.error('❌ Delete policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+router.post('/agent/policy/:wallet/evaluate', requireWallet, async (req, res) => {
+  try {
+    const { wallet } = req;
+    const { resource, amount, network, context } = req.body;
+
+    if (!resource || amount === undefined) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required fields: resource, amount',
+      });
+    }
+
+    const decision = await policyEngine.evaluate({
+      wallet,
+      resource,
+      amount: Math.floor(amount * 1e6),
+      network: network || DEFAULT_NETWORK,
+      context,
+    });
+
+    res.json({
+      ok: true,
+      wallet,
+      decision,
+    });
+  } catch (error) {
+    console.error('❌ Policy evaluation error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
 /* ═══════════════════════════════════════════════════════════════════
    ROUTE: Token Quote (X402 Challenge)
    GET /api/trade/quote
    ═══════════════════════════════════════════════════════════════════ */
 
-router.get('/api/trade/quote', async (req, res) => {
+router.get('/api/trade/quote', quoteLimit, async (req, res) => {
   try {
-    const { token, amount, network } = req.query;
+    const { token, amount, slippageBps, side = 'buy' } = req.query;
+    const network = req.query.network || DEFAULT_NETWORK;
 
     if (!token) {
       return res.status(400).json({
@@ -325,17 +1102,24 @@ router.get('/api/trade/quote', async (req, res) => {
       });
     }
 
-    // Mock quote data (replace with actual DEX integration)
-    const quote = {
-      token,
-      inputAmount: amount || '10',
-      outputAmount: '0.095', // Example: 10 USDC → 0.095 SOL
-      priceImpact: 0.002, // 0.2%
-      liquidity: 150000, // $150k
-      volatility: 0.15, // 15%
-      estimatedFee: 0.001, // 0.1%
-      network: network || SUPPORTED_NETWORKS.SOLANA,
-    };
+    let size;
+    try {
+      size = parseQuoteParams({ amount: amount || 10, slippageBps });
+    } catch (error) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+
+    // Buys spend `amount` USDC; sells spend `amount` of the token
+    const usdc = USDC_ADDRESSES[network];
+    const quote = await quoteService.getQuote({
+      network,
+      inputMint: side === 'sell' ? token : usdc,
+      outputMint: side === 'sell' ? usdc : token,
+      ...size,
+    });
 
     res.json({
       ok: true,
@@ -355,70 +1139,167 @@ router.get('/api/trade/quote', async (req, res) => {
    GET /api/trade/buy (triggers 402 challenge)
    ═══════════════════════════════════════════════════════════════════ */
 
-router.get('/api/trade/buy', async (req, res) => {
+// Quote the trade before charging for it, so unfillable trades are refused up front
+async function prepareTrade(req, res, next) {
   try {
-    const { token, amount, wallet, network } = req.query;
-
-    // Check if payment proof provided
-    const paymentHeader = req.headers['x-payment'];
-
-    if (!paymentHeader) {
-      // No payment → return X402 challenge
-      const challenge = challengeBuilder.buildChallenge({
-        amount: Math.floor((amount || 10) * 1e6), // Default 10 USDC
-        scheme: PAYMENT_SCHEMES.EXACT,
-        metadata: {
-          type: 'token_trade',
-          token,
-          trader: wallet,
-          network: network || SUPPORTED_NETWORKS.SOLANA,
-        },
+    const { token, amount, slippageBps, minOut } = req.query;
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!token) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing token parameter',
+      });
+    }
+
+    let size;
+    try {
+      size = parseQuoteParams({ amount: amount || 10, slippageBps });
+    } catch (error) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message,
       });
+    }
 
-      return res.status(402).json(challenge);
+    const option = paymentOptions.find(o => o.network === network);
+    const executor = swapExecutors[network];
+    if (!executor || !option) {
+      return res.status(400).json({
+        ok: false,
+        error: `Trading is not available on ${network}`,
+      });
     }
 
-    // Payment provided → verify and execute trade
-    const payment = JSON.parse(Buffer.from(paymentHeader, 'base64').toString());
+    // Swap the very USDC the trader pays with
+    const quote = await quoteService.getQuote({
+      network,
+      inputMint: option.asset || USDC_ADDRESSES[network],
+      outputMint: token,
+      ...size,
+    });
 
-    // TODO: Verify payment on-chain
-    console.log('💰 Payment received:', payment);
+    // A fixture (or other venue's) quote describes no swap this wallet can make;
+    // refuse before the trader pays rather than fail after
+    if (!canExecuteQuote(executor, quote)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Trading is not available on ${network}: ${quote.provider} quotes cannot be swapped by the ${executor.name} wallet`,
+      });
+    }
 
-    // Mock trade execution
-    const tradeResult = {
-      success: true,
-      token,
-      inputAmount: amount || 10,
-      outputAmount: 0.095,
-      txHash: payment.payload.txHash || payment.payload.txSignature,
-      network: network || SUPPORTED_NETWORKS.SOLANA,
-    };
+    if (minOut && BigInt(quote.outAmount) < BigInt(minOut)) {
+      return res.status(409).json({
+        ok: false,
+        error: `Price moved: quote of ${quote.outAmount} is below the minimum of ${minOut}`,
+        quote,
+      });
+    }
+
+    req.tradeQuote = quote;
+    req.tradeNetwork = network;
+    next();
+  } catch (error) {
+    console.error('❌ Trade quote error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * What a trade payment buys: the route plus every trade parameter, so a
+ * proof seen before it settles can't be replayed for another token or
+ * recipient (the amount is bound as the price)
+ */
+function tradeResource(req) {
+  const { token, wallet, minOut, slippageBps } = req.query;
+  const terms = Object.entries({ network: req.tradeNetwork, token, wallet, minOut, slippageBps })
+    .filter(([, value]) => value !== undefined);
+  return `${req.baseUrl}${req.path}?${new URLSearchParams(terms)}`;
+}
+
+const tradePaywall = x402Paywall({
+  price: (req) => Number(req.query.amount || 10), // Default 10 USDC
+  scheme: PAYMENT_SCHEMES.EXACT,
+  resource: tradeResource,
+  description: 'Token trade execution',
+  // The swap runs on the trade's network, so the USDC must arrive there
+  paymentOptions: (req) => paymentOptions.filter(option => option.network === req.tradeNetwork),
+  metadata: (req) => ({
+    type: 'token_trade',
+    token: req.query.token,
+    trader: req.query.wallet,
+    network: req.tradeNetwork,
+  }),
+  challengeBuilder,
+  registry: challengeRegistry,
+  verifier: paymentVerifier,
+});
+
+router.get('/api/trade/buy', quoteLimit, prepareTrade, tradePaywall, async (req, res) => {
+  const payment = req.x402Payment;
+
+  try {
+    const trade = await swapExecutors[req.tradeNetwork].swap({
+      quote: req.tradeQuote,
+      recipient: req.query.wallet || payment.payer,
+      minOutAmount: req.query.minOut || req.tradeQuote.minOutAmount,
+    });
+
+    console.log(`💰 Trade executed for ${trade.recipient}: ${trade.outputAmount} ${trade.token} (${trade.txHash})`);
 
     res.json({
       ok: true,
-      trade: tradeResult,
+      trade: {
+        success: true,
+        ...trade,
+        paymentTxHash: payment.txHash,
+      },
     });
   } catch (error) {
-    console.error('❌ Trade execution error:', error);
-    res.status(500).json({
+    // The payment has already settled; report it so the trader can be refunded
+    console.error(`❌ Trade execution error (payment ${payment.txHash}):`, error);
+    res.status(502).json({
       ok: false,
       error: error.message,
+      payment: {
+        txHash: payment.txHash,
+        amount: payment.amount,
+        network: payment.network,
+        payer: payment.payer,
+      },
     });
   }
 });
 
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTE: Network Registry
+   GET /api/agent/networks
+   ═══════════════════════════════════════════════════════════════════ */
+
+router.get('/agent/networks', (req, res) => {
+  const { family, testnet } = req.query;
+
+  res.json({
+    ok: true,
+    networks: listNetworks({ family, testnet: testnet === undefined ? undefined : testnet === 'true' }),
+  });
+});
+
 /* ═══════════════════════════════════════════════════════════════════
    ROUTE: AI Agent Health Check
    GET /api/agent/health
    ═══════════════════════════════════════════════════════════════════ */
 
-router.get('/agent/health', (req, res) => {
+router.get('/agent/health', async (req, res) => {
   res.json({
     ok: true,
     status: 'running',
     activeAgents: agents.size,
-    scheduledPayments: scheduler.getScheduledPayments().length,
-    supportedNetworks: Object.values(SUPPORTED_NETWORKS),
+    scheduledPayments: (await scheduler.getScheduledPayments()).length,
+    supportedNetworks: listNetworks().map(network => network.id),
     capabilities: [
       'natural_language_commands',
       'scheduled_payments',
@@ -20,8 +20,39 @@
  */
 
 import 'dotenv/config';
-import { Connection, PublicKey, Transaction } from '@solana/web3.js';
+import { Connection, Keypair, PublicKey, Transaction } from '@solana/web3.js';
+import {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountInstruction,
+  createTransferCheckedInstruction,
+  getMint,
+} from '@solana/spl-token';
 import { ethers } from 'ethers';
+import { openFileStore, lockStoreFile } from './storage.js';
+import { PaymentLedger } from './payment-ledger.js';
+import { SpendingPolicyEngine } from './spending-policy.js';
+import { ApprovalQueue } from './approval-queue.js';
+import { signTransferAuthorization, supportsTransferAuthorization } from './eip3009.js';
+import { createSwapExecutor } from './swap-executors.js';
+import { ArbitrageScanner, ArbitrageExecutor, DexVenue, defaultArbitrageVenues } from './arbitrage.js';
+import { Portfolio, readTokenBalance } from './portfolio.js';
+import { createStrategy } from './strategies.js';
+import { PaperWallet, PaperSwapExecutor } from './paper-wallet.js';
+import { KeypairSigner } from './signers.js';
+import { parseCommand } from './command-parser.js';
+import { sameWallet } from './wallet-auth.js';
+import {
+  SUPPORTED_NETWORKS,
+  USDC_ADDRESSES,
+  NETWORK_FAMILIES,
+  registerNetwork,
+  hasNetwork,
+  getNetwork,
+  listNetworks,
+  isSolanaNetwork,
+  rpcEndpointFor,
+  explorerUrl,
+} from './networks.js';
 
 /* ═══════════════════════════════════════════════════════════════════
    X402 PROTOCOL CONSTANTS
@@ -37,19 +68,54 @@ const PAYMENT_SCHEMES = {
   DYNAMIC: 'dynamic',       // AI-determined pricing
 };
 
-const SUPPORTED_NETWORKS = {
-  SOLANA: 'solana-mainnet',
-  BASE: 'base-mainnet',
-  ETHEREUM: 'ethereum-mainnet',
-  POLYGON: 'polygon-mainnet',
-};
+// Price samples kept per token for strategies
+const PRICE_HISTORY_LIMIT = 1000;
 
-const USDC_ADDRESSES = {
-  'solana-mainnet': 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-  'base-mainnet': '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-  'ethereum-mainnet': '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-  'polygon-mainnet': '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174',
-};
+const DEFAULT_SUBSCRIPTION_PERIOD = 30 * 24 * 60 * 60; // 30 days, in seconds
+
+// Granularity of dynamic price negotiation (0.01 USDC)
+const NEGOTIATION_STEP = 10000;
+
+const EVM_TRANSFER_GAS = 65000;
+const SOLANA_BASE_FEE_LAMPORTS = 5000;
+const SOLANA_TOKEN_ACCOUNT_RENT_LAMPORTS = 2039280;
+
+/**
+ * Load a Solana keypair from a secret key
+ * @param {Keypair|Uint8Array|Array|string} secret - Keypair, raw secret key bytes,
+ *   JSON byte array string or base58-encoded secret key
+ * @returns {Keypair} Keypair
+ */
+export function loadSolanaKeypair(secret) {
+  if (secret instanceof Keypair) {
+    return secret;
+  }
+  if (typeof secret === 'string') {
+    const bytes = secret.trim().startsWith('[')
+      ? JSON.parse(secret)
+      : ethers.utils.base58.decode(secret.trim());
+    return Keypair.fromSecretKey(Uint8Array.from(bytes));
+  }
+  return Keypair.fromSecretKey(Uint8Array.from(secret));
+}
+
+/**
+ * Smallest amount a payment requirement accepts, in base units.
+ * exact/subscription: maxAmountRequired; range: minAmountRequired;
+ * dynamic: the minAmountRequired floor, or suggestedAmount without one
+ * @param {Object} requirement - X402 payment requirement
+ * @returns {number|string} Amount in base units
+ */
+export function minimumPaymentAmount(requirement) {
+  switch (requirement.scheme) {
+    case PAYMENT_SCHEMES.RANGE:
+      return requirement.minAmountRequired;
+    case PAYMENT_SCHEMES.DYNAMIC:
+      return requirement.minAmountRequired ?? requirement.suggestedAmount;
+    default:
+      return requirement.maxAmountRequired;
+  }
+}
 
 /* ═══════════════════════════════════════════════════════════════════
    X402 CHALLENGE BUILDER
@@ -58,16 +124,44 @@ const USDC_ADDRESSES = {
 export class X402ChallengeBuilder {
   constructor(config = {}) {
     this.config = {
+      ...config,
       network: config.network || SUPPORTED_NETWORKS.SOLANA,
       usdcAddress: config.usdcAddress || USDC_ADDRESSES[config.network || SUPPORTED_NETWORKS.SOLANA],
       payTo: config.payTo,
-      ...config
+    };
+
+    // Every network/asset a challenge offers; the primary network comes first
+    this.paymentOptions = config.paymentOptions
+      ? config.paymentOptions.map(option => this.normalizeOption(option))
+      : [this.normalizeOption(this.config)];
+  }
+
+  /**
+   * Fill in the USDC address and recipient of a payment option
+   * @param {Object} option - { network, asset | usdcAddress, payTo, eip712: { name, version } }
+   * @returns {Object} { network, asset, payTo, eip712 }
+   */
+  normalizeOption(option) {
+    const network = option.network || this.config.network;
+    const asset = option.asset || option.usdcAddress || USDC_ADDRESSES[network];
+
+    // Native USDC advertises its EIP-712 domain so payers can sign EIP-3009 authorizations
+    const eip712 = option.eip712 || (asset === USDC_ADDRESSES[network] ? getNetwork(network).usdc.eip712 : null);
+
+    return {
+      network,
+      asset,
+      payTo: option.payTo || this.config.payTo,
+      eip712: eip712 || null,
     };
   }
 
   /**
    * Build X402 challenge response
    * @param {Object} params - Payment parameters
+   * @param {Array} params.paymentOptions - Networks/assets to offer (builder defaults if omitted)
+   * @param {number} params.minAmount - Range minimum, or the floor a dynamic price may be negotiated down to
+   * @param {number} params.subscriptionPeriod - Access period a subscription payment buys, in seconds
    * @returns {Object} X402 challenge
    */
   buildChallenge(params) {
@@ -76,20 +170,24 @@ export class X402ChallengeBuilder {
       minAmount,
       maxAmount,
       scheme = PAYMENT_SCHEMES.EXACT,
+      subscriptionPeriod = DEFAULT_SUBSCRIPTION_PERIOD,
       metadata = {},
       breakdown = null,
     } = params;
 
+    const options = params.paymentOptions
+      ? params.paymentOptions.map(option => this.normalizeOption(option))
+      : this.paymentOptions;
+
     const challenge = {
       x402Version: X402_VERSION,
-      accepts: [
-        {
-          asset: this.config.usdcAddress,
-          network: this.config.network,
-          payTo: this.config.payTo,
-          scheme: scheme,
-        }
-      ],
+      accepts: options.map(option => ({
+        asset: option.asset,
+        network: option.network,
+        payTo: option.payTo,
+        scheme: scheme,
+        ...(option.eip712 && { extra: { ...option.eip712 } }),
+      })),
       metadata: {
         ...metadata,
         timestamp: Date.now(),
@@ -97,26 +195,36 @@ export class X402ChallengeBuilder {
       }
     };
 
-    // Add amount based on scheme
-    switch (scheme) {
-      case PAYMENT_SCHEMES.EXACT:
-        challenge.accepts[0].maxAmountRequired = amount;
-        break;
-      
-      case PAYMENT_SCHEMES.RANGE:
-        challenge.accepts[0].minAmountRequired = minAmount;
-        challenge.accepts[0].maxAmountRequired = maxAmount;
-        break;
-      
-      case PAYMENT_SCHEMES.DYNAMIC:
-        challenge.accepts[0].dynamicPricing = true;
-        challenge.accepts[0].suggestedAmount = amount;
-        break;
-    }
+    for (const requirement of challenge.accepts) {
+      // Add amount based on scheme
+      switch (scheme) {
+        case PAYMENT_SCHEMES.EXACT:
+          requirement.maxAmountRequired = amount;
+          break;
+        
+        case PAYMENT_SCHEMES.RANGE:
+          requirement.minAmountRequired = minAmount;
+          requirement.maxAmountRequired = maxAmount;
+          break;
+        
+        case PAYMENT_SCHEMES.DYNAMIC:
+          requirement.dynamicPricing = true;
+          requirement.suggestedAmount = amount;
+          if (minAmount !== undefined) {
+            requirement.minAmountRequired = minAmount;
+          }
+          break;
 
-    // Add payment breakdown for multi-recipient splits
-    if (breakdown) {
-      challenge.accepts[0].extra = { breakdown };
+        case PAYMENT_SCHEMES.SUBSCRIPTION:
+          requirement.maxAmountRequired = amount;
+          requirement.subscriptionPeriod = subscriptionPeriod;
+          break;
+      }
+
+      // Add payment breakdown for multi-recipient splits
+      if (breakdown) {
+        requirement.extra = { ...requirement.extra, breakdown };
+      }
     }
 
     return challenge;
@@ -131,10 +239,11 @@ export class X402ChallengeBuilder {
     return {
       x402Version: X402_VERSION,
       status: 'confirmed',
-      network: this.config.network,
+      network: payment.network || this.config.network,
       txHash: payment.txHash || payment.txSignature,
       amount: payment.amount,
       timestamp: Date.now(),
+      ...(payment.subscription && { subscription: payment.subscription }),
       metadata: payment.metadata || {},
     };
   }
@@ -152,19 +261,144 @@ export class AIPaymentAgent {
     this.rpcEndpoint = config.rpcEndpoint;
     this.agentName = config.agentName || 'X4A-Agent-001';
     this.capabilities = config.capabilities || [];
+    this.ledger = config.ledger || new PaymentLedger();
+    this.policyEngine = config.policyEngine || new SpendingPolicyEngine({ ledger: this.ledger });
+    this.approvalQueue = config.approvalQueue === undefined ? new ApprovalQueue() : config.approvalQueue;
     
     this.challengeBuilder = new X402ChallengeBuilder({
       network: this.network,
       payTo: config.payTo,
     });
 
-    // Initialize network connection
-    if (this.network === SUPPORTED_NETWORKS.SOLANA) {
-      this.connection = new Connection(this.rpcEndpoint);
+    this.feeEstimates = { ...config.feeEstimates }; // network → USDC, overriding the registry's feeEstimateUSDC
+    this.nativeTokenPrices = config.nativeTokenPrices || {};
+    this.subscriptions = new Map(); // resource → { id, expiresAt }
+
+    // 'auto' signs EIP-3009 authorizations whenever the asset supports them
+    this.evmPaymentMode = config.evmPaymentMode || process.env.EVM_PAYMENT_MODE || 'auto'; // 'auto' | 'authorization' | 'transfer'
+
+    // Paper trading: pay and swap against virtual balances instead of the chain
+    this.paperTrading = config.paperTrading ?? process.env.PAPER_TRADING === 'true';
+    this.paperWallet = this.paperTrading ? config.paperWallet || new PaperWallet() : null;
+
+    // Looks up the wallet's signer on networks configured without a key (see signers.js)
+    this.signerResolver = config.signerResolver || null;
+
+    // Initialize network connections: the primary network plus any
+    // additional networks the agent can pay on ({ [network]: { rpcEndpoint, privateKey, ... } })
+    this.clients = new Map();
+    this.addNetwork(this.network, config);
+    for (const [network, networkConfig] of Object.entries(config.networks || {})) {
+      this.addNetwork(network, networkConfig);
+    }
+
+    this.usePrimaryClient();
+  }
+
+  usePrimaryClient() {
+    const primary = this.clients.get(this.network);
+    this.connection = primary.connection;
+    this.keypair = primary.keypair;
+    this.provider = primary.provider;
+    this.signer = primary.signer;
+  }
+
+  /**
+   * Register a network the agent can pay on
+   * @param {string} network - Network identifier
+   * @param {Object} config - { rpcEndpoint (registry default if omitted), privateKey, connection, keypair, provider,
+   *   signer (Solana: { publicKey, signTransaction }, EVM: ethers Signer) }
+   */
+  addNetwork(network, config = {}) {
+    const privateKey = config.privateKey;
+    const rpcEndpoint = config.rpcEndpoint || rpcEndpointFor(network);
+
+    if (isSolanaNetwork(network)) {
+      const keypair = config.keypair || (privateKey ? loadSolanaKeypair(privateKey) : null);
+      this.clients.set(network, {
+        connection: config.connection || new Connection(rpcEndpoint, 'confirmed'),
+        keypair,
+        signer: config.signer || (keypair ? new KeypairSigner(keypair) : null),
+      });
     } else {
-      this.provider = new ethers.providers.JsonRpcProvider(this.rpcEndpoint);
-      this.signer = new ethers.Wallet(this.privateKey, this.provider);
+      const provider = config.provider || new ethers.providers.JsonRpcProvider(rpcEndpoint);
+      this.clients.set(network, {
+        provider,
+        signer: config.signer || (privateKey ? new ethers.Wallet(privateKey, provider) : null),
+      });
+    }
+  }
+
+  /**
+   * Get the connection and signer for a network
+   * @param {string} network - Network identifier
+   * @returns {Object} { connection, keypair, signer } or { provider, signer }
+   */
+  getClient(network) {
+    const client = this.clients.get(network);
+    if (!client) {
+      throw new Error(`Agent has no connection for ${network}`);
     }
+    return client;
+  }
+
+  /**
+   * Whether the agent holds a signer for a network
+   * @param {string} network - Network identifier
+   * @returns {boolean}
+   */
+  canPayOn(network) {
+    if (this.paperTrading) {
+      return hasNetwork(network);
+    }
+    const client = this.clients.get(network);
+    return Boolean(client?.signer);
+  }
+
+  /**
+   * Look up the agent wallet's signer for a network through the signer
+   * resolver, unless the network already has one
+   * @param {string} network - Network identifier
+   * @returns {boolean} Whether the agent can now sign on the network
+   */
+  async loadSigner(network) {
+    if (this.paperTrading || this.canPayOn(network) || !this.signerResolver || !this.wallet) {
+      return this.canPayOn(network);
+    }
+
+    if (!this.clients.has(network)) {
+      this.addNetwork(network);
+    }
+
+    const signer = await this.signerResolver.resolve(this.wallet, network);
+    if (!signer) {
+      return false;
+    }
+
+    const client = this.clients.get(network);
+    client.signer = isSolanaNetwork(network) ? signer : signer.connect(client.provider);
+    client.keypair = signer.keypair || null;
+    if (network === this.network) {
+      this.usePrimaryClient();
+    }
+
+    console.log(`🔑 [${this.agentName}] Loaded signer for ${this.wallet} on ${network}`);
+    return true;
+  }
+
+  /**
+   * Load the agent wallet's signers for several networks
+   * @param {Array} networks - Network identifiers (every registered network if omitted)
+   * @returns {Array} Networks the agent can sign on
+   */
+  async loadSigners(networks = listNetworks().map(n => n.id)) {
+    const loaded = [];
+    for (const network of networks) {
+      if (await this.loadSigner(network)) {
+        loaded.push(network);
+      }
+    }
+    return loaded;
   }
 
   /**
@@ -180,6 +414,7 @@ export class AIPaymentAgent {
       network = this.network,
       aiContext = {},
       autoApprove = false,
+      maxAmount = null, // Hard cap in base units: what the user agreed to pay
     } = params;
 
     console.log(`🤖 [${this.agentName}] Evaluating payment request...`);
@@ -189,98 +424,576 @@ export class AIPaymentAgent {
 
     // Step 1: Request X402 challenge
     const challengeResponse = await this.requestChallenge(resource, network);
+
+    // An active subscription grants access without paying again
+    if (challengeResponse.ok && challengeResponse.subscription) {
+      console.log(`🎟️  [${this.agentName}] Access granted by subscription ${challengeResponse.subscription.id}`);
+      return {
+        success: true,
+        amount: 0,
+        network,
+        reason: 'Active subscription',
+        subscription: challengeResponse.subscription,
+        verification: { verified: true, data: challengeResponse.data },
+      };
+    }
     
     if (challengeResponse.status !== X402_STATUS_CODE) {
       throw new Error('Invalid X402 challenge response');
     }
 
     const challenge = challengeResponse.data;
-    const requirement = challenge.accepts[0];
 
-    // Step 2: AI decision-making
-    if (!autoApprove) {
-      const decision = await this.evaluatePayment({
-        amount: requirement.maxAmountRequired,
+    // Step 2: AI decision-making over the payment options offered. An approved
+    // amount is reserved under the wallet's lock, so concurrent payments can't
+    // both pass a budget only one of them fits in
+    const selection = await this.ledger.exclusive(this.wallet, async () => {
+      const selected = await this.selectPaymentOption(challenge, {
         resource,
-        metadata: challenge.metadata,
+        preferredNetwork: network,
+        preferredAmount: amount,
+        maxAmount,
         context: aiContext,
+        autoApprove,
       });
 
-      if (!decision.approved) {
-        console.log(`❌ [${this.agentName}] Payment rejected: ${decision.reason}`);
-        return { success: false, reason: decision.reason };
+      if (selected.decision.approved) {
+        const reservation = await this.ledger.reserve({
+          resource,
+          amount: selected.amount,
+          network: selected.network,
+          agentName: this.agentName,
+          wallet: this.wallet,
+          reason: selected.decision.reason,
+          metadata: { selectedOption: selected.selectedOption },
+          simulated: this.paperTrading,
+        });
+        selected.reservationId = reservation.id;
       }
+
+      return selected;
+    });
+
+    if (!selection.decision.approved) {
+      return await this.declinePayment({ resource, challenge, ...selection });
     }
 
-    // Step 3: Execute payment on appropriate network
-    let txResult;
-    if (network === SUPPORTED_NETWORKS.SOLANA) {
-      txResult = await this.executeSolanaPayment(requirement);
-    } else {
-      txResult = await this.executeEVMPayment(requirement);
+    // Steps 3-4: Pay and submit proof
+    return await this.settlePayment({ resource, challenge, ...selection });
+  }
+
+  /**
+   * Choose which of a challenge's accepts entries to pay, and how much.
+   * Options the agent has no signer or too little balance for, or that would
+   * cost more than maxAmount, are skipped; the rest are ranked by policy outcome (approved, then approvable),
+   * then total cost including the estimated network fee, then the
+   * preferred network.
+   * @param {Object} challenge - X402 challenge
+   * @param {Object} options - { resource, preferredNetwork, preferredAmount, maxAmount, context, autoApprove }
+   * @returns {Object} { requirement, network, amount, decision, selectedOption, skippedOptions }
+   */
+  async selectPaymentOption(challenge, options = {}) {
+    const {
+      resource,
+      preferredNetwork = this.network,
+      preferredAmount,
+      maxAmount = null,
+      context = {},
+      autoApprove = false,
+    } = options;
+
+    if (!challenge.accepts?.length) {
+      throw new Error('X402 challenge offers no payment options');
     }
 
-    // Step 4: Submit payment proof
-    const verification = await this.submitPaymentProof(resource, txResult, network);
+    const candidates = [];
+    const skippedOptions = [];
+
+    for (const [index, requirement] of challenge.accepts.entries()) {
+      const skip = (reason) => skippedOptions.push({ index, network: requirement.network, reason });
 
-    console.log(`✅ [${this.agentName}] Payment successful!`);
-    console.log(`   TX: ${txResult.signature || txResult.hash}`);
+      if (!hasNetwork(requirement.network) || !(await this.loadSigner(requirement.network))) {
+        skip('No signer configured for this network');
+        continue;
+      }
+
+      if (this.evmPaymentMode === 'authorization' && !isSolanaNetwork(requirement.network) &&
+        !supportsTransferAuthorization(requirement)) {
+        skip('Asset does not support transfer authorizations');
+        continue;
+      }
+
+      const balance = await this.getPaymentBalance(requirement);
+      if (balance !== null && balance < BigInt(minimumPaymentAmount(requirement))) {
+        skip(`Insufficient balance (${Number(balance) / 1e6} USDC)`);
+        continue;
+      }
+
+      const estimatedFee = await this.estimateNetworkFee(requirement);
+      const { amount, decision } = await this.choosePaymentAmount(requirement, {
+        resource,
+        metadata: challenge.metadata,
+        context,
+        autoApprove,
+        preferredAmount,
+        balance,
+      });
+
+      // exact prices and range minimums can exceed what the user agreed to
+      if (maxAmount !== null && amount > Number(maxAmount)) {
+        skip(`Costs ${amount / 1e6} USDC, more than the ${Number(maxAmount) / 1e6} USDC agreed to`);
+        continue;
+      }
+
+      candidates.push({
+        index,
+        requirement,
+        amount,
+        decision,
+        estimatedFee,
+        totalCost: amount / 1e6 + estimatedFee,
+      });
+    }
+
+    if (candidates.length === 0) {
+      const [requirement] = challenge.accepts;
+      return {
+        requirement,
+        network: requirement.network,
+        amount: Number(minimumPaymentAmount(requirement)),
+        selectedOption: null,
+        skippedOptions,
+        decision: {
+          approved: false,
+          requiresApproval: false,
+          reason: `No payable option: ${skippedOptions.map(o => `${o.network}: ${o.reason}`).join('; ')}`,
+          decidedBy: 'option_selection',
+        },
+      };
+    }
+
+    const rank = (c) => (c.decision.approved ? 0 : c.decision.requiresApproval ? 1 : 2);
+    candidates.sort((a, b) =>
+      rank(a) - rank(b) ||
+      a.totalCost - b.totalCost ||
+      (b.requirement.network === preferredNetwork) - (a.requirement.network === preferredNetwork)
+    );
+
+    const [best] = candidates;
+    console.log(`   Selected option: ${best.requirement.network} (~${best.totalCost.toFixed(6)} USDC incl. fees)`);
 
     return {
-      success: true,
-      txHash: txResult.signature || txResult.hash,
-      amount: requirement.maxAmountRequired,
-      network,
-      verification,
+      requirement: best.requirement,
+      network: best.requirement.network,
+      amount: best.amount,
+      decision: best.decision,
+      selectedOption: {
+        index: best.index,
+        network: best.requirement.network,
+        scheme: best.requirement.scheme,
+        asset: best.requirement.asset,
+        payTo: best.requirement.payTo,
+        amount: best.amount,
+        estimatedFee: best.estimatedFee,
+        totalCost: best.totalCost,
+      },
+      skippedOptions,
     };
   }
 
   /**
-   * AI-powered payment evaluation
-   * @param {Object} params - Payment context
-   * @returns {Object} Decision
+   * Decide how much to pay for a requirement under its scheme.
+   * exact and subscription pay maxAmountRequired; range pays the preferred
+   * amount clamped into the range (the minimum by default); dynamic
+   * negotiates down from suggestedAmount
+   * @param {Object} requirement - X402 payment requirement
+   * @param {Object} options - { resource, metadata, context, autoApprove, preferredAmount, balance }
+   * @returns {Object} { amount, decision }
    */
-  async evaluatePayment(params) {
-    const { amount, resource, metadata, context } = params;
+  async choosePaymentAmount(requirement, options) {
+    const { resource, metadata, context, autoApprove, preferredAmount, balance = null } = options;
 
-    // AI decision logic (can be replaced with actual AI model)
-    const maxAutoApprove = context.maxAutoApprove || 10; // 10 USDC default
-    const amountUSDC = amount / 1e6;
+    // Pre-approval only waives the human approval step; policy denials still stand
+    const evaluate = async (amount) => await this.evaluatePayment({
+      amount, resource, network: requirement.network, metadata, context, preApproved: autoApprove,
+    });
 
-    // Rule-based AI logic (extend with ML model)
-    if (amountUSDC > maxAutoApprove) {
-      return {
-        approved: false,
-        reason: `Amount ${amountUSDC} USDC exceeds auto-approval limit`,
-      };
+    // Never plan to pay more than the agent holds when the scheme leaves a choice
+    const affordable = (amount) => (balance === null ? amount : Math.min(amount, Number(balance)));
+
+    switch (requirement.scheme) {
+      case PAYMENT_SCHEMES.RANGE: {
+        const min = Number(requirement.minAmountRequired);
+        const max = Number(requirement.maxAmountRequired);
+        const amount = Math.max(min, affordable(Math.min(max, preferredAmount ?? min)));
+        return { amount, decision: await evaluate(amount) };
+      }
+
+      case PAYMENT_SCHEMES.DYNAMIC: {
+        const suggested = Number(requirement.suggestedAmount);
+        const offer = affordable(Math.min(suggested, preferredAmount ?? suggested));
+        return await this.negotiateDynamicPrice(requirement, offer, evaluate);
+      }
+
+      default: {
+        const amount = Number(requirement.maxAmountRequired);
+        return { amount, decision: await evaluate(amount) };
+      }
+    }
+  }
+
+  /**
+   * Negotiate a dynamic price: offer the given amount, and if policy won't
+   * approve it, the highest amount down to the server's floor that it will
+   * @param {Object} requirement - Dynamic X402 payment requirement
+   * @param {number} offer - Opening offer in base units
+   * @param {Function} evaluate - amount → policy decision
+   * @returns {Object} { amount, decision }
+   */
+  async negotiateDynamicPrice(requirement, offer, evaluate) {
+    const floor = Number(minimumPaymentAmount(requirement));
+    const amount = Math.max(floor, offer);
+    const decision = await evaluate(amount);
+
+    if (decision.approved || amount === floor) {
+      return { amount, decision };
+    }
+
+    // If even the floor isn't approvable, keep the opening offer for a human to review
+    let low = floor;
+    let lowDecision = await evaluate(floor);
+    if (!lowDecision.approved) {
+      return { amount, decision };
+    }
+
+    let high = amount;
+    while (high - low > NEGOTIATION_STEP) {
+      const mid = Math.floor((low + high) / 2);
+      const midDecision = await evaluate(mid);
+      if (midDecision.approved) {
+        low = mid;
+        lowDecision = midDecision;
+      } else {
+        high = mid;
+      }
+    }
+
+    return {
+      amount: low,
+      decision: {
+        ...lowDecision,
+        reason: `${lowDecision.reason} (negotiated down from ${amount / 1e6} USDC)`,
+      },
+    };
+  }
+
+  /**
+   * USDC balance the agent holds for a payment option
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {BigInt|null} Balance in base units, or null if it couldn't be read
+   */
+  async getPaymentBalance(requirement) {
+    if (this.paperTrading) {
+      return await this.paperWallet.getBalance(this.wallet, requirement.network, requirement.asset);
+    }
+
+    try {
+      const client = this.getClient(requirement.network);
+
+      if (isSolanaNetwork(requirement.network)) {
+        const account = await getAssociatedTokenAddress(
+          new PublicKey(requirement.asset),
+          client.signer.publicKey
+        );
+        if (!(await client.connection.getAccountInfo(account))) {
+          return 0n;
+        }
+        const { value } = await client.connection.getTokenAccountBalance(account);
+        return BigInt(value.amount);
+      }
+
+      const usdcContract = new ethers.Contract(
+        requirement.asset,
+        ['function balanceOf(address owner) view returns (uint256)'],
+        client.provider
+      );
+      const balance = await usdcContract.balanceOf(await client.signer.getAddress());
+      return BigInt(balance.toString());
+    } catch (error) {
+      // An unreadable balance doesn't rule the option out; the transfer will tell
+      console.log(`⚠️  Balance check failed on ${requirement.network}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Rough cost of one USDC transfer on a network, in USDC
+   * @param {string} network - Network identifier
+   * @returns {number} Fee in USDC
+   */
+  defaultFeeEstimate(network) {
+    return this.feeEstimates[network] ?? getNetwork(network).feeEstimateUSDC;
+  }
+
+  /**
+   * Estimate the network fee of paying an option, in USDC.
+   * Live estimates need the native token's USD price (config.nativeTokenPrices);
+   * otherwise the per-network default is used.
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {number} Estimated fee in USDC
+   */
+  async estimateNetworkFee(requirement) {
+    // The server pays the gas to settle a transfer authorization
+    if (this.usesTransferAuthorization(requirement)) {
+      return 0;
     }
 
-    // Check if resource is trusted
-    if (context.trustedResources && !context.trustedResources.includes(resource)) {
+    const fallback = this.defaultFeeEstimate(requirement.network);
+    const nativePrice = this.nativeTokenPrices[requirement.network];
+    if (!nativePrice) {
+      return fallback;
+    }
+
+    try {
+      const client = this.getClient(requirement.network);
+
+      if (isSolanaNetwork(requirement.network)) {
+        // Paying a recipient without a token account also funds its rent
+        const recipientAccount = await getAssociatedTokenAddress(
+          new PublicKey(requirement.asset),
+          new PublicKey(requirement.payTo),
+          true
+        );
+        const needsAccount = !(await client.connection.getAccountInfo(recipientAccount));
+        const lamports = SOLANA_BASE_FEE_LAMPORTS + (needsAccount ? SOLANA_TOKEN_ACCOUNT_RENT_LAMPORTS : 0);
+        return (lamports / 1e9) * nativePrice;
+      }
+
+      const gasPrice = await client.provider.getGasPrice();
+      return Number(ethers.utils.formatEther(gasPrice.mul(EVM_TRANSFER_GAS))) * nativePrice;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Record a declined payment, parking it for human approval when the
+   * decision allows one
+   * @param {Object} params - { resource, network, challenge, requirement, amount, decision, selectedOption }
+   * @returns {Object} Payment result
+   */
+  async declinePayment(params) {
+    const { resource, network, challenge, requirement, decision, selectedOption = null } = params;
+    const amount = params.amount ?? requirement.maxAmountRequired;
+
+    const ledgerEntry = {
+      resource,
+      amount,
+      network,
+      agentName: this.agentName,
+      wallet: this.wallet,
+      reason: decision.reason,
+      simulated: this.paperTrading,
+    };
+
+    if (decision.requiresApproval && this.approvalQueue) {
+      const approval = await this.approvalQueue.park({
+        wallet: this.wallet,
+        network,
+        resource,
+        challenge,
+        requirement,
+        amount,
+        reason: decision.reason,
+        decidedBy: decision.decidedBy,
+        agentName: this.agentName,
+        selectedOption,
+        paperTrading: this.paperTrading,
+      });
+
+      await this.ledger.record({
+        ...ledgerEntry,
+        status: 'pending_approval',
+        metadata: { decidedBy: decision.decidedBy, approvalId: approval.id, selectedOption },
+      });
+
       return {
-        approved: false,
-        reason: 'Resource not in trusted list',
+        success: false,
+        pendingApproval: true,
+        approvalId: approval.id,
+        expiresAt: approval.expiresAt,
+        reason: decision.reason,
+        decidedBy: decision.decidedBy,
+        selectedOption,
       };
     }
 
-    // Check budget constraints
-    if (context.dailyBudget) {
-      const spent = await this.getTodaySpending();
-      if (spent + amountUSDC > context.dailyBudget) {
-        return {
-          approved: false,
-          reason: 'Daily budget exceeded',
-        };
+    console.log(`❌ [${this.agentName}] Payment rejected: ${decision.reason}`);
+    await this.ledger.record({
+      ...ledgerEntry,
+      status: 'rejected',
+      metadata: { decidedBy: decision.decidedBy, selectedOption },
+    });
+
+    return {
+      success: false,
+      reason: decision.reason,
+      decidedBy: decision.decidedBy,
+      selectedOption,
+      skippedOptions: params.skippedOptions || [],
+    };
+  }
+
+  /**
+   * Resume a payment a human has approved
+   * @param {Object} approval - Approved record from the ApprovalQueue
+   * @returns {Object} Payment result
+   */
+  async resumeApprovedPayment(approval) {
+    let result;
+
+    if (new Date(approval.expiresAt).getTime() <= Date.now()) {
+      result = { success: false, reason: 'Challenge expired before the payment could be executed' };
+    } else {
+      try {
+        result = await this.settlePayment({
+          resource: approval.resource,
+          network: approval.network,
+          challenge: approval.challenge,
+          requirement: approval.requirement,
+          amount: approval.amount,
+          selectedOption: approval.selectedOption,
+          decision: { approved: true, reason: `Approved by human (${approval.id})` },
+        });
+      } catch (error) {
+        result = { success: false, reason: error.message };
       }
     }
 
+    if (this.approvalQueue) {
+      await this.approvalQueue.complete(approval.id, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Pay an approved requirement, submit the proof and record the outcome
+   * @param {Object} params - { resource, network, challenge, requirement, amount, decision, selectedOption,
+   *   reservationId (the ledger entry reserved when the payment was approved) }
+   * @returns {Object} Payment result
+   */
+  async settlePayment(params) {
+    const { resource, network, challenge, requirement, decision, selectedOption = null, reservationId = null } = params;
+    const amount = params.amount ?? requirement.maxAmountRequired;
+
+    const ledgerEntry = {
+      resource,
+      amount,
+      network,
+      agentName: this.agentName,
+      wallet: this.wallet,
+      metadata: { selectedOption },
+      simulated: this.paperTrading,
+    };
+
+    const recordOutcome = (outcome) => (reservationId
+      ? this.ledger.settle(reservationId, outcome)
+      : this.ledger.record({ ...ledgerEntry, ...outcome }));
+
+    // Step 3: Execute payment on appropriate network
+    let txResult;
+    let verification;
+    try {
+      if (this.paperTrading) {
+        // The server can't verify a paper transfer, so there is no proof to submit
+        txResult = await this.executePaperPayment(requirement, amount);
+        verification = { verified: true, simulated: true, data: null, paymentResponse: null };
+      } else if (isSolanaNetwork(network)) {
+        txResult = await this.executeSolanaPayment(requirement, amount);
+      } else {
+        txResult = await this.executeEVMPayment(requirement, amount);
+      }
+
+      // Step 4: Submit payment proof
+      verification = verification || await this.submitPaymentProof(resource, txResult, network, challenge, requirement, amount);
+    } catch (error) {
+      // A signed authorization that never reached the server moved no funds
+      const sent = txResult && !txResult.authorization;
+      await recordOutcome({
+        status: sent ? 'completed' : 'failed',
+        txHash: sent ? txResult.signature || txResult.hash : null,
+        reason: `${decision.reason}; ${error.message}`,
+      });
+      throw error;
+    }
+
+    // Authorizations are settled by the server, which reports the transaction
+    const txHash = txResult.signature || txResult.hash || verification.paymentResponse?.txHash;
+
+    if (txResult.authorization && !verification.verified) {
+      const reason = verification.data?.error || 'Server did not settle the transfer authorization';
+      console.log(`❌ [${this.agentName}] Payment failed: ${reason}`);
+      await recordOutcome({
+        status: 'failed',
+        reason: `${decision.reason}; ${reason}`,
+      });
+      return { success: false, reason, network, selectedOption, verification };
+    }
+
+    await recordOutcome({
+      status: 'completed',
+      txHash,
+      reason: decision.reason,
+    });
+
+    console.log(`✅ [${this.agentName}] ${this.paperTrading ? 'Paper payment' : 'Payment'} successful!`);
+    // Paper transactions exist only in the paper wallet
+    const explorer = txHash && !this.paperTrading ? explorerUrl(network, { tx: txHash }) : null;
+    console.log(`   TX: ${explorer || txHash}`);
+
+    // Remember the access period a subscription payment bought
+    const subscription = verification.paymentResponse?.subscription || null;
+    if (requirement.scheme === PAYMENT_SCHEMES.SUBSCRIPTION && subscription) {
+      this.subscriptions.set(resource, subscription);
+      console.log(`🎟️  Subscribed to ${resource} until ${subscription.expiresAt}`);
+    }
+
     return {
-      approved: true,
-      confidence: 0.95,
-      reason: 'Passed all validation checks',
+      success: true,
+      txHash,
+      explorerUrl: explorer,
+      amount,
+      network,
+      selectedOption,
+      subscription,
+      verification,
+      simulated: this.paperTrading,
     };
   }
 
+  /**
+   * AI-powered payment evaluation
+   * Delegates to the wallet's spending policy (or the limits in context
+   * when the wallet has none)
+   * @param {Object} params - Payment context
+   * @returns {Object} Decision ({ approved, requiresApproval, reason, decidedBy, trace })
+   */
+  async evaluatePayment(params) {
+    const { amount, resource, metadata, context = {}, network = this.network, preApproved = false } = params;
+
+    return await this.policyEngine.evaluate({
+      wallet: this.wallet,
+      amount,
+      resource,
+      network,
+      metadata,
+      context,
+      preApproved,
+      simulated: this.paperTrading, // Paper spend only counts against paper budgets
+    });
+  }
+
   /**
    * Request X402 challenge from resource
    * @param {string} resource - Resource URL
@@ -292,39 +1005,115 @@ export class AIPaymentAgent {
     url.searchParams.set('wallet', this.wallet);
     url.searchParams.set('network', network);
 
-    const response = await fetch(url.toString());
+    // Present an unexpired subscription for this resource, if the agent holds one
+    const subscription = this.subscriptions.get(resource);
+    const active = subscription && new Date(subscription.expiresAt).getTime() > Date.now();
+
+    const response = await fetch(url.toString(), {
+      headers: active ? { 'X-SUBSCRIPTION': subscription.id } : {},
+    });
     
     return {
       status: response.status,
-      data: response.status === 402 ? await response.json() : null,
+      ok: response.ok,
+      subscription: active && response.ok ? subscription : null,
+      data: response.status === 402 || (active && response.ok) ? await response.json() : null,
     };
   }
 
   /**
-   * Execute Solana payment
+   * Execute Solana payment (SPL token transfer of the challenge asset)
    * @param {Object} requirement - X402 payment requirement
-   * @returns {Object} Transaction result
+   * @param {number} amount - Amount to pay in base units (maxAmountRequired if omitted)
+   * @returns {Object} Transaction result ({ signature, slot })
    */
-  async executeSolanaPayment(requirement) {
-    // Implementation would use Solana Web3.js
-    throw new Error('Solana payment execution not implemented');
+  async executeSolanaPayment(requirement, amount = requirement.maxAmountRequired) {
+    const { connection, signer } = this.getClient(requirement.network || this.network);
+    if (!signer) {
+      throw new Error(`No signer configured for ${requirement.network || this.network}`);
+    }
+
+    const owner = signer.publicKey;
+    const mint = new PublicKey(requirement.asset);
+    const recipient = new PublicKey(requirement.payTo);
+
+    const decimals = requirement.extra?.decimals ?? (await getMint(connection, mint)).decimals;
+    const sourceAccount = await getAssociatedTokenAddress(mint, owner);
+    const destinationAccount = await getAssociatedTokenAddress(mint, recipient, true);
+
+    const transaction = new Transaction();
+
+    // Create the recipient's associated token account if it doesn't exist yet
+    const destinationInfo = await connection.getAccountInfo(destinationAccount);
+    if (!destinationInfo) {
+      transaction.add(
+        createAssociatedTokenAccountInstruction(owner, destinationAccount, recipient, mint)
+      );
+    }
+
+    transaction.add(
+      createTransferCheckedInstruction(sourceAccount, mint, destinationAccount, owner, BigInt(amount), decimals)
+    );
+
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = owner;
+    await signer.signTransaction(transaction);
+
+    const signature = await connection.sendRawTransaction(transaction.serialize());
+    const confirmation = await connection.confirmTransaction(
+      { signature, blockhash, lastValidBlockHeight },
+      'confirmed'
+    );
+
+    if (confirmation.value.err) {
+      throw new Error(`Solana payment ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+
+    // The confirmation's context slot is when the node answered, not where the transaction landed
+    const { value: [status] } = await connection.getSignatureStatuses([signature]);
+    let slot = status?.slot;
+    if (slot === undefined) {
+      const landed = await connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+      });
+      slot = landed?.slot ?? null;
+    }
+
+    return {
+      signature,
+      slot,
+    };
   }
 
   /**
-   * Execute EVM payment
+   * Execute EVM payment: sign an EIP-3009 transfer authorization for the
+   * server to settle, or send the transfer ourselves (see evmPaymentMode)
    * @param {Object} requirement - X402 payment requirement
-   * @returns {Object} Transaction result
+   * @param {number} amount - Amount to pay in base units (maxAmountRequired if omitted)
+   * @returns {Object} Transaction result ({ hash, blockNumber } or { authorization, authorizationSignature })
    */
-  async executeEVMPayment(requirement) {
+  async executeEVMPayment(requirement, amount = requirement.maxAmountRequired) {
+    const { signer } = this.getClient(requirement.network || this.network);
+    if (!signer) {
+      throw new Error(`No signer configured for ${requirement.network || this.network}`);
+    }
+
+    if (this.usesTransferAuthorization(requirement)) {
+      const { authorization, signature } = await signTransferAuthorization(signer, { requirement, amount });
+      return { authorization, authorizationSignature: signature };
+    }
+
     const usdcContract = new ethers.Contract(
       requirement.asset,
       ['function transfer(address to, uint256 amount) returns (bool)'],
-      this.signer
+      signer
     );
 
     const tx = await usdcContract.transfer(
       requirement.payTo,
-      requirement.maxAmountRequired
+      amount
     );
 
     const receipt = await tx.wait();
@@ -335,21 +1124,64 @@ export class AIPaymentAgent {
     };
   }
 
+  /**
+   * Pay a requirement from the agent's paper wallet
+   * @param {Object} requirement - X402 payment requirement
+   * @param {number} amount - Amount to pay in base units (maxAmountRequired if omitted)
+   * @returns {Object} Transaction result ({ signature } on Solana, { hash } on EVM)
+   */
+  async executePaperPayment(requirement, amount = requirement.maxAmountRequired) {
+    const tx = await this.paperWallet.transfer({
+      wallet: this.wallet,
+      network: requirement.network,
+      asset: requirement.asset,
+      to: requirement.payTo,
+      amount,
+      decimals: requirement.extra?.decimals,
+    });
+
+    return isSolanaNetwork(requirement.network)
+      ? { signature: tx.txHash, simulated: true }
+      : { hash: tx.txHash, simulated: true };
+  }
+
+  /**
+   * Whether an EVM requirement is paid with a signed transfer authorization
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {boolean}
+   */
+  usesTransferAuthorization(requirement) {
+    if (this.paperTrading || isSolanaNetwork(requirement.network) || this.evmPaymentMode === 'transfer') {
+      return false;
+    }
+    if (this.evmPaymentMode === 'authorization' && !supportsTransferAuthorization(requirement)) {
+      throw new Error(`Requirement for ${requirement.asset} can't be paid by transfer authorization`);
+    }
+    return supportsTransferAuthorization(requirement);
+  }
+
   /**
    * Submit payment proof to resource
    * @param {string} resource - Resource URL
    * @param {Object} txResult - Transaction result
    * @param {string} network - Network identifier
-   * @returns {Object} Verification result
+   * @param {Object} challenge - X402 challenge being answered (its nonce is echoed back)
+   * @param {Object} requirement - Accepts entry that was paid (its scheme is echoed back)
+   * @param {number} amount - Amount paid in base units
+   * @returns {Object} Verification result ({ verified, data, paymentResponse })
    */
-  async submitPaymentProof(resource, txResult, network) {
+  async submitPaymentProof(resource, txResult, network, challenge = {}, requirement = {}, amount) {
     const paymentPayload = {
       x402Version: X402_VERSION,
-      scheme: PAYMENT_SCHEMES.EXACT,
+      scheme: requirement.scheme || PAYMENT_SCHEMES.EXACT,
       network: network,
       payload: {
         txHash: txResult.hash,
         txSignature: txResult.signature,
+        nonce: challenge.metadata?.nonce,
+        amount: amount !== undefined ? String(amount) : undefined,
+        authorization: txResult.authorization,
+        signature: txResult.authorizationSignature,
       },
     };
 
@@ -362,19 +1194,30 @@ export class AIPaymentAgent {
       },
     });
 
+    const paymentResponseHeader = response.headers.get('x-payment-response');
+    let paymentResponse = null;
+    if (paymentResponseHeader) {
+      try {
+        paymentResponse = JSON.parse(Buffer.from(paymentResponseHeader, 'base64').toString());
+      } catch {
+        paymentResponse = null;
+      }
+    }
+
     return {
       verified: response.ok,
       data: await response.json().catch(() => ({})),
+      paymentResponse,
     };
   }
 
   /**
    * Get today's spending (for budget tracking)
+   * @param {string} timeZone - IANA time zone that defines "today" (ledger default if omitted)
    * @returns {number} Amount spent today in USDC
    */
-  async getTodaySpending() {
-    // Would query database or blockchain
-    return 0;
+  async getTodaySpending(timeZone) {
+    return await this.ledger.getSpending({ wallet: this.wallet, window: 'day', timeZone, simulated: this.paperTrading });
   }
 }
 
@@ -382,10 +1225,28 @@ export class AIPaymentAgent {
    SCHEDULED PAYMENT SYSTEM
    ═══════════════════════════════════════════════════════════════════ */
 
+const CATCH_UP_POLICIES = {
+  FIRE_ALL: 'fire_all',     // Run every missed occurrence
+  FIRE_ONCE: 'fire_once',   // Run once, then resume from the next future occurrence
+  SKIP: 'skip',             // Don't run missed occurrences at all
+};
+
 export class ScheduledPaymentManager {
-  constructor() {
-    this.scheduledPayments = new Map();
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.SCHEDULE_STORE_PATH || './data/schedules.json'
+    );
+    this.pollInterval = config.pollInterval || 15000; // 15 seconds
+    this.leaseDuration = config.leaseDuration || 10 * 60 * 1000; // 10 minutes
+    this.catchUpPolicy = config.catchUpPolicy || process.env.SCHEDULE_CATCH_UP_POLICY || CATCH_UP_POLICIES.FIRE_ONCE;
+    this.catchUpGrace = config.catchUpGrace || 60000; // Late by more than this = missed
+    this.retryDelay = config.retryDelay || 3600000; // 1 hour
+    this.workerId = config.workerId || `worker_${process.pid}_${Math.random().toString(36).substring(7)}`;
+    this.agentResolver = config.agentResolver || null;
     this.agent = null;
+    this.timer = null;
+    this.started = null;
+    this.polling = false;
   }
 
   /**
@@ -396,12 +1257,99 @@ export class ScheduledPaymentManager {
     this.agent = agent;
   }
 
+  /**
+   * Resolve the agent that executes a schedule
+   * @param {Object} schedule - Schedule record
+   * @returns {AIPaymentAgent} Payment agent
+   */
+  resolveAgent(schedule) {
+    return (this.agentResolver && this.agentResolver(schedule)) || this.agent;
+  }
+
+  /**
+   * Rehydrate persisted schedules and start the polling executor.
+   * A file store is locked to this process first, so another process
+   * configured with the same store path fails here instead of clobbering it.
+   * Safe to call more than once.
+   */
+  async start() {
+    if (!this.started) {
+      this.started = (async () => {
+        if (this.store.filePath) {
+          lockStoreFile(this.store.filePath);
+        }
+        await this.recoverInterrupted();
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        this.timer.unref?.();
+        this.poll();
+      })();
+    }
+    return this.started;
+  }
+
+  /**
+   * Stop the polling executor
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.started = null;
+  }
+
+  /**
+   * Schedules left 'executing' by a crashed process may or may not have
+   * paid. They are never re-run automatically; they are flagged instead.
+   * A lease is abandoned once it expires, or at once if another process
+   * took it: the store is locked to this process, so that one has exited.
+   */
+  async recoverInterrupted() {
+    const now = Date.now();
+    const abandoned = s => s.status === 'executing' &&
+      (!s.lease || s.lease.expiresAt < now || s.lease.pid !== process.pid);
+    const stuck = await this.store.list(abandoned);
+
+    for (const schedule of stuck) {
+      await this.store.update(schedule.id, s => (abandoned(s) ? {
+        ...s,
+        status: 'interrupted',
+        lease: null,
+        error: 'Execution was interrupted; payment outcome must be checked manually',
+      } : null));
+      console.log(`⚠️  Scheduled payment ${schedule.id} was interrupted mid-execution`);
+    }
+  }
+
+  /**
+   * Run every pending schedule that is due
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      await this.recoverInterrupted();
+
+      const now = Date.now();
+      const due = await this.store.list(s => s.status === 'pending' && new Date(s.executeAt).getTime() <= now);
+
+      for (const schedule of due) {
+        await this.executeScheduledPayment(schedule.id);
+      }
+    } catch (error) {
+      console.error('❌ Schedule polling failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
   /**
    * Schedule a future payment
    * @param {Object} params - Payment schedule parameters
    * @returns {string} Schedule ID
    */
-  schedulePayment(params) {
+  async schedulePayment(params) {
     const {
       resource,
       amount,
@@ -409,6 +1357,10 @@ export class ScheduledPaymentManager {
       recurring = false,
       interval = null,
       condition = null, // AI condition for execution
+      wallet = this.agent?.wallet,
+      network = this.agent?.network,
+      paperTrading = this.agent?.paperTrading || false,
+      maxAmount = null, // Hard cap in base units (see AIPaymentAgent.executePayment)
     } = params;
 
     const scheduleId = `sched_${Date.now()}_${Math.random().toString(36).substring(7)}`;
@@ -417,36 +1369,66 @@ export class ScheduledPaymentManager {
       id: scheduleId,
       resource,
       amount,
-      executeAt: new Date(executeAt),
+      maxAmount,
+      wallet,
+      network,
+      paperTrading, // Executed by a paper-trading agent
+      executeAt: new Date(executeAt).toISOString(),
       recurring,
       interval,
       condition,
       status: 'pending',
       attempts: 0,
       maxAttempts: 3,
+      lease: null,
+      createdAt: new Date().toISOString(),
     };
 
-    this.scheduledPayments.set(scheduleId, schedule);
-
-    // Set up timer
-    const delay = schedule.executeAt.getTime() - Date.now();
-    if (delay > 0) {
-      setTimeout(() => this.executeScheduledPayment(scheduleId), delay);
-    }
+    await this.store.put(scheduleId, schedule);
+    await this.start();
 
     console.log(`📅 Scheduled payment ${scheduleId} for ${schedule.executeAt}`);
 
     return scheduleId;
   }
 
+  /**
+   * Lease a due schedule so no other worker (or restart) runs it concurrently
+   * @param {string} scheduleId - Schedule identifier
+   * @returns {Object|null} Leased schedule, or null if it isn't runnable
+   */
+  async acquireLease(scheduleId) {
+    const now = Date.now();
+    return await this.store.update(scheduleId, s => {
+      if (s.status !== 'pending' || new Date(s.executeAt).getTime() > now) {
+        return null;
+      }
+      return {
+        ...s,
+        status: 'executing',
+        lease: { owner: this.workerId, pid: process.pid, expiresAt: now + this.leaseDuration },
+      };
+    });
+  }
+
   /**
    * Execute a scheduled payment
    * @param {string} scheduleId - Schedule identifier
    */
   async executeScheduledPayment(scheduleId) {
-    const schedule = this.scheduledPayments.get(scheduleId);
-    
-    if (!schedule || schedule.status !== 'pending') {
+    const schedule = await this.acquireLease(scheduleId);
+
+    if (!schedule) {
+      return;
+    }
+
+    const scheduledFor = new Date(schedule.executeAt).getTime();
+    const missed = Date.now() - scheduledFor > this.catchUpGrace;
+
+    if (missed && this.catchUpPolicy === CATCH_UP_POLICIES.SKIP) {
+      console.log(`⏭️  Skipping missed scheduled payment ${scheduleId}`);
+      await this.finish(scheduleId, { status: 'skipped' });
+      await this.scheduleNextOccurrence(schedule);
       return;
     }
 
@@ -458,48 +1440,85 @@ export class ScheduledPaymentManager {
         const conditionMet = await this.evaluateCondition(schedule.condition);
         if (!conditionMet) {
           console.log(`⏸️  Condition not met for ${scheduleId}, rescheduling...`);
-          schedule.attempts++;
-          
-          if (schedule.attempts < schedule.maxAttempts) {
-            // Retry in 1 hour
-            setTimeout(() => this.executeScheduledPayment(scheduleId), 3600000);
+          const attempts = schedule.attempts + 1;
+
+          if (attempts < schedule.maxAttempts) {
+            await this.finish(scheduleId, {
+              status: 'pending',
+              attempts,
+              executeAt: new Date(Date.now() + this.retryDelay).toISOString(),
+            });
           } else {
-            schedule.status = 'failed';
+            await this.finish(scheduleId, { status: 'failed', attempts });
             console.log(`❌ Max attempts reached for ${scheduleId}`);
           }
           return;
         }
       }
 
+      const agent = this.resolveAgent(schedule);
+      if (!agent) {
+        throw new Error('No agent available to execute scheduled payment');
+      }
+
       // Execute payment via agent
-      const result = await this.agent.executePayment({
+      const result = await agent.executePayment({
         resource: schedule.resource,
         amount: schedule.amount,
-        autoApprove: true, // Scheduled payments are pre-approved
+        maxAmount: schedule.maxAmount ?? null,
+        network: schedule.network,
+        autoApprove: true, // Scheduled payments are pre-approved (policy denials still apply)
       });
 
       if (result.success) {
-        schedule.status = 'completed';
-        schedule.txHash = result.txHash;
+        await this.finish(scheduleId, {
+          status: 'completed',
+          txHash: result.txHash,
+          completedAt: new Date().toISOString(),
+        });
         console.log(`✅ Scheduled payment ${scheduleId} completed`);
 
-        // Handle recurring
-        if (schedule.recurring && schedule.interval) {
-          const nextExecution = new Date(Date.now() + schedule.interval);
-          const newScheduleId = this.schedulePayment({
-            ...schedule,
-            executeAt: nextExecution,
-          });
-          console.log(`🔄 Recurring payment rescheduled as ${newScheduleId}`);
-        }
+        await this.scheduleNextOccurrence(schedule);
       } else {
         throw new Error(result.reason);
       }
     } catch (error) {
       console.error(`❌ Scheduled payment ${scheduleId} failed:`, error);
-      schedule.status = 'failed';
-      schedule.error = error.message;
+      await this.finish(scheduleId, { status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Release the lease on a schedule and record its outcome
+   * @param {string} scheduleId - Schedule identifier
+   * @param {Object} changes - Fields to update
+   */
+  async finish(scheduleId, changes) {
+    await this.store.update(scheduleId, s => ({ ...s, ...changes, lease: null }));
+  }
+
+  /**
+   * Queue the next occurrence of a recurring schedule
+   * @param {Object} schedule - Schedule that just ran (or was skipped)
+   */
+  async scheduleNextOccurrence(schedule) {
+    if (!schedule.recurring || !schedule.interval) {
+      return;
     }
+
+    const now = Date.now();
+    let next = new Date(schedule.executeAt).getTime() + schedule.interval;
+
+    // Unless every missed occurrence should run, resume from the next future one
+    if (this.catchUpPolicy !== CATCH_UP_POLICIES.FIRE_ALL && next <= now) {
+      next += Math.ceil((now - next) / schedule.interval) * schedule.interval;
+    }
+
+    const newScheduleId = await this.schedulePayment({
+      ...schedule,
+      executeAt: new Date(next),
+    });
+    console.log(`🔄 Recurring payment rescheduled as ${newScheduleId}`);
   }
 
   /**
@@ -557,20 +1576,30 @@ export class ScheduledPaymentManager {
    * Cancel a scheduled payment
    * @param {string} scheduleId - Schedule identifier
    */
-  cancelScheduledPayment(scheduleId) {
-    const schedule = this.scheduledPayments.get(scheduleId);
+  async cancelScheduledPayment(scheduleId) {
+    const schedule = await this.store.update(scheduleId, s => (
+      s.status === 'pending' ? { ...s, status: 'cancelled' } : null
+    ));
     if (schedule) {
-      schedule.status = 'cancelled';
       console.log(`🚫 Cancelled scheduled payment ${scheduleId}`);
     }
   }
 
+  /**
+   * Get a scheduled payment
+   * @param {string} scheduleId - Schedule identifier
+   * @returns {Object|null} Scheduled payment
+   */
+  async getScheduledPayment(scheduleId) {
+    return await this.store.get(scheduleId);
+  }
+
   /**
    * Get all scheduled payments
    * @returns {Array} Scheduled payments
    */
-  getScheduledPayments() {
-    return Array.from(this.scheduledPayments.values());
+  async getScheduledPayments() {
+    return await this.store.list();
   }
 }
 
@@ -581,14 +1610,31 @@ export class ScheduledPaymentManager {
 export class TokenTradingAgent extends AIPaymentAgent {
   constructor(config) {
     super(config);
-    this.tradingStrategy = config.strategy || 'conservative';
+    this.setStrategy(config.strategy || 'conservative', config.strategyOptions);
     this.maxSlippage = config.maxSlippage || 0.01; // 1%
+    this.quoteService = config.quoteService || null; // Quote in-process instead of over HTTP
+    this.swapExecutors = { ...config.swapExecutors }; // network → swap executor (sells)
+    this.arbitrageVenues = [...(config.arbitrageVenues || [])]; // Defaults are added per network on first use
+    this.portfolio = config.portfolio || new Portfolio(); // Fills of every trade the agent makes
+    this.priceHistory = new Map(); // `${network}:${token}` → [{ timestamp, price }], from every quote
+  }
+
+  /**
+   * Select the agent's trading strategy
+   * @param {string|Object} strategy - Registered strategy name or instance (see strategies.js)
+   * @param {Object} options - Strategy options
+   * @returns {Object} Strategy
+   */
+  setStrategy(strategy, options = {}) {
+    this.strategy = createStrategy(strategy, options);
+    this.tradingStrategy = this.strategy.name;
+    return this.strategy;
   }
 
   /**
    * Buy token using X402 payment
    * @param {Object} params - Token purchase parameters
-   * @returns {Object} Purchase result
+   * @returns {Object} Purchase result (payment result plus { quote, trade })
    */
   async buyToken(params) {
     const {
@@ -602,9 +1648,9 @@ export class TokenTradingAgent extends AIPaymentAgent {
     console.log(`   Token: ${tokenMint}`);
     console.log(`   Amount: ${amountUSDC} USDC`);
 
-    // Step 1: Request price quote via X402
-    const quoteResource = `/api/trade/quote?token=${tokenMint}&amount=${amountUSDC}`;
-    const quote = await this.getTokenQuote(quoteResource, network);
+    // Step 1: Request price quote
+    const slippageBps = Math.round(slippage * 10000);
+    const quote = await this.quoteTrade({ token: tokenMint, amount: amountUSDC, network, slippageBps });
 
     // Step 2: AI evaluates trade
     const tradeDecision = await this.evaluateTrade({
@@ -612,6 +1658,7 @@ export class TokenTradingAgent extends AIPaymentAgent {
       quote,
       amount: amountUSDC,
       slippage,
+      network,
     });
 
     if (!tradeDecision.approved) {
@@ -621,16 +1668,154 @@ export class TokenTradingAgent extends AIPaymentAgent {
       };
     }
 
-    // Step 3: Execute trade via X402 payment
-    const tradeResource = `/api/trade/buy`;
+    // Step 3: Pay for the trade via X402; the server swaps the payment into
+    // the token and won't fill below the quote's minimum output
+    const trade = new URLSearchParams({
+      token: tokenMint,
+      amount: String(amountUSDC),
+      network,
+      slippageBps: String(slippageBps),
+      minOut: quote.minOutAmount,
+    });
     const result = await this.executePayment({
-      resource: tradeResource,
+      resource: `/api/trade/buy?${trade}`,
       amount: Math.floor(amountUSDC * 1e6), // Convert to base units
       network,
       autoApprove: tradeDecision.approved,
     });
 
-    return result;
+    if (!result.success) {
+      return result;
+    }
+
+    // Paper payments never reach the server; fill the quote in the paper wallet instead
+    const swap = result.simulated
+      ? await this.getSwapExecutor(network).swap({ quote, prepaid: true })
+      : result.verification?.data?.trade;
+    if (!swap) {
+      const reason = result.verification?.data?.error || 'Server did not execute the trade';
+      console.log(`❌ [${this.agentName}] Trade failed after payment ${result.txHash}: ${reason}`);
+      return { ...result, success: false, reason, quote };
+    }
+
+    console.log(`✅ [${this.agentName}] Bought ${swap.outputAmount} (swap ${swap.txHash})`);
+    await this.recordTrade({ swap, source: 'buy_token' });
+
+    return { ...result, quote, trade: swap };
+  }
+
+  /**
+   * Sell a token for USDC from the agent's own wallet
+   * @param {Object} params - { tokenMint, amount (whole tokens), network, slippage }
+   * @returns {Object} Sale result ({ success, quote, trade })
+   */
+  async sellToken(params) {
+    const {
+      tokenMint,
+      amount,
+      network = this.network,
+      slippage = this.maxSlippage,
+    } = params;
+
+    console.log(`🤖 [${this.agentName}] Initiating token sale...`);
+    console.log(`   Token: ${tokenMint}`);
+    console.log(`   Amount: ${amount}`);
+
+    const slippageBps = Math.round(slippage * 10000);
+    const quote = await this.quoteTrade({ token: tokenMint, amount, side: 'sell', network, slippageBps });
+
+    if (quote.priceImpact > slippage) {
+      return {
+        success: false,
+        reason: `Price impact ${quote.priceImpact} exceeds max slippage ${slippage}`,
+        quote,
+      };
+    }
+
+    try {
+      await this.loadSigner(network);
+      const trade = await this.getSwapExecutor(network).swap({ quote });
+      console.log(`✅ [${this.agentName}] Sold for ${trade.outputAmount} USDC (swap ${trade.txHash})`);
+      await this.recordTrade({ swap: trade, source: 'sell_token' });
+      return { success: true, quote, trade };
+    } catch (error) {
+      console.log(`❌ [${this.agentName}] Sale failed: ${error.message}`);
+      return { success: false, reason: error.message, quote };
+    }
+  }
+
+  /**
+   * Quote a buy (USDC → token) or sell (token → USDC)
+   * @param {Object} params - { token, amount, side ('buy' | 'sell'), network, slippageBps }
+   * @returns {Object} Price quote
+   */
+  async quoteTrade(params) {
+    const { token, amount, side = 'buy', network, slippageBps } = params;
+
+    let quote;
+    if (this.quoteService) {
+      const usdc = USDC_ADDRESSES[network];
+      quote = await this.quoteService.getQuote({
+        network,
+        inputMint: side === 'sell' ? token : usdc,
+        outputMint: side === 'sell' ? usdc : token,
+        amount,
+        slippageBps,
+      });
+    } else {
+      quote = await this.getTokenQuote(
+        `/api/trade/quote?token=${token}&amount=${amount}&side=${side}&slippageBps=${slippageBps}`,
+        network
+      );
+    }
+
+    // USDC per token, as executable at this size
+    const price = side === 'sell'
+      ? Number(quote.outputAmount) / Number(quote.inputAmount)
+      : Number(quote.inputAmount) / Number(quote.outputAmount);
+    this.recordPrice(network, token, price, quote.quotedAt);
+
+    return quote;
+  }
+
+  /**
+   * Add a price sample to the history strategies read
+   * @param {string} network - Network identifier
+   * @param {string} token - Token address/mint
+   * @param {number} price - USDC per token
+   * @param {string|number} timestamp - Sample time (default now)
+   */
+  recordPrice(network, token, price, timestamp = Date.now()) {
+    if (!Number.isFinite(price)) {
+      return;
+    }
+
+    const key = `${network}:${token}`;
+    const history = this.priceHistory.get(key) || [];
+    history.push({ timestamp: new Date(timestamp).getTime(), price });
+    if (history.length > PRICE_HISTORY_LIMIT) {
+      history.shift();
+    }
+    this.priceHistory.set(key, history);
+  }
+
+  /**
+   * Swap executor for the agent's wallet on a network
+   * @param {string} network - Network identifier
+   * @returns {Object} Swap executor
+   */
+  getSwapExecutor(network) {
+    if (this.paperTrading) {
+      return new PaperSwapExecutor({ paperWallet: this.paperWallet, wallet: this.wallet });
+    }
+
+    if (!this.swapExecutors[network]) {
+      if (!this.canPayOn(network)) {
+        throw new Error(`Agent has no wallet to trade with on ${network}`);
+      }
+      this.swapExecutors[network] = createSwapExecutor(network, this.getClient(network));
+    }
+    return this.swapExecutors[network];
   }
 
   /**
@@ -644,87 +1829,291 @@ export class TokenTradingAgent extends AIPaymentAgent {
     url.searchParams.set('network', network);
 
     const response = await fetch(url.toString());
-    return await response.json();
+    const data = await response.json();
+    if (!data.ok) {
+      throw new Error(`Quote failed: ${data.error}`);
+    }
+    return data.quote;
   }
 
   /**
    * AI evaluation of trade
-   * @param {Object} params - Trade parameters
-   * @returns {Object} Trade decision
+   * @param {Object} params - { token, quote, amount (USDC), slippage, network }
+   * @returns {Object} Trade decision (the strategy's entry rules)
    */
   async evaluateTrade(params) {
-    const { token, quote, amount, slippage } = params;
+    const { token, network = this.network } = params;
 
-    // Price impact check
-    if (quote.priceImpact > slippage) {
-      return {
-        approved: false,
-        reason: `Price impact ${quote.priceImpact} exceeds max slippage ${slippage}`,
-      };
-    }
+    const [position = null] = await this.portfolio.getPositions({ wallet: this.wallet, network, simulated: this.paperTrading })
+      .then(positions => positions.filter(p => p.token === token));
 
-    // Liquidity check
-    if (quote.liquidity < amount * 10) {
-      return {
-        approved: false,
-        reason: 'Insufficient liquidity',
-      };
-    }
+    return await this.strategy.evaluateEntry({ ...params, position });
+  }
 
-    // Strategy-based decision
-    switch (this.tradingStrategy) {
-      case 'aggressive':
-        return { approved: true, confidence: 0.8 };
-      
-      case 'conservative':
-        // Additional safety checks for conservative strategy
-        if (quote.volatility > 0.2) {
-          return {
-            approved: false,
-            reason: 'Token volatility too high for conservative strategy',
-          };
-        }
-        return { approved: true, confidence: 0.95 };
-      
-      default:
-        return { approved: true, confidence: 0.9 };
+  /**
+   * Market context the strategy decides on
+   * @param {Object} params - { token, network, price }
+   * @returns {Object} Strategy context (see strategies.js)
+   */
+  async getStrategyContext(params) {
+    const { token, network = this.network, price } = params;
+
+    const [position = null] = await this.portfolio.getPositions({ wallet: this.wallet, network, simulated: this.paperTrading })
+      .then(positions => positions.filter(p => p.token === token));
+    const [lastBuy] = await this.portfolio.getFills({ wallet: this.wallet, network, token, simulated: this.paperTrading })
+      .then(fills => fills.filter(f => f.side === 'buy'));
+
+    return {
+      token,
+      network,
+      now: Date.now(),
+      price,
+      prices: [...(this.priceHistory.get(`${network}:${token}`) || [])],
+      position,
+      lastBuyAt: lastBuy ? new Date(lastBuy.timestamp).getTime() : null,
+    };
+  }
+
+  /**
+   * Run the strategy once for a token: price it, decide, and trade
+   * @param {Object} params - { token, network, slippage, dryRun }
+   * @returns {Object} { success, decision, ... } plus the buy/sell result when it traded
+   */
+  async runStrategy(params) {
+    const {
+      token,
+      network = this.network,
+      slippage = this.maxSlippage,
+      dryRun = false,
+    } = params;
+
+    // Price at the strategy's order size
+    const slippageBps = Math.round(slippage * 10000);
+    const quote = await this.quoteTrade({ token, amount: this.strategy.orderSizeUSDC ?? 10, network, slippageBps });
+    const price = Number(quote.inputAmount) / Number(quote.outputAmount);
+
+    const decision = await this.strategy.decide(await this.getStrategyContext({ token, network, price }));
+    console.log(`🤖 [${this.agentName}] ${this.strategy.name}: ${decision.action}${decision.amount ? ` ${decision.amount}` : ''} (${decision.reason})`);
+
+    if (decision.action === 'hold' || dryRun) {
+      return { success: true, dryRun, decision };
     }
+
+    const result = decision.action === 'buy'
+      ? await this.buyToken({ tokenMint: token, amountUSDC: decision.amount, network, slippage })
+      : await this.sellToken({ tokenMint: token, amount: decision.amount, network, slippage });
+
+    return { ...result, decision };
   }
 
   /**
    * Autonomous arbitrage execution
    * @param {Object} params - Arbitrage parameters
+   *   { tokenA, tokenB, amount (tokenA per round trip), minProfitUSDC, network, slippage, dryRun }
    * @returns {Object} Arbitrage result
    */
   async executeArbitrage(params) {
-    const { tokenA, tokenB, minProfitUSDC = 5 } = params;
+    const {
+      tokenA,
+      tokenB,
+      amount = 100,
+      minProfitUSDC = 5,
+      network = this.network,
+      slippage = this.maxSlippage,
+      dryRun = false,
+    } = params;
 
     console.log(`🤖 [${this.agentName}] Scanning for arbitrage opportunities...`);
+    await this.loadSigner(network);
 
     // Find price discrepancy across DEXes
-    const opportunity = await this.findArbitrageOpportunity(tokenA, tokenB);
+    const opportunity = await this.findArbitrageOpportunity(tokenA, tokenB, { amount, network, slippage });
 
     if (!opportunity || opportunity.profitUSDC < minProfitUSDC) {
       console.log(`   No profitable arbitrage found (min profit: ${minProfitUSDC} USDC)`);
-      return { success: false, reason: 'No opportunity' };
+      return { success: false, reason: 'No opportunity', opportunity };
     }
 
     console.log(`   💰 Opportunity found! Estimated profit: ${opportunity.profitUSDC} USDC`);
 
-    // Execute arbitrage sequence via X402 payments
-    const result = await this.executeArbitrageSequence(opportunity);
+    if (dryRun) {
+      return { success: true, dryRun: true, profitUSDC: opportunity.profitUSDC, opportunity };
+    }
+
+    // Execute both legs, unwinding if the second one moved
+    const result = await this.executeArbitrageSequence(opportunity, { slippage });
+
+    return { ...result, opportunity };
+  }
+
+  /**
+   * Venues the agent arbitrages between on a network
+   * @param {string} network - Network identifier
+   * @returns {Array} Venues
+   */
+  getArbitrageVenues(network) {
+    let venues = this.arbitrageVenues.filter(venue => venue.network === network);
+
+    if (venues.length === 0 && this.canPayOn(network)) {
+      venues = defaultArbitrageVenues(network, this.getClient(network), { gasCostUSDC: this.defaultFeeEstimate(network) });
+      this.arbitrageVenues.push(...venues);
+    }
+
+    // Paper agents quote on the real venues but fill in the paper wallet
+    if (this.paperTrading) {
+      const swapExecutor = this.getSwapExecutor(network);
+      venues = venues.map(venue => (venue instanceof DexVenue ? new DexVenue({ ...venue, swapExecutor }) : venue));
+    }
+    return venues;
+  }
+
+  /**
+   * Most profitable round trip across the agent's venues
+   * @param {string} tokenA - Token spent and returned (profit is in this token)
+   * @param {string} tokenB - Token bought and sold back
+   * @param {Object} options - { amount, network, slippage }
+   * @returns {Object|null} Opportunity (see ArbitrageScanner), or null without any quotable pair
+   */
+  async findArbitrageOpportunity(tokenA, tokenB, options = {}) {
+    const { amount = 100, network = this.network, slippage = this.maxSlippage } = options;
+
+    const venues = this.getArbitrageVenues(network);
+    if (venues.length < 2) {
+      throw new Error(`Arbitrage needs at least two venues on ${network}`);
+    }
+
+    const scanner = new ArbitrageScanner({
+      venues,
+      slippageBps: Math.round(slippage * 10000),
+    });
+    const [best] = await scanner.scan({ tokenA, tokenB, amount, usdc: USDC_ADDRESSES[network] });
+
+    return best || null;
+  }
+
+  /**
+   * Run both legs of an opportunity
+   * @param {Object} opportunity - Opportunity from findArbitrageOpportunity
+   * @param {Object} options - { slippage } (how far the second leg may move before unwinding)
+   * @returns {Object} Execution result (see ArbitrageExecutor)
+   */
+  async executeArbitrageSequence(opportunity, options = {}) {
+    const { slippage = this.maxSlippage } = options;
+
+    const executor = new ArbitrageExecutor({
+      venues: this.getArbitrageVenues(opportunity.network),
+      toleranceBps: Math.round(slippage * 10000),
+    });
+
+    const result = await executor.execute(opportunity);
+
+    // Legs are valued in USDC at the planned tokenA price; a failed unwind
+    // leaves the bought tokenB in the wallet, so its fill is recorded all the same
+    const [buy, sell] = result.legs;
+    await this.recordTrade({
+      swap: buy,
+      valueUSDC: Number(buy.inputAmount) * opportunity.usdcPerA,
+      source: 'arbitrage',
+    });
+    for (const swap of [sell, result.unwind].filter(Boolean)) {
+      await this.recordTrade({
+        swap,
+        valueUSDC: Number(swap.outputAmount) * opportunity.usdcPerA,
+        source: 'arbitrage',
+      });
+    }
+
+    if (result.unwindError) {
+      console.log(`⚠️  [${this.agentName}] Holding ${result.holding.amount} ${result.holding.token} from ${buy.txHash}: unwind failed (${result.unwindError})`);
+    }
 
     return result;
   }
 
-  async findArbitrageOpportunity(tokenA, tokenB) {
-    // Placeholder - would check multiple DEXes
-    return null;
+  /**
+   * Record the fills of an executed swap in the agent's portfolio (simulated when paper trading)
+   * @param {Object} params - { swap, valueUSDC, source } (see Portfolio.recordSwap)
+   */
+  async recordTrade(params) {
+    try {
+      await this.portfolio.recordSwap({ wallet: this.wallet, simulated: this.paperTrading, ...params });
+    } catch (error) {
+      // The trade already happened; reconciliation will surface the gap
+      console.log(`⚠️  [${this.agentName}] Failed to record fills for ${params.swap.txHash}: ${error.message}`);
+    }
   }
 
-  async executeArbitrageSequence(opportunity) {
-    // Placeholder - would execute multi-step arbitrage
-    return { success: true };
+  /**
+   * Positions with PnL, reconciled against on-chain balances
+   * @param {Object} params - { network, markToMarket, reconcile, includeClosed }
+   * @returns {Object} { wallet, simulated, positions, totals, asOf }
+   */
+  async getPortfolio(params = {}) {
+    const {
+      network,
+      markToMarket = true,
+      reconcile = true,
+      includeClosed = false,
+    } = params;
+
+    const positions = await this.portfolio.getPositions({
+      wallet: this.wallet,
+      network,
+      includeClosed,
+      simulated: this.paperTrading, // Paper fills never mix into real positions
+    });
+
+    for (const position of positions) {
+      position.onChainQuantity = null;
+      position.marketPrice = null;
+      position.marketValueUSDC = null;
+      position.unrealizedPnlUSDC = null;
+
+      if (reconcile && (this.paperTrading || this.clients.has(position.network))) {
+        try {
+          position.onChainQuantity = this.paperTrading
+            ? await this.paperWallet.getTokenBalance(this.wallet, position.network, position.token)
+            : await readTokenBalance(this.clients.get(position.network), position.network, this.wallet, position.token);
+          position.discrepancy = position.onChainQuantity - position.quantity;
+        } catch (error) {
+          position.reconcileError = error.message;
+        }
+      }
+
+      // Mark at what selling the whole position would return
+      if (markToMarket && position.quantity > 0) {
+        try {
+          const quote = await this.quoteTrade({
+            token: position.token,
+            amount: position.quantity,
+            side: 'sell',
+            network: position.network,
+            slippageBps: Math.round(this.maxSlippage * 10000),
+          });
+          position.marketValueUSDC = Number(quote.outputAmount);
+          position.marketPrice = position.marketValueUSDC / position.quantity;
+          position.unrealizedPnlUSDC = position.marketValueUSDC - position.costBasisUSDC;
+        } catch (error) {
+          position.markError = error.message;
+        }
+      }
+    }
+
+    const sum = field => positions.reduce((total, p) => total + (p[field] || 0), 0);
+
+    return {
+      wallet: this.wallet,
+      simulated: this.paperTrading,
+      positions,
+      totals: {
+        costBasisUSDC: sum('costBasisUSDC'),
+        marketValueUSDC: sum('marketValueUSDC'),
+        unrealizedPnlUSDC: sum('unrealizedPnlUSDC'),
+        realizedPnlUSDC: sum('realizedPnlUSDC'),
+        unmarked: positions.filter(p => p.quantity > 0 && p.marketValueUSDC === null).length,
+      },
+      asOf: new Date().toISOString(),
+    };
   }
 }
 
@@ -733,10 +2122,14 @@ export class TokenTradingAgent extends AIPaymentAgent {
    ═══════════════════════════════════════════════════════════════════ */
 
 export class NLPaymentProcessor {
-  constructor(agent) {
+  constructor(agent, scheduler = null, options = {}) {
     this.agent = agent;
-    this.scheduler = new ScheduledPaymentManager();
-    this.scheduler.setAgent(agent);
+    this.scheduler = scheduler || new ScheduledPaymentManager();
+    if (!scheduler) {
+      this.scheduler.setAgent(agent);
+    }
+    this.tokens = options.tokens || {}; // symbol → { network → address }, beyond SOL and ETH
+    this.intentResolver = options.intentResolver || null; // LLM resolution (see intent-model.js)
   }
 
   /**
@@ -747,24 +2140,70 @@ export class NLPaymentProcessor {
   async processCommand(command) {
     console.log(`🗣️  Processing command: "${command}"`);
 
-    const parsed = this.parseCommand(command);
+    const parsed = await this.resolveCommand(command);
+
+    // Never act on a guess: ask for what the command left out
+    if (parsed.intent !== 'unknown' && parsed.missing.length > 0) {
+      return {
+        success: false,
+        reason: `Missing ${parsed.missing.map(m => m.slot).join(', ')}`,
+        intent: parsed.intent,
+        confidence: parsed.confidence,
+        source: parsed.source,
+        missing: parsed.missing,
+        params: parsed.params,
+      };
+    }
 
-    switch (parsed.intent) {
+    return await this.execute(parsed);
+  }
+
+  /**
+   * Execute a resolved command
+   * @param {Object} command - { intent, params } with every required slot filled
+   * @returns {Object} Execution result (the schedule id for schedule_payment)
+   */
+  async execute({ intent, params }) {
+    switch (intent) {
+      // The amount the command states is the most it may pay, whatever the challenge asks
       case 'pay_now':
-        return await this.agent.executePayment(parsed.params);
+        return await this.agent.executePayment({ ...params, maxAmount: params.amount });
       
       case 'schedule_payment':
-        return this.scheduler.schedulePayment(parsed.params);
+        return await this.scheduler.schedulePayment({
+          wallet: this.agent.wallet,
+          network: this.agent.network,
+          paperTrading: this.agent.paperTrading,
+          ...params,
+          maxAmount: params.amount,
+        });
       
-      case 'buy_token':
-        if (this.agent instanceof TokenTradingAgent) {
-          return await this.agent.buyToken(parsed.params);
+      case 'buy_token': {
+        if (!(this.agent instanceof TokenTradingAgent)) {
+          return { success: false, reason: 'Agent not configured for trading' };
         }
-        return { success: false, reason: 'Agent not configured for trading' };
+        const { tokenMint, amountUSDC, tokenAmount } = params;
+        if (amountUSDC === null || amountUSDC === undefined) {
+          // "buy 10 SOL": spend what the quantity sells for now
+          const quote = await this.agent.quoteTrade({ token: tokenMint, amount: tokenAmount, side: 'sell', network: this.agent.network });
+          return await this.agent.buyToken({ tokenMint, amountUSDC: Math.ceil(Number(quote.outputAmount) * 1e6) / 1e6 });
+        }
+        return await this.agent.buyToken({ tokenMint, amountUSDC });
+      }
       
-      case 'cancel_schedule':
-        this.scheduler.cancelScheduledPayment(parsed.params.scheduleId);
+      case 'cancel_schedule': {
+        // Only the agent's own schedules
+        const { scheduleId } = params;
+        const schedule = await this.scheduler.getScheduledPayment(scheduleId);
+        if (!schedule || !sameWallet(schedule.wallet, this.agent.wallet)) {
+          return { success: false, reason: `No schedule ${scheduleId} for this wallet` };
+        }
+        if (schedule.status !== 'pending') {
+          return { success: false, reason: `Schedule ${scheduleId} is already ${schedule.status}` };
+        }
+        await this.scheduler.cancelScheduledPayment(scheduleId);
         return { success: true };
+      }
       
       default:
         return { success: false, reason: 'Unknown command intent' };
@@ -772,85 +2211,25 @@ export class NLPaymentProcessor {
   }
 
   /**
-   * Parse natural language command
+   * Resolve a command through the intent resolver when configured (validated
+   * model output, rule parser on failure), else the rule parser
    * @param {string} command - Natural language command
-   * @returns {Object} Parsed command
+   * @returns {Object} Parsed command ({ intent, confidence, params, entities, missing, source })
    */
-  parseCommand(command) {
-    const lower = command.toLowerCase();
-
-    // Pay now patterns
-    if (lower.includes('pay') && !lower.includes('schedule')) {
-      const amountMatch = command.match(/(\d+\.?\d*)\s*(usdc|dollars?)/i);
-      const resourceMatch = command.match(/for\s+([^\s]+)/i);
-      
-      return {
-        intent: 'pay_now',
-        params: {
-          amount: amountMatch ? parseFloat(amountMatch[1]) * 1e6 : null,
-          resource: resourceMatch ? resourceMatch[1] : null,
-        },
-      };
-    }
-
-    // Schedule payment patterns
-    if (lower.includes('schedule') || lower.includes('pay tomorrow') || lower.includes('pay next')) {
-      const amountMatch = command.match(/(\d+\.?\d*)\s*(usdc|dollars?)/i);
-      const timeMatch = command.match(/(tomorrow|next\s+\w+|in\s+\d+\s+\w+)/i);
-      
-      let executeAt = new Date();
-      if (timeMatch) {
-        executeAt = this.parseTime(timeMatch[1]);
-      }
-
-      return {
-        intent: 'schedule_payment',
-        params: {
-          amount: amountMatch ? parseFloat(amountMatch[1]) * 1e6 : null,
-          executeAt: executeAt.toISOString(),
-        },
-      };
-    }
-
-    // Buy token patterns
-    if (lower.includes('buy') && (lower.includes('token') || lower.includes('coin'))) {
-      const amountMatch = command.match(/(\d+\.?\d*)\s*(usdc|dollars?)/i);
-      const tokenMatch = command.match(/buy\s+([^\s]+)/i);
-      
-      return {
-        intent: 'buy_token',
-        params: {
-          tokenMint: tokenMatch ? tokenMatch[1] : null,
-          amountUSDC: amountMatch ? parseFloat(amountMatch[1]) : null,
-        },
-      };
+  async resolveCommand(command) {
+    if (this.intentResolver) {
+      return await this.intentResolver.resolve(command, { network: this.agent.network, tokens: this.tokens });
     }
-
-    return { intent: 'unknown', params: {} };
+    return { ...this.parseCommand(command), source: 'rules' };
   }
 
   /**
-   * Parse relative time expressions
-   * @param {string} timeStr - Time expression
-   * @returns {Date} Parsed date
+   * Parse natural language command (see command-parser.js)
+   * @param {string} command - Natural language command
+   * @returns {Object} Parsed command ({ intent, confidence, params, entities, missing })
    */
-  parseTime(timeStr) {
-    const now = new Date();
-    const lower = timeStr.toLowerCase();
-
-    if (lower.includes('tomorrow')) {
-      now.setDate(now.getDate() + 1);
-    } else if (lower.includes('next week')) {
-      now.setDate(now.getDate() + 7);
-    } else if (lower.match(/in\s+(\d+)\s+hours?/)) {
-      const hours = parseInt(lower.match(/in\s+(\d+)\s+hours?/)[1]);
-      now.setHours(now.getHours() + hours);
-    } else if (lower.match(/in\s+(\d+)\s+days?/)) {
-      const days = parseInt(lower.match(/in\s+(\d+)\s+days?/)[1]);
-      now.setDate(now.getDate() + days);
-    }
-
-    return now;
+  parseCommand(command) {
+    return parseCommand(command, { network: this.agent.network, tokens: this.tokens });
   }
 }
 
@@ -860,7 +2239,17 @@ export class NLPaymentProcessor {
    ═══════════════════════════════════════════════════════════════════ */
 
 export {
+  X402_VERSION,
   SUPPORTED_NETWORKS,
   PAYMENT_SCHEMES,
   USDC_ADDRESSES,
+  CATCH_UP_POLICIES,
+  NETWORK_FAMILIES,
+  registerNetwork,
+  hasNetwork,
+  getNetwork,
+  listNetworks,
+  isSolanaNetwork,
+  rpcEndpointFor,
+  explorerUrl,
 };
@@ -0,0 +1,169 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A PAYMENT APPROVAL QUEUE
+ * Human-in-the-loop approval for payments the agent won't auto-approve
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * When a payment is declined but approvable (e.g. above maxAutoApprove
+ * or an approval_threshold rule), the agent parks it here together
+ * with its X402 challenge. A human approves or denies it; approved
+ * payments are resumed against the parked challenge. Approvals expire
+ * with the challenge they answer.
+ *
+ * Lifecycle: pending → approved → executed | failed
+ *            pending → denied
+ *            pending → expired
+ */
+
+import { openFileStore } from './storage.js';
+
+const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+  EXPIRED: 'expired',
+  EXECUTED: 'executed',
+  FAILED: 'failed',
+};
+
+const DEFAULT_APPROVAL_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+export class ApprovalQueue {
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.APPROVAL_STORE_PATH || './data/approvals.json'
+    );
+    this.ttlMs = config.ttlMs || DEFAULT_APPROVAL_TTL_MS;
+  }
+
+  /**
+   * Park a payment for human approval
+   * @param {Object} params - { wallet, network, resource, challenge, requirement, amount, selectedOption, reason, decidedBy, agentName }
+   * @returns {Object} Approval record
+   */
+  async park(params) {
+    const id = `appr_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+    // The approval can't outlive the challenge it would pay
+    const challengeExpiry = params.challenge?.metadata?.expiresAt;
+    const expiresAt = challengeExpiry || Date.now() + this.ttlMs;
+
+    const approval = {
+      id,
+      wallet: params.wallet,
+      network: params.network,
+      resource: params.resource,
+      amount: params.amount ?? params.requirement.maxAmountRequired,
+      challenge: params.challenge,
+      requirement: params.requirement,
+      selectedOption: params.selectedOption || null,
+      reason: params.reason,
+      decidedBy: params.decidedBy || null,
+      agentName: params.agentName,
+      paperTrading: Boolean(params.paperTrading), // Resume with a paper-trading agent
+      status: APPROVAL_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+
+    await this.store.put(id, approval);
+    console.log(`🙋 Payment parked for approval ${id}: ${params.reason}`);
+
+    return approval;
+  }
+
+  /**
+   * Get an approval
+   * @param {string} id - Approval identifier
+   * @returns {Object|null} Approval
+   */
+  async get(id) {
+    await this.expireStale();
+    return await this.store.get(id);
+  }
+
+  /**
+   * List approvals, newest first
+   * @param {Object} filter - { wallet, status }
+   * @returns {Array} Approvals
+   */
+  async list(filter = {}) {
+    await this.expireStale();
+
+    const { wallet, status } = filter;
+    const approvals = await this.store.list(a =>
+      (!wallet || a.wallet === wallet) && (!status || a.status === status)
+    );
+
+    return approvals.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Approve or deny a pending payment
+   * @param {string} id - Approval identifier
+   * @param {string} decision - 'approve' | 'deny'
+   * @param {Object} options - { note, resolvedBy }
+   * @returns {Object} Updated approval
+   */
+  async resolve(id, decision, options = {}) {
+    if (!['approve', 'deny'].includes(decision)) {
+      throw new Error(`Invalid decision: ${decision}`);
+    }
+
+    await this.expireStale();
+
+    const current = await this.store.get(id);
+    if (!current) {
+      throw new Error(`Approval ${id} not found`);
+    }
+
+    const updated = await this.store.update(id, a => (a.status !== APPROVAL_STATUS.PENDING ? null : {
+      ...a,
+      status: decision === 'approve' ? APPROVAL_STATUS.APPROVED : APPROVAL_STATUS.DENIED,
+      note: options.note || null,
+      resolvedBy: options.resolvedBy || null,
+      resolvedAt: new Date().toISOString(),
+    }));
+
+    if (!updated) {
+      throw new Error(`Approval ${id} is already ${current.status}`);
+    }
+
+    console.log(`${decision === 'approve' ? '👍' : '👎'} Approval ${id} ${updated.status}`);
+    return updated;
+  }
+
+  /**
+   * Record the outcome of executing an approved payment
+   * @param {string} id - Approval identifier
+   * @param {Object} result - executePayment-style result
+   * @returns {Object} Updated approval
+   */
+  async complete(id, result) {
+    return await this.store.update(id, a => ({
+      ...a,
+      status: result.success ? APPROVAL_STATUS.EXECUTED : APPROVAL_STATUS.FAILED,
+      txHash: result.txHash || null,
+      error: result.success ? null : result.reason,
+      completedAt: new Date().toISOString(),
+    }));
+  }
+
+  /**
+   * Expire pending approvals whose challenge has gone stale
+   */
+  async expireStale() {
+    const now = Date.now();
+    const stale = await this.store.list(a =>
+      a.status === APPROVAL_STATUS.PENDING && new Date(a.expiresAt).getTime() <= now
+    );
+
+    for (const approval of stale) {
+      await this.store.update(approval.id, a => (
+        a.status === APPROVAL_STATUS.PENDING ? { ...a, status: APPROVAL_STATUS.EXPIRED } : null
+      ));
+    }
+  }
+}
+
+export { APPROVAL_STATUS };
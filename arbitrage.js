@@ -0,0 +1,421 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A CROSS-VENUE ARBITRAGE
+ * Find and execute round trips between DEX venues
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * A round trip spends `amount` of tokenA for tokenB on one venue and
+ * sells that tokenB back for tokenA on another. The scanner quotes every
+ * ordered venue pair; quotes already net out venue fees and price impact,
+ * so profit = tokenA returned − tokenA spent, valued in USDC, minus each
+ * leg's gas. worstCaseProfitUSDC assumes both legs fill at their
+ * slippage-adjusted minimum.
+ *
+ * The executor runs the buy leg, re-quotes the sell leg for what was
+ * actually received and only sells if that price is within toleranceBps
+ * of the plan. Otherwise (or if the sell reverts) it unwinds: tokenB is
+ * sold back for tokenA on whichever venue quotes best. If the unwind
+ * fails too, the result still reports the buy leg (and the tokenB now
+ * held) alongside unwindError, so the fill is never lost.
+ *
+ * Venue interface:
+ * - name, network, gasCostUSDC
+ * - quote({ inputMint, outputMint, amount, slippageBps }) → quote (quote-providers.js shape)
+ * - swap({ quote, minOutAmount }) → swap result (swap-executors.js shape)
+ *
+ * DexVenue pairs a quote provider with a swap executor; InMemoryPoolVenue
+ * is a set of constant-product pools held in memory, for tests and dry runs.
+ */
+
+import { buildQuote, impliedPriceImpact, JupiterQuoteProvider, UniswapV3QuoteProvider, ZeroExQuoteProvider } from './quote-providers.js';
+import { JupiterSwapExecutor, UniswapV3SwapExecutor, ZeroExSwapExecutor } from './swap-executors.js';
+import { SUPPORTED_NETWORKS, isSolanaNetwork } from './x402-ai-agent.js';
+
+const DEFAULT_SLIPPAGE_BPS = 50; // 0.5%
+
+// Jupiter DEXes arbitraged against each other on Solana
+const DEFAULT_SOLANA_DEXES = ['Raydium', 'Orca V2', 'Meteora DLMM'];
+
+/* ═══════════════════════════════════════════════════════════════════
+   VENUES
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class DexVenue {
+  constructor(config) {
+    this.name = config.name;
+    this.network = config.network;
+    this.quoteProvider = config.quoteProvider;
+    this.swapExecutor = config.swapExecutor;
+    this.gasCostUSDC = config.gasCostUSDC ?? 0; // Cost of one swap transaction
+  }
+
+  async quote(params) {
+    return await this.quoteProvider.quote({
+      slippageBps: DEFAULT_SLIPPAGE_BPS,
+      ...params,
+      network: this.network,
+    });
+  }
+
+  async swap(params) {
+    return await this.swapExecutor.swap(params);
+  }
+}
+
+export class InMemoryPoolVenue {
+  constructor(config) {
+    this.name = config.name;
+    this.network = config.network || SUPPORTED_NETWORKS.SOLANA;
+    this.gasCostUSDC = config.gasCostUSDC ?? 0;
+    // [{ tokenA, tokenB, reserveA, reserveB, decimalsA, decimalsB, feeBps }], reserves in whole tokens
+    this.pools = (config.pools || []).map(pool => ({ decimalsA: 6, decimalsB: 6, feeBps: 30, ...pool }));
+    this.swapCount = 0;
+  }
+
+  /**
+   * Pool trading a pair, oriented input → output
+   */
+  pool(inputMint, outputMint) {
+    const pool = this.pools.find(p =>
+      (p.tokenA === inputMint && p.tokenB === outputMint) || (p.tokenA === outputMint && p.tokenB === inputMint)
+    );
+    if (!pool) {
+      throw new Error(`${this.name} has no ${inputMint}/${outputMint} pool`);
+    }
+
+    return pool.tokenA === inputMint
+      ? { pool, reserveIn: pool.reserveA, reserveOut: pool.reserveB, decimalsIn: pool.decimalsA, decimalsOut: pool.decimalsB }
+      : { pool, reserveIn: pool.reserveB, reserveOut: pool.reserveA, decimalsIn: pool.decimalsB, decimalsOut: pool.decimalsA };
+  }
+
+  /**
+   * Output of a trade against current reserves, in whole tokens
+   */
+  output(inputMint, outputMint, amount) {
+    const { pool, reserveIn, reserveOut } = this.pool(inputMint, outputMint);
+    const amountInAfterFee = amount * (10000 - pool.feeBps) / 10000;
+    return reserveOut * amountInAfterFee / (reserveIn + amountInAfterFee);
+  }
+
+  async quote(params) {
+    const { inputMint, outputMint, amount, slippageBps = DEFAULT_SLIPPAGE_BPS } = params;
+    const { pool, reserveIn, reserveOut, decimalsIn, decimalsOut } = this.pool(inputMint, outputMint);
+
+    const output = this.output(inputMint, outputMint, amount);
+    const amountInAfterFee = amount * (10000 - pool.feeBps) / 10000;
+
+    return buildQuote({
+      provider: this.name,
+      network: this.network,
+      inputMint,
+      outputMint,
+      inAmount: BigInt(Math.round(amount * 10 ** decimalsIn)).toString(),
+      outAmount: BigInt(Math.floor(output * 10 ** decimalsOut)).toString(),
+      inputDecimals: decimalsIn,
+      outputDecimals: decimalsOut,
+      priceImpact: impliedPriceImpact(reserveOut / reserveIn, output / amountInAfterFee),
+      route: [{ venue: this.name, pool: `${pool.tokenA}/${pool.tokenB}`, inputMint, outputMint, percent: 100 }],
+      fees: [{ venue: this.name, amount: amount * pool.feeBps / 10000 }],
+      slippageBps,
+    });
+  }
+
+  async swap(params) {
+    const { quote, minOutAmount = quote.minOutAmount } = params;
+    const { pool, decimalsOut } = this.pool(quote.inputMint, quote.outputMint);
+
+    // Fill against the reserves as they are now, not as quoted
+    const amount = Number(quote.inputAmount);
+    const output = this.output(quote.inputMint, quote.outputMint, amount);
+    const outAmount = BigInt(Math.floor(output * 10 ** decimalsOut));
+
+    if (outAmount < BigInt(minOutAmount)) {
+      throw new Error(`${this.name}: too little received (${outAmount} < ${minOutAmount})`);
+    }
+
+    if (pool.tokenA === quote.inputMint) {
+      pool.reserveA += amount;
+      pool.reserveB -= output;
+    } else {
+      pool.reserveB += amount;
+      pool.reserveA -= output;
+    }
+
+    this.swapCount++;
+    return {
+      provider: this.name,
+      network: this.network,
+      side: quote.side,
+      token: quote.token,
+      txHash: `${this.name}-swap-${this.swapCount}`,
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      inAmount: quote.inAmount,
+      outAmount: outAmount.toString(),
+      minOutAmount: String(minOutAmount),
+      inputAmount: quote.inputAmount,
+      outputAmount: (Number(outAmount) / 10 ** decimalsOut).toString(),
+      recipient: null,
+      route: quote.route,
+    };
+  }
+}
+
+/**
+ * Venues to arbitrage on a network, trading from a wallet
+ * Solana: Jupiter restricted to one DEX per venue (ARBITRAGE_DEXES, comma-separated);
+ * EVM: 0x against Uniswap V3
+ * @param {string} network - Network identifier
+ * @param {Object} client - { connection, signer } (Solana) or { provider, signer } (EVM)
+ * @param {Object} config - { gasCostUSDC, dexes }
+ * @returns {Array} Venues
+ */
+export function defaultArbitrageVenues(network, client, config = {}) {
+  const { gasCostUSDC } = config;
+
+  if (isSolanaNetwork(network)) {
+    const dexes = config.dexes
+      || (process.env.ARBITRAGE_DEXES ? process.env.ARBITRAGE_DEXES.split(',').map(d => d.trim()) : DEFAULT_SOLANA_DEXES);
+    const swapExecutor = new JupiterSwapExecutor({ connection: client.connection, signer: client.signer });
+
+    return dexes.map(dex => new DexVenue({
+      name: `jupiter:${dex}`,
+      network,
+      quoteProvider: new JupiterQuoteProvider({ connection: client.connection, dexes: [dex] }),
+      swapExecutor,
+      gasCostUSDC,
+    }));
+  }
+
+  const providers = { [network]: client.provider };
+  return [
+    new DexVenue({
+      name: '0x',
+      network,
+      quoteProvider: new ZeroExQuoteProvider({ providers }),
+      swapExecutor: new ZeroExSwapExecutor({ signer: client.signer }),
+      gasCostUSDC,
+    }),
+    new DexVenue({
+      name: 'uniswap-v3',
+      network,
+      quoteProvider: new UniswapV3QuoteProvider({ providers }),
+      swapExecutor: new UniswapV3SwapExecutor({ signer: client.signer }),
+      gasCostUSDC,
+    }),
+  ];
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   SCANNER
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class ArbitrageScanner {
+  constructor(config = {}) {
+    this.venues = config.venues || [];
+    this.slippageBps = config.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+  }
+
+  /**
+   * USDC value of one tokenA, quoted on the first venue that can
+   */
+  async usdcPerToken(token, usdc, amount) {
+    if (!usdc || token === usdc) {
+      return 1;
+    }
+
+    for (const venue of this.venues) {
+      try {
+        const quote = await venue.quote({ inputMint: token, outputMint: usdc, amount, slippageBps: this.slippageBps });
+        return Number(quote.outputAmount) / amount;
+      } catch {
+        // Try the next venue
+      }
+    }
+    throw new Error(`No venue can price ${token} in USDC`);
+  }
+
+  /**
+   * Plan a round trip: buy tokenB on one venue, sell it back on another
+   */
+  async planRoundTrip(buyVenue, sellVenue, params) {
+    const { tokenA, tokenB, amount, usdcPerA } = params;
+
+    const buyQuote = await buyVenue.quote({
+      inputMint: tokenA, outputMint: tokenB, amount, slippageBps: this.slippageBps,
+    });
+    const sellQuote = await sellVenue.quote({
+      inputMint: tokenB, outputMint: tokenA, amount: Number(buyQuote.outputAmount), slippageBps: this.slippageBps,
+    });
+
+    const returned = Number(sellQuote.outputAmount);
+    const worstCaseReturned = Number(sellQuote.minOutAmount) / 10 ** sellQuote.outputDecimals
+      * (Number(buyQuote.minOutAmount) / Number(buyQuote.outAmount));
+    const gasCostUSDC = buyVenue.gasCostUSDC + sellVenue.gasCostUSDC;
+    const profitUSDC = (returned - amount) * usdcPerA - gasCostUSDC;
+
+    return {
+      tokenA,
+      tokenB,
+      network: buyVenue.network,
+      amount,
+      buyVenue: buyVenue.name,
+      sellVenue: sellVenue.name,
+      buyQuote,
+      sellQuote,
+      expectedReturn: returned,
+      grossProfit: returned - amount,
+      // Venue fees are already reflected in the quoted amounts; reported for reference
+      feesUSDC: (amount * buyQuote.estimatedFee + returned * sellQuote.estimatedFee) * usdcPerA,
+      gasCostUSDC,
+      profitUSDC,
+      worstCaseProfitUSDC: (worstCaseReturned - amount) * usdcPerA - gasCostUSDC,
+      profitBps: Math.round(((returned - amount) * usdcPerA - gasCostUSDC) / (amount * usdcPerA) * 10000),
+      usdcPerA,
+      slippageBps: this.slippageBps,
+      scannedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Quote every ordered venue pair for a round trip
+   * @param {Object} params - { tokenA, tokenB, amount (whole tokenA), usdc (network USDC, to value profit) }
+   * @returns {Array} Opportunities, most profitable first (venue pairs that failed to quote are skipped)
+   */
+  async scan(params) {
+    const { tokenA, tokenB, amount, usdc } = params;
+    const usdcPerA = await this.usdcPerToken(tokenA, usdc, amount);
+
+    const pairs = this.venues.flatMap(buyVenue =>
+      this.venues.filter(sellVenue => sellVenue !== buyVenue).map(sellVenue => [buyVenue, sellVenue])
+    );
+
+    const plans = await Promise.all(pairs.map(([buyVenue, sellVenue]) =>
+      this.planRoundTrip(buyVenue, sellVenue, { tokenA, tokenB, amount, usdcPerA }).catch(error => {
+        console.log(`⚠️  ${buyVenue.name} → ${sellVenue.name}: ${error.message}`);
+        return null;
+      })
+    ));
+
+    return plans.filter(Boolean).sort((a, b) => b.profitUSDC - a.profitUSDC);
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   EXECUTOR
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class ArbitrageExecutor {
+  constructor(config = {}) {
+    this.venues = config.venues || [];
+    this.toleranceBps = config.toleranceBps ?? DEFAULT_SLIPPAGE_BPS;
+  }
+
+  venue(name) {
+    const venue = this.venues.find(v => v.name === name);
+    if (!venue) {
+      throw new Error(`Unknown arbitrage venue: ${name}`);
+    }
+    return venue;
+  }
+
+  /**
+   * Sell tokenB back for tokenA on the venue that quotes best
+   */
+  async unwind(opportunity, amount) {
+    const quotes = await Promise.all(this.venues.map(venue =>
+      venue.quote({ inputMint: opportunity.tokenB, outputMint: opportunity.tokenA, amount, slippageBps: opportunity.slippageBps })
+        .then(quote => ({ venue, quote }))
+        .catch(() => null)
+    ));
+    const best = quotes.filter(Boolean).sort((a, b) => Number(b.quote.outputAmount) - Number(a.quote.outputAmount))[0];
+    if (!best) {
+      throw new Error(`No venue can unwind ${amount} ${opportunity.tokenB}`);
+    }
+    return { venue: best.venue, swap: await best.venue.swap({ quote: best.quote }) };
+  }
+
+  /**
+   * Run both legs of a planned round trip, unwinding if the sell leg moved
+   * @param {Object} opportunity - Plan from ArbitrageScanner.scan
+   * @returns {Object} { success, profitUSDC, legs } or { success: false, aborted, reason, legs, unwind, profitUSDC },
+   *   or { success: false, aborted, reason, legs: [buy], unwindError, holding } when the unwind failed
+   */
+  async execute(opportunity) {
+    const buyVenue = this.venue(opportunity.buyVenue);
+    const sellVenue = this.venue(opportunity.sellVenue);
+
+    // Leg 1: tokenA → tokenB
+    const buy = await buyVenue.swap({ quote: opportunity.buyQuote });
+    const received = Number(buy.outputAmount);
+
+    // Leg 2: re-quote for what we actually hold, and compare with the plan
+    const abort = async (reason) => {
+      console.log(`⚠️  Arbitrage aborted after ${buy.txHash}: ${reason}; unwinding`);
+
+      let venue, unwind;
+      try {
+        ({ venue, swap: unwind } = await this.unwind(opportunity, received));
+      } catch (error) {
+        console.log(`❌ Unwinding ${buy.txHash} failed: ${error.message}; holding ${received} ${opportunity.tokenB}`);
+        return {
+          success: false,
+          aborted: true,
+          reason,
+          legs: [buy],
+          unwindError: error.message,
+          holding: { token: opportunity.tokenB, amount: received },
+        };
+      }
+
+      return {
+        success: false,
+        aborted: true,
+        reason,
+        legs: [buy],
+        unwind,
+        profitUSDC: (Number(unwind.outputAmount) - opportunity.amount) * opportunity.usdcPerA
+          - buyVenue.gasCostUSDC - venue.gasCostUSDC,
+      };
+    };
+
+    let sellQuote;
+    try {
+      sellQuote = await sellVenue.quote({
+        inputMint: opportunity.tokenB,
+        outputMint: opportunity.tokenA,
+        amount: received,
+        slippageBps: opportunity.slippageBps,
+      });
+    } catch (error) {
+      return await abort(`Sell leg could not be quoted: ${error.message}`);
+    }
+
+    const plannedRate = Number(opportunity.sellQuote.outputAmount) / Number(opportunity.sellQuote.inputAmount);
+    const rate = Number(sellQuote.outputAmount) / received;
+    const floorRate = plannedRate * (10000 - this.toleranceBps) / 10000;
+    if (rate < floorRate) {
+      return await abort(`Sell price moved ${((1 - rate / plannedRate) * 100).toFixed(2)}% (tolerance ${this.toleranceBps / 100}%)`);
+    }
+
+    // Never sell below the tolerated price, even if the pool moves before we land
+    const minOutAmount = BigInt(Math.floor(received * floorRate * 10 ** sellQuote.outputDecimals)).toString();
+    let sell;
+    try {
+      sell = await sellVenue.swap({ quote: sellQuote, minOutAmount });
+    } catch (error) {
+      return await abort(`Sell leg failed: ${error.message}`);
+    }
+
+    const profitUSDC = (Number(sell.outputAmount) - opportunity.amount) * opportunity.usdcPerA
+      - buyVenue.gasCostUSDC - sellVenue.gasCostUSDC;
+
+    console.log(`💰 Arbitrage ${buyVenue.name} → ${sellVenue.name} closed: ${profitUSDC.toFixed(4)} USDC`);
+
+    return {
+      success: true,
+      profitUSDC,
+      legs: [buy, sell],
+    };
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A STRATEGY BACKTESTER
+ * Replay trading strategies over historical candles, offline
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Each candle's close is a price sample. The strategy decides on it with
+ * the same context a live agent builds (see strategies.js); buys must pass
+ * its entry rules against a simulated quote. Fills execute at the close
+ * moved against us by `slippageBps`, less `feeBps`, and are booked in an
+ * in-memory Portfolio, so PnL uses the same average-cost accounting as
+ * live trading.
+ *
+ * Candles: CSV with a header row (timestamp, open, high, low, close, volume)
+ * or JSON ([{ timestamp, open, high, low, close, volume }] or
+ * [[timestamp, open, high, low, close, volume]]). Timestamps may be ISO
+ * strings, epoch seconds or epoch milliseconds. With a volume, the candle's
+ * USDC volume is the liquidity the entry rules see.
+ *
+ * CLI:
+ *   node backtest.js --data candles.csv --strategy momentum \
+ *     --options '{"lookback":10}' --initial 1000 --fee-bps 30 --slippage-bps 10 [--json]
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { Portfolio } from './portfolio.js';
+import { MemoryStore } from './storage.js';
+import { createStrategy } from './strategies.js';
+
+const BACKTEST_WALLET = 'backtest';
+
+// Trades smaller than this (USDC or tokens) are skipped as dust
+const MIN_TRADE = 1e-9;
+
+/* ═══════════════════════════════════════════════════════════════════
+   CANDLE LOADING
+   ═══════════════════════════════════════════════════════════════════ */
+
+function toTimestamp(value) {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n; // epoch seconds or milliseconds
+  }
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid candle timestamp: ${value}`);
+  }
+  return ms;
+}
+
+function toCandle(raw) {
+  const [timestamp, open, high, low, close, volume] = Array.isArray(raw)
+    ? raw
+    : [raw.timestamp ?? raw.time ?? raw.date, raw.open, raw.high, raw.low, raw.close, raw.volume];
+
+  const candle = {
+    timestamp: toTimestamp(timestamp),
+    open: Number(open ?? close),
+    high: Number(high ?? close),
+    low: Number(low ?? close),
+    close: Number(close),
+    volume: volume === undefined || volume === null || volume === '' ? null : Number(volume),
+  };
+
+  if (!(candle.close > 0)) {
+    throw new Error(`Invalid candle close at ${new Date(candle.timestamp).toISOString()}: ${close}`);
+  }
+  return candle;
+}
+
+/**
+ * Parse OHLCV candles
+ * @param {string|Array} data - CSV text, JSON text, or an array of candles
+ * @returns {Array} Candles sorted oldest first ({ timestamp (ms), open, high, low, close, volume })
+ */
+export function parseCandles(data) {
+  let rows;
+
+  if (Array.isArray(data)) {
+    rows = data;
+  } else if (/^\s*[[{]/.test(data)) {
+    const parsed = JSON.parse(data);
+    rows = Array.isArray(parsed) ? parsed : parsed.candles;
+  } else {
+    const [header, ...lines] = data.trim().split(/\r?\n/);
+    const columns = header.split(',').map(c => c.trim().toLowerCase());
+    rows = lines
+      .filter(line => line.trim())
+      .map(line => Object.fromEntries(line.split(',').map((value, i) => [columns[i], value.trim()])));
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('No candles to backtest');
+  }
+  return rows.map(toCandle).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Load OHLCV candles from a CSV or JSON file
+ * @param {string} filePath - Path to the file
+ * @returns {Array} Candles (see parseCandles)
+ */
+export function loadCandles(filePath) {
+  return parseCandles(fs.readFileSync(filePath, 'utf8'));
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   BACKTESTER
+   ═══════════════════════════════════════════════════════════════════ */
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+export class Backtester {
+  /**
+   * @param {Object} config - { strategy (name or instance), strategyOptions, agent (use its strategy and
+   *   maxSlippage), token, network, initialUSDC (default 1000), feeBps (default 30), slippageBps (default 10),
+   *   maxSlippage (entry rules' price impact limit, default 0.01) }
+   * @throws {Error} If initialUSDC is not positive, or a fee or slippage is negative or not a number
+   */
+  constructor(config = {}) {
+    this.strategy = config.agent?.strategy || createStrategy(config.strategy || 'conservative', config.strategyOptions);
+    this.token = config.token || 'TOKEN';
+    this.network = config.network || config.agent?.network || 'backtest';
+    this.initialUSDC = config.initialUSDC ?? 1000;
+    this.feeBps = config.feeBps ?? 30;
+    this.slippageBps = config.slippageBps ?? 10;
+    this.maxSlippage = config.maxSlippage ?? config.agent?.maxSlippage ?? 0.01;
+
+    if (!isNonNegative(this.initialUSDC) || this.initialUSDC === 0) {
+      throw new Error(`Invalid initialUSDC: ${config.initialUSDC} (must be a positive number)`);
+    }
+    for (const field of ['feeBps', 'slippageBps', 'maxSlippage']) {
+      if (!isNonNegative(this[field])) {
+        throw new Error(`Invalid ${field}: ${this[field]} (must be a non-negative number)`);
+      }
+    }
+  }
+
+  /**
+   * Replay the strategy over candles
+   * @param {Array|string} candles - Candles, or CSV/JSON text (see parseCandles)
+   * @param {Object} options - { equityCurve } (include the per-candle equity curve)
+   * @returns {Object} Report: PnL, drawdown, win rate, fees and the trade log
+   */
+  async run(candles, options = {}) {
+    candles = parseCandles(candles);
+
+    const portfolio = new Portfolio({ store: new MemoryStore() });
+    const fee = this.feeBps / 10000;
+    const slip = this.slippageBps / 10000;
+
+    const prices = [];
+    const trades = [];
+    const equityCurve = [];
+    let cash = this.initialUSDC;
+    let feesUSDC = 0;
+    let lastBuyAt = null;
+    let peak = this.initialUSDC;
+    let maxDrawdownUSDC = 0;
+    let maxDrawdownPct = 0;
+    let rejected = 0;
+
+    for (const candle of candles) {
+      const { timestamp, close: price } = candle;
+      prices.push({ timestamp, price });
+
+      const [position = null] = await portfolio.getPositions({ wallet: BACKTEST_WALLET, includeClosed: false });
+      const decision = await this.strategy.decide({
+        token: this.token,
+        network: this.network,
+        now: timestamp,
+        price,
+        prices: [...prices],
+        position,
+        lastBuyAt,
+      });
+
+      if (decision.action === 'buy') {
+        const amount = Math.min(decision.amount, cash);
+        const entry = amount > MIN_TRADE && await this.strategy.evaluateEntry({
+          token: this.token,
+          quote: {
+            priceImpact: slip,
+            liquidity: candle.volume === null ? null : candle.volume * price,
+            volatility: null,
+          },
+          amount,
+          slippage: this.maxSlippage,
+          position,
+        });
+
+        if (entry?.approved) {
+          const fillPrice = price * (1 + slip);
+          const feeUSDC = amount * fee;
+          const quantity = (amount - feeUSDC) / fillPrice;
+
+          cash -= amount;
+          feesUSDC += feeUSDC;
+          lastBuyAt = timestamp;
+          await portfolio.recordFill({
+            wallet: BACKTEST_WALLET, network: this.network, token: this.token, side: 'buy',
+            quantity, valueUSDC: amount, source: 'backtest', timestamp,
+          });
+          trades.push({ timestamp, side: 'buy', price: fillPrice, quantity, valueUSDC: amount, feeUSDC, reason: decision.reason });
+        } else if (entry) {
+          rejected++;
+        }
+      }
+
+      if (decision.action === 'sell' && position) {
+        const quantity = Math.min(decision.amount, position.quantity);
+
+        if (quantity > MIN_TRADE) {
+          const fillPrice = price * (1 - slip);
+          const gross = quantity * fillPrice;
+          const feeUSDC = gross * fee;
+          const proceeds = gross - feeUSDC;
+          const costBasis = position.avgEntryPrice * quantity;
+
+          cash += proceeds;
+          feesUSDC += feeUSDC;
+          await portfolio.recordFill({
+            wallet: BACKTEST_WALLET, network: this.network, token: this.token, side: 'sell',
+            quantity, valueUSDC: proceeds, source: 'backtest', timestamp,
+          });
+          trades.push({
+            timestamp, side: 'sell', price: fillPrice, quantity, valueUSDC: proceeds, feeUSDC,
+            pnlUSDC: proceeds - costBasis, reason: decision.reason,
+          });
+        }
+      }
+
+      // Mark to the close
+      const [open = null] = await portfolio.getPositions({ wallet: BACKTEST_WALLET, includeClosed: false });
+      const equity = cash + (open ? open.quantity * price : 0);
+      peak = Math.max(peak, equity);
+      maxDrawdownUSDC = Math.max(maxDrawdownUSDC, peak - equity);
+      maxDrawdownPct = Math.max(maxDrawdownPct, (peak - equity) / peak);
+      equityCurve.push({ timestamp, equity });
+    }
+
+    const first = candles[0];
+    const last = candles[candles.length - 1];
+    const [position = null] = await portfolio.getPositions({ wallet: BACKTEST_WALLET });
+    const finalEquityUSDC = equityCurve[equityCurve.length - 1].equity;
+    const closed = trades.filter(t => t.side === 'sell');
+
+    return {
+      strategy: this.strategy.name,
+      token: this.token,
+      candles: candles.length,
+      start: new Date(first.timestamp).toISOString(),
+      end: new Date(last.timestamp).toISOString(),
+      initialUSDC: this.initialUSDC,
+      finalEquityUSDC,
+      cashUSDC: cash,
+      pnlUSDC: finalEquityUSDC - this.initialUSDC,
+      returnPct: (finalEquityUSDC / this.initialUSDC - 1) * 100,
+      buyAndHoldReturnPct: (last.close / first.close - 1) * 100,
+      realizedPnlUSDC: position?.realizedPnlUSDC || 0,
+      unrealizedPnlUSDC: position?.quantity ? position.quantity * last.close - position.costBasisUSDC : 0,
+      openQuantity: position?.quantity || 0,
+      feesUSDC,
+      maxDrawdownUSDC,
+      maxDrawdownPct: maxDrawdownPct * 100,
+      totalTrades: trades.length,
+      closedTrades: closed.length,
+      winRate: closed.length ? closed.filter(t => t.pnlUSDC > 0).length / closed.length : null,
+      rejectedEntries: rejected,
+      trades: trades.map(t => ({ ...t, timestamp: new Date(t.timestamp).toISOString() })),
+      equityCurve: options.equityCurve
+        ? equityCurve.map(e => ({ ...e, timestamp: new Date(e.timestamp).toISOString() }))
+        : undefined,
+    };
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   CLI
+   ═══════════════════════════════════════════════════════════════════ */
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values: args } = parseArgs({
+    options: {
+      data: { type: 'string' },
+      strategy: { type: 'string', default: 'momentum' },
+      options: { type: 'string', default: '{}' },
+      token: { type: 'string' },
+      initial: { type: 'string', default: '1000' },
+      'fee-bps': { type: 'string', default: '30' },
+      'slippage-bps': { type: 'string', default: '10' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!args.data) {
+    console.error('Usage: node backtest.js --data candles.csv [--strategy momentum] [--options \'{"lookback":10}\']');
+    console.error('       [--token SYMBOL] [--initial 1000] [--fee-bps 30] [--slippage-bps 10] [--json]');
+    process.exit(1);
+  }
+
+  try {
+    const backtester = new Backtester({
+      strategy: args.strategy,
+      strategyOptions: JSON.parse(args.options),
+      token: args.token,
+      initialUSDC: Number(args.initial),
+      feeBps: Number(args['fee-bps']),
+      slippageBps: Number(args['slippage-bps']),
+    });
+    const report = await backtester.run(loadCandles(args.data));
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      for (const t of report.trades) {
+        const pnl = t.pnlUSDC === undefined ? '' : ` pnl ${t.pnlUSDC.toFixed(2)}`;
+        console.log(`   ${t.timestamp} ${t.side.padEnd(4)} ${t.quantity.toFixed(6)} @ ${t.price.toFixed(6)}${pnl} (${t.reason})`);
+      }
+      console.log(`🤖 Backtest ${report.strategy} on ${report.token}: ${report.candles} candles, ${report.start} → ${report.end}`);
+      console.log(`💰 Equity ${report.initialUSDC} → ${report.finalEquityUSDC.toFixed(2)} USDC (${report.returnPct.toFixed(2)}%, buy & hold ${report.buyAndHoldReturnPct.toFixed(2)}%)`);
+      console.log(`   Realized ${report.realizedPnlUSDC.toFixed(2)} · unrealized ${report.unrealizedPnlUSDC.toFixed(2)} · fees ${report.feesUSDC.toFixed(2)} USDC`);
+      console.log(`   Max drawdown ${report.maxDrawdownPct.toFixed(2)}% (${report.maxDrawdownUSDC.toFixed(2)} USDC)`);
+      console.log(`   Trades ${report.totalTrades}, closed ${report.closedTrades}, win rate ${report.winRate === null ? '—' : `${(report.winRate * 100).toFixed(1)}%`}`);
+    }
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+  }
+}
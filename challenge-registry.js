@@ -0,0 +1,254 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A X402 CHALLENGE REGISTRY
+ * Nonce-bound challenges with expiry and replay protection
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Every challenge the server issues is stamped with a nonce, an
+ * expiry and the resource it covers, and remembered here. A payment
+ * proof must echo a known, unexpired, unconsumed nonce that was issued
+ * for the same resource and amount, and be paid on one of the networks
+ * the challenge offered; once accepted, the nonce and the transaction it
+ * was paid with can never be used again.
+ *
+ * Used transactions are persisted (USED_TX_STORE_PATH), so a restart does
+ * not reopen old payments for replay, and a transaction mined before its
+ * challenge was issued is refused: it paid for something else.
+ */
+
+import { openFileStore } from './storage.js';
+import { generateNonce, generateRequestId } from './generateRequest.js';
+
+const DEFAULT_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const BLOCK_TIME_SKEW_MS = 60 * 1000; // Block timestamps may trail the server clock
+
+export const CHALLENGE_ERRORS = {
+  MISSING_NONCE: 'missing_nonce',
+  UNKNOWN_NONCE: 'unknown_nonce',
+  EXPIRED: 'challenge_expired',
+  CONSUMED: 'challenge_consumed',
+  RESOURCE_MISMATCH: 'resource_mismatch',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  NETWORK_NOT_OFFERED: 'network_not_offered',
+  TX_ALREADY_USED: 'tx_already_used',
+  TX_PREDATES_CHALLENGE: 'tx_predates_challenge',
+};
+
+function reject(invalidReason, message) {
+  return { isValid: false, invalidReason, message };
+}
+
+/**
+ * Canonical form of a transaction reference: EVM hashes are
+ * case-insensitive hex, Solana signatures are case-sensitive base58
+ * @param {string} txRef - Transaction hash or signature
+ * @returns {string|null} Normalized reference
+ */
+function normalizeTxRef(txRef) {
+  if (!txRef) return null;
+  const ref = String(txRef).trim();
+  return /^0x[0-9a-f]+$/i.test(ref) ? ref.toLowerCase() : ref;
+}
+
+export class ChallengeRegistry {
+  constructor(config = {}) {
+    this.ttlMs = config.ttlMs || DEFAULT_CHALLENGE_TTL_MS;
+    this.challenges = new Map(); // nonce → record
+    this.usedTransactions = config.store || openFileStore(
+      config.storePath || process.env.USED_TX_STORE_PATH || './data/used-transactions.json'
+    );
+    this.pendingTransactions = new Set(); // Refs of claims still being verified
+  }
+
+  /**
+   * Stamp a challenge with a nonce, expiry and resource, and remember it
+   * @param {Object} challenge - Challenge from X402ChallengeBuilder.buildChallenge
+   * @param {Object} binding - { resource, ttlMs }
+   * @returns {Object} The stamped challenge
+   */
+  issue(challenge, binding) {
+    const { resource, ttlMs = this.ttlMs } = binding;
+
+    this.prune();
+
+    const nonce = generateNonce(24);
+    const challengeId = generateRequestId();
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + ttlMs;
+
+    challenge.metadata = {
+      ...challenge.metadata,
+      challengeId,
+      nonce,
+      resource,
+      expiresAt,
+    };
+
+    for (const requirement of challenge.accepts) {
+      requirement.resource = resource;
+      requirement.maxTimeoutSeconds = Math.ceil(ttlMs / 1000);
+    }
+
+    this.challenges.set(nonce, {
+      challengeId,
+      nonce,
+      resource,
+      challenge,
+      issuedAt,
+      expiresAt,
+      status: 'issued',
+    });
+
+    return challenge;
+  }
+
+  /**
+   * Claim the challenge a payment proof refers to.
+   * A claimed challenge (and the transaction it names) cannot be claimed
+   * again until released.
+   * @param {Object} payment - Decoded X-PAYMENT header
+   * @param {Object} binding - { resource, amount } the current request would charge
+   * @returns {Object} { isValid, record, requirement } or a structured rejection,
+   *   where requirement is the accepts entry for the network the proof was paid on
+   */
+  async claim(payment, binding) {
+    const nonce = payment?.payload?.nonce;
+    if (!nonce) {
+      return reject(CHALLENGE_ERRORS.MISSING_NONCE, 'Payment proof does not reference a challenge nonce');
+    }
+
+    const record = this.challenges.get(nonce);
+    if (!record) {
+      return reject(CHALLENGE_ERRORS.UNKNOWN_NONCE, 'Challenge nonce was not issued by this server');
+    }
+
+    if (record.status !== 'issued') {
+      return reject(CHALLENGE_ERRORS.CONSUMED, 'Challenge has already been used');
+    }
+
+    if (Date.now() > record.expiresAt) {
+      return reject(CHALLENGE_ERRORS.EXPIRED, 'Challenge has expired');
+    }
+
+    if (record.resource !== binding.resource) {
+      return reject(
+        CHALLENGE_ERRORS.RESOURCE_MISMATCH,
+        `Challenge was issued for ${record.resource}, not ${binding.resource}`
+      );
+    }
+
+    const { accepts } = record.challenge;
+    const requirement = payment.network
+      ? accepts.find(r => r.network === payment.network)
+      : accepts.length === 1 && accepts[0];
+    if (!requirement) {
+      return reject(
+        CHALLENGE_ERRORS.NETWORK_NOT_OFFERED,
+        `Challenge offered ${accepts.map(r => r.network).join(', ')}, not ${payment.network}`
+      );
+    }
+
+    // The price the challenge was issued at (the top of a range, or a dynamic suggestion)
+    const requiredAmount = requirement.maxAmountRequired ?? requirement.suggestedAmount;
+    if (binding.amount !== undefined && String(requiredAmount) !== String(binding.amount)) {
+      return reject(
+        CHALLENGE_ERRORS.AMOUNT_MISMATCH,
+        `Challenge was issued for ${requiredAmount}, not ${binding.amount}`
+      );
+    }
+
+    // Reserve the transaction before the first await so concurrent claims can't share it
+    const txRef = normalizeTxRef(payment.payload.txHash || payment.payload.txSignature);
+    if (txRef && this.pendingTransactions.has(txRef)) {
+      return reject(CHALLENGE_ERRORS.TX_ALREADY_USED, `Transaction ${txRef} is already paying for a challenge`);
+    }
+
+    record.status = 'claimed';
+    record.txRef = txRef;
+    if (txRef) {
+      this.pendingTransactions.add(txRef);
+      if (await this.usedTransactions.get(txRef)) {
+        this.release(nonce);
+        return reject(CHALLENGE_ERRORS.TX_ALREADY_USED, `Transaction ${txRef} has already paid for a challenge`);
+      }
+    }
+
+    return { isValid: true, record, requirement };
+  }
+
+  /**
+   * Refuse a verified payment that was mined before its challenge was issued
+   * @param {Object} record - Claimed challenge record
+   * @param {Object} verification - Verifier result; blockTime in unix seconds
+   *   (settled authorizations have none and are single-use on-chain)
+   * @returns {Object} The verification, or a structured rejection
+   */
+  checkPaymentTime(record, verification) {
+    const { blockTime } = verification;
+    if (blockTime === undefined || blockTime === null) {
+      return verification;
+    }
+
+    if (blockTime * 1000 < record.issuedAt - BLOCK_TIME_SKEW_MS) {
+      return reject(
+        CHALLENGE_ERRORS.TX_PREDATES_CHALLENGE,
+        `Transaction was mined at ${new Date(blockTime * 1000).toISOString()}, before the challenge was issued`
+      );
+    }
+
+    return verification;
+  }
+
+  /**
+   * Release a claimed challenge after a failed verification so it can be retried
+   * @param {string} nonce - Challenge nonce
+   */
+  release(nonce) {
+    const record = this.challenges.get(nonce);
+    if (record && record.status === 'claimed') {
+      record.status = 'issued';
+      this.pendingTransactions.delete(record.txRef);
+      record.txRef = null;
+    }
+  }
+
+  /**
+   * Mark a challenge and its paying transaction as used
+   * @param {string} nonce - Challenge nonce
+   * @param {string} txRef - Transaction hash or signature that paid it
+   *   (the settlement transaction for authorizations)
+   */
+  async consume(nonce, txRef) {
+    const record = this.challenges.get(nonce);
+    const ref = normalizeTxRef(txRef);
+
+    if (ref) {
+      await this.usedTransactions.put(ref, {
+        txRef: ref,
+        challengeId: record?.challengeId || null,
+        resource: record?.resource || null,
+        usedAt: new Date().toISOString(),
+      });
+    }
+
+    if (record) {
+      this.pendingTransactions.delete(record.txRef);
+      record.status = 'consumed';
+      record.consumedAt = Date.now();
+      record.txRef = ref;
+    }
+  }
+
+  /**
+   * Drop records that expired more than one TTL ago.
+   * Used transaction references are kept in the store so they can never be replayed.
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [nonce, record] of this.challenges.entries()) {
+      if (record.expiresAt < cutoff) {
+        this.challenges.delete(nonce);
+      }
+    }
+  }
+}
@@ -0,0 +1,745 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A COMMAND PARSER
+ * Natural-language payment commands → intent, entities, missing slots
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Three stages:
+ * 1. tokenize()   words, numbers (digits or words: "twenty five"), money
+ *                 ("$5", "5usdc"), URLs and paths, wallet addresses,
+ *                 schedule ids, clock times ("3pm", "15:00") and dates
+ * 2. entities     amount + currency, resource, token, recipient, time
+ *                 expression, recurrence, schedule id
+ * 3. intent       the first command verb decides ("buy SOL to pay fees"
+ *                 is a purchase); paying at a future time or on a
+ *                 recurrence is a schedule
+ *
+ * parseCommand() returns
+ *   { text, intent, confidence (0-1), params, entities, missing: [{ slot, question }] }
+ * where params are ready for the agent (payment amounts in USDC base
+ * units) and missing lists the required slots the command left out.
+ *
+ * Intents and their required slots:
+ *   pay_now           amount, resource
+ *   schedule_payment  amount, resource, time (or a recurrence)
+ *   buy_token         token, amount (USDC to spend, or a token quantity: "buy 10 SOL")
+ *   cancel_schedule   scheduleId
+ */
+
+const USDC_UNIT = 1e6;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const INTENTS = {
+  PAY_NOW: 'pay_now',
+  SCHEDULE_PAYMENT: 'schedule_payment',
+  BUY_TOKEN: 'buy_token',
+  CANCEL_SCHEDULE: 'cancel_schedule',
+  UNKNOWN: 'unknown',
+};
+
+const REQUIRED_SLOTS = {
+  [INTENTS.PAY_NOW]: ['amount', 'resource'],
+  [INTENTS.SCHEDULE_PAYMENT]: ['amount', 'resource', 'time'],
+  [INTENTS.BUY_TOKEN]: ['token', 'amount'],
+  [INTENTS.CANCEL_SCHEDULE]: ['scheduleId'],
+  [INTENTS.UNKNOWN]: [],
+};
+
+const QUESTIONS = {
+  amount: 'How much, in USDC?',
+  resource: 'Which resource (URL or path) should I pay for?',
+  time: 'When should the payment run?',
+  token: 'Which token should I buy?',
+  scheduleId: 'Which scheduled payment should I cancel?',
+};
+
+// Command verbs → intent family
+const VERBS = {
+  pay: 'pay', send: 'pay', tip: 'pay', transfer: 'pay', settle: 'pay', subscribe: 'pay',
+  schedule: 'schedule', automate: 'schedule', plan: 'schedule', setup: 'schedule',
+  buy: 'buy', purchase: 'buy', acquire: 'buy', spend: 'buy', swap: 'buy', convert: 'buy', exchange: 'buy',
+  cancel: 'cancel', stop: 'cancel', delete: 'cancel', remove: 'cancel', unschedule: 'cancel', end: 'cancel',
+};
+
+// Wrapped native tokens; other symbols need an address (or options.tokens)
+const KNOWN_TOKENS = {
+  SOL: {
+    'solana-mainnet': 'So11111111111111111111111111111111111111112',
+    'solana-devnet': 'So11111111111111111111111111111111111111112',
+  },
+  ETH: {
+    'base-mainnet': '0x4200000000000000000000000000000000000006',
+    'base-sepolia': '0x4200000000000000000000000000000000000006',
+    'ethereum-mainnet': '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  },
+};
+KNOWN_TOKENS.WSOL = KNOWN_TOKENS.SOL;
+KNOWN_TOKENS.WETH = KNOWN_TOKENS.ETH;
+
+const UNITS = {
+  ONES: {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19,
+  },
+  TENS: { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 },
+  SCALES: { hundred: 100, thousand: 1000, million: 1000000 },
+};
+
+// Currency words; amounts in USD are paid 1:1 in USDC
+const CURRENCIES = {
+  usdc: { currency: 'USDC', scale: 1 },
+  usd: { currency: 'USDC', scale: 1 },
+  dollar: { currency: 'USDC', scale: 1 },
+  dollars: { currency: 'USDC', scale: 1 },
+  buck: { currency: 'USDC', scale: 1 },
+  bucks: { currency: 'USDC', scale: 1 },
+  cent: { currency: 'USDC', scale: 0.01 },
+  cents: { currency: 'USDC', scale: 0.01 },
+};
+
+const DURATIONS = {
+  minute: { ms: MINUTE_MS }, minutes: { ms: MINUTE_MS }, min: { ms: MINUTE_MS }, mins: { ms: MINUTE_MS },
+  hour: { ms: HOUR_MS }, hours: { ms: HOUR_MS }, hr: { ms: HOUR_MS }, hrs: { ms: HOUR_MS },
+  day: { ms: DAY_MS }, days: { ms: DAY_MS },
+  week: { ms: 7 * DAY_MS }, weeks: { ms: 7 * DAY_MS },
+  month: { ms: 30 * DAY_MS, months: 1 }, months: { ms: 30 * DAY_MS, months: 1 },
+  year: { ms: 365 * DAY_MS, months: 12 }, years: { ms: 365 * DAY_MS, months: 12 },
+};
+
+const RECURRENCE_ADVERBS = {
+  hourly: 'hour', daily: 'day', nightly: 'day', weekly: 'week', monthly: 'month', yearly: 'year', annually: 'year',
+};
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0, monday: 1, mon: 1, tuesday: 2, tue: 2, tues: 2, wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4, friday: 5, fri: 5, saturday: 6, sat: 6,
+};
+
+const MONTHS = {
+  january: 0, jan: 0, february: 1, feb: 1, march: 2, mar: 2, april: 3, apr: 3, may: 4, june: 5, jun: 5,
+  july: 6, jul: 6, august: 7, aug: 7, september: 8, sep: 8, sept: 8, october: 9, oct: 9,
+  november: 10, nov: 10, december: 11, dec: 11,
+};
+
+// Words that never name a token or a resource
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'some', 'my', 'me', 'i', 'it', 'this', 'that', 'of', 'for', 'to', 'on', 'in', 'at', 'by',
+  'with', 'using', 'worth', 'and', 'or', 'please', 'now', 'token', 'tokens', 'coin', 'coins', 'payment',
+  'payments', 'schedule', 'scheduled', 'every', 'each', 'per', 'next', 'today', 'tonight', 'tomorrow',
+  'into', 'from', 'all', 'more', 'up', 'again', 'then',
+]);
+
+/* ═══════════════════════════════════════════════════════════════════
+   TOKENIZER
+   ═══════════════════════════════════════════════════════════════════ */
+
+function parseNumber(text) {
+  const thousands = /k$/i.test(text);
+  const value = Number(text.replace(/k$/i, '').replace(/,/g, ''));
+  return thousands ? value * 1000 : value;
+}
+
+/**
+ * Classify one whitespace-separated chunk
+ * @returns {Array} Tokens ({ type, value, text })
+ */
+function classify(text) {
+  const lower = text.toLowerCase();
+  let match;
+
+  if (/^https?:\/\/\S+$/i.test(text) || /^\/[\w\-./?=&%~+]*$/.test(text)) {
+    return [{ type: 'url', value: text, text }];
+  }
+  if (/^sched_\w+$/.test(text)) {
+    return [{ type: 'schedule_id', value: text, text }];
+  }
+  if (/^0x[0-9a-fA-F]{40}$/.test(text) || /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(text)) {
+    return [{ type: 'address', value: text, text }];
+  }
+  if (/^@\w+$/.test(text)) {
+    return [{ type: 'handle', value: text, text }];
+  }
+  if ((match = /^\$(\d[\d,]*(?:\.\d+)?k?)$/i.exec(text) || /^(\d[\d,]*(?:\.\d+)?k?)\$$/i.exec(text))) {
+    return [{ type: 'money', value: parseNumber(match[1]), text }];
+  }
+  if ((match = /^(\d[\d,]*(?:\.\d+)?)(usdc|usd)$/i.exec(text))) {
+    return [
+      { type: 'number', value: parseNumber(match[1]), text: match[1] },
+      { type: 'word', value: match[2].toLowerCase(), text: match[2] },
+    ];
+  }
+  if (/^\d{4}-\d{2}-\d{2}(t[\d:.]+(z|[+-]\d{2}:?\d{2})?)?$/i.test(text)) {
+    return [{ type: 'date', value: new Date(text), text }];
+  }
+  if ((match = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/i.exec(text))) {
+    return [{ type: 'clock', value: clockTime(match[1], match[2], match[3]), text }];
+  }
+  if ((match = /^(\d{1,2}):(\d{2})$/.exec(text))) {
+    return [{ type: 'clock', value: clockTime(match[1], match[2]), text }];
+  }
+  if ((match = /^(\d+)(st|nd|rd|th)$/i.exec(text))) {
+    return [{ type: 'number', value: Number(match[1]), text, ordinal: true }];
+  }
+  if (/^\d[\d,]*(\.\d+)?k?$/i.test(text)) {
+    return [{ type: 'number', value: parseNumber(text), text }];
+  }
+  if (lower === 'noon' || lower === 'midnight') {
+    return [{ type: 'clock', value: { hours: lower === 'noon' ? 12 : 0, minutes: 0 }, text }];
+  }
+  return [{ type: 'word', value: lower, text }];
+}
+
+function clockTime(hours, minutes = '0', meridiem = null) {
+  let h = Number(hours) % (meridiem ? 12 : 24);
+  if (meridiem?.toLowerCase() === 'pm') {
+    h += 12;
+  }
+  return { hours: h, minutes: Number(minutes) };
+}
+
+function isNumberWord(token) {
+  return token.type === 'word' &&
+    (token.value in UNITS.ONES || token.value in UNITS.TENS || token.value in UNITS.SCALES);
+}
+
+/**
+ * Merge spelled-out numbers ("one hundred and twenty five") into number tokens
+ */
+function mergeNumberWords(tokens) {
+  const merged = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    // "a hundred", "a thousand"
+    const article = ['a', 'an'].includes(tokens[i].value) && tokens[i + 1]?.value in UNITS.SCALES;
+    if (!isNumberWord(tokens[i]) && !article) {
+      merged.push(tokens[i]);
+      continue;
+    }
+
+    let total = 0;
+    let current = article ? 1 : 0;
+    const start = i;
+    if (article) {
+      i++;
+    }
+
+    for (; i < tokens.length; i++) {
+      const { value } = tokens[i];
+      if (value in UNITS.ONES) {
+        current += UNITS.ONES[value];
+      } else if (value in UNITS.TENS) {
+        current += UNITS.TENS[value];
+      } else if (value in UNITS.SCALES) {
+        current = (current || 1) * UNITS.SCALES[value];
+        if (UNITS.SCALES[value] >= 1000) {
+          total += current;
+          current = 0;
+        }
+      } else if (value === 'and' && isNumberWord(tokens[i + 1] || {})) {
+        continue;
+      } else {
+        break;
+      }
+    }
+    i--;
+
+    merged.push({
+      type: 'number',
+      value: total + current,
+      text: tokens.slice(start, i + 1).map(t => t.text).join(' '),
+    });
+  }
+
+  // "3 pm"
+  return merged.reduce((out, token) => {
+    const previous = out[out.length - 1];
+    if (token.type === 'word' && ['am', 'pm'].includes(token.value) && previous?.type === 'number' && previous.value <= 12) {
+      out[out.length - 1] = { type: 'clock', value: clockTime(previous.value, 0, token.value), text: `${previous.text} ${token.text}` };
+    } else {
+      out.push(token);
+    }
+    return out;
+  }, []);
+}
+
+/**
+ * Split a command into typed tokens
+ * @param {string} command - Natural language command
+ * @returns {Array} Tokens ({ type, value, text, index })
+ */
+export function tokenize(command) {
+  const chunks = command
+    .replace(/[“”"]/g, ' ')
+    .split(/\s+/)
+    .map(chunk => chunk.replace(/^[([{'‘]+/, '').replace(/[)\]}'’,;:!?]+$/, '').replace(/\.+$/, ''))
+    .filter(Boolean);
+
+  return mergeNumberWords(chunks.flatMap(classify)).map((token, index) => ({ ...token, index }));
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   ENTITIES
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Amounts: "$5", "5 usdc", "five dollars", "50 cents"; "2 SOL" is a token amount
+ */
+function extractAmounts(tokens, used) {
+  const amounts = [];
+  const tokenAmounts = [];
+
+  for (const token of tokens) {
+    if (used.has(token.index)) {
+      continue;
+    }
+
+    if (token.type === 'money') {
+      used.add(token.index);
+      amounts.push({ value: token.value, currency: 'USDC', text: token.text, index: token.index });
+      continue;
+    }
+
+    const next = tokens[token.index + 1];
+    const quantity = token.type === 'number' ? token.value
+      : (['a', 'an'].includes(token.value) && next?.value in CURRENCIES ? 1 : null);
+    if (quantity === null || token.ordinal || !next || next.type !== 'word') {
+      continue;
+    }
+
+    if (next.value in CURRENCIES) {
+      const { currency, scale } = CURRENCIES[next.value];
+      used.add(token.index).add(next.index);
+      amounts.push({
+        value: scale === 1 ? quantity : Math.round(quantity * scale * USDC_UNIT) / USDC_UNIT,
+        currency,
+        text: `${token.text} ${next.text}`,
+        index: token.index,
+      });
+    } else if (token.type === 'number' && isSymbol(next) && !(next.value in DURATIONS)) {
+      tokenAmounts.push({ value: quantity, symbol: next.text.toUpperCase(), index: token.index });
+    }
+  }
+
+  return { amounts, tokenAmounts };
+}
+
+function isSymbol(token) {
+  return token?.type === 'word' && /^[a-z][a-z0-9]{1,9}$/.test(token.value) &&
+    !STOPWORDS.has(token.value) && !(token.value in CURRENCIES) && !(token.value in VERBS) &&
+    !(token.value in WEEKDAYS) && !(token.value in MONTHS) && !(token.value in RECURRENCE_ADVERBS);
+}
+
+/**
+ * Recurrence: "daily", "every week", "every 2 hours", "every other day", "every friday", "per month"
+ */
+function extractRecurrence(tokens, used) {
+  for (const token of tokens) {
+    const { value } = token;
+
+    if (value in RECURRENCE_ADVERBS) {
+      used.add(token.index);
+      const unit = RECURRENCE_ADVERBS[value];
+      return { interval: DURATIONS[unit].ms, every: 1, unit, text: token.text };
+    }
+
+    if (!['every', 'each', 'per'].includes(value)) {
+      continue;
+    }
+
+    let i = token.index + 1;
+    let every = 1;
+    if (tokens[i]?.value === 'other') {
+      every = 2;
+      i++;
+    } else if (tokens[i]?.type === 'number') {
+      every = tokens[i].value;
+      i++;
+    }
+
+    const unitToken = tokens[i];
+    const text = tokens.slice(token.index, i + 1).map(t => t.text).join(' ');
+    if (unitToken?.value in DURATIONS) {
+      tokens.slice(token.index, i + 1).forEach(t => used.add(t.index));
+      const unit = unitToken.value.replace(/s$/, '');
+      return { interval: DURATIONS[unitToken.value].ms * every, every, unit, text };
+    }
+    if (unitToken?.value in WEEKDAYS) {
+      tokens.slice(token.index, i + 1).forEach(t => used.add(t.index));
+      return { interval: 7 * DAY_MS * every, every, unit: 'week', weekday: WEEKDAYS[unitToken.value], text };
+    }
+  }
+  return null;
+}
+
+function nextWeekday(from, weekday, skipToday = true) {
+  const date = new Date(from);
+  let days = (weekday - date.getDay() + 7) % 7;
+  if (days === 0 && skipToday) {
+    days = 7;
+  }
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+/**
+ * Time expressions: "now", "tomorrow at 9am", "in 2 hours", "next friday",
+ * "on nov 10th", "2025-11-10", "at 15:00"; a time of day already past means tomorrow
+ */
+function extractTime(tokens, used, now, recurrence) {
+  let date = null; // Day (and time, for offsets) the expression names
+  let clock = null; // { hours, minutes }
+  let immediate = false;
+  const parts = [];
+  const use = (...matched) => {
+    matched.forEach(t => used.add(t.index));
+    parts.push(matched.map(t => t.text).join(' '));
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+    if (used.has(token.index)) {
+      continue;
+    }
+
+    if (token.value === 'now' || token.value === 'immediately') {
+      immediate = true;
+      use(token);
+    } else if (token.value === 'today') {
+      date = new Date(now);
+      use(token);
+    } else if (token.value === 'tonight') {
+      date = new Date(now);
+      clock = clock || { hours: 20, minutes: 0 };
+      use(token);
+    } else if (token.value === 'tomorrow') {
+      date = new Date(now);
+      date.setDate(date.getDate() + 1);
+      use(token);
+    } else if ((token.value === 'next' || token.value === 'this') && next?.value in WEEKDAYS) {
+      date = nextWeekday(now, WEEKDAYS[next.value], token.value === 'next');
+      use(token, next);
+      i++;
+    } else if (token.value === 'next' && next?.value in DURATIONS) {
+      date = new Date(now);
+      const duration = DURATIONS[next.value];
+      if (duration.months) {
+        date.setMonth(date.getMonth() + duration.months);
+      } else {
+        date = new Date(now.getTime() + duration.ms);
+      }
+      use(token, next);
+      i++;
+    } else if (token.value === 'in' && (next?.type === 'number' || ['a', 'an'].includes(next?.value)) &&
+      tokens[i + 2]?.value in DURATIONS) {
+      const count = next.type === 'number' ? next.value : 1;
+      const duration = DURATIONS[tokens[i + 2].value];
+      date = new Date(now);
+      if (duration.months) {
+        date.setMonth(date.getMonth() + duration.months * count);
+      } else {
+        date = new Date(now.getTime() + duration.ms * count);
+      }
+      use(token, next, tokens[i + 2]);
+      i += 2;
+    } else if (token.value in WEEKDAYS) {
+      date = nextWeekday(now, WEEKDAYS[token.value]);
+      use(...(tokens[i - 1]?.value === 'on' ? [tokens[i - 1], token] : [token]));
+    } else if (token.value in MONTHS && (next?.type === 'number' || tokens[i - 1]?.type === 'number')) {
+      // "nov 10", "10th of november", "10 november"
+      const dayToken = next?.type === 'number' ? next : tokens[i - 1];
+      date = new Date(now);
+      date.setMonth(MONTHS[token.value], dayToken.value);
+      if (date.getTime() < now.getTime() - DAY_MS) {
+        date.setFullYear(date.getFullYear() + 1);
+      }
+      use(...[tokens[i - 1]?.value === 'on' ? tokens[i - 1] : null, dayToken, token].filter(Boolean).sort((a, b) => a.index - b.index));
+      if (dayToken === next) {
+        i++;
+      }
+    } else if (token.type === 'date' && !Number.isNaN(token.value.getTime())) {
+      date = new Date(token.value);
+      if (!/t/i.test(token.text)) {
+        // Date only: that day at the current time of day, like "tomorrow"
+        date = new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), now.getHours(), now.getMinutes());
+      } else {
+        clock = null;
+      }
+      use(...(tokens[i - 1]?.value === 'on' ? [tokens[i - 1], token] : [token]));
+    } else if (token.type === 'clock') {
+      clock = token.value;
+      use(...(tokens[i - 1]?.value === 'at' ? [tokens[i - 1], token] : [token]));
+    } else if (token.value === 'at' && next?.type === 'number' && next.value <= 24 && !(tokens[i + 2]?.value in CURRENCIES)) {
+      clock = { hours: next.value % 24, minutes: 0 };
+      use(token, next);
+      i++;
+    }
+  }
+
+  // "every friday" starts on the next friday
+  const weekly = !date && recurrence?.weekday !== undefined;
+  if (weekly) {
+    date = nextWeekday(now, recurrence.weekday, false);
+  }
+  if (!date && !clock && !immediate) {
+    return null;
+  }
+
+  const executeAt = new Date(date || now);
+  if (clock) {
+    executeAt.setHours(clock.hours, clock.minutes, 0, 0);
+  }
+  // A time of day that already passed means the next day it comes round
+  if (clock && executeAt.getTime() <= now.getTime() && (!date || weekly)) {
+    executeAt.setDate(executeAt.getDate() + (weekly ? 7 : 1));
+  }
+
+  return {
+    executeAt: executeAt.toISOString(),
+    immediate: immediate && !date && !clock,
+    text: parts.join(' '),
+  };
+}
+
+/**
+ * Resource: a URL or path, else the phrase after "for" / "to access" ("for weather data")
+ */
+function extractResource(tokens, used) {
+  const url = tokens.find(t => t.type === 'url' && !used.has(t.index));
+  if (url) {
+    used.add(url.index);
+    return { url: url.value, description: null, text: url.text };
+  }
+
+  const start = tokens.findIndex((t, i) => !used.has(i) &&
+    (t.value === 'for' || (t.value === 'access' && tokens[i - 1]?.value === 'to')));
+  if (start === -1) {
+    return null;
+  }
+
+  const words = [];
+  for (const token of tokens.slice(start + 1)) {
+    if (used.has(token.index) || token.type !== 'word' ||
+      ['every', 'each', 'per', 'on', 'at', 'in', 'next', 'starting', 'from', 'with', 'using', 'to'].includes(token.value)) {
+      break;
+    }
+    words.push(token);
+  }
+  while (words.length && ['the', 'a', 'an', 'my', 'some'].includes(words[0].value)) {
+    words.shift();
+  }
+  if (!words.length) {
+    return null;
+  }
+
+  words.forEach(t => used.add(t.index));
+  const description = words.map(t => t.text).join(' ');
+  return { url: null, description, text: description };
+}
+
+/**
+ * Recipient: "to <address>" or "to @handle" (or a bare address, or a handle right after pay/send/tip)
+ */
+function extractRecipient(tokens, used, verbFamily) {
+  for (const token of tokens) {
+    if (used.has(token.index) || !['address', 'handle'].includes(token.type)) {
+      continue;
+    }
+    const afterPayVerb = VERBS[tokens[token.index - 1]?.value] === 'pay'; // "tip @alice"
+    if (tokens[token.index - 1]?.value === 'to' || (verbFamily === 'pay' && (token.type === 'address' || afterPayVerb))) {
+      used.add(token.index);
+      return { address: token.type === 'address' ? token.value : null, handle: token.type === 'handle' ? token.value : null, text: token.text };
+    }
+  }
+  return null;
+}
+
+/**
+ * Token to buy: an address, or a symbol in a purchase frame
+ * ("buy SOL", "10 USDC worth of BONK", "spend $5 on JUP", "swap 5 usdc into ETH", "2 SOL")
+ */
+function extractToken(tokens, used, tokenAmounts) {
+  const address = tokens.find(t => t.type === 'address' && !used.has(t.index));
+  if (address) {
+    used.add(address.index);
+    return { symbol: null, address: address.value, text: address.text };
+  }
+
+  const candidates = tokens.filter(t => !used.has(t.index) && isSymbol(t) && (
+    ['buy', 'purchase', 'acquire', 'of', 'on', 'into', 'to', 'for', 'some'].includes(tokens[t.index - 1]?.value) ||
+    ['token', 'tokens', 'coin', 'coins'].includes(tokens[t.index + 1]?.value) ||
+    tokenAmounts.some(a => a.index === t.index - 1) ||
+    t.text === t.text.toUpperCase()
+  ));
+  const token = candidates[0];
+  if (!token) {
+    return null;
+  }
+
+  used.add(token.index);
+  return { symbol: token.text.toUpperCase(), address: null, text: token.text };
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   GRAMMAR
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * The command's verb: the first verb in the command, with its position
+ * among the content words ("please", "can you", "i want to" don't count)
+ */
+function findVerb(tokens) {
+  const filler = new Set(['please', 'can', 'could', 'would', 'you', 'i', 'want', 'wanna', 'to', 'like', "i'd", 'id', 'go', 'ahead', 'and', 'kindly', 'hey', 'agent', 'set', 'let', "let's", 'lets', 'us']);
+  let position = 0;
+
+  for (const token of tokens) {
+    if (token.type === 'word' && token.value in VERBS) {
+      return { family: VERBS[token.value], token, leading: position === 0 };
+    }
+    if (token.value === 'set' && tokens[token.index + 1]?.value === 'up') {
+      return { family: 'schedule', token, leading: position === 0 };
+    }
+    if (!filler.has(token.value)) {
+      position++;
+    }
+  }
+  return null;
+}
+
+/**
+ * Address of a token symbol on a network
+ * @param {string} symbol - Token symbol (any case)
+ * @param {Object} options - { network, tokens (symbol → { network → address }) }
+ * @returns {string|null} Token address/mint
+ */
+export function resolveTokenSymbol(symbol, options = {}) {
+  const known = { ...KNOWN_TOKENS, ...options.tokens }[symbol.toUpperCase()];
+  return (options.network && known?.[options.network]) || null;
+}
+
+/**
+ * Parse a natural-language command
+ * @param {string} command - Natural language command
+ * @param {Object} options - { now (Date), network (to resolve token symbols), tokens (symbol → { network → address }) }
+ * @returns {Object} { text, intent, confidence, params, entities, missing }
+ */
+export function parseCommand(command, options = {}) {
+  const { now = new Date(), network = null } = options;
+  const tokens = tokenize(command || '');
+  const used = new Set();
+
+  const verb = findVerb(tokens);
+  if (verb) {
+    used.add(verb.token.index);
+  }
+
+  const scheduleIdToken = tokens.find(t => t.type === 'schedule_id');
+  if (scheduleIdToken) {
+    used.add(scheduleIdToken.index);
+  }
+  const recurrence = extractRecurrence(tokens, used);
+  const time = extractTime(tokens, used, now, recurrence);
+  const { amounts, tokenAmounts } = extractAmounts(tokens, used);
+  const recipient = extractRecipient(tokens, used, verb?.family);
+  const token = verb?.family === 'buy' || (!verb && tokenAmounts.length) ? extractToken(tokens, used, tokenAmounts) : null;
+  const resource = verb?.family === 'buy' ? null : extractResource(tokens, used);
+
+  const entities = {
+    amount: amounts[0] || null,
+    tokenAmount: tokenAmounts.find(a => a.symbol === token?.symbol) || null,
+    resource,
+    token,
+    recipient,
+    time,
+    recurrence,
+    scheduleId: scheduleIdToken?.value || null,
+  };
+  if (entities.token?.symbol) {
+    entities.token.address = resolveTokenSymbol(entities.token.symbol, options);
+  }
+
+  // Intent from the verb; paying later or repeatedly is scheduling
+  const future = time && !time.immediate && new Date(time.executeAt).getTime() > now.getTime() + MINUTE_MS;
+  let intent = INTENTS.UNKNOWN;
+  if (verb?.family === 'cancel') {
+    intent = INTENTS.CANCEL_SCHEDULE;
+  } else if (verb?.family === 'buy') {
+    intent = INTENTS.BUY_TOKEN;
+  } else if (verb?.family === 'schedule' || (verb?.family === 'pay' && (future || recurrence))) {
+    intent = INTENTS.SCHEDULE_PAYMENT;
+  } else if (verb?.family === 'pay') {
+    intent = INTENTS.PAY_NOW;
+  } else if (entities.amount && resource?.url) {
+    intent = future || recurrence ? INTENTS.SCHEDULE_PAYMENT : INTENTS.PAY_NOW;
+  }
+
+  // USDC has 6 decimals: "0.0000001 usdc" or "0 usdc" can't be paid
+  const payable = value => value > 0 && Math.abs(value * USDC_UNIT - Math.round(value * USDC_UNIT)) < 1e-6;
+  const unpayable = entities.amount && !payable(entities.amount.value) ? entities.amount : null;
+  const amountUSDC = unpayable ? null : entities.amount?.value ?? null;
+  const params = {
+    [INTENTS.PAY_NOW]: () => ({
+      amount: amountUSDC === null ? null : Math.round(amountUSDC * USDC_UNIT),
+      resource: resource?.url || null,
+      ...(recipient && { recipient: recipient.address || recipient.handle }),
+    }),
+    [INTENTS.SCHEDULE_PAYMENT]: () => ({
+      amount: amountUSDC === null ? null : Math.round(amountUSDC * USDC_UNIT),
+      resource: resource?.url || null,
+      executeAt: time?.executeAt || (recurrence ? now.toISOString() : null),
+      recurring: Boolean(recurrence),
+      interval: recurrence?.interval || null,
+    }),
+    [INTENTS.BUY_TOKEN]: () => ({
+      tokenMint: token?.address || null,
+      amountUSDC,
+      // "buy 10 BONK": a quantity of the token instead of a USDC amount
+      ...(amountUSDC === null && !unpayable && entities.tokenAmount && { tokenAmount: entities.tokenAmount.value }),
+    }),
+    [INTENTS.CANCEL_SCHEDULE]: () => ({
+      scheduleId: entities.scheduleId,
+    }),
+    [INTENTS.UNKNOWN]: () => ({}),
+  }[intent]();
+
+  const filled = {
+    amount: amountUSDC !== null || Boolean(params.tokenAmount),
+    resource: Boolean(params.resource),
+    time: Boolean(params.executeAt),
+    token: Boolean(params.tokenMint),
+    scheduleId: Boolean(params.scheduleId),
+  };
+  const required = REQUIRED_SLOTS[intent];
+  const missing = required.filter(slot => !filled[slot]).map(slot => ({
+    slot,
+    question: slot === 'amount' && unpayable
+      ? `${unpayable.text} isn't a payable USDC amount (the smallest is 0.000001). How much, in USDC?`
+      : slot === 'resource' && resource?.description
+      ? `Which URL or path is "${resource.description}"?`
+      : slot === 'token' && token?.symbol
+        ? `Which ${network ? `${network} ` : ''}address is ${token.symbol}?`
+        : QUESTIONS[slot],
+  }));
+
+  // Verb found (+ at the start), then the share of required slots filled
+  let confidence = 0;
+  if (intent !== INTENTS.UNKNOWN) {
+    const slotScore = required.length ? (required.length - missing.length) / required.length : 1;
+    confidence = (verb ? 0.5 + (verb.leading ? 0.1 : 0) : 0.3) + 0.4 * slotScore;
+  }
+
+  return {
+    text: command,
+    intent,
+    confidence: Math.round(confidence * 100) / 100,
+    params,
+    entities,
+    missing,
+  };
+}
+
+export { INTENTS, REQUIRED_SLOTS, QUESTIONS, KNOWN_TOKENS, DURATIONS };
@@ -0,0 +1,464 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A CONVERSATIONS
+ * Multi-turn command sessions for POST /api/agent/command
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * A session keeps one wallet's dialog with the agent:
+ * - pending   the action being put together. A command with missing
+ *             slots gets a follow-up question and the answers ("for
+ *             /api/weather", "10 usdc", "tomorrow at 9am") fill them in
+ * - confirm   a complete action only runs after an explicit "confirm";
+ *             "cancel" drops it, anything else edits or replaces it
+ * - history   actions that ran, for references: "do that again
+ *             tomorrow" repeats the last one, "cancel the last one"
+ *             cancels the latest payment scheduled in the session
+ *
+ * The network and paper-trading mode are fixed when a session starts.
+ * Sessions expire after CONVERSATION_TTL_MS (default 30 minutes) without
+ * a message, and expired ones are deleted whenever a session starts.
+ */
+
+import { openFileStore } from './storage.js';
+import { sameWallet } from './wallet-auth.js';
+import { tokenize, resolveTokenSymbol, INTENTS, REQUIRED_SLOTS, QUESTIONS } from './command-parser.js';
+
+const TURN_STATUS = {
+  NEEDS_INPUT: 'needs_input',
+  NEEDS_CONFIRMATION: 'needs_confirmation',
+  EXECUTED: 'executed',
+  PENDING_APPROVAL: 'pending_approval',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  NOT_UNDERSTOOD: 'not_understood',
+};
+
+const DEFAULT_CONVERSATION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const MAX_HISTORY = 20;
+const USDC_UNIT = 1e6;
+const MINUTE_MS = 60 * 1000;
+
+const CONFIRM = /^(yes,?\s+)?confirm(ed)?$/i;
+const ABORT = /^(no|nope|cancel|cancel (it|that)|abort|stop|never ?mind|forget (it|that))$/i;
+const REPEAT = /\b(again|repeat|same)\b/i;
+const REFERENCE = /\b(last|previous|latest|that|it)\b/i;
+
+const PAYMENT_INTENTS = [INTENTS.PAY_NOW, INTENTS.SCHEDULE_PAYMENT];
+
+/* ═══════════════════════════════════════════════════════════════════
+   ACTIONS
+   ═══════════════════════════════════════════════════════════════════ */
+
+function newActionId() {
+  return `act_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+}
+
+function formatInterval(ms) {
+  const units = [['week', 7 * 24 * 60], ['day', 24 * 60], ['hour', 60], ['minute', 1]];
+  const minutes = Math.round(ms / MINUTE_MS);
+  const [unit, size] = units.find(([, size]) => minutes % size === 0) || units[units.length - 1];
+  const count = Math.max(1, Math.round(minutes / size));
+  return count === 1 ? unit : `${count} ${unit}s`;
+}
+
+/**
+ * One-line description of an action, for confirmations and history
+ */
+function describe({ intent, params, label }) {
+  const usdc = amount => `${amount / USDC_UNIT} USDC`;
+
+  switch (intent) {
+    case INTENTS.PAY_NOW:
+      return `Pay ${usdc(params.amount)} for ${params.resource}${params.recipient ? ` to ${params.recipient}` : ''} now`;
+    case INTENTS.SCHEDULE_PAYMENT:
+      return `Pay ${usdc(params.amount)} for ${params.resource} at ${params.executeAt}` +
+        (params.recurring ? `, then every ${formatInterval(params.interval)}` : '');
+    case INTENTS.BUY_TOKEN:
+      return params.amountUSDC === null || params.amountUSDC === undefined
+        ? `Buy ${params.tokenAmount} ${label || params.tokenMint}`
+        : `Buy ${label || params.tokenMint} with ${params.amountUSDC} USDC`;
+    case INTENTS.CANCEL_SCHEDULE:
+      return `Cancel scheduled payment ${params.scheduleId}${label ? ` (${label})` : ''}`;
+    default:
+      return intent;
+  }
+}
+
+/**
+ * Required slots an action still lacks
+ * @param {Object} action - { intent, params }
+ * @param {Array} asked - Questions from the latest parse ([{ slot, question }]), preferred over the defaults
+ */
+function missingSlots({ intent, params }, asked = []) {
+  const filled = {
+    amount: (params.amount ?? params.amountUSDC ?? params.tokenAmount ?? null) !== null,
+    resource: Boolean(params.resource),
+    time: Boolean(params.executeAt),
+    token: Boolean(params.tokenMint),
+    scheduleId: Boolean(params.scheduleId),
+  };
+
+  return (REQUIRED_SLOTS[intent] || []).filter(slot => !filled[slot]).map(slot => ({
+    slot,
+    question: asked.find(m => m.slot === slot)?.question || QUESTIONS[slot],
+  }));
+}
+
+/**
+ * What a message says for each slot; a bare answer ("10", "BONK") counts
+ * for the slot the session asked about
+ */
+function slotValues(parsed, text, context) {
+  const { entities = {} } = parsed;
+  const tokens = tokenize(text);
+  const bare = tokens.length === 1 ? tokens[0] : null;
+
+  const future = entities.time && !entities.time.immediate &&
+    new Date(entities.time.executeAt).getTime() > Date.now() + MINUTE_MS;
+
+  let tokenMint = entities.token?.address || null;
+  let label = entities.token?.symbol || null;
+  if (!tokenMint && context.asking === 'token' && bare) {
+    tokenMint = bare.type === 'address' ? bare.value : resolveTokenSymbol(bare.text, context);
+    label = bare.type === 'address' ? null : bare.text.toUpperCase();
+  }
+
+  return {
+    amount: entities.amount?.value ??
+      (context.asking === 'amount' && bare?.type === 'number' && !bare.ordinal ? bare.value : null),
+    resource: entities.resource?.url || null,
+    executeAt: future ? entities.time.executeAt : null,
+    recurrence: entities.recurrence || null,
+    tokenMint,
+    label,
+    scheduleId: entities.scheduleId || null,
+  };
+}
+
+/**
+ * Fill or change an action's slots; a payment given a future time or a
+ * recurrence becomes a scheduled payment
+ */
+function applySlots(action, values) {
+  const params = { ...action.params };
+  let { intent, label } = action;
+  const payment = PAYMENT_INTENTS.includes(intent);
+
+  if (values.amount !== null) {
+    if (intent === INTENTS.BUY_TOKEN) {
+      params.amountUSDC = values.amount;
+      delete params.tokenAmount;
+    } else if (payment) {
+      params.amount = Math.round(values.amount * USDC_UNIT);
+    }
+  }
+  if (payment && values.resource) {
+    params.resource = values.resource;
+  }
+  if (payment && (values.executeAt || values.recurrence)) {
+    intent = INTENTS.SCHEDULE_PAYMENT;
+    delete params.recipient;
+    params.executeAt = values.executeAt || params.executeAt || new Date().toISOString();
+    params.recurring = Boolean(values.recurrence) || Boolean(params.recurring);
+    params.interval = values.recurrence?.interval || params.interval || null;
+  }
+  if (intent === INTENTS.BUY_TOKEN && values.tokenMint) {
+    params.tokenMint = values.tokenMint;
+    label = values.label || label;
+  }
+  if (intent === INTENTS.CANCEL_SCHEDULE && values.scheduleId) {
+    params.scheduleId = values.scheduleId;
+  }
+
+  return { ...action, intent, params, label };
+}
+
+function hasValues(values) {
+  return ['amount', 'resource', 'executeAt', 'recurrence', 'tokenMint', 'scheduleId'].some(k => values[k] !== null);
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   CONVERSATION MANAGER
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class ConversationManager {
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.CONVERSATION_STORE_PATH || './data/conversations.json'
+    );
+    this.ttlMs = config.ttlMs ?? Number(process.env.CONVERSATION_TTL_MS || DEFAULT_CONVERSATION_TTL_MS);
+    this.maxTurns = config.maxTurns ?? 50;
+  }
+
+  /**
+   * A wallet's unexpired session
+   * @param {string} sessionId - Session identifier
+   * @param {string} wallet - Wallet the session must belong to
+   * @returns {Object|null} Session
+   */
+  async get(sessionId, wallet) {
+    const session = sessionId ? await this.store.get(sessionId) : null;
+    if (!session || !sameWallet(session.wallet, wallet) || new Date(session.expiresAt).getTime() < Date.now()) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Continue a session, or start one when the id is missing, unknown or expired
+   * @param {Object} params - { sessionId, wallet, network, paperTrading }
+   * @returns {Object} Session
+   */
+  async open(params) {
+    const { sessionId, wallet, network = null, paperTrading = false } = params;
+
+    const existing = await this.get(sessionId, wallet);
+    if (existing) {
+      return existing;
+    }
+
+    await this.sweep();
+
+    const id = `conv_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+    const now = new Date();
+    return await this.store.put(id, {
+      id,
+      wallet,
+      network,
+      paperTrading: Boolean(paperTrading),
+      pending: null,
+      history: [],
+      turns: [],
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlMs).toISOString(),
+    });
+  }
+
+  /**
+   * Delete expired sessions
+   * @param {number} now - Current time (ms)
+   * @returns {number} Sessions deleted
+   */
+  async sweep(now = Date.now()) {
+    const expired = await this.store.list(s => new Date(s.expiresAt).getTime() < now);
+    for (const session of expired) {
+      await this.store.delete(session.id);
+    }
+    return expired.length;
+  }
+
+  /**
+   * End a session
+   * @returns {boolean} Whether the wallet had the session
+   */
+  async end(sessionId, wallet) {
+    if (!await this.get(sessionId, wallet)) {
+      return false;
+    }
+    return await this.store.delete(sessionId);
+  }
+
+  /**
+   * Answer one message
+   * @param {Object} current - Session from open()
+   * @param {string} message - The user's message
+   * @param {NLPaymentProcessor} processor - Processor for the session's agent
+   * @returns {Object} Turn: { sessionId, status, reply, intent, params, missing, result }
+   */
+  async reply(current, message, processor) {
+    // The stored session, in case the caller's copy is from an earlier turn
+    const session = await this.store.get(current.id) || current;
+    const text = message.trim().replace(/[.!]+$/, '');
+    const { pending } = session;
+    let next = pending;
+    let executed = null;
+    let turn;
+
+    if (pending && CONFIRM.test(text) && pending.awaiting === 'confirmation') {
+      ({ turn, executed } = await this.confirm(session, processor));
+      next = null;
+    } else if (pending && ABORT.test(text)) {
+      next = null;
+      turn = { status: TURN_STATUS.CANCELLED, reply: `Dropped: ${describe(pending)}.` };
+    } else if (CONFIRM.test(text)) {
+      turn = pending ? this.prompt(pending) : { status: TURN_STATUS.NOT_UNDERSTOOD, reply: 'There is nothing to confirm.' };
+    } else {
+      const outcome = await this.interpret(session, text, processor);
+      if (outcome.action) {
+        next = outcome.action;
+        turn = this.prompt(next);
+        next.awaiting = turn.status === TURN_STATUS.NEEDS_CONFIRMATION ? 'confirmation' : 'input';
+        next.asking = turn.missing?.[0]?.slot || null;
+      } else {
+        turn = { status: TURN_STATUS.NOT_UNDERSTOOD, reply: outcome.reply };
+      }
+    }
+
+    const now = new Date();
+    await this.store.update(session.id, s => ({
+      ...s,
+      pending: next,
+      history: [...s.history, ...(executed ? [executed] : [])].slice(-MAX_HISTORY),
+      turns: [
+        ...s.turns,
+        { role: 'user', text: message, at: now.toISOString() },
+        { role: 'agent', text: turn.reply, status: turn.status, at: now.toISOString() },
+      ].slice(-this.maxTurns),
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlMs).toISOString(),
+    }));
+
+    return { sessionId: session.id, ...turn };
+  }
+
+  /**
+   * Work out the action a message asks for
+   * @returns {Object} { action } or { reply } when there is none
+   */
+  async interpret(session, text, processor) {
+    const { pending, history } = session;
+    const parsed = await processor.resolveCommand(text);
+    const values = slotValues(parsed, text, {
+      asking: pending?.asking || null,
+      network: processor.agent.network,
+      tokens: processor.tokens,
+    });
+    const fromParse = () => ({
+      id: newActionId(),
+      intent: parsed.intent,
+      params: parsed.params,
+      label: parsed.entities?.token?.symbol || null,
+      asked: parsed.missing,
+      source: parsed.source,
+    });
+
+    // "do that again tomorrow", "same again every friday"
+    if (parsed.intent === INTENTS.UNKNOWN && REPEAT.test(text)) {
+      const last = [...history].reverse().find(a => a.intent !== INTENTS.CANCEL_SCHEDULE);
+      if (!last) {
+        return { reply: 'There is nothing to repeat yet.' };
+      }
+      if (last.intent === INTENTS.BUY_TOKEN && (values.executeAt || values.recurrence)) {
+        return { reply: 'Only payments can be scheduled; token purchases run right away.' };
+      }
+
+      const base = PAYMENT_INTENTS.includes(last.intent)
+        ? { intent: INTENTS.PAY_NOW, params: { amount: last.params.amount, resource: last.params.resource } }
+        : { intent: last.intent, params: { ...last.params }, label: last.label };
+      return { action: applySlots({ id: newActionId(), ...base, asked: [] }, values) };
+    }
+
+    // "cancel the last one", "stop that"
+    if (parsed.intent === INTENTS.CANCEL_SCHEDULE && !parsed.params.scheduleId && REFERENCE.test(text)) {
+      const cancelled = history.filter(a => a.intent === INTENTS.CANCEL_SCHEDULE).map(a => a.params.scheduleId);
+      const scheduled = [...history].reverse().find(a => a.scheduleId && !cancelled.includes(a.scheduleId));
+      if (!scheduled) {
+        return { reply: 'No payments have been scheduled in this session.' };
+      }
+      return {
+        action: {
+          id: newActionId(),
+          intent: INTENTS.CANCEL_SCHEDULE,
+          params: { scheduleId: scheduled.scheduleId },
+          label: scheduled.summary,
+          asked: [],
+        },
+      };
+    }
+
+    // An answer to the pending action ("for /api/weather", "make it 10 usdc")
+    if (pending) {
+      const samePayment = PAYMENT_INTENTS.includes(parsed.intent) && PAYMENT_INTENTS.includes(pending.intent);
+      const incomplete = parsed.intent === INTENTS.UNKNOWN ||
+        ((samePayment || parsed.intent === pending.intent) && parsed.missing.length > 0);
+      if (incomplete && hasValues(values)) {
+        return { action: applySlots({ ...pending, asked: parsed.missing }, values) };
+      }
+    }
+
+    if (parsed.intent !== INTENTS.UNKNOWN) {
+      return { action: fromParse() };
+    }
+    return {
+      reply: pending
+        ? `Sorry, I didn't get that. ${this.prompt(pending).reply}`
+        : 'Sorry, I didn\'t understand. Try "pay 5 USDC for /api/weather" or "buy $10 of SOL".',
+    };
+  }
+
+  /**
+   * Ask for the next missing slot, or for confirmation
+   */
+  prompt(action) {
+    const missing = missingSlots(action, action.asked);
+    const base = { intent: action.intent, params: action.params, missing };
+
+    if (missing.length) {
+      return { ...base, status: TURN_STATUS.NEEDS_INPUT, reply: missing[0].question };
+    }
+    return {
+      ...base,
+      status: TURN_STATUS.NEEDS_CONFIRMATION,
+      reply: `${describe(action)}. Reply "confirm" to go ahead or "cancel" to drop it.`,
+    };
+  }
+
+  /**
+   * Run the pending action
+   * @returns {Object} { turn, executed (history entry, null if it didn't run) }
+   */
+  async confirm(session, processor) {
+    const { pending } = session;
+
+    // Claim the action first, so a repeated "confirm" can't run it twice
+    const claimed = await this.store.update(session.id, s => (
+      s.pending?.id === pending.id ? { ...s, pending: null } : null
+    ));
+    if (!claimed) {
+      return { turn: { status: TURN_STATUS.NOT_UNDERSTOOD, reply: 'There is nothing to confirm.' }, executed: null };
+    }
+
+    const summary = describe(pending);
+    let result;
+    try {
+      result = await processor.execute(pending);
+    } catch (error) {
+      console.error(`❌ Conversation ${session.id} action failed:`, error);
+      result = { success: false, reason: error.message };
+    }
+
+    // schedulePayment returns the schedule id
+    const scheduleId = pending.intent === INTENTS.SCHEDULE_PAYMENT && typeof result === 'string' ? result : null;
+    const success = Boolean(scheduleId) || result?.success === true;
+    let status = success ? TURN_STATUS.EXECUTED : TURN_STATUS.FAILED;
+    let reply = success
+      ? `Done: ${summary}${scheduleId ? ` (${scheduleId})` : ''}.`
+      : `Couldn't ${summary.charAt(0).toLowerCase()}${summary.slice(1)}: ${result?.reason || 'unknown error'}.`;
+    if (result?.pendingApproval) {
+      status = TURN_STATUS.PENDING_APPROVAL;
+      reply = `${summary}: waiting for approval (${result.approvalId}).`;
+    }
+
+    const turn = {
+      status,
+      reply,
+      intent: pending.intent,
+      params: pending.params,
+      result,
+    };
+
+    const executed = success ? {
+      intent: pending.intent,
+      params: pending.params,
+      label: pending.label || null,
+      summary,
+      scheduleId,
+      at: new Date().toISOString(),
+    } : null;
+
+    return { turn, executed };
+  }
+}
+
+export { TURN_STATUS };
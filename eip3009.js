@@ -0,0 +1,105 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A EIP-3009 TRANSFER AUTHORIZATIONS
+ * Gasless USDC payments for the x402 "exact" EVM scheme
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Instead of sending a transfer itself, the payer signs an EIP-712
+ * TransferWithAuthorization message. The server (or a facilitator)
+ * submits it to the token's transferWithAuthorization, paying the gas.
+ *
+ * The EIP-712 domain is the token's: name/version come from the
+ * requirement's `extra` ({ name: 'USD Coin', version: '2' } for USDC),
+ * verifyingContract is the asset and chainId is the network's.
+ */
+
+import { ethers } from 'ethers';
+
+export const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+};
+
+export const EIP3009_ABI = [
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+  'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)',
+  'function balanceOf(address account) view returns (uint256)',
+];
+
+// Allowance for clock skew between payer and settler
+const VALID_AFTER_SKEW_SECONDS = 60;
+
+/**
+ * Whether a requirement carries the EIP-712 domain needed to sign an authorization
+ * @param {Object} requirement - X402 payment requirement
+ * @returns {boolean}
+ */
+export function supportsTransferAuthorization(requirement) {
+  return Boolean(requirement.extra?.name && requirement.extra?.version);
+}
+
+/**
+ * EIP-712 domain of a requirement's token
+ * @param {Object} requirement - X402 payment requirement
+ * @param {number} chainId - Chain id of the network
+ * @returns {Object} EIP-712 domain
+ */
+export function authorizationDomain(requirement, chainId) {
+  return {
+    name: requirement.extra.name,
+    version: requirement.extra.version,
+    chainId,
+    verifyingContract: requirement.asset,
+  };
+}
+
+/**
+ * Sign a TransferWithAuthorization for a payment requirement
+ * @param {ethers.Signer} signer - Payer
+ * @param {Object} params - { requirement, amount }
+ * @returns {Object} { authorization, signature }
+ */
+export async function signTransferAuthorization(signer, params) {
+  const { requirement, amount = requirement.maxAmountRequired } = params;
+
+  if (!supportsTransferAuthorization(requirement)) {
+    throw new Error(`Requirement for ${requirement.asset} has no EIP-712 domain (extra.name/version)`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const authorization = {
+    from: await signer.getAddress(),
+    to: requirement.payTo,
+    value: String(amount),
+    validAfter: String(now - VALID_AFTER_SKEW_SECONDS),
+    validBefore: String(now + (requirement.maxTimeoutSeconds || 300)),
+    nonce: ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+  };
+
+  const domain = authorizationDomain(requirement, await signer.getChainId());
+  const signature = await signer._signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization);
+
+  return { authorization, signature };
+}
+
+/**
+ * Recover the address that signed an authorization
+ * @param {Object} payload - { authorization, signature }
+ * @param {Object} requirement - X402 payment requirement
+ * @param {number} chainId - Chain id of the network
+ * @returns {string} Signer address
+ */
+export function recoverAuthorizationSigner(payload, requirement, chainId) {
+  return ethers.utils.verifyTypedData(
+    authorizationDomain(requirement, chainId),
+    TRANSFER_WITH_AUTHORIZATION_TYPES,
+    payload.authorization,
+    payload.signature
+  );
+}
@@ -0,0 +1,269 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A X402 FACILITATOR
+ * Verify and settle X402 payment payloads on behalf of resource servers
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Endpoints (mounted under /facilitator):
+ * - POST /verify     { x402Version, paymentPayload | paymentHeader, paymentRequirements }
+ *                    → { isValid, invalidReason, payer, ... }
+ * - POST /settle     same body → { success, errorReason, transaction, network, payer }
+ *                    (needs Authorization: Bearer FACILITATOR_TOKEN)
+ * - GET  /supported  → { kinds: [{ x402Version, scheme, network }] }
+ *
+ * Failures answer in the same shapes: invalid requests (400), missing
+ * settle tokens (401) and internal errors (500) come back as
+ * { isValid: false, invalidReason } or { success: false, errorReason }.
+ *
+ * Verification and settlement use the per-network PaymentVerifier.
+ * Payments already on-chain (txHash/txSignature) settle by verifying;
+ * EIP-3009 authorizations are submitted by the settlement wallet.
+ *
+ * FacilitatorClient speaks the same protocol and exposes the
+ * PaymentVerifier interface, so x402Paywall can delegate to a remote
+ * (or local) facilitator by passing it as `verifier`.
+ *
+ * Run standalone: node facilitator.js (FACILITATOR_PORT, default 4020; FACILITATOR_TOKEN)
+ */
+
+import 'dotenv/config';
+import express from 'express';
+import { pathToFileURL } from 'url';
+import { X402_VERSION, PAYMENT_SCHEMES } from './x402-ai-agent.js';
+import { createVerifierFromEnv, decodePaymentHeader, INVALID_REASONS } from './payment-verifier.js';
+import { bearerTokenMatches } from './wallet-auth.js';
+
+// Reasons the facilitator gives itself, named as in the x402 spec
+export const FACILITATOR_ERRORS = {
+  INVALID_REQUIREMENTS: 'invalid_payment_requirements',
+  UNAUTHORIZED: 'unauthorized',
+  UNEXPECTED_VERIFY_ERROR: 'unexpected_verify_error',
+  UNEXPECTED_SETTLE_ERROR: 'unexpected_settle_error',
+};
+
+/**
+ * Read the payment and requirement from a facilitator request body
+ * @param {Object} body - Request body
+ * @returns {Object} { payment, requirement }
+ */
+function readPaymentRequest(body = {}) {
+  const payment = body.paymentPayload || (body.paymentHeader ? decodePaymentHeader(body.paymentHeader) : null);
+  return { payment, requirement: body.paymentRequirements };
+}
+
+function verifyFailure(invalidReason, message) {
+  return { isValid: false, invalidReason, message, payer: null };
+}
+
+function settleFailure(invalidReason, message, network = null) {
+  return { success: false, errorReason: invalidReason, message, transaction: null, network, payer: null };
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   FACILITATOR ROUTES
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Create the facilitator router
+ * @param {Object} config - { verifier (a PaymentVerifier; built from env if omitted),
+ *   token (FACILITATOR_TOKEN; without one, settlement is refused) }
+ * @returns {express.Router} Router to mount at /facilitator
+ */
+export function createFacilitatorRouter(config = {}) {
+  const verifier = config.verifier || createVerifierFromEnv();
+  const token = config.token ?? process.env.FACILITATOR_TOKEN;
+  const router = express.Router();
+
+  router.use(express.json());
+
+  router.post('/verify', async (req, res) => {
+    try {
+      const { payment, requirement } = readPaymentRequest(req.body);
+
+      if (!requirement) {
+        return res.status(400).json(verifyFailure(
+          FACILITATOR_ERRORS.INVALID_REQUIREMENTS,
+          'Missing required field: paymentRequirements'
+        ));
+      }
+
+      const verification = payment
+        ? await verifier.verify(payment, requirement)
+        : { isValid: false, invalidReason: INVALID_REASONS.MALFORMED_PAYLOAD, message: 'Payment payload is missing or malformed' };
+
+      res.json({
+        ...verification,
+        invalidReason: verification.invalidReason || null,
+        payer: verification.payer || null,
+      });
+    } catch (error) {
+      console.error('❌ Facilitator verify error:', error);
+      res.status(500).json(verifyFailure(FACILITATOR_ERRORS.UNEXPECTED_VERIFY_ERROR, error.message));
+    }
+  });
+
+  router.post('/settle', async (req, res) => {
+    // Settling spends the settlement wallet's gas, so only token holders may ask
+    if (!bearerTokenMatches(req.get('Authorization'), token)) {
+      return res.status(401).json(settleFailure(
+        FACILITATOR_ERRORS.UNAUTHORIZED,
+        token ? 'Invalid facilitator token' : 'Settlement is disabled until FACILITATOR_TOKEN is set'
+      ));
+    }
+
+    try {
+      const { payment, requirement } = readPaymentRequest(req.body);
+
+      if (!requirement) {
+        return res.status(400).json(settleFailure(
+          FACILITATOR_ERRORS.INVALID_REQUIREMENTS,
+          'Missing required field: paymentRequirements'
+        ));
+      }
+
+      let result = payment
+        ? await verifier.verify(payment, requirement)
+        : { isValid: false, invalidReason: INVALID_REASONS.MALFORMED_PAYLOAD, message: 'Payment payload is missing or malformed' };
+
+      // On-chain payments are settled once verified; authorizations still need submitting
+      const payer = result.payer;
+      if (result.isValid && result.requiresSettlement) {
+        result = await verifier.settle(payment, requirement);
+      }
+
+      if (result.isValid) {
+        console.log(`💰 Facilitator settled payment on ${requirement.network}: ${result.txHash}`);
+      }
+
+      res.json({
+        success: result.isValid,
+        errorReason: result.invalidReason || null,
+        message: result.message,
+        transaction: result.txHash || null,
+        network: requirement.network,
+        payer: result.payer || payer || null,
+        amount: result.amount,
+      });
+    } catch (error) {
+      console.error('❌ Facilitator settle error:', error);
+      res.status(500).json(settleFailure(
+        FACILITATOR_ERRORS.UNEXPECTED_SETTLE_ERROR,
+        error.message,
+        req.body?.paymentRequirements?.network
+      ));
+    }
+  });
+
+  router.get('/supported', (req, res) => {
+    const kinds = verifier.supportedNetworks().flatMap(network =>
+      Object.values(PAYMENT_SCHEMES).map(scheme => ({ x402Version: X402_VERSION, scheme, network }))
+    );
+
+    res.json({ kinds });
+  });
+
+  return router;
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   FACILITATOR CLIENT
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class FacilitatorClient {
+  constructor(config = {}) {
+    const url = config.url || process.env.X402_FACILITATOR_URL;
+    if (!url) {
+      throw new Error('FacilitatorClient requires a facilitator url');
+    }
+    this.url = url.replace(/\/$/, '');
+    this.token = config.token ?? process.env.X402_FACILITATOR_TOKEN;
+    this.headers = config.headers || {};
+  }
+
+  async request(path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token && { Authorization: `Bearer ${this.token}` }),
+        ...this.headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    // Refusals come back as verify/settle results; anything else is a transport failure
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok && data.isValid === undefined && data.success === undefined) {
+      throw new Error(`Facilitator ${path} failed (${response.status}): ${data.message || data.error || response.statusText}`);
+    }
+    return data;
+  }
+
+  /**
+   * Verify a payment through the facilitator
+   * @param {Object} payment - Decoded X-PAYMENT header
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {Object} Verification result (PaymentVerifier shape)
+   */
+  async verify(payment, requirement) {
+    try {
+      const result = await this.request('/verify', {
+        x402Version: X402_VERSION,
+        paymentPayload: payment,
+        paymentRequirements: requirement,
+      });
+      return { network: requirement.network, ...result };
+    } catch (error) {
+      return { isValid: false, invalidReason: INVALID_REASONS.RPC_ERROR, message: error.message };
+    }
+  }
+
+  /**
+   * Settle a payment through the facilitator
+   * @param {Object} payment - Decoded X-PAYMENT header
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {Object} Settlement result (PaymentVerifier shape)
+   */
+  async settle(payment, requirement) {
+    try {
+      const result = await this.request('/settle', {
+        x402Version: X402_VERSION,
+        paymentPayload: payment,
+        paymentRequirements: requirement,
+      });
+      return {
+        isValid: result.success,
+        invalidReason: result.errorReason || undefined,
+        message: result.message,
+        txHash: result.transaction,
+        payer: result.payer,
+        amount: result.amount,
+        network: result.network,
+      };
+    } catch (error) {
+      return { isValid: false, invalidReason: INVALID_REASONS.RPC_ERROR, message: error.message };
+    }
+  }
+
+  /**
+   * Payment kinds the facilitator supports
+   * @returns {Object} { kinds: [{ x402Version, scheme, network }] }
+   */
+  async supported() {
+    return await this.request('/supported');
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   STANDALONE SERVER
+   ═══════════════════════════════════════════════════════════════════ */
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const app = express();
+  const port = Number(process.env.FACILITATOR_PORT || 4020);
+
+  app.use('/facilitator', createFacilitatorRouter());
+  app.listen(port, () => {
+    console.log(`🤖 X402 facilitator listening on http://localhost:${port}/facilitator`);
+  });
+}
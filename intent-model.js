@@ -0,0 +1,444 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A INTENT MODEL
+ * Natural-language commands → intents through a language model
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * An IntentResolver asks a model for one `resolve_intent` function call
+ * (INTENT_SCHEMA) and treats the arguments as untrusted input:
+ * 1. schema     known intent, typed fields, no extra properties, only
+ *               the fields that belong to the intent
+ * 2. grounding  amounts, times, resources, recipients, token addresses
+ *               and schedule ids must appear in the command itself: the
+ *               model may read "five bucks" as 5 but may not supply a
+ *               URL or an address the user never gave. Amounts must be
+ *               the USDC amount the rule parser finds (not "2" of "every
+ *               2 weeks" or "10" of "10 SOL"), and executeAt the time it
+ *               finds, within a minute
+ * 3. slots      required slots the model left out are reported as
+ *               missing, with the rule parser's questions
+ *
+ * A model that is unreachable, times out, answers with bad JSON or
+ * fails validation falls back to the rule parser (command-parser.js).
+ * Either way the result has parseCommand()'s shape, plus `source`
+ * ('llm' or 'rules') and `fallbackReason`.
+ *
+ * Models are OpenAI-compatible chat completion endpoints (OpenAI, a
+ * llama.cpp server, Ollama, vLLM, ...) or any object with
+ * `complete({ messages, tool })` resolving to the call's arguments, such
+ * as a fake returning canned answers.
+ */
+
+import {
+  parseCommand, tokenize, resolveTokenSymbol, INTENTS, REQUIRED_SLOTS, QUESTIONS, DURATIONS,
+} from './command-parser.js';
+
+const USDC_UNIT = 1e6;
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// Fields each intent may carry (confidence is always allowed)
+const INTENT_FIELDS = {
+  [INTENTS.PAY_NOW]: ['amountUSDC', 'resource', 'recipient'],
+  [INTENTS.SCHEDULE_PAYMENT]: ['amountUSDC', 'resource', 'executeAt', 'every', 'unit'],
+  [INTENTS.BUY_TOKEN]: ['amountUSDC', 'token'],
+  [INTENTS.CANCEL_SCHEDULE]: ['scheduleId'],
+  [INTENTS.UNKNOWN]: [],
+};
+
+export const INTENT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['intent'],
+  properties: {
+    intent: {
+      type: 'string',
+      enum: Object.values(INTENTS),
+      description: 'pay_now: pay for a resource now; schedule_payment: pay later or on a recurrence; ' +
+        'buy_token: buy a token with USDC; cancel_schedule: cancel a scheduled payment; unknown: anything else',
+    },
+    amountUSDC: {
+      type: 'number',
+      exclusiveMinimum: 0,
+      description: 'Amount in USDC (1 USD = 1 USDC), e.g. 0.5 for "50 cents"',
+    },
+    resource: { type: 'string', description: 'URL or path to pay for, exactly as written in the command' },
+    recipient: { type: 'string', description: 'Recipient address or @handle, exactly as written in the command' },
+    executeAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the (first) scheduled payment runs, ISO 8601 with timezone',
+    },
+    every: { type: 'integer', minimum: 1, description: 'Recurrence count, e.g. 2 for "every 2 weeks"' },
+    unit: {
+      type: 'string',
+      enum: ['hour', 'day', 'week', 'month', 'year'],
+      description: 'Recurrence unit; omit for one-time payments',
+    },
+    token: { type: 'string', description: 'Token to buy: symbol or address, exactly as written in the command' },
+    scheduleId: { type: 'string', pattern: '^sched_\\w+$', description: 'Scheduled payment id, e.g. sched_123_abc' },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure you are of the intent' },
+  },
+};
+
+export const INTENT_FUNCTION = {
+  name: 'resolve_intent',
+  description: 'Resolve a payment command into an intent and its parameters',
+  parameters: INTENT_SCHEMA,
+};
+
+/* ═══════════════════════════════════════════════════════════════════
+   VALIDATION
+   ═══════════════════════════════════════════════════════════════════ */
+
+const TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+/**
+ * Validate a value against a JSON schema (the subset INTENT_SCHEMA uses)
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, for messages
+ * @returns {Array} Error messages (empty when valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (schema.type && !TYPES[schema.type](value)) {
+    return [`${path} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} must match ${schema.pattern}`);
+  }
+  if (schema.format === 'date-time' && (!/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value)))) {
+    errors.push(`${path} must be an ISO 8601 date-time`);
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a model's resolve_intent arguments into a parsed command
+ * @param {Object} args - Function call arguments
+ * @param {string} command - The command the model resolved
+ * @param {Object} options - { now (Date), network, tokens } as for parseCommand
+ * @returns {Object} { text, intent, confidence, params, entities, missing, source: 'llm' }
+ * @throws {Error} When the arguments fail the schema or aren't grounded in the command
+ */
+export function validateIntent(args, command, options = {}) {
+  const { now = new Date(), network = null } = options;
+
+  const errors = validateSchema(args, INTENT_SCHEMA, 'intent');
+  if (errors.length) {
+    throw new Error(`Invalid intent: ${errors.join('; ')}`);
+  }
+
+  const { intent } = args;
+  const extra = Object.keys(args).filter(key => !['intent', 'confidence', ...INTENT_FIELDS[intent]].includes(key));
+  if (extra.length) {
+    throw new Error(`Invalid intent: ${extra.join(', ')} not allowed for ${intent}`);
+  }
+  if (args.every !== undefined && args.unit === undefined) {
+    throw new Error('Invalid intent: every requires a unit');
+  }
+
+  // Everything the agent would act on must come from the command;
+  // amounts and times as the rule parser reads them
+  const tokens = tokenize(command || '');
+  const { entities: stated } = parseCommand(command, options);
+  const said = (types, value) => tokens.some(t => types.includes(t.type) && t.value === value);
+  const ungrounded = [];
+
+  if (args.amountUSDC !== undefined && !(stated.amount?.currency === 'USDC' &&
+    Math.round(stated.amount.value * USDC_UNIT) === Math.round(args.amountUSDC * USDC_UNIT))) {
+    ungrounded.push(`amountUSDC ${args.amountUSDC}`);
+  }
+  if (args.executeAt !== undefined && !(stated.time &&
+    Math.abs(Date.parse(args.executeAt) - Date.parse(stated.time.executeAt)) <= CLOCK_SKEW_MS)) {
+    ungrounded.push(`executeAt ${args.executeAt}`);
+  }
+  if (args.resource !== undefined && !said(['url'], args.resource)) {
+    ungrounded.push(`resource ${args.resource}`);
+  }
+  if (args.recipient !== undefined && !said(['address', 'handle'], args.recipient)) {
+    ungrounded.push(`recipient ${args.recipient}`);
+  }
+  if (args.scheduleId !== undefined && !said(['schedule_id'], args.scheduleId)) {
+    ungrounded.push(`scheduleId ${args.scheduleId}`);
+  }
+  const tokenIsAddress = args.token !== undefined && said(['address'], args.token);
+  if (args.token !== undefined && !tokenIsAddress && !said(['word'], args.token.toLowerCase())) {
+    ungrounded.push(`token ${args.token}`);
+  }
+  if (ungrounded.length) {
+    throw new Error(`Intent not grounded in the command: ${ungrounded.join(', ')}`);
+  }
+  if (args.executeAt !== undefined && Date.parse(args.executeAt) < now.getTime() - CLOCK_SKEW_MS) {
+    throw new Error(`Intent executeAt ${args.executeAt} is in the past`);
+  }
+
+  const recurrence = args.unit ? {
+    interval: DURATIONS[args.unit].ms * (args.every ?? 1),
+    every: args.every ?? 1,
+    unit: args.unit,
+  } : null;
+  const tokenAddress = args.token === undefined ? null
+    : tokenIsAddress ? args.token : resolveTokenSymbol(args.token, options);
+  const amount = args.amountUSDC === undefined ? null : Math.round(args.amountUSDC * USDC_UNIT);
+
+  const params = {
+    [INTENTS.PAY_NOW]: () => ({
+      amount,
+      resource: args.resource || null,
+      ...(args.recipient && { recipient: args.recipient }),
+    }),
+    [INTENTS.SCHEDULE_PAYMENT]: () => ({
+      amount,
+      resource: args.resource || null,
+      executeAt: args.executeAt ? new Date(args.executeAt).toISOString() : (recurrence ? now.toISOString() : null),
+      recurring: Boolean(recurrence),
+      interval: recurrence?.interval || null,
+    }),
+    [INTENTS.BUY_TOKEN]: () => ({
+      tokenMint: tokenAddress,
+      amountUSDC: args.amountUSDC ?? null,
+    }),
+    [INTENTS.CANCEL_SCHEDULE]: () => ({
+      scheduleId: args.scheduleId || null,
+    }),
+    [INTENTS.UNKNOWN]: () => ({}),
+  }[intent]();
+
+  const filled = {
+    amount: amount !== null,
+    resource: Boolean(params.resource),
+    time: Boolean(params.executeAt),
+    token: Boolean(params.tokenMint),
+    scheduleId: Boolean(params.scheduleId),
+  };
+  const required = REQUIRED_SLOTS[intent];
+  const missing = required.filter(slot => !filled[slot]).map(slot => ({
+    slot,
+    question: slot === 'token' && args.token
+      ? `Which ${network ? `${network} ` : ''}address is ${args.token.toUpperCase()}?`
+      : QUESTIONS[slot],
+  }));
+
+  // The model's own confidence, discounted for missing slots as in the rule parser
+  const slotScore = required.length ? (required.length - missing.length) / required.length : 1;
+  const confidence = intent === INTENTS.UNKNOWN ? 0 : (args.confidence ?? 1) * (0.6 + 0.4 * slotScore);
+
+  return {
+    text: command,
+    intent,
+    confidence: Math.round(confidence * 100) / 100,
+    params,
+    entities: {
+      amount: amount === null ? null : { value: args.amountUSDC, currency: 'USDC' },
+      tokenAmount: null,
+      resource: args.resource ? { url: args.resource, description: null } : null,
+      token: args.token ? { symbol: tokenIsAddress ? null : args.token.toUpperCase(), address: tokenAddress } : null,
+      recipient: args.recipient ? {
+        address: args.recipient.startsWith('@') ? null : args.recipient,
+        handle: args.recipient.startsWith('@') ? args.recipient : null,
+      } : null,
+      time: params.executeAt ? { executeAt: params.executeAt, immediate: false } : null,
+      recurrence,
+      scheduleId: args.scheduleId || null,
+    },
+    missing,
+    source: 'llm',
+  };
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   MODELS
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Chat completions client for OpenAI-compatible servers
+ */
+export class OpenAICompatibleModel {
+  constructor(config = {}) {
+    this.baseUrl = (config.baseUrl || process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+    this.apiKey = config.apiKey ?? process.env.LLM_API_KEY;
+    this.model = config.model || process.env.LLM_MODEL || 'llama3.1';
+    this.timeoutMs = config.timeoutMs ?? Number(process.env.LLM_TIMEOUT_MS || 15000);
+    // Function calling, or JSON mode for servers without it
+    this.useTools = config.useTools ?? process.env.LLM_USE_TOOLS !== 'false';
+  }
+
+  /**
+   * Ask for one call of a function
+   * @param {Object} params - { messages, tool ({ name, description, parameters }) }
+   * @returns {Object} The call's arguments
+   */
+  async complete({ messages, tool }) {
+    const body = this.useTools ? {
+      model: this.model,
+      messages,
+      tools: [{ type: 'function', function: tool }],
+      tool_choice: { type: 'function', function: { name: tool.name } },
+      temperature: 0,
+    } : {
+      model: this.model,
+      messages: [
+        ...messages.slice(0, 1),
+        { role: 'system', content: `Reply with only a JSON object matching this schema: ${JSON.stringify(tool.parameters)}` },
+        ...messages.slice(1),
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0,
+    };
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Model request failed (${response.status}): ${data.error?.message || data.error || response.statusText}`);
+    }
+
+    const message = data.choices?.[0]?.message;
+    const call = message?.tool_calls?.find(c => c.function?.name === tool.name);
+    const answer = call ? call.function.arguments : message?.content;
+    if (answer === undefined || answer === null || answer === '') {
+      throw new Error('Model returned no intent');
+    }
+    if (typeof answer === 'object') {
+      return answer;
+    }
+
+    try {
+      return JSON.parse(answer.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, ''));
+    } catch {
+      throw new Error('Model returned invalid JSON');
+    }
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   RESOLVER
+   ═══════════════════════════════════════════════════════════════════ */
+
+function buildMessages(command, options) {
+  const { now = new Date(), network = null } = options;
+  const offset = -now.getTimezoneOffset();
+  const zone = `${offset < 0 ? '-' : '+'}${String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0')}:${String(Math.abs(offset) % 60).padStart(2, '0')}`;
+
+  return [
+    {
+      role: 'system',
+      content: [
+        'You turn payment commands for an X402 payment agent into a single resolve_intent call.',
+        `The current time is ${now.toISOString()} (local UTC offset ${zone}, ${now.toLocaleDateString('en-US', { weekday: 'long' })}).`,
+        network ? `The agent pays on ${network}; amounts are in USDC.` : 'Amounts are in USDC.',
+        'Copy URLs, paths, addresses, @handles, token symbols and schedule ids exactly as written.',
+        'Only fill fields the command states; never guess a resource, recipient, token or schedule id.',
+        'Relative times ("tomorrow at 9am", "next friday") become executeAt in the local offset.',
+      ].join(' '),
+    },
+    { role: 'user', content: command },
+  ];
+}
+
+/**
+ * Resolves commands through a model, falling back to the rule parser
+ */
+export class IntentResolver {
+  constructor(config = {}) {
+    this.model = config.model || null;
+    this.minConfidence = config.minConfidence ?? Number(process.env.LLM_MIN_CONFIDENCE || 0);
+  }
+
+  /**
+   * Resolve a command
+   * @param {string} command - Natural language command
+   * @param {Object} options - { now (Date), network, tokens } as for parseCommand
+   * @returns {Object} Parsed command with source ('llm' or 'rules') and fallbackReason
+   */
+  async resolve(command, options = {}) {
+    const fallback = reason => ({ ...parseCommand(command, options), source: 'rules', fallbackReason: reason });
+
+    if (!this.model) {
+      return fallback(null);
+    }
+
+    try {
+      const args = await this.model.complete({ messages: buildMessages(command, options), tool: INTENT_FUNCTION });
+      const resolved = validateIntent(args, command, options);
+
+      if (resolved.intent === INTENTS.UNKNOWN) {
+        return fallback('Model found no intent');
+      }
+      if (resolved.confidence < this.minConfidence) {
+        return fallback(`Model confidence ${resolved.confidence} below ${this.minConfidence}`);
+      }
+      return { ...resolved, fallbackReason: null };
+    } catch (error) {
+      console.warn(`⚠️  Model intent resolution failed, using rule parser: ${error.message}`);
+      return fallback(error.message);
+    }
+  }
+}
+
+/**
+ * Intent resolver from LLM_* environment variables (null without LLM_BASE_URL)
+ * @param {Object} env - Environment
+ * @returns {IntentResolver|null} Resolver
+ */
+export function createIntentResolverFromEnv(env = process.env) {
+  if (!env.LLM_BASE_URL) {
+    return null;
+  }
+
+  return new IntentResolver({
+    model: new OpenAICompatibleModel({
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY,
+      model: env.LLM_MODEL,
+      timeoutMs: env.LLM_TIMEOUT_MS ? Number(env.LLM_TIMEOUT_MS) : undefined,
+      useTools: env.LLM_USE_TOOLS ? env.LLM_USE_TOOLS !== 'false' : undefined,
+    }),
+    minConfidence: env.LLM_MIN_CONFIDENCE ? Number(env.LLM_MIN_CONFIDENCE) : undefined,
+  });
+}
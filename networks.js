@@ -0,0 +1,303 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A NETWORK REGISTRY
+ * Chains the agents can pay, verify and trade on
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Network definition:
+ *   { id, name, family ('solana' | 'evm'), chainId (EVM), testnet,
+ *     rpcEndpoint (public default), rpcEnv (env var that overrides it),
+ *     usdc: { address, decimals, eip712 ({ name, version } when the
+ *             contract supports EIP-3009, else null) },
+ *     explorer: { tx, address } (URL templates with {hash} / {address}),
+ *     nativeSymbol, feeEstimateUSDC (rough cost of one USDC transfer) }
+ *
+ * Mainnets and their public testnets ship built in. Anything else (a
+ * local Anvil node, another L2) is added at runtime:
+ *
+ *   registerNetwork({
+ *     id: 'anvil', name: 'Anvil', family: 'evm', chainId: 31337, testnet: true,
+ *     rpcEndpoint: 'http://127.0.0.1:8545',
+ *     usdc: { address: '0x5FbDB2315678afecb367f032d93F642f64180aa3', decimals: 6 },
+ *   });
+ *
+ * Register custom networks before creating agents, quote services or
+ * verifiers for them; code branches on `family`, never on network names.
+ */
+
+export const NETWORK_FAMILIES = {
+  SOLANA: 'solana',
+  EVM: 'evm',
+};
+
+export const SUPPORTED_NETWORKS = {
+  SOLANA: 'solana-mainnet',
+  SOLANA_DEVNET: 'solana-devnet',
+  BASE: 'base-mainnet',
+  BASE_SEPOLIA: 'base-sepolia',
+  ETHEREUM: 'ethereum-mainnet',
+  ETHEREUM_SEPOLIA: 'ethereum-sepolia',
+  POLYGON: 'polygon-mainnet',
+  POLYGON_AMOY: 'polygon-amoy',
+};
+
+// network → USDC address of every registered network (kept in sync by registerNetwork)
+export const USDC_ADDRESSES = {};
+
+const networks = new Map();
+
+const BUILT_IN_NETWORKS = [
+  {
+    id: SUPPORTED_NETWORKS.SOLANA,
+    name: 'Solana',
+    family: NETWORK_FAMILIES.SOLANA,
+    rpcEndpoint: 'https://api.mainnet-beta.solana.com',
+    rpcEnv: 'RPC_ENDPOINT',
+    usdc: { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 },
+    explorer: { tx: 'https://solscan.io/tx/{hash}', address: 'https://solscan.io/account/{address}' },
+    nativeSymbol: 'SOL',
+    feeEstimateUSDC: 0.001,
+  },
+  {
+    id: SUPPORTED_NETWORKS.SOLANA_DEVNET,
+    name: 'Solana Devnet',
+    family: NETWORK_FAMILIES.SOLANA,
+    testnet: true,
+    rpcEndpoint: 'https://api.devnet.solana.com',
+    rpcEnv: 'SOLANA_DEVNET_RPC_ENDPOINT',
+    usdc: { address: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU', decimals: 6 },
+    explorer: {
+      tx: 'https://solscan.io/tx/{hash}?cluster=devnet',
+      address: 'https://solscan.io/account/{address}?cluster=devnet',
+    },
+    nativeSymbol: 'SOL',
+    feeEstimateUSDC: 0,
+  },
+  {
+    id: SUPPORTED_NETWORKS.BASE,
+    name: 'Base',
+    family: NETWORK_FAMILIES.EVM,
+    chainId: 8453,
+    rpcEndpoint: 'https://mainnet.base.org',
+    rpcEnv: 'BASE_RPC_ENDPOINT',
+    usdc: {
+      address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      decimals: 6,
+      eip712: { name: 'USD Coin', version: '2' },
+    },
+    explorer: { tx: 'https://basescan.org/tx/{hash}', address: 'https://basescan.org/address/{address}' },
+    nativeSymbol: 'ETH',
+    feeEstimateUSDC: 0.01,
+  },
+  {
+    id: SUPPORTED_NETWORKS.BASE_SEPOLIA,
+    name: 'Base Sepolia',
+    family: NETWORK_FAMILIES.EVM,
+    chainId: 84532,
+    testnet: true,
+    rpcEndpoint: 'https://sepolia.base.org',
+    rpcEnv: 'BASE_SEPOLIA_RPC_ENDPOINT',
+    usdc: {
+      address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+      decimals: 6,
+      eip712: { name: 'USDC', version: '2' },
+    },
+    explorer: {
+      tx: 'https://sepolia.basescan.org/tx/{hash}',
+      address: 'https://sepolia.basescan.org/address/{address}',
+    },
+    nativeSymbol: 'ETH',
+    feeEstimateUSDC: 0,
+  },
+  {
+    id: SUPPORTED_NETWORKS.ETHEREUM,
+    name: 'Ethereum',
+    family: NETWORK_FAMILIES.EVM,
+    chainId: 1,
+    rpcEndpoint: 'https://ethereum-rpc.publicnode.com',
+    rpcEnv: 'ETHEREUM_RPC_ENDPOINT',
+    usdc: {
+      address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+      decimals: 6,
+      eip712: { name: 'USD Coin', version: '2' },
+    },
+    explorer: { tx: 'https://etherscan.io/tx/{hash}', address: 'https://etherscan.io/address/{address}' },
+    nativeSymbol: 'ETH',
+    feeEstimateUSDC: 2,
+  },
+  {
+    id: SUPPORTED_NETWORKS.ETHEREUM_SEPOLIA,
+    name: 'Ethereum Sepolia',
+    family: NETWORK_FAMILIES.EVM,
+    chainId: 11155111,
+    testnet: true,
+    rpcEndpoint: 'https://ethereum-sepolia-rpc.publicnode.com',
+    rpcEnv: 'ETHEREUM_SEPOLIA_RPC_ENDPOINT',
+    usdc: {
+      address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
+      decimals: 6,
+      eip712: { name: 'USDC', version: '2' },
+    },
+    explorer: {
+      tx: 'https://sepolia.etherscan.io/tx/{hash}',
+      address: 'https://sepolia.etherscan.io/address/{address}',
+    },
+    nativeSymbol: 'ETH',
+    feeEstimateUSDC: 0,
+  },
+  {
+    id: SUPPORTED_NETWORKS.POLYGON,
+    name: 'Polygon',
+    family: NETWORK_FAMILIES.EVM,
+    chainId: 137,
+    rpcEndpoint: 'https://polygon-rpc.com',
+    rpcEnv: 'POLYGON_RPC_ENDPOINT',
+    usdc: { address: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', decimals: 6 },
+    explorer: { tx: 'https://polygonscan.com/tx/{hash}', address: 'https://polygonscan.com/address/{address}' },
+    nativeSymbol: 'POL',
+    feeEstimateUSDC: 0.01,
+  },
+  {
+    id: SUPPORTED_NETWORKS.POLYGON_AMOY,
+    name: 'Polygon Amoy',
+    family: NETWORK_FAMILIES.EVM,
+    chainId: 80002,
+    testnet: true,
+    rpcEndpoint: 'https://rpc-amoy.polygon.technology',
+    rpcEnv: 'POLYGON_AMOY_RPC_ENDPOINT',
+    usdc: {
+      address: '0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582',
+      decimals: 6,
+      eip712: { name: 'USDC', version: '2' },
+    },
+    explorer: {
+      tx: 'https://amoy.polygonscan.com/tx/{hash}',
+      address: 'https://amoy.polygonscan.com/address/{address}',
+    },
+    nativeSymbol: 'POL',
+    feeEstimateUSDC: 0,
+  },
+];
+
+/* ═══════════════════════════════════════════════════════════════════
+   REGISTRY
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Add a network, or replace the definition of a registered one
+ * @param {Object} definition - Network definition (see above)
+ * @returns {Object} Registered network
+ */
+export function registerNetwork(definition) {
+  const { id, family, chainId, usdc } = definition;
+
+  if (!id) {
+    throw new Error('Network needs an id');
+  }
+  if (!Object.values(NETWORK_FAMILIES).includes(family)) {
+    throw new Error(`Network ${id}: family must be one of ${Object.values(NETWORK_FAMILIES).join(', ')}`);
+  }
+  if (family === NETWORK_FAMILIES.EVM && !Number.isInteger(chainId)) {
+    throw new Error(`Network ${id}: EVM networks need an integer chainId`);
+  }
+  if (!usdc?.address) {
+    throw new Error(`Network ${id}: usdc.address is required`);
+  }
+
+  const network = {
+    id,
+    name: definition.name || id,
+    family,
+    chainId: family === NETWORK_FAMILIES.EVM ? chainId : null,
+    testnet: Boolean(definition.testnet),
+    rpcEndpoint: definition.rpcEndpoint || null,
+    rpcEnv: definition.rpcEnv || null,
+    usdc: { decimals: 6, eip712: null, ...usdc },
+    explorer: { tx: null, address: null, ...definition.explorer },
+    nativeSymbol: definition.nativeSymbol || null,
+    feeEstimateUSDC: definition.feeEstimateUSDC ?? 0,
+  };
+
+  networks.set(id, network);
+  USDC_ADDRESSES[id] = network.usdc.address;
+  return network;
+}
+
+/**
+ * Whether a network is registered
+ * @param {string} id - Network identifier
+ * @returns {boolean}
+ */
+export function hasNetwork(id) {
+  return networks.has(id);
+}
+
+/**
+ * Definition of a registered network
+ * @param {string} id - Network identifier
+ * @returns {Object} Network
+ */
+export function getNetwork(id) {
+  const network = networks.get(id);
+  if (!network) {
+    throw new Error(`Unknown network: ${id} (registered: ${Array.from(networks.keys()).join(', ')})`);
+  }
+  return network;
+}
+
+/**
+ * Registered networks
+ * @param {Object} filter - { family, testnet }
+ * @returns {Array} Networks
+ */
+export function listNetworks(filter = {}) {
+  const { family, testnet } = filter;
+
+  return Array.from(networks.values()).filter(n =>
+    (!family || n.family === family) &&
+    (testnet === undefined || n.testnet === testnet)
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   HELPERS
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Whether a network is Solana-family (otherwise it is EVM)
+ * @param {string} id - Network identifier
+ * @returns {boolean}
+ */
+export function isSolanaNetwork(id) {
+  return getNetwork(id).family === NETWORK_FAMILIES.SOLANA;
+}
+
+/**
+ * RPC endpoint of a network: its env var when set, else the public default
+ * @param {string} id - Network identifier
+ * @param {Object} env - Environment (process.env by default)
+ * @returns {string|null} Endpoint
+ */
+export function rpcEndpointFor(id, env = process.env) {
+  const network = getNetwork(id);
+  return (network.rpcEnv && env[network.rpcEnv]) || network.rpcEndpoint;
+}
+
+/**
+ * Block explorer link for a transaction or address
+ * @param {string} id - Network identifier
+ * @param {Object} target - { tx } or { address }
+ * @returns {string|null} URL, or null when the network has no explorer
+ */
+export function explorerUrl(id, target) {
+  const { explorer } = getNetwork(id);
+
+  if (target.tx) {
+    return explorer.tx ? explorer.tx.replace('{hash}', target.tx) : null;
+  }
+  return explorer.address ? explorer.address.replace('{address}', target.address) : null;
+}
+
+for (const definition of BUILT_IN_NETWORKS) {
+  registerNetwork(definition);
+}
@@ -0,0 +1,289 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A PAPER WALLET
+ * Virtual balances for paper-trading agents
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Agents created with `paperTrading: true` (or PAPER_TRADING=true) fetch
+ * X402 challenges and quotes as usual, but pay and swap against a
+ * PaperWallet instead of the chain: balances move, transactions get
+ * realistic-looking hashes, and ledger entries, fills and schedules are
+ * recorded in full, marked `simulated`.
+ *
+ * Every wallet starts with PAPER_STARTING_USDC (default 1000) of each
+ * network's USDC; other tokens start at zero until bought or funded.
+ * Amounts are base units (strings or BigInts) with the token's decimals.
+ */
+
+import { ethers } from 'ethers';
+import { openFileStore } from './storage.js';
+import { USDC_ADDRESSES, getNetwork, listNetworks, isSolanaNetwork } from './x402-ai-agent.js';
+
+function isUSDC(network, asset) {
+  return USDC_ADDRESSES[network]?.toLowerCase() === asset.toLowerCase();
+}
+
+function balanceKey(network, asset) {
+  // EVM addresses are case-insensitive; Solana mints are not
+  return `${network}:${isSolanaNetwork(network) ? asset : asset.toLowerCase()}`;
+}
+
+/**
+ * Transaction hash in the network's format
+ */
+function fakeTxHash(network) {
+  const solana = isSolanaNetwork(network);
+  const bytes = ethers.utils.randomBytes(solana ? 64 : 32);
+  return solana ? ethers.utils.base58.encode(bytes) : ethers.utils.hexlify(bytes);
+}
+
+export class PaperWallet {
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.PAPER_WALLET_STORE_PATH || './data/paper-wallets.json'
+    );
+    this.startingUSDC = config.startingUSDC ?? Number(process.env.PAPER_STARTING_USDC || 1000);
+  }
+
+  /**
+   * Seed balance of an asset no transaction has touched yet
+   */
+  startingBalance(network, asset) {
+    if (!isUSDC(network, asset)) {
+      return { amount: '0', decimals: null };
+    }
+    const { decimals } = getNetwork(network).usdc;
+    return { amount: BigInt(Math.round(this.startingUSDC * 10 ** decimals)).toString(), decimals };
+  }
+
+  async getAccount(wallet) {
+    const id = `acct_${wallet}`;
+    const account = await this.store.get(id);
+    if (account) {
+      return account;
+    }
+    return await this.store.put(id, { id, wallet, balances: {}, createdAt: new Date().toISOString() });
+  }
+
+  /**
+   * Balance of an asset
+   * @param {string} wallet - Wallet address
+   * @param {string} network - Network identifier
+   * @param {string} asset - Token address/mint
+   * @returns {BigInt} Balance in base units
+   */
+  async getBalance(wallet, network, asset) {
+    const account = await this.getAccount(wallet);
+    const balance = account.balances[balanceKey(network, asset)] || this.startingBalance(network, asset);
+    return BigInt(balance.amount);
+  }
+
+  /**
+   * Balance of an asset in whole tokens (0 for tokens never held)
+   * @returns {number} Balance
+   */
+  async getTokenBalance(wallet, network, asset) {
+    const account = await this.getAccount(wallet);
+    const { amount, decimals } = account.balances[balanceKey(network, asset)] || this.startingBalance(network, asset);
+    return decimals === null ? 0 : Number(ethers.utils.formatUnits(amount, decimals));
+  }
+
+  /**
+   * All balances of a wallet, including the untouched USDC seed of every registered network
+   * @param {string} wallet - Wallet address
+   * @returns {Array} [{ network, asset, amount (base units), decimals, balance (whole tokens) }]
+   */
+  async getBalances(wallet) {
+    const account = await this.getAccount(wallet);
+    const balances = { ...account.balances };
+
+    for (const { id: network, usdc: { address: asset } } of listNetworks()) {
+      const key = balanceKey(network, asset);
+      balances[key] = balances[key] || { network, asset, ...this.startingBalance(network, asset) };
+    }
+
+    return Object.values(balances).map(b => ({
+      ...b,
+      balance: Number(ethers.utils.formatUnits(b.amount, b.decimals)),
+    }));
+  }
+
+  /**
+   * Apply balance changes atomically
+   * @param {string} wallet - Wallet address
+   * @param {Array} changes - [{ network, asset, delta (BigInt base units), decimals }]
+   */
+  async applyChanges(wallet, changes) {
+    await this.getAccount(wallet);
+
+    let refusal = null; // Reason the changes were refused
+    await this.store.update(`acct_${wallet}`, account => {
+      const balances = { ...account.balances };
+
+      for (const { network, asset, delta, decimals } of changes) {
+        const key = balanceKey(network, asset);
+        const current = balances[key] || this.startingBalance(network, asset);
+        if (current.decimals !== null && current.decimals !== decimals) {
+          refusal = `${asset} on ${network} has ${current.decimals} decimals, not ${decimals}`;
+          return null;
+        }
+
+        const amount = BigInt(current.amount) + delta;
+
+        if (amount < 0n) {
+          refusal = `Insufficient paper balance of ${asset} on ${network}: ` +
+            `${ethers.utils.formatUnits(current.amount, decimals)} < ${ethers.utils.formatUnits(-delta, decimals)}`;
+          return null;
+        }
+        balances[key] = { network, asset, amount: amount.toString(), decimals };
+      }
+
+      return { ...account, balances, updatedAt: new Date().toISOString() };
+    });
+
+    if (refusal) {
+      throw new Error(refusal);
+    }
+  }
+
+  async recordTransaction(entry) {
+    const id = `ptx_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+    const record = {
+      id,
+      txHash: fakeTxHash(entry.network),
+      ...entry,
+      simulated: true,
+      timestamp: new Date().toISOString(),
+    };
+    await this.store.put(id, record);
+    return record;
+  }
+
+  /**
+   * Pay from the paper wallet
+   * @param {Object} params - { wallet, network, asset, to, amount (base units), decimals }
+   * @returns {Object} Transaction record ({ txHash, ... })
+   */
+  async transfer(params) {
+    const { wallet, network, asset, to, amount, decimals = getNetwork(network).usdc.decimals } = params;
+
+    await this.applyChanges(wallet, [{ network, asset, delta: -BigInt(amount), decimals }]);
+    return await this.recordTransaction({
+      type: 'transfer', wallet, network, asset, to, amount: String(amount), decimals,
+    });
+  }
+
+  /**
+   * Swap in the paper wallet
+   * @param {Object} params - { wallet, network, inputMint, inAmount, inputDecimals, outputMint, outAmount,
+   *   outputDecimals, prepaid (input already left the wallet, e.g. as an X402 payment) }
+   * @returns {Object} Transaction record ({ txHash, ... })
+   */
+  async swap(params) {
+    const { wallet, network, inputMint, inAmount, inputDecimals, outputMint, outAmount, outputDecimals, prepaid = false } = params;
+
+    await this.applyChanges(wallet, [
+      !prepaid && { network, asset: inputMint, delta: -BigInt(inAmount), decimals: inputDecimals },
+      { network, asset: outputMint, delta: BigInt(outAmount), decimals: outputDecimals },
+    ].filter(Boolean));
+
+    return await this.recordTransaction({
+      type: 'swap', wallet, network, inputMint, inAmount: String(inAmount), outputMint, outAmount: String(outAmount), prepaid,
+    });
+  }
+
+  /**
+   * Credit virtual funds
+   * @param {Object} params - { wallet, network, asset, amount (base units), decimals }
+   * @returns {Object} Transaction record
+   */
+  async fund(params) {
+    const { wallet, network, asset, amount, decimals = getNetwork(network).usdc.decimals } = params;
+
+    await this.applyChanges(wallet, [{ network, asset, delta: BigInt(amount), decimals }]);
+    return await this.recordTransaction({
+      type: 'fund', wallet, network, asset, amount: String(amount), decimals,
+    });
+  }
+
+  /**
+   * Paper transactions of a wallet, newest first
+   * @param {string} wallet - Wallet address
+   * @param {Object} options - { limit }
+   * @returns {Array} Transactions
+   */
+  async getTransactions(wallet, options = {}) {
+    const transactions = await this.store.list(r => r.id.startsWith('ptx_') && r.wallet === wallet);
+    transactions.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return options.limit ? transactions.slice(0, options.limit) : transactions;
+  }
+
+  /**
+   * Forget a wallet's balances (back to the starting USDC) and transactions
+   * @param {string} wallet - Wallet address
+   */
+  async reset(wallet) {
+    for (const tx of await this.getTransactions(wallet)) {
+      await this.store.delete(tx.id);
+    }
+    await this.store.delete(`acct_${wallet}`);
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   PAPER SWAP EXECUTOR
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Swap executor (see swap-executors.js) that fills quotes in a PaperWallet
+ * at the quoted output
+ */
+export class PaperSwapExecutor {
+  constructor(config) {
+    this.paperWallet = config.paperWallet;
+    this.wallet = config.wallet;
+  }
+
+  /**
+   * @param {Object} params - { quote, minOutAmount, recipient, prepaid }
+   * @returns {Object} Swap result
+   */
+  async swap(params) {
+    const { quote, recipient = this.wallet, prepaid = false } = params;
+    const minOutAmount = params.minOutAmount ?? quote.minOutAmount;
+
+    if (BigInt(quote.outAmount) < BigInt(minOutAmount)) {
+      throw new Error(`Swap output ${quote.outAmount} below minimum ${minOutAmount}`);
+    }
+
+    const tx = await this.paperWallet.swap({
+      wallet: recipient,
+      network: quote.network,
+      inputMint: quote.inputMint,
+      inAmount: quote.inAmount,
+      inputDecimals: quote.inputDecimals,
+      outputMint: quote.outputMint,
+      outAmount: quote.outAmount,
+      outputDecimals: quote.outputDecimals,
+      prepaid,
+    });
+
+    return {
+      provider: 'paper',
+      network: quote.network,
+      side: quote.side,
+      token: quote.token,
+      txHash: tx.txHash,
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      minOutAmount: String(minOutAmount),
+      inputAmount: quote.inputAmount,
+      outputAmount: quote.outputAmount,
+      recipient,
+      route: quote.route,
+      simulated: true,
+    };
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A PAYMENT LEDGER
+ * Records every payment outcome and computes spend over time windows
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Windows:
+ * - day / week / month, either calendar-aligned in a time zone
+ *   (midnight, Monday, 1st of the month) or rolling (24h, 7d, 30d)
+ *
+ * An approved payment is reserved in the ledger before any funds move and
+ * settled once the outcome is known. Reserved entries count as spend, so
+ * budget checks made under the wallet's lock (exclusive) see payments
+ * still in flight. A reservation left by a crash keeps counting: whether
+ * it paid has to be checked by hand.
+ */
+
+import { openFileStore } from './storage.js';
+
+const LEDGER_WINDOWS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+// Statuses that count against budgets and velocity limits
+const SPENT_STATUSES = ['completed', 'reserved'];
+
+const ROLLING_WINDOW_MS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+};
+
+/* ═══════════════════════════════════════════════════════════════════
+   TIME ZONE HELPERS
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Whether a string names a time zone Intl understands
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Instant of local midnight on a calendar date in a time zone
+ */
+function zonedMidnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const offset = zoneOffset(new Date(guess), timeZone);
+  const instant = guess - offset;
+
+  // Re-check in case a DST transition falls between the guess and midnight
+  const corrected = zoneOffset(new Date(instant), timeZone);
+  return corrected === offset ? instant : guess - corrected;
+}
+
+/**
+ * Start of the spending window containing an instant
+ * @param {Date} now - Reference instant
+ * @param {string} window - 'day' | 'week' | 'month'
+ * @param {Object} options - { timeZone, rolling }
+ * @returns {Date} Window start
+ */
+export function windowStart(now, window, options = {}) {
+  const { timeZone = 'UTC', rolling = false } = options;
+
+  if (!ROLLING_WINDOW_MS[window]) {
+    throw new Error(`Unknown ledger window: ${window}`);
+  }
+
+  if (rolling) {
+    return new Date(now.getTime() - ROLLING_WINDOW_MS[window]);
+  }
+
+  const p = zonedParts(now, timeZone);
+
+  switch (window) {
+    case LEDGER_WINDOWS.DAY:
+      return new Date(zonedMidnight(p.year, p.month, p.day, timeZone));
+
+    case LEDGER_WINDOWS.WEEK: {
+      // Weeks start on Monday
+      const daysSinceMonday = (p.weekday + 6) % 7;
+      const monday = new Date(Date.UTC(p.year, p.month - 1, p.day - daysSinceMonday));
+      return new Date(zonedMidnight(
+        monday.getUTCFullYear(), monday.getUTCMonth() + 1, monday.getUTCDate(), timeZone
+      ));
+    }
+
+    case LEDGER_WINDOWS.MONTH:
+      return new Date(zonedMidnight(p.year, p.month, 1, timeZone));
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   PAYMENT LEDGER
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class PaymentLedger {
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.LEDGER_STORE_PATH || './data/ledger.json'
+    );
+    this.timeZone = config.timeZone || process.env.LEDGER_TIME_ZONE || 'UTC';
+    this.locks = new Map(); // wallet → tail of its exclusive section chain
+  }
+
+  /**
+   * Run fn while holding the wallet's lock, so a budget check and the
+   * reservation it approves can't interleave with another payment's
+   * @param {string} wallet - Wallet address
+   * @param {Function} fn - async () => result
+   * @returns {*} fn's result
+   */
+  async exclusive(wallet, fn) {
+    const previous = this.locks.get(wallet) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    this.locks.set(wallet, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(wallet) === tail) {
+        this.locks.delete(wallet);
+      }
+    }
+  }
+
+  /**
+   * Record a payment outcome
+   * @param {Object} entry - { resource, amount, network, txHash, agentName, wallet, status, reason, simulated }
+   * @returns {Object} Stored ledger entry
+   */
+  async record(entry) {
+    const id = `pay_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+    const record = {
+      id,
+      resource: entry.resource,
+      amount: entry.amount, // Base units (1e6 = 1 USDC)
+      network: entry.network,
+      txHash: entry.txHash || null,
+      agentName: entry.agentName,
+      wallet: entry.wallet,
+      status: entry.status, // 'reserved' | 'completed' | 'rejected' | 'pending_approval' | 'failed'
+      reason: entry.reason || null,
+      metadata: entry.metadata || {},
+      simulated: Boolean(entry.simulated), // Paper-trading payment (no funds moved)
+      timestamp: new Date(entry.timestamp || Date.now()).toISOString(),
+    };
+
+    await this.store.put(id, record);
+    return record;
+  }
+
+  /**
+   * Reserve an approved payment's amount before paying it
+   * @param {Object} entry - Same fields as record, without status
+   * @returns {Object} Reserved ledger entry
+   */
+  async reserve(entry) {
+    return await this.record({ ...entry, status: 'reserved' });
+  }
+
+  /**
+   * Record the outcome of a reserved payment
+   * @param {string} id - Reservation id
+   * @param {Object} outcome - { status, txHash, reason }
+   * @returns {Object|null} Settled entry, or null if the reservation is unknown
+   */
+  async settle(id, outcome) {
+    return await this.store.update(id, e => ({
+      ...e,
+      status: outcome.status,
+      txHash: outcome.txHash || e.txHash,
+      reason: outcome.reason || e.reason,
+    }));
+  }
+
+  /**
+   * Query ledger entries, newest first
+   * @param {Object} filter - { wallet, status (one or a list), since, until, limit, simulated (omit for both) }
+   * @returns {Array} Ledger entries
+   */
+  async getEntries(filter = {}) {
+    const { wallet, status, since, until, limit, simulated } = filter;
+    const sinceMs = since ? new Date(since).getTime() : -Infinity;
+    const untilMs = until ? new Date(until).getTime() : Infinity;
+    const statuses = status && [].concat(status);
+
+    const entries = await this.store.list(e => {
+      const at = new Date(e.timestamp).getTime();
+      return (!wallet || e.wallet === wallet) &&
+        (!statuses || statuses.includes(e.status)) &&
+        (simulated === undefined || Boolean(e.simulated) === simulated) &&
+        at >= sinceMs && at < untilMs;
+    });
+
+    entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Total spend (completed and reserved) for a wallet over a window (real or paper, never both)
+   * @param {Object} params - { wallet, window, timeZone, rolling, now, simulated }
+   * @returns {number} Amount spent in USDC
+   */
+  async getSpending(params) {
+    const {
+      wallet,
+      window = LEDGER_WINDOWS.DAY,
+      timeZone = this.timeZone,
+      rolling = false,
+      now = new Date(),
+      simulated = false,
+    } = params;
+
+    const entries = await this.getEntries({
+      wallet,
+      status: SPENT_STATUSES,
+      simulated,
+      since: windowStart(now, window, { timeZone, rolling }),
+    });
+
+    return entries.reduce((sum, e) => sum + Number(e.amount), 0) / 1e6;
+  }
+
+  /**
+   * Day, week and month spend for a wallet
+   * @param {Object} params - { wallet, timeZone, rolling }
+   * @returns {Object} { day, week, month } in USDC
+   */
+  async getSpendingSummary(params) {
+    const summary = {};
+    for (const window of Object.values(LEDGER_WINDOWS)) {
+      summary[window] = await this.getSpending({ ...params, window });
+    }
+    return summary;
+  }
+}
+
+export { LEDGER_WINDOWS, SPENT_STATUSES };
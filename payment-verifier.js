@@ -0,0 +1,602 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A X402 PAYMENT VERIFIER
+ * On-chain verification of X-PAYMENT proofs
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Confirms that the transaction referenced by an X-PAYMENT header:
+ * - exists on the challenge's network and did not fail
+ * - moved the challenge's USDC asset to its payTo address
+ * - transferred at least the minimum its scheme accepts
+ *   (maxAmountRequired, or minAmountRequired for range/dynamic)
+ * - has reached the required number of confirmations
+ *
+ * Results carry the transaction's blockTime (unix seconds) so callers
+ * can refuse payments made before the challenge they claim to answer.
+ *
+ * EVM proofs may instead carry a signed EIP-3009 transfer authorization
+ * (the x402 "exact" EVM scheme). Those are checked off-chain (signature,
+ * recipient, amount, validity window, unused nonce, payer balance) and
+ * then settled by submitting transferWithAuthorization from a server
+ * settlement wallet, which pays the gas.
+ *
+ * Each network family has its own verifier (Solana JSON-RPC, EVM
+ * JSON-RPC). Custom verifiers can be registered per network, and
+ * RPC endpoints can point at local mock nodes for testing.
+ */
+
+import { Connection } from '@solana/web3.js';
+import { ethers } from 'ethers';
+import { NETWORK_FAMILIES, minimumPaymentAmount, hasNetwork, isSolanaNetwork, listNetworks } from './x402-ai-agent.js';
+import {
+  EIP3009_ABI,
+  supportsTransferAuthorization,
+  recoverAuthorizationSigner,
+} from './eip3009.js';
+
+/* ═══════════════════════════════════════════════════════════════════
+   VERIFICATION RESULTS
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const INVALID_REASONS = {
+  MALFORMED_PAYLOAD: 'malformed_payload',
+  UNSUPPORTED_NETWORK: 'unsupported_network',
+  NETWORK_MISMATCH: 'network_mismatch',
+  SCHEME_MISMATCH: 'scheme_mismatch',
+  TX_NOT_FOUND: 'tx_not_found',
+  TX_FAILED: 'tx_failed',
+  WRONG_ASSET: 'wrong_asset',
+  WRONG_RECIPIENT: 'wrong_recipient',
+  INSUFFICIENT_AMOUNT: 'insufficient_amount',
+  INSUFFICIENT_CONFIRMATIONS: 'insufficient_confirmations',
+  INVALID_SIGNATURE: 'invalid_signature',
+  AUTHORIZATION_EXPIRED: 'authorization_expired',
+  AUTHORIZATION_USED: 'authorization_used',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  SETTLEMENT_FAILED: 'settlement_failed',
+  RPC_ERROR: 'rpc_error',
+};
+
+function reject(invalidReason, message, details = {}) {
+  return {
+    isValid: false,
+    invalidReason,
+    message,
+    ...details,
+  };
+}
+
+/**
+ * Normalize an amount (number, string, bigint or BigNumber) to bigint
+ * @param {*} value - Amount in base units
+ * @returns {bigint} Amount
+ */
+function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number') return BigInt(Math.floor(value));
+  return BigInt(value.toString());
+}
+
+const isUint = (value) => (typeof value === 'bigint' && value >= 0n) ||
+  (Number.isSafeInteger(value) && value >= 0) ||
+  (typeof value === 'string' && /^\d+$/.test(value));
+
+/**
+ * Check the shape of an EIP-3009 authorization, so a malformed one is
+ * refused as such rather than failing inside an RPC call
+ * @param {Object} payload - X-PAYMENT payload ({ authorization, signature })
+ * @returns {string|null} What is wrong, or null
+ */
+function authorizationProblem(payload) {
+  const { authorization, signature } = payload;
+
+  if (!signature || !authorization.from || !authorization.to || !authorization.nonce) {
+    return 'is incomplete';
+  }
+  if (!ethers.utils.isHexString(signature) || ![64, 65].includes(ethers.utils.hexDataLength(signature))) {
+    return 'signature must be a 64 or 65 byte hex string';
+  }
+  if (!ethers.utils.isAddress(authorization.from) || !ethers.utils.isAddress(authorization.to)) {
+    return 'from and to must be addresses';
+  }
+  if (!ethers.utils.isHexString(authorization.nonce, 32)) {
+    return 'nonce must be a 32 byte hex string';
+  }
+  const field = ['value', 'validAfter', 'validBefore'].find(f => !isUint(authorization[f]));
+  return field ? `${field} must be a non-negative integer` : null;
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   SOLANA VERIFIER
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class SolanaPaymentVerifier {
+  constructor(config = {}) {
+    this.connection = config.connection || new Connection(config.rpcEndpoint, 'confirmed');
+    this.minConfirmations = config.minConfirmations ?? 1;
+  }
+
+  /**
+   * Verify an SPL token transfer
+   * @param {Object} payload - X-PAYMENT payload ({ txSignature })
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {Object} Verification result
+   */
+  async verify(payload, requirement) {
+    const signature = payload.txSignature || payload.txHash;
+    if (!signature) {
+      return reject(INVALID_REASONS.MALFORMED_PAYLOAD, 'Solana payments need a transaction signature');
+    }
+
+    const tx = await this.connection.getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+
+    if (!tx) {
+      return reject(INVALID_REASONS.TX_NOT_FOUND, `Transaction ${signature} not found`);
+    }
+
+    if (tx.meta?.err) {
+      return reject(INVALID_REASONS.TX_FAILED, `Transaction ${signature} failed on-chain`);
+    }
+
+    // Sum the balance change of every payTo-owned account for the asset mint
+    const accountKeys = tx.transaction.message.accountKeys.map(k => (k.pubkey || k).toString());
+    const isRecipient = (balance) =>
+      balance.owner === requirement.payTo || accountKeys[balance.accountIndex] === requirement.payTo;
+
+    const pre = tx.meta?.preTokenBalances || [];
+    const post = tx.meta?.postTokenBalances || [];
+    const assetBalances = post.filter(b => b.mint === requirement.asset);
+
+    if (post.length > 0 && assetBalances.length === 0) {
+      return reject(INVALID_REASONS.WRONG_ASSET, `Transaction did not move asset ${requirement.asset}`);
+    }
+
+    let received = 0n;
+    let recipientSeen = false;
+    for (const balance of assetBalances) {
+      if (!isRecipient(balance)) continue;
+      recipientSeen = true;
+      const before = pre.find(b => b.accountIndex === balance.accountIndex);
+      received += BigInt(balance.uiTokenAmount.amount) - BigInt(before ? before.uiTokenAmount.amount : 0);
+    }
+
+    if (!recipientSeen) {
+      return reject(INVALID_REASONS.WRONG_RECIPIENT, `Transaction did not pay ${requirement.payTo}`);
+    }
+
+    const required = toBigInt(minimumPaymentAmount(requirement));
+    if (received < required) {
+      return reject(
+        INVALID_REASONS.INSUFFICIENT_AMOUNT,
+        `Received ${received} but ${required} is required`,
+        { amount: received.toString() }
+      );
+    }
+
+    // A null confirmation count means the slot is rooted (finalized)
+    const { value: [status] } = await this.connection.getSignatureStatuses([signature], {
+      searchTransactionHistory: true,
+    });
+    const confirmations = status?.confirmations === null ? Infinity : (status?.confirmations ?? 0);
+
+    if (confirmations < this.minConfirmations) {
+      return reject(
+        INVALID_REASONS.INSUFFICIENT_CONFIRMATIONS,
+        `Transaction has ${confirmations} confirmations, ${this.minConfirmations} required`,
+        { confirmations }
+      );
+    }
+
+    // The payer is the asset holder whose balance went down
+    const payer = pre.find(b => {
+      if (b.mint !== requirement.asset || isRecipient(b)) return false;
+      const after = post.find(p => p.accountIndex === b.accountIndex);
+      return BigInt(b.uiTokenAmount.amount) > BigInt(after ? after.uiTokenAmount.amount : 0);
+    });
+
+    return {
+      isValid: true,
+      txHash: signature,
+      payer: payer?.owner || accountKeys[0],
+      amount: received.toString(),
+      slot: tx.slot,
+      blockTime: tx.blockTime ?? undefined,
+      confirmations,
+    };
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   EVM VERIFIER
+   ═══════════════════════════════════════════════════════════════════ */
+
+const ERC20_TRANSFER_EVENT = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+]);
+
+export class EVMPaymentVerifier {
+  constructor(config = {}) {
+    this.provider = config.provider || new ethers.providers.JsonRpcProvider(config.rpcEndpoint);
+    this.minConfirmations = config.minConfirmations ?? 1;
+
+    // Wallet that submits transfer authorizations (and pays their gas)
+    this.signer = config.signer || (config.settlementKey
+      ? new ethers.Wallet(config.settlementKey, this.provider)
+      : null);
+  }
+
+  /**
+   * Verify an ERC-20 transfer, or a transfer authorization awaiting settlement
+   * @param {Object} payload - X-PAYMENT payload ({ txHash } or { authorization, signature })
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {Object} Verification result
+   */
+  async verify(payload, requirement) {
+    if (payload.authorization) {
+      return await this.verifyAuthorization(payload, requirement);
+    }
+
+    const txHash = payload.txHash;
+    if (!txHash) {
+      return reject(INVALID_REASONS.MALFORMED_PAYLOAD, 'EVM payments need a txHash or a transfer authorization');
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+
+    if (!receipt) {
+      return reject(INVALID_REASONS.TX_NOT_FOUND, `Transaction ${txHash} not found`);
+    }
+
+    if (receipt.status !== 1) {
+      return reject(INVALID_REASONS.TX_FAILED, `Transaction ${txHash} reverted`);
+    }
+
+    const transfers = receipt.logs
+      .map(log => {
+        try {
+          return { address: log.address, event: ERC20_TRANSFER_EVENT.parseLog(log) };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    const assetTransfers = transfers.filter(t => t.address.toLowerCase() === requirement.asset.toLowerCase());
+    if (assetTransfers.length === 0) {
+      return reject(INVALID_REASONS.WRONG_ASSET, `Transaction did not move asset ${requirement.asset}`);
+    }
+
+    const payments = assetTransfers.filter(t => t.event.args.to.toLowerCase() === requirement.payTo.toLowerCase());
+    if (payments.length === 0) {
+      return reject(INVALID_REASONS.WRONG_RECIPIENT, `Transaction did not pay ${requirement.payTo}`);
+    }
+
+    const received = payments.reduce((sum, t) => sum + BigInt(t.event.args.value.toString()), 0n);
+    const required = toBigInt(minimumPaymentAmount(requirement));
+    if (received < required) {
+      return reject(
+        INVALID_REASONS.INSUFFICIENT_AMOUNT,
+        `Received ${received} but ${required} is required`,
+        { amount: received.toString() }
+      );
+    }
+
+    let confirmations = receipt.confirmations;
+    if (confirmations === undefined) {
+      const head = await this.provider.getBlockNumber();
+      confirmations = head - receipt.blockNumber + 1;
+    }
+
+    if (confirmations < this.minConfirmations) {
+      return reject(
+        INVALID_REASONS.INSUFFICIENT_CONFIRMATIONS,
+        `Transaction has ${confirmations} confirmations, ${this.minConfirmations} required`,
+        { confirmations }
+      );
+    }
+
+    const block = await this.provider.getBlock(receipt.blockHash);
+
+    return {
+      isValid: true,
+      txHash,
+      payer: payments[0].event.args.from,
+      amount: received.toString(),
+      blockNumber: receipt.blockNumber,
+      blockTime: block?.timestamp,
+      confirmations,
+    };
+  }
+
+  /**
+   * Check an EIP-3009 transfer authorization without submitting it
+   * @param {Object} payload - X-PAYMENT payload ({ authorization, signature })
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {Object} Verification result ({ isValid, requiresSettlement, payer, amount })
+   */
+  async verifyAuthorization(payload, requirement) {
+    const { authorization } = payload;
+
+    const problem = authorizationProblem(payload);
+    if (problem) {
+      return reject(INVALID_REASONS.MALFORMED_PAYLOAD, `Transfer authorization ${problem}`);
+    }
+
+    if (!supportsTransferAuthorization(requirement)) {
+      return reject(INVALID_REASONS.MALFORMED_PAYLOAD, `Asset ${requirement.asset} has no EIP-712 domain configured`);
+    }
+
+    // The domain binds the signature to this asset contract and chain
+    const { chainId } = await this.provider.getNetwork();
+    let signer;
+    try {
+      signer = recoverAuthorizationSigner(payload, requirement, chainId);
+    } catch {
+      signer = null;
+    }
+
+    if (!signer || signer.toLowerCase() !== authorization.from.toLowerCase()) {
+      return reject(INVALID_REASONS.INVALID_SIGNATURE, 'Authorization was not signed by its from address');
+    }
+
+    if (authorization.to.toLowerCase() !== requirement.payTo.toLowerCase()) {
+      return reject(INVALID_REASONS.WRONG_RECIPIENT, `Authorization does not pay ${requirement.payTo}`);
+    }
+
+    const value = toBigInt(authorization.value);
+    const required = toBigInt(minimumPaymentAmount(requirement));
+    if (value < required) {
+      return reject(
+        INVALID_REASONS.INSUFFICIENT_AMOUNT,
+        `Authorized ${value} but ${required} is required`,
+        { amount: value.toString() }
+      );
+    }
+
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    if (now <= toBigInt(authorization.validAfter) || now >= toBigInt(authorization.validBefore)) {
+      return reject(
+        INVALID_REASONS.AUTHORIZATION_EXPIRED,
+        `Authorization is only valid between ${authorization.validAfter} and ${authorization.validBefore}`
+      );
+    }
+
+    const token = new ethers.Contract(requirement.asset, EIP3009_ABI, this.provider);
+
+    if (await token.authorizationState(authorization.from, authorization.nonce)) {
+      return reject(INVALID_REASONS.AUTHORIZATION_USED, 'Authorization nonce has already been used');
+    }
+
+    const balance = toBigInt(await token.balanceOf(authorization.from));
+    if (balance < value) {
+      return reject(INVALID_REASONS.INSUFFICIENT_FUNDS, `Payer holds ${balance} but authorized ${value}`);
+    }
+
+    return {
+      isValid: true,
+      requiresSettlement: true,
+      payer: authorization.from,
+      amount: value.toString(),
+    };
+  }
+
+  /**
+   * Submit a verified transfer authorization on-chain
+   * @param {Object} payload - X-PAYMENT payload ({ authorization, signature })
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {Object} Settlement result ({ isValid, txHash, payer, amount, blockNumber })
+   */
+  async settle(payload, requirement) {
+    if (!this.signer) {
+      return reject(INVALID_REASONS.SETTLEMENT_FAILED, 'No settlement wallet configured for this network');
+    }
+
+    const { authorization: a } = payload;
+    const { v, r, s } = ethers.utils.splitSignature(payload.signature);
+    const token = new ethers.Contract(requirement.asset, EIP3009_ABI, this.signer);
+
+    let receipt;
+    try {
+      const tx = await token.transferWithAuthorization(
+        a.from, a.to, a.value, a.validAfter, a.validBefore, a.nonce, v, r, s
+      );
+      receipt = await tx.wait(Math.max(1, this.minConfirmations));
+    } catch (error) {
+      return reject(INVALID_REASONS.SETTLEMENT_FAILED, error.reason || error.message);
+    }
+
+    if (receipt.status !== 1) {
+      return reject(INVALID_REASONS.TX_FAILED, `Settlement ${receipt.transactionHash} reverted`);
+    }
+
+    return {
+      isValid: true,
+      txHash: receipt.transactionHash,
+      payer: a.from,
+      amount: toBigInt(a.value).toString(),
+      blockNumber: receipt.blockNumber,
+    };
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   PAYMENT VERIFIER (per-network dispatch)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class PaymentVerifier {
+  constructor(config = {}) {
+    this.rpcEndpoints = config.rpcEndpoints || {};
+    this.minConfirmations = config.minConfirmations || {};
+    this.settlementKeys = config.settlementKeys || {}; // EVM wallets that settle authorizations
+    this.verifiers = new Map();
+  }
+
+  /**
+   * Register a custom verifier for a network
+   * @param {string} network - Network identifier
+   * @param {Object} verifier - Object with async verify(payload, requirement),
+   *   and settle(payload, requirement) if it accepts payloads that need settling
+   */
+  registerVerifier(network, verifier) {
+    this.verifiers.set(network, verifier);
+  }
+
+  /**
+   * Networks this verifier can handle (registered or with an RPC endpoint)
+   * @returns {Array} Network identifiers
+   */
+  supportedNetworks() {
+    const configured = Object.keys(this.rpcEndpoints).filter(network =>
+      this.rpcEndpoints[network] && hasNetwork(network)
+    );
+    return [...new Set([...this.verifiers.keys(), ...configured])];
+  }
+
+  /**
+   * Get (or lazily create) the verifier for a network
+   * @param {string} network - Network identifier
+   * @returns {Object|null} Verifier
+   */
+  getVerifier(network) {
+    if (this.verifiers.has(network)) {
+      return this.verifiers.get(network);
+    }
+
+    if (!hasNetwork(network) || !this.rpcEndpoints[network]) {
+      return null;
+    }
+
+    const config = {
+      rpcEndpoint: this.rpcEndpoints[network],
+      minConfirmations: this.minConfirmations[network],
+      settlementKey: this.settlementKeys[network],
+    };
+
+    const verifier = isSolanaNetwork(network)
+      ? new SolanaPaymentVerifier(config)
+      : new EVMPaymentVerifier(config);
+
+    this.verifiers.set(network, verifier);
+    return verifier;
+  }
+
+  /**
+   * Verify an X-PAYMENT proof against the requirement it claims to satisfy
+   * @param {Object} payment - Decoded X-PAYMENT header
+   * @param {Object} requirement - X402 payment requirement (challenge accepts entry)
+   * @returns {Object} { isValid, invalidReason?, message?, ... }
+   */
+  async verify(payment, requirement) {
+    const { payload } = payment || {};
+    if (!payload || !(payload.txHash || payload.txSignature || payload.authorization)) {
+      return reject(INVALID_REASONS.MALFORMED_PAYLOAD, 'Payment payload is missing a transaction reference');
+    }
+
+    if (payment.network !== requirement.network) {
+      return reject(
+        INVALID_REASONS.NETWORK_MISMATCH,
+        `Payment is on ${payment.network} but ${requirement.network} is required`
+      );
+    }
+
+    if (payment.scheme && requirement.scheme && payment.scheme !== requirement.scheme) {
+      return reject(
+        INVALID_REASONS.SCHEME_MISMATCH,
+        `Payment uses the ${payment.scheme} scheme but ${requirement.scheme} is required`
+      );
+    }
+
+    const verifier = this.getVerifier(requirement.network);
+    if (!verifier) {
+      return reject(INVALID_REASONS.UNSUPPORTED_NETWORK, `No verifier configured for ${requirement.network}`);
+    }
+
+    try {
+      const result = await verifier.verify(payment.payload, requirement);
+      return { network: requirement.network, ...result };
+    } catch (error) {
+      return reject(INVALID_REASONS.RPC_ERROR, error.message, { network: requirement.network });
+    }
+  }
+
+  /**
+   * Settle a verified payment that has not moved funds yet (a transfer
+   * authorization). Call only when verify returned requiresSettlement.
+   * @param {Object} payment - Decoded X-PAYMENT header
+   * @param {Object} requirement - X402 payment requirement
+   * @returns {Object} { isValid, txHash, ... } or a structured rejection
+   */
+  async settle(payment, requirement) {
+    const verifier = this.getVerifier(requirement.network);
+    if (!verifier?.settle) {
+      return reject(INVALID_REASONS.UNSUPPORTED_NETWORK, `No settlement configured for ${requirement.network}`);
+    }
+
+    try {
+      const result = await verifier.settle(payment.payload, requirement);
+      return { network: requirement.network, ...result };
+    } catch (error) {
+      return reject(INVALID_REASONS.RPC_ERROR, error.message, { network: requirement.network });
+    }
+  }
+}
+
+/**
+ * Create a PaymentVerifier from environment variables
+ * (each registered network's RPC env var: RPC_ENDPOINT, BASE_RPC_ENDPOINT, BASE_SEPOLIA_RPC_ENDPOINT, ...;
+ * SOLANA_/EVM_MIN_CONFIRMATIONS, X402_SETTLEMENT_PRIVATE_KEY, and X402_LOCAL_EVM_RPC for a local test chain).
+ * Built-in networks are only verified once their RPC env var is set; custom networks registered
+ * without one use their registered endpoint.
+ * @param {Object} env - Environment (process.env by default)
+ * @returns {PaymentVerifier} Verifier
+ */
+export function createVerifierFromEnv(env = process.env) {
+  const evmConfirmations = Number(env.EVM_MIN_CONFIRMATIONS || 1);
+  const settlementKey = env.X402_SETTLEMENT_PRIVATE_KEY;
+
+  const rpcEndpoints = {};
+  const minConfirmations = {};
+  const settlementKeys = {}; // Wallet that submits EIP-3009 transfer authorizations and pays their gas
+
+  for (const network of listNetworks()) {
+    rpcEndpoints[network.id] = network.rpcEnv ? env[network.rpcEnv] : network.rpcEndpoint;
+
+    if (network.family === NETWORK_FAMILIES.SOLANA) {
+      minConfirmations[network.id] = Number(env.SOLANA_MIN_CONFIRMATIONS || 1);
+    } else {
+      minConfirmations[network.id] = evmConfirmations;
+      if (settlementKey) {
+        settlementKeys[network.id] = settlementKey;
+      }
+    }
+  }
+
+  const verifier = new PaymentVerifier({ rpcEndpoints, minConfirmations, settlementKeys });
+
+  // A local Hardhat/Anvil node, e.g. X402_LOCAL_EVM_RPC=http://127.0.0.1:8545
+  if (env.X402_LOCAL_EVM_RPC) {
+    verifier.registerVerifier(env.X402_LOCAL_EVM_NETWORK || 'evm-local', new EVMPaymentVerifier({
+      rpcEndpoint: env.X402_LOCAL_EVM_RPC,
+      minConfirmations: evmConfirmations,
+      settlementKey,
+    }));
+  }
+
+  return verifier;
+}
+
+/**
+ * Decode a base64 X-PAYMENT header
+ * @param {string} header - Header value
+ * @returns {Object|null} Decoded payment, or null when malformed
+ */
+export function decodePaymentHeader(header) {
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString());
+  } catch {
+    return null;
+  }
+}
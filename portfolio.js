@@ -0,0 +1,226 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A PORTFOLIO TRACKER
+ * Fills, positions and PnL of trading agents
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Every swap an agent makes is recorded as fills: buying a token is a
+ * buy fill at the USDC it cost, selling one a sell fill at the USDC it
+ * returned (a token-for-token swap is both, at the same USDC value).
+ * USDC itself is cash, not a position. Fills of a paper-trading agent are
+ * flagged simulated and kept apart from real ones, as the payment ledger
+ * does with paper spend.
+ *
+ * Positions are replayed from fills with average-cost accounting:
+ * buys add to quantity and cost basis; sells realize
+ * proceeds − average entry price × quantity sold. Selling more than the
+ * fills account for (tokens that arrived some other way) realizes only
+ * the tracked part.
+ *
+ * Reconciliation and marks are supplied by the caller: on-chain balances
+ * via readTokenBalance, market value via a sell quote for the position.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { NATIVE_MINT } from '@solana/spl-token';
+import { ethers } from 'ethers';
+import { openFileStore } from './storage.js';
+import { USDC_ADDRESSES, isSolanaNetwork } from './x402-ai-agent.js';
+
+// Quantities closer than this are treated as equal (float dust)
+const QUANTITY_EPSILON = 1e-9;
+
+const ERC20_BALANCE_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+];
+
+function isUSDC(network, token) {
+  return USDC_ADDRESSES[network]?.toLowerCase() === token.toLowerCase();
+}
+
+/**
+ * On-chain balance of a token, in whole tokens
+ * @param {Object} client - { connection } (Solana) or { provider } (EVM)
+ * @param {string} network - Network identifier
+ * @param {string} wallet - Owner address
+ * @param {string} token - Token address/mint
+ * @returns {number} Balance
+ */
+export async function readTokenBalance(client, network, wallet, token) {
+  if (isSolanaNetwork(network)) {
+    const owner = new PublicKey(wallet);
+
+    if (token === NATIVE_MINT.toBase58()) {
+      return (await client.connection.getBalance(owner)) / 1e9;
+    }
+
+    const { value } = await client.connection.getParsedTokenAccountsByOwner(owner, { mint: new PublicKey(token) });
+    return value.reduce((sum, { account }) => sum + Number(account.data.parsed.info.tokenAmount.uiAmountString), 0);
+  }
+
+  const contract = new ethers.Contract(token, ERC20_BALANCE_ABI, client.provider);
+  const [balance, decimals] = await Promise.all([contract.balanceOf(wallet), contract.decimals()]);
+  return Number(ethers.utils.formatUnits(balance, decimals));
+}
+
+/**
+ * Replay fills into a position (fills oldest first)
+ */
+function replayPosition(fills) {
+  const position = {
+    network: fills[0].network,
+    token: fills[0].token,
+    quantity: 0,
+    costBasisUSDC: 0,
+    avgEntryPrice: null,
+    realizedPnlUSDC: 0,
+    buys: 0,
+    sells: 0,
+    untrackedSold: 0,
+    firstFillAt: fills[0].timestamp,
+    lastFillAt: fills[fills.length - 1].timestamp,
+  };
+
+  for (const fill of fills) {
+    if (fill.side === 'buy') {
+      position.quantity += fill.quantity;
+      position.costBasisUSDC += fill.valueUSDC;
+      position.buys++;
+      continue;
+    }
+
+    // Realize against the average cost of what we were tracking
+    const tracked = Math.min(fill.quantity, position.quantity);
+    const avg = position.quantity > 0 ? position.costBasisUSDC / position.quantity : 0;
+    const trackedProceeds = fill.quantity > 0 ? fill.valueUSDC * (tracked / fill.quantity) : 0;
+
+    position.realizedPnlUSDC += trackedProceeds - avg * tracked;
+    position.costBasisUSDC -= avg * tracked;
+    position.quantity -= tracked;
+    position.untrackedSold += fill.quantity - tracked;
+    position.sells++;
+
+    if (position.quantity < QUANTITY_EPSILON) {
+      position.quantity = 0;
+      position.costBasisUSDC = 0;
+    }
+  }
+
+  position.avgEntryPrice = position.quantity > 0 ? position.costBasisUSDC / position.quantity : null;
+  return position;
+}
+
+export class Portfolio {
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.PORTFOLIO_STORE_PATH || './data/portfolio.json'
+    );
+  }
+
+  /**
+   * Record a fill
+   * @param {Object} fill - { wallet, network, token, side ('buy' | 'sell'), quantity (whole tokens),
+   *   valueUSDC (cost of a buy, proceeds of a sell), txHash, source, simulated, timestamp }
+   * @returns {Object} Stored fill
+   */
+  async recordFill(fill) {
+    const id = `fill_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+    const record = {
+      id,
+      wallet: fill.wallet,
+      network: fill.network,
+      token: fill.token,
+      side: fill.side,
+      quantity: Number(fill.quantity),
+      valueUSDC: Number(fill.valueUSDC),
+      price: Number(fill.valueUSDC) / Number(fill.quantity),
+      txHash: fill.txHash || null,
+      source: fill.source || null, // 'buy_token' | 'sell_token' | 'arbitrage' | ...
+      simulated: Boolean(fill.simulated), // Paper-trading fill (no tokens moved)
+      timestamp: new Date(fill.timestamp || Date.now()).toISOString(),
+    };
+
+    await this.store.put(id, record);
+    return record;
+  }
+
+  /**
+   * Record the fills of an executed swap
+   * @param {Object} params - { wallet, swap (swap result), valueUSDC, source, simulated }
+   *   valueUSDC is only needed when neither side of the swap is USDC
+   * @returns {Array} Stored fills
+   */
+  async recordSwap(params) {
+    const { wallet, swap, source, simulated } = params;
+    const { network } = swap;
+
+    const valueUSDC = params.valueUSDC ?? (isUSDC(network, swap.inputMint)
+      ? Number(swap.inputAmount)
+      : Number(swap.outputAmount));
+
+    const fills = [];
+    if (!isUSDC(network, swap.inputMint)) {
+      fills.push(await this.recordFill({
+        wallet, network, token: swap.inputMint, side: 'sell',
+        quantity: swap.inputAmount, valueUSDC, txHash: swap.txHash, source, simulated,
+      }));
+    }
+    if (!isUSDC(network, swap.outputMint)) {
+      fills.push(await this.recordFill({
+        wallet, network, token: swap.outputMint, side: 'buy',
+        quantity: swap.outputAmount, valueUSDC, txHash: swap.txHash, source, simulated,
+      }));
+    }
+    return fills;
+  }
+
+  /**
+   * Query fills, newest first
+   * @param {Object} filter - { wallet, network, token, limit, simulated (omit for both) }
+   * @returns {Array} Fills
+   */
+  async getFills(filter = {}) {
+    const { wallet, network, token, limit, simulated } = filter;
+
+    const fills = await this.store.list(f =>
+      (!wallet || f.wallet === wallet) &&
+      (!network || f.network === network) &&
+      (!token || f.token === token) &&
+      (simulated === undefined || Boolean(f.simulated) === simulated)
+    );
+
+    fills.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return limit ? fills.slice(0, limit) : fills;
+  }
+
+  /**
+   * Positions of a wallet, replayed from its fills
+   * @param {Object} filter - { wallet, network, includeClosed, simulated (omit for both) }
+   * @returns {Array} Positions ({ network, token, quantity, costBasisUSDC, avgEntryPrice, realizedPnlUSDC, ... })
+   */
+  async getPositions(filter = {}) {
+    const { wallet, network, includeClosed = true, simulated } = filter;
+
+    // Oldest first; fills of the same instant keep the order they were recorded in
+    const fills = await this.store.list(f =>
+      (!wallet || f.wallet === wallet) &&
+      (!network || f.network === network) &&
+      (simulated === undefined || Boolean(f.simulated) === simulated)
+    );
+    fills.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    const byToken = new Map();
+    for (const fill of fills) {
+      const key = `${fill.network}:${fill.token}`;
+      if (!byToken.has(key)) {
+        byToken.set(key, []);
+      }
+      byToken.get(key).push(fill);
+    }
+
+    const positions = Array.from(byToken.values(), replayPosition);
+    return includeClosed ? positions : positions.filter(p => p.quantity > 0);
+  }
+}
@@ -0,0 +1,661 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A DEX QUOTE PROVIDERS
+ * Token swap quotes from aggregators, AMMs or offline fixtures
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Provider interface:
+ * - name
+ * - quote({ network, inputMint, outputMint, amount, slippageBps }) → quote
+ *     amount is in whole input tokens, slippageBps in basis points; buys
+ *     spend USDC (inputMint), sells receive it (outputMint)
+ *
+ * Every provider returns the same quote shape:
+ *   { provider, network, side, token, inputMint, outputMint, inputDecimals,
+ *     outputDecimals, inputAmount, outputAmount, inAmount, outAmount,
+ *     minOutAmount, price, priceImpact,
+ *     route: [{ venue, pool, inputMint, outputMint, percent }],
+ *     fees: { total, breakdown }, estimatedFee, liquidity, volatility,
+ *     slippageBps, quotedAt }
+ * Amounts named *Amount are decimal strings in whole tokens; inAmount,
+ * outAmount and minOutAmount are base units. priceImpact and estimatedFee
+ * are fractions (0.002 = 0.2%); fees and liquidity are in USDC. Jupiter
+ * quotes also carry the raw quoteResponse its swap API needs.
+ *
+ * Where a venue doesn't report price impact it is measured against a
+ * reference quote for 0.1% of the amount, and liquidity is the
+ * constant-product depth implied by that impact.
+ *
+ * QuoteService picks a provider per network and caches quotes for a
+ * configurable TTL (QUOTE_CACHE_TTL_MS). QUOTE_PROVIDER=fixture switches
+ * every network to the deterministic FixtureQuoteProvider.
+ */
+
+import { Connection, PublicKey } from '@solana/web3.js';
+import { getMint } from '@solana/spl-token';
+import { ethers } from 'ethers';
+import {
+  SUPPORTED_NETWORKS,
+  USDC_ADDRESSES,
+  NETWORK_FAMILIES,
+  listNetworks,
+  rpcEndpointFor,
+} from './x402-ai-agent.js';
+
+const DEFAULT_QUOTE_TTL_MS = 10000; // 10 seconds
+const DEFAULT_SLIPPAGE_BPS = 50; // 0.5%
+const REFERENCE_FRACTION = 0.001; // Reference quote size, relative to the trade
+
+const UNISWAP_V3_QUOTERS = {
+  'base-mainnet': '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+  'ethereum-mainnet': '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+  'polygon-mainnet': '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+};
+
+const UNISWAP_V3_FEE_TIERS = [100, 500, 3000, 10000];
+
+const QUOTER_V2_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+];
+
+const ERC20_DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+/* ═══════════════════════════════════════════════════════════════════
+   QUOTE HELPERS
+   ═══════════════════════════════════════════════════════════════════ */
+
+function toUnits(amount, decimals) {
+  return ethers.utils.parseUnits(Number(amount).toFixed(decimals), decimals).toString();
+}
+
+function fromUnits(units, decimals) {
+  return ethers.utils.formatUnits(units.toString(), decimals);
+}
+
+/**
+ * Whether a token is the network's USDC (the currency quotes are valued in)
+ */
+function isUSDC(network, mint) {
+  return USDC_ADDRESSES[network]?.toLowerCase() === mint.toLowerCase();
+}
+
+/**
+ * Check the size of a quote request: a positive amount, and slippage in
+ * whole basis points from 0 to 10000 (strings, as from a query, are read as numbers)
+ * @param {Object} params - { amount, slippageBps (optional) }
+ * @returns {Object} { amount, slippageBps } as numbers (slippageBps undefined if not given)
+ */
+export function parseQuoteParams(params) {
+  const { amount, slippageBps } = params;
+
+  const size = typeof amount === 'string' && amount.trim() === '' ? NaN : Number(amount);
+  if (!Number.isFinite(size) || size <= 0) {
+    throw new Error(`Invalid quote amount: ${amount}`);
+  }
+
+  if (slippageBps === undefined || slippageBps === null || slippageBps === '') {
+    return { amount: size, slippageBps: undefined };
+  }
+
+  const bps = Number(slippageBps);
+  if (!Number.isInteger(bps) || bps < 0 || bps > 10000) {
+    throw new Error(`Invalid slippageBps: ${slippageBps} (whole basis points from 0 to 10000)`);
+  }
+
+  return { amount: size, slippageBps: bps };
+}
+
+/**
+ * Price impact of a trade relative to a small reference trade
+ * @param {number} referenceRate - Output per input of the reference trade
+ * @param {number} rate - Output per input of the trade
+ * @returns {number} Price impact (fraction)
+ */
+export function impliedPriceImpact(referenceRate, rate) {
+  if (!referenceRate) {
+    return 0;
+  }
+  return Math.max(0, 1 - rate / referenceRate);
+}
+
+/**
+ * Pool depth (USDC, both sides) implied by the price impact of a trade,
+ * assuming a constant-product pool: impact ≈ in / (reserveIn + in)
+ * @param {number} amountUSDC - Trade size in USDC
+ * @param {number} priceImpact - Price impact (fraction)
+ * @returns {number|null} Liquidity in USDC, or null when the impact is too small to tell
+ */
+export function impliedLiquidity(amountUSDC, priceImpact) {
+  if (!priceImpact || priceImpact <= 0) {
+    return null;
+  }
+  return 2 * amountUSDC * (1 - priceImpact) / priceImpact;
+}
+
+/**
+ * Assemble a quote in the common shape (for custom providers and venues)
+ * @param {Object} params - { provider, network, inputMint, outputMint, inAmount, outAmount,
+ *   inputDecimals, outputDecimals, priceImpact, route, fees, liquidity, volatility, slippageBps }
+ * @returns {Object} Quote
+ */
+export function buildQuote(params) {
+  const {
+    provider,
+    network,
+    inputMint,
+    outputMint,
+    inAmount,
+    outAmount,
+    inputDecimals,
+    outputDecimals,
+    priceImpact,
+    route,
+    fees = [],
+    liquidity = null,
+    volatility = null,
+    slippageBps,
+    quoteResponse,
+  } = params;
+
+  const inputAmount = fromUnits(inAmount, inputDecimals);
+  const outputAmount = fromUnits(outAmount, outputDecimals);
+  const totalFee = fees.reduce((sum, fee) => sum + fee.amount, 0);
+  const minOutAmount = (BigInt(outAmount) * BigInt(10000 - slippageBps)) / 10000n;
+  const side = isUSDC(network, outputMint) ? 'sell' : 'buy';
+
+  return {
+    provider,
+    network,
+    side,
+    token: side === 'sell' ? inputMint : outputMint,
+    inputMint,
+    outputMint,
+    inputDecimals,
+    outputDecimals,
+    inputAmount,
+    outputAmount,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+    minOutAmount: minOutAmount.toString(),
+    price: Number(outputAmount) / Number(inputAmount),
+    priceImpact,
+    route,
+    fees: { total: totalFee, breakdown: fees },
+    estimatedFee: totalFee / Number(inputAmount),
+    liquidity,
+    volatility,
+    slippageBps,
+    quotedAt: new Date().toISOString(),
+    ...(quoteResponse && { quoteResponse }),
+  };
+}
+
+/**
+ * Read (and cache) the decimals of an ERC-20 token
+ */
+async function erc20Decimals(cache, provider, address) {
+  const key = address.toLowerCase();
+  if (!cache.has(key)) {
+    const token = new ethers.Contract(address, ERC20_DECIMALS_ABI, provider);
+    cache.set(key, await token.decimals());
+  }
+  return cache.get(key);
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   JUPITER (SOLANA AGGREGATOR)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class JupiterQuoteProvider {
+  constructor(config = {}) {
+    this.name = 'jupiter';
+    this.baseUrl = (config.jupiterApiUrl || process.env.JUPITER_API_URL || 'https://quote-api.jup.ag/v6').replace(/\/$/, '');
+    this.connection = config.connection || new Connection(
+      config.rpcEndpoint || rpcEndpointFor(SUPPORTED_NETWORKS.SOLANA),
+      'confirmed'
+    );
+    this.dexes = config.dexes || null; // Restrict routes to these DEX labels (e.g. ['Orca'])
+    this.decimals = new Map();
+  }
+
+  async getDecimals(mint) {
+    if (!this.decimals.has(mint)) {
+      this.decimals.set(mint, (await getMint(this.connection, new PublicKey(mint))).decimals);
+    }
+    return this.decimals.get(mint);
+  }
+
+  async quote(params) {
+    const { network, inputMint, outputMint, amount, slippageBps } = params;
+
+    const [inputDecimals, outputDecimals] = await Promise.all([
+      this.getDecimals(inputMint),
+      this.getDecimals(outputMint),
+    ]);
+
+    const url = new URL(`${this.baseUrl}/quote`);
+    url.searchParams.set('inputMint', inputMint);
+    url.searchParams.set('outputMint', outputMint);
+    url.searchParams.set('amount', toUnits(amount, inputDecimals));
+    url.searchParams.set('slippageBps', String(slippageBps));
+    if (this.dexes) {
+      url.searchParams.set('dexes', this.dexes.join(','));
+    }
+
+    const response = await fetch(url.toString());
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Jupiter quote failed (${response.status}): ${data.error || response.statusText}`);
+    }
+
+    const rate = Number(fromUnits(data.outAmount, outputDecimals)) / amount;
+    const inputValue = amount * (isUSDC(network, outputMint) ? rate : 1);
+
+    // Each hop's fee rate, applied to the share of the input routed through it
+    const fees = data.routePlan.map(({ swapInfo, percent }) => {
+      const base = swapInfo.feeMint === swapInfo.inputMint ? swapInfo.inAmount : swapInfo.outAmount;
+      const feeRate = Number(base) > 0 ? Number(swapInfo.feeAmount) / Number(base) : 0;
+      return { venue: swapInfo.label, amount: feeRate * inputValue * (percent / 100) };
+    });
+
+    const priceImpact = Math.abs(parseFloat(data.priceImpactPct || 0));
+
+    return buildQuote({
+      provider: this.name,
+      network,
+      inputMint,
+      outputMint,
+      inAmount: data.inAmount,
+      outAmount: data.outAmount,
+      inputDecimals,
+      outputDecimals,
+      priceImpact,
+      route: data.routePlan.map(({ swapInfo, percent }) => ({
+        venue: swapInfo.label,
+        pool: swapInfo.ammKey,
+        inputMint: swapInfo.inputMint,
+        outputMint: swapInfo.outputMint,
+        percent,
+      })),
+      fees,
+      liquidity: impliedLiquidity(inputValue, priceImpact),
+      slippageBps,
+      quoteResponse: data,
+    });
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   0x (EVM AGGREGATOR)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class ZeroExQuoteProvider {
+  constructor(config = {}) {
+    this.name = '0x';
+    this.baseUrl = (config.zeroExApiUrl || process.env.ZEROEX_API_URL || 'https://api.0x.org').replace(/\/$/, '');
+    this.apiKey = config.zeroExApiKey || process.env.ZEROEX_API_KEY;
+    this.chainIds = {
+      ...Object.fromEntries(listNetworks({ family: NETWORK_FAMILIES.EVM }).map(n => [n.id, n.chainId])),
+      ...config.chainIds,
+    };
+    this.rpcEndpoints = { ...config.rpcEndpoints }; // Registry endpoints (networks.js) if omitted
+    this.providers = new Map(Object.entries(config.providers || {})); // network → ethers provider
+    this.decimals = new Map();
+  }
+
+  getProvider(network) {
+    if (!this.providers.has(network)) {
+      this.providers.set(network, new ethers.providers.JsonRpcProvider(
+        this.rpcEndpoints[network] || rpcEndpointFor(network)
+      ));
+    }
+    return this.providers.get(network);
+  }
+
+  async price(network, sellToken, buyToken, sellAmount) {
+    const url = new URL(`${this.baseUrl}/swap/permit2/price`);
+    url.searchParams.set('chainId', String(this.chainIds[network]));
+    url.searchParams.set('sellToken', sellToken);
+    url.searchParams.set('buyToken', buyToken);
+    url.searchParams.set('sellAmount', sellAmount);
+
+    const response = await fetch(url.toString(), {
+      headers: { '0x-api-key': this.apiKey, '0x-version': 'v2' },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.liquidityAvailable === false) {
+      throw new Error(`0x quote failed (${response.status}): ${data.message || data.name || 'no liquidity'}`);
+    }
+    return data;
+  }
+
+  async quote(params) {
+    const { network, inputMint, outputMint, amount, slippageBps } = params;
+
+    if (!this.chainIds[network]) {
+      throw new Error(`0x has no chain id configured for ${network}`);
+    }
+
+    const provider = this.getProvider(network);
+    const [inputDecimals, outputDecimals] = await Promise.all([
+      erc20Decimals(this.decimals, provider, inputMint),
+      erc20Decimals(this.decimals, provider, outputMint),
+    ]);
+
+    const [data, reference] = await Promise.all([
+      this.price(network, inputMint, outputMint, toUnits(amount, inputDecimals)),
+      this.price(network, inputMint, outputMint, toUnits(amount * REFERENCE_FRACTION, inputDecimals)),
+    ]);
+
+    const rate = Number(fromUnits(data.buyAmount, outputDecimals)) / amount;
+    const referenceRate = Number(fromUnits(reference.buyAmount, outputDecimals))
+      / Number(fromUnits(reference.sellAmount, inputDecimals));
+    const priceImpact = impliedPriceImpact(referenceRate, rate);
+    const usdcPerInput = isUSDC(network, outputMint) ? rate : 1;
+
+    // Protocol fees are charged in the sell or buy token; value them in USDC
+    const fees = ['zeroExFee', 'integratorFee']
+      .map(kind => ({ kind, fee: data.fees?.[kind] }))
+      .filter(({ fee }) => fee)
+      .map(({ kind, fee }) => ({
+        venue: kind,
+        amount: fee.token.toLowerCase() === inputMint.toLowerCase()
+          ? Number(fromUnits(fee.amount, inputDecimals)) * usdcPerInput
+          : Number(fromUnits(fee.amount, outputDecimals)) / rate * usdcPerInput,
+      }));
+
+    return buildQuote({
+      provider: this.name,
+      network,
+      inputMint,
+      outputMint,
+      inAmount: data.sellAmount,
+      outAmount: data.buyAmount,
+      inputDecimals,
+      outputDecimals,
+      priceImpact,
+      route: (data.route?.fills || []).map(fill => ({
+        venue: fill.source,
+        pool: null,
+        inputMint: fill.from,
+        outputMint: fill.to,
+        percent: Number(fill.proportionBps) / 100,
+      })),
+      fees,
+      liquidity: impliedLiquidity(amount * usdcPerInput, priceImpact),
+      slippageBps,
+    });
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   UNISWAP V3 (ON-CHAIN QUOTER)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class UniswapV3QuoteProvider {
+  constructor(config = {}) {
+    this.name = 'uniswap-v3';
+    this.quoters = { ...UNISWAP_V3_QUOTERS, ...config.quoterAddresses };
+    this.rpcEndpoints = { ...config.rpcEndpoints }; // Registry endpoints (networks.js) if omitted
+    this.feeTiers = config.feeTiers || UNISWAP_V3_FEE_TIERS;
+    this.providers = new Map(Object.entries(config.providers || {})); // network → ethers provider
+    this.decimals = new Map();
+  }
+
+  getProvider(network) {
+    if (!this.providers.has(network)) {
+      this.providers.set(network, new ethers.providers.JsonRpcProvider(
+        this.rpcEndpoints[network] || rpcEndpointFor(network)
+      ));
+    }
+    return this.providers.get(network);
+  }
+
+  async quoteTier(quoter, inputMint, outputMint, amountIn, fee) {
+    try {
+      const { amountOut } = await quoter.callStatic.quoteExactInputSingle({
+        tokenIn: inputMint,
+        tokenOut: outputMint,
+        amountIn,
+        fee,
+        sqrtPriceLimitX96: 0,
+      });
+      return amountOut;
+    } catch {
+      return null; // No pool at this fee tier
+    }
+  }
+
+  async quote(params) {
+    const { network, inputMint, outputMint, amount, slippageBps } = params;
+
+    if (!this.quoters[network]) {
+      throw new Error(`No Uniswap V3 quoter configured for ${network}`);
+    }
+
+    const provider = this.getProvider(network);
+    const quoter = new ethers.Contract(this.quoters[network], QUOTER_V2_ABI, provider);
+    const [inputDecimals, outputDecimals] = await Promise.all([
+      erc20Decimals(this.decimals, provider, inputMint),
+      erc20Decimals(this.decimals, provider, outputMint),
+    ]);
+
+    const amountIn = toUnits(amount, inputDecimals);
+    let best = null;
+    for (const fee of this.feeTiers) {
+      const amountOut = await this.quoteTier(quoter, inputMint, outputMint, amountIn, fee);
+      if (amountOut && (!best || amountOut.gt(best.amountOut))) {
+        best = { fee, amountOut };
+      }
+    }
+
+    if (!best) {
+      throw new Error(`No Uniswap V3 pool for ${inputMint} → ${outputMint} on ${network}`);
+    }
+
+    const referenceIn = toUnits(amount * REFERENCE_FRACTION, inputDecimals);
+    const referenceOut = await this.quoteTier(quoter, inputMint, outputMint, referenceIn, best.fee);
+    const rate = Number(fromUnits(best.amountOut, outputDecimals)) / amount;
+    const referenceRate = referenceOut
+      ? Number(fromUnits(referenceOut, outputDecimals)) / Number(fromUnits(referenceIn, inputDecimals))
+      : rate;
+    const priceImpact = impliedPriceImpact(referenceRate, rate);
+    const usdcPerInput = isUSDC(network, outputMint) ? rate : 1;
+
+    return buildQuote({
+      provider: this.name,
+      network,
+      inputMint,
+      outputMint,
+      inAmount: amountIn,
+      outAmount: best.amountOut.toString(),
+      inputDecimals,
+      outputDecimals,
+      priceImpact,
+      route: [{
+        venue: `uniswap-v3-${best.fee / 10000}%`,
+        pool: null,
+        inputMint,
+        outputMint,
+        percent: 100,
+        fee: best.fee,
+      }],
+      fees: [{ venue: 'uniswap-v3', amount: amount * usdcPerInput * best.fee / 1e6 }],
+      liquidity: impliedLiquidity(amount * usdcPerInput, priceImpact),
+      slippageBps,
+    });
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   FIXTURE (DETERMINISTIC, OFFLINE)
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * FNV-1a hash of a string, for deterministic fixture pools
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+export class FixtureQuoteProvider {
+  constructor(config = {}) {
+    this.name = 'fixture';
+    this.pools = config.pools || {}; // token → { reserveUSDC, priceUSDC, decimals, feeBps, volatility }
+    this.feeBps = config.feeBps ?? 30;
+  }
+
+  /**
+   * Constant-product USDC pool for a token: configured, or derived from its address
+   * @param {string} token - Token address/mint
+   * @returns {Object} { reserveUSDC, priceUSDC, decimals, feeBps, volatility }
+   */
+  pool(token) {
+    if (this.pools[token]) {
+      return { feeBps: this.feeBps, decimals: 9, volatility: 0.1, ...this.pools[token] };
+    }
+
+    const hash = hashString(token);
+    return {
+      reserveUSDC: 50000 + (hash % 5000) * 1000,        // $50k – $5M
+      priceUSDC: Number((0.01 * 10 ** ((hash >>> 12) % 5)).toFixed(2)) || 0.01, // $0.01 – $100
+      decimals: 9,
+      feeBps: this.feeBps,
+      volatility: ((hash >>> 20) % 30) / 100 + 0.05,   // 5% – 34%
+    };
+  }
+
+  async quote(params) {
+    const { network, inputMint, outputMint, amount, slippageBps } = params;
+    const selling = isUSDC(network, outputMint);
+    const token = selling ? inputMint : outputMint;
+    const pool = this.pool(token);
+
+    const reserveToken = pool.reserveUSDC / pool.priceUSDC;
+    const [reserveIn, reserveOut] = selling ? [reserveToken, pool.reserveUSDC] : [pool.reserveUSDC, reserveToken];
+    const [inputDecimals, outputDecimals] = selling ? [pool.decimals, 6] : [6, pool.decimals];
+
+    const fee = amount * pool.feeBps / 10000;
+    const amountInAfterFee = amount - fee;
+    const output = reserveOut * amountInAfterFee / (reserveIn + amountInAfterFee);
+    const priceImpact = impliedPriceImpact(reserveOut / reserveIn, output / amountInAfterFee);
+
+    return buildQuote({
+      provider: this.name,
+      network,
+      inputMint,
+      outputMint,
+      inAmount: toUnits(amount, inputDecimals),
+      outAmount: toUnits(output, outputDecimals),
+      inputDecimals,
+      outputDecimals,
+      priceImpact,
+      route: [{ venue: 'fixture-amm', pool: `fixture-${token}`, inputMint, outputMint, percent: 100 }],
+      fees: [{ venue: 'fixture-amm', amount: selling ? fee * pool.priceUSDC : fee }],
+      liquidity: 2 * pool.reserveUSDC,
+      volatility: pool.volatility,
+      slippageBps,
+    });
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   QUOTE SERVICE (PROVIDER SELECTION + CACHING)
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Default provider per registered network
+ * @param {Object} config - Provider config; config.mode or QUOTE_PROVIDER=fixture for offline quotes,
+ *   EVM_QUOTE_PROVIDER=uniswap for the on-chain Uniswap V3 quoter instead of 0x
+ * @returns {Object} network → provider
+ */
+export function defaultQuoteProviders(config = {}) {
+  const mode = config.mode || process.env.QUOTE_PROVIDER;
+
+  if (mode === 'fixture') {
+    const fixture = new FixtureQuoteProvider(config.fixture);
+    return Object.fromEntries(listNetworks().map(network => [network.id, fixture]));
+  }
+
+  const evm = (config.evmProvider || process.env.EVM_QUOTE_PROVIDER) === 'uniswap'
+    ? new UniswapV3QuoteProvider(config)
+    : new ZeroExQuoteProvider(config);
+
+  // Jupiter only routes on mainnet; the EVM provider errors for chains it doesn't serve
+  return {
+    [SUPPORTED_NETWORKS.SOLANA]: new JupiterQuoteProvider(config),
+    ...Object.fromEntries(listNetworks({ family: NETWORK_FAMILIES.EVM }).map(network => [network.id, evm])),
+  };
+}
+
+export class QuoteService {
+  constructor(config = {}) {
+    this.ttlMs = config.ttlMs ?? Number(process.env.QUOTE_CACHE_TTL_MS || DEFAULT_QUOTE_TTL_MS);
+    this.providers = config.providers || defaultQuoteProviders(config);
+    this.cache = new Map(); // key → { expiresAt, promise }
+  }
+
+  /**
+   * Use a provider for a network
+   * @param {string} network - Network identifier
+   * @param {Object} provider - Quote provider
+   */
+  registerProvider(network, provider) {
+    this.providers[network] = provider;
+  }
+
+  /**
+   * Quote a swap out of USDC (inputMint defaults to the network's USDC)
+   * @param {Object} params - { network, outputMint, inputMint, amount, slippageBps }
+   * @returns {Object} Quote, with cached and expiresAt
+   */
+  async getQuote(params) {
+    const {
+      network = SUPPORTED_NETWORKS.SOLANA,
+      outputMint,
+      inputMint = USDC_ADDRESSES[network],
+    } = params;
+
+    const provider = this.providers[network];
+    if (!provider) {
+      throw new Error(`No quote provider configured for ${network}`);
+    }
+    if (!outputMint || !inputMint) {
+      throw new Error('Quote requires input and output tokens');
+    }
+    const { amount, slippageBps = DEFAULT_SLIPPAGE_BPS } = parseQuoteParams(params);
+
+    const now = Date.now();
+    for (const [key, entry] of this.cache.entries()) {
+      if (entry.expiresAt <= now) {
+        this.cache.delete(key);
+      }
+    }
+
+    // Concurrent requests for the same quote share one provider call
+    const key = [network, inputMint, outputMint, amount, slippageBps].join(':');
+    let entry = this.cache.get(key);
+    const cached = Boolean(entry);
+
+    if (!entry) {
+      entry = {
+        expiresAt: now + this.ttlMs,
+        promise: provider.quote({ network, inputMint, outputMint, amount, slippageBps }),
+      };
+      this.cache.set(key, entry);
+    }
+
+    try {
+      const quote = await entry.promise;
+      return { ...quote, cached, expiresAt: new Date(entry.expiresAt).toISOString() };
+    } catch (error) {
+      this.cache.delete(key);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A RATE LIMITER
+ * Cap how often one client can trigger costly work
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Fixed windows per key (usually the client's IP): the first request
+ * opens a window of windowMs, and up to `limit` requests are allowed
+ * until it closes. Counters live in memory and are swept as their
+ * windows close, so limits are per process.
+ *
+ * Usage:
+ *
+ *   router.post('/expensive', rateLimit(new RateLimiter({ limit: 10, windowMs: 60000 })), handler);
+ *
+ * Requests over the limit are answered 429 with a Retry-After header.
+ */
+
+export class RateLimiter {
+  constructor(config = {}) {
+    this.limit = config.limit ?? 30;
+    this.windowMs = config.windowMs ?? 60 * 1000;
+    this.windows = new Map(); // key → { count, resetAt }
+  }
+
+  /**
+   * Count a request against a key
+   * @param {string} key - Client key
+   * @param {number} now - Current time (ms)
+   * @returns {Object} { allowed, remaining, retryAfterMs }
+   */
+  hit(key, now = Date.now()) {
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    if (window.count >= this.limit) {
+      return { allowed: false, remaining: 0, retryAfterMs: window.resetAt - now };
+    }
+
+    window.count++;
+    return { allowed: true, remaining: this.limit - window.count, retryAfterMs: 0 };
+  }
+
+  /**
+   * Drop windows that have closed
+   * @param {number} now - Current time (ms)
+   */
+  sweep(now = Date.now()) {
+    for (const [key, window] of this.windows.entries()) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Express middleware that answers 429 once a client exceeds a limiter
+ * @param {RateLimiter} limiter - Limiter to count against
+ * @param {Function} keyOf - (req) => key (the client's IP by default)
+ * @returns {Function} Express middleware
+ */
+export function rateLimit(limiter, keyOf = (req) => req.ip) {
+  return function rateLimitMiddleware(req, res, next) {
+    const { allowed, retryAfterMs } = limiter.hit(keyOf(req));
+
+    if (!allowed) {
+      res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({
+        ok: false,
+        error: `Too many requests; retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+      });
+    }
+
+    next();
+  };
+}
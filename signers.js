@@ -0,0 +1,688 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A SIGNERS
+ * Keys for agent wallets, resolved per wallet and network
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Agents don't need private keys in their config: given a SignerResolver
+ * they look up the signer of their wallet on each network they pay or
+ * trade on. Signers come from sources, tried in order:
+ * - RemoteSignerSource    a remote signing service (REMOTE_SIGNER_URL)
+ * - KeystoreSource        encrypted JSON keystores (KEYSTORE_DIR, KEYSTORE_PASSWORD)
+ * - KeypairFileSource     Solana keypair files from solana-keygen (SOLANA_KEYPAIR_PATHS)
+ * - EnvKeySource          dev keys (DEV_SOLANA_PRIVATE_KEY, DEV_EVM_PRIVATE_KEY), never in production
+ * A source only answers for the wallet its key belongs to.
+ *
+ * Signers:
+ * - Solana: { publicKey, signTransaction(tx) → tx } (legacy or versioned transactions)
+ * - EVM: an ethers Signer (connected to the agent's provider on use)
+ *
+ * Remote signer protocol (served by createSignerRouter, mounted at /signer):
+ * - GET  /keys/:wallet?network=   → { wallet, network, family } or 404
+ * - POST /sign { wallet, network, type, payload } → { signature } | { signedTransaction }
+ *     solana_transaction  { transaction (base64), versioned }  → { signature (base58) }
+ *     evm_transaction     { transaction (request, hex quantities) } → { signedTransaction }
+ *     evm_typed_data      { domain, types, value }             → { signature }
+ *     evm_message         { message (hex) }                    → { signature }
+ * Requests carry `Authorization: Bearer <token>` when the service has a token.
+ *
+ * Run a local signer (stands in for a KMS/HSM-backed service):
+ *   node signers.js                  (SIGNER_PORT, default 4030; SIGNER_HOST, default 127.0.0.1; SIGNER_TOKEN)
+ * It refuses to listen beyond the loopback interface without SIGNER_TOKEN.
+ * Encrypt a key into the keystore (key from PRIVATE_KEY or --key-file):
+ *   node signers.js import-key --family solana --key-file ~/.config/solana/id.json
+ */
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import express from 'express';
+import { PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { ethers } from 'ethers';
+import { NETWORK_FAMILIES, getNetwork, loadSolanaKeypair } from './x402-ai-agent.js';
+import { bearerTokenMatches } from './wallet-auth.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_KDF_PARAMS = { n: 32768, r: 8, p: 1, dklen: 32 };
+const KEYSTORE_MAX_MEMORY = 64 * 1024 * 1024;
+
+const SIGN_TYPES = {
+  SOLANA_TRANSACTION: 'solana_transaction',
+  EVM_TRANSACTION: 'evm_transaction',
+  EVM_TYPED_DATA: 'evm_typed_data',
+  EVM_MESSAGE: 'evm_message',
+};
+
+/**
+ * Whether an address belongs to a wallet (EVM addresses are case-insensitive)
+ */
+function sameAddress(family, a, b) {
+  return family === NETWORK_FAMILIES.EVM ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+/**
+ * Signer for a secret key of a network family
+ * @param {string} family - 'solana' | 'evm'
+ * @param {string|Array|Uint8Array} secret - Private key (see loadSolanaKeypair for Solana formats)
+ * @returns {Object} Signer
+ */
+export function signerFromSecret(family, secret) {
+  return family === NETWORK_FAMILIES.SOLANA
+    ? new KeypairSigner(loadSolanaKeypair(secret))
+    : new ethers.Wallet(secret);
+}
+
+/**
+ * Address of a signer
+ * @param {Object} signer - Solana or EVM signer
+ * @returns {string} Address
+ */
+export async function signerAddress(signer) {
+  return ethers.Signer.isSigner(signer) ? await signer.getAddress() : signer.publicKey.toBase58();
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   SOLANA SIGNERS
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Solana signer backed by a local Keypair
+ */
+export class KeypairSigner {
+  constructor(keypair) {
+    this.keypair = keypair;
+    this.publicKey = keypair.publicKey;
+  }
+
+  async signTransaction(transaction) {
+    if (transaction instanceof VersionedTransaction) {
+      transaction.sign([this.keypair]);
+    } else {
+      transaction.partialSign(this.keypair);
+    }
+    return transaction;
+  }
+}
+
+/**
+ * Solana signer that has a remote signer sign for it
+ */
+export class RemoteSolanaSigner {
+  constructor(config) {
+    this.client = config.client;
+    this.network = config.network;
+    this.publicKey = new PublicKey(config.wallet);
+  }
+
+  async signTransaction(transaction) {
+    const versioned = transaction instanceof VersionedTransaction;
+    const serialized = versioned
+      ? transaction.serialize()
+      : transaction.serialize({ requireAllSignatures: false, verifySignatures: false });
+
+    const { signature } = await this.client.sign({
+      wallet: this.publicKey.toBase58(),
+      network: this.network,
+      type: SIGN_TYPES.SOLANA_TRANSACTION,
+      payload: { transaction: Buffer.from(serialized).toString('base64'), versioned },
+    });
+
+    transaction.addSignature(this.publicKey, Buffer.from(ethers.utils.base58.decode(signature)));
+    return transaction;
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   EVM REMOTE SIGNER
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Quantities as hex strings, so a transaction survives JSON
+ */
+function serializeTransactionRequest(transaction) {
+  return Object.fromEntries(Object.entries(transaction)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, ethers.BigNumber.isBigNumber(value) ? value.toHexString() : value]));
+}
+
+/**
+ * ethers Signer that has a remote signer sign for it
+ */
+export class RemoteEVMSigner extends ethers.Signer {
+  constructor(config, provider = null) {
+    super();
+    this.config = config;
+    this.client = config.client;
+    this.network = config.network;
+    this.address = ethers.utils.getAddress(config.wallet);
+    ethers.utils.defineReadOnly(this, 'provider', provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteEVMSigner(this.config, provider);
+  }
+
+  async sign(type, payload) {
+    return await this.client.sign({ wallet: this.address, network: this.network, type, payload });
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+    const { signature } = await this.sign(SIGN_TYPES.EVM_MESSAGE, { message: ethers.utils.hexlify(bytes) });
+    return signature;
+  }
+
+  async signTransaction(transaction) {
+    const request = serializeTransactionRequest(await ethers.utils.resolveProperties(transaction));
+    const { signedTransaction } = await this.sign(SIGN_TYPES.EVM_TRANSACTION, { transaction: request });
+
+    // Don't broadcast what the signer changed or signed with another key
+    const signed = ethers.utils.parseTransaction(signedTransaction);
+    if (signed.from?.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer signed as ${signed.from}, not ${this.address}`);
+    }
+    if (request.to && signed.to?.toLowerCase() !== request.to.toLowerCase()) {
+      throw new Error('Remote signer changed the transaction recipient');
+    }
+    return signedTransaction;
+  }
+
+  async _signTypedData(domain, types, value) {
+    const { signature } = await this.sign(SIGN_TYPES.EVM_TYPED_DATA, { domain, types, value });
+    return signature;
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   KEYSTORES
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Encrypt a private key into a keystore (scrypt + AES-256-GCM)
+ * @param {Object} params - { family, secret (private key), password }
+ * @returns {Object} Keystore JSON
+ */
+export async function encryptKeystore(params) {
+  const { family, secret, password } = params;
+
+  if (!password) {
+    throw new Error('Keystores need a password');
+  }
+
+  const signer = signerFromSecret(family, secret);
+  const privateKey = family === NETWORK_FAMILIES.SOLANA
+    ? Buffer.from(signer.keypair.secretKey)
+    : Buffer.from(ethers.utils.arrayify(signer.privateKey));
+
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const { n, r, p, dklen } = KEYSTORE_KDF_PARAMS;
+  const key = await scrypt(password, salt, dklen, { N: n, r, p, maxmem: KEYSTORE_MAX_MEMORY });
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(privateKey), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    family,
+    address: await signerAddress(signer),
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams: { ...KEYSTORE_KDF_PARAMS, salt: salt.toString('hex') },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    },
+  };
+}
+
+/**
+ * Decrypt a keystore: an X4A keystore (either family) or a standard
+ * Web3 Secret Storage (v3) keystore from geth / ethers (EVM)
+ * @param {Object|string} keystore - Keystore JSON
+ * @param {string} password - Password
+ * @returns {Object} Signer
+ */
+export async function decryptKeystore(keystore, password) {
+  const json = typeof keystore === 'string' ? JSON.parse(keystore) : keystore;
+
+  if (json.version === 3) {
+    return await ethers.Wallet.fromEncryptedJson(JSON.stringify(json), password);
+  }
+  if (json.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version: ${json.version}`);
+  }
+
+  const { kdfparams, iv, tag, ciphertext } = json.crypto;
+  const key = await scrypt(password, Buffer.from(kdfparams.salt, 'hex'), kdfparams.dklen, {
+    N: kdfparams.n, r: kdfparams.r, p: kdfparams.p, maxmem: KEYSTORE_MAX_MEMORY,
+  });
+
+  let privateKey;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    privateKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+  } catch (error) {
+    throw new Error(`Wrong password for keystore of ${json.address}`);
+  }
+
+  return signerFromSecret(json.family, json.family === NETWORK_FAMILIES.SOLANA ? privateKey : ethers.utils.hexlify(privateKey));
+}
+
+/**
+ * Family and address of a keystore file's key
+ */
+function keystoreOwner(json) {
+  return json.version === 3
+    ? { family: NETWORK_FAMILIES.EVM, address: ethers.utils.getAddress(json.address) }
+    : { family: json.family, address: json.address };
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   SOURCES
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Encrypted keystore files in a directory, any file name
+ */
+export class KeystoreSource {
+  constructor(config = {}) {
+    this.dir = config.dir || process.env.KEYSTORE_DIR || './data/keystore';
+    this.password = config.password ?? process.env.KEYSTORE_PASSWORD;
+  }
+
+  /**
+   * Keystore files and whose keys they hold
+   * @returns {Array} [{ file, family, address }]
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        const file = path.join(this.dir, name);
+        return { file, ...keystoreOwner(JSON.parse(fs.readFileSync(file, 'utf8'))) };
+      });
+  }
+
+  async resolve(wallet, network) {
+    const { family } = getNetwork(network);
+    const entry = this.list().find(e => e.family === family && sameAddress(family, e.address, wallet));
+    if (!entry) {
+      return null;
+    }
+    return await decryptKeystore(fs.readFileSync(entry.file, 'utf8'), this.password);
+  }
+
+  /**
+   * Encrypt a key into the keystore directory
+   * @param {Object} params - { family, secret, password (source password if omitted) }
+   * @returns {Object} { file, family, address }
+   */
+  async importKey(params) {
+    const keystore = await encryptKeystore({ ...params, password: params.password ?? this.password });
+    const file = path.join(this.dir, `${keystore.family}-${keystore.address}.json`);
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+    return { file, family: keystore.family, address: keystore.address };
+  }
+}
+
+/**
+ * Solana keypair files (the JSON byte arrays solana-keygen writes)
+ */
+export class KeypairFileSource {
+  constructor(config = {}) {
+    this.paths = config.paths
+      || (process.env.SOLANA_KEYPAIR_PATHS ? process.env.SOLANA_KEYPAIR_PATHS.split(',').map(p => p.trim()) : []);
+  }
+
+  async resolve(wallet, network) {
+    if (getNetwork(network).family !== NETWORK_FAMILIES.SOLANA) {
+      return null;
+    }
+
+    for (const file of this.paths) {
+      const signer = new KeypairSigner(loadSolanaKeypair(fs.readFileSync(file, 'utf8')));
+      if (signer.publicKey.toBase58() === wallet) {
+        return signer;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Plaintext dev keys from the environment; ignored when NODE_ENV=production
+ */
+export class EnvKeySource {
+  constructor(config = {}) {
+    const env = config.env || process.env;
+    this.enabled = env.NODE_ENV !== 'production';
+    this.keys = {
+      [NETWORK_FAMILIES.SOLANA]: env.DEV_SOLANA_PRIVATE_KEY,
+      [NETWORK_FAMILIES.EVM]: env.DEV_EVM_PRIVATE_KEY,
+    };
+  }
+
+  async resolve(wallet, network) {
+    const { family } = getNetwork(network);
+    if (!this.enabled || !this.keys[family]) {
+      return null;
+    }
+
+    const signer = signerFromSecret(family, this.keys[family]);
+    return sameAddress(family, await signerAddress(signer), wallet) ? signer : null;
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   REMOTE SIGNER CLIENT
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class RemoteSignerSource {
+  constructor(config = {}) {
+    const url = config.url || process.env.REMOTE_SIGNER_URL;
+    if (!url) {
+      throw new Error('RemoteSignerSource requires a signer url');
+    }
+    this.url = url.replace(/\/$/, '');
+    this.token = config.token ?? process.env.REMOTE_SIGNER_TOKEN;
+  }
+
+  async request(path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token && { Authorization: `Bearer ${this.token}` }),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Remote signer ${path} failed (${response.status}): ${data.error || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Have the remote signer sign
+   * @param {Object} request - { wallet, network, type, payload }
+   * @returns {Object} { signature } or { signedTransaction }
+   */
+  async sign(request) {
+    return await this.request('/sign', request);
+  }
+
+  async resolve(wallet, network) {
+    try {
+      await this.request(`/keys/${encodeURIComponent(wallet)}?network=${encodeURIComponent(network)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    const config = { client: this, wallet, network };
+    return getNetwork(network).family === NETWORK_FAMILIES.SOLANA
+      ? new RemoteSolanaSigner(config)
+      : new RemoteEVMSigner(config);
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   RESOLVER
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class SignerResolver {
+  constructor(config = {}) {
+    this.sources = config.sources || [];
+    this.cache = new Map(); // `${network}:${wallet}` → signer
+  }
+
+  /**
+   * Signer of a wallet on a network, from the first source that has its key
+   * @param {string} wallet - Wallet address
+   * @param {string} network - Network identifier
+   * @returns {Object|null} Signer
+   */
+  async resolve(wallet, network) {
+    const key = `${network}:${wallet}`;
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    for (const source of this.sources) {
+      const signer = await source.resolve(wallet, network);
+      if (signer) {
+        this.cache.set(key, signer);
+        return signer;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Resolver over the sources configured in the environment
+ * (REMOTE_SIGNER_URL, KEYSTORE_PASSWORD with KEYSTORE_DIR, SOLANA_KEYPAIR_PATHS, DEV_*_PRIVATE_KEY)
+ * @param {Object} env - Environment (process.env by default)
+ * @returns {SignerResolver} Resolver
+ */
+export function createSignerResolverFromEnv(env = process.env) {
+  const sources = [];
+
+  if (env.REMOTE_SIGNER_URL) {
+    sources.push(new RemoteSignerSource({ url: env.REMOTE_SIGNER_URL, token: env.REMOTE_SIGNER_TOKEN }));
+  }
+  if (env.KEYSTORE_PASSWORD) {
+    sources.push(new KeystoreSource({ dir: env.KEYSTORE_DIR, password: env.KEYSTORE_PASSWORD }));
+  }
+  if (env.SOLANA_KEYPAIR_PATHS) {
+    sources.push(new KeypairFileSource({ paths: env.SOLANA_KEYPAIR_PATHS.split(',').map(p => p.trim()) }));
+  }
+  sources.push(new EnvKeySource({ env }));
+
+  return new SignerResolver({ sources });
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   LOCAL SIGNER SERVICE
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Sign a remote signer request with a local signer
+ * @param {Object} signer - Solana or EVM signer
+ * @param {Object} request - { type, payload }
+ * @returns {Object} { signature } or { signedTransaction }
+ */
+async function signRequest(signer, request) {
+  const { type, payload = {} } = request;
+
+  switch (type) {
+    case SIGN_TYPES.SOLANA_TRANSACTION: {
+      const bytes = Buffer.from(payload.transaction, 'base64');
+      const transaction = payload.versioned ? VersionedTransaction.deserialize(bytes) : Transaction.from(bytes);
+      await signer.signTransaction(transaction);
+
+      const signature = payload.versioned
+        ? transaction.signatures[transaction.message.staticAccountKeys.findIndex(k => k.equals(signer.publicKey))]
+        : transaction.signatures.find(s => s.publicKey.equals(signer.publicKey))?.signature;
+      return { signature: ethers.utils.base58.encode(signature) };
+    }
+    case SIGN_TYPES.EVM_TRANSACTION:
+      return { signedTransaction: await signer.signTransaction(payload.transaction) };
+    case SIGN_TYPES.EVM_TYPED_DATA:
+      return { signature: await signer._signTypedData(payload.domain, payload.types, payload.value) };
+    case SIGN_TYPES.EVM_MESSAGE:
+      return { signature: await signer.signMessage(ethers.utils.arrayify(payload.message)) };
+    default:
+      throw new Error(`Unknown sign request type: ${type}`);
+  }
+}
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+/**
+ * Check where a standalone signer may listen: anywhere with a token,
+ * only on the loopback interface without one
+ * @param {Object} params - { host (default 127.0.0.1), token }
+ * @returns {string} Host to listen on
+ */
+export function validateSignerBind({ host, token } = {}) {
+  const bind = host || '127.0.0.1';
+  if (!token && !LOOPBACK_HOSTS.includes(bind)) {
+    throw new Error(`Refusing to serve keys on ${bind} without SIGNER_TOKEN; set one or bind to 127.0.0.1`);
+  }
+  return bind;
+}
+
+/**
+ * Create a router serving the remote signer protocol from local keys
+ * @param {Object} config - { resolver (from env if omitted), token (SIGNER_TOKEN) }
+ * @returns {express.Router} Router to mount at /signer
+ */
+export function createSignerRouter(config = {}) {
+  const resolver = config.resolver || createSignerResolverFromEnv();
+  const token = config.token ?? process.env.SIGNER_TOKEN;
+  const router = express.Router();
+
+  router.use(express.json());
+
+  router.use((req, res, next) => {
+    if (token && !bearerTokenMatches(req.get('Authorization'), token)) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Invalid signer token',
+      });
+    }
+    next();
+  });
+
+  router.get('/keys/:wallet', async (req, res) => {
+    try {
+      const { wallet } = req.params;
+      const { network } = req.query;
+
+      if (!network) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Missing required query parameter: network',
+        });
+      }
+
+      const signer = await resolver.resolve(wallet, network);
+      if (!signer) {
+        return res.status(404).json({
+          ok: false,
+          error: `No key for ${wallet} on ${network}`,
+        });
+      }
+
+      res.json({ ok: true, wallet, network, family: getNetwork(network).family });
+    } catch (error) {
+      console.error('❌ Signer key lookup error:', error);
+      res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  });
+
+  router.post('/sign', async (req, res) => {
+    try {
+      const { wallet, network, type } = req.body;
+
+      if (!wallet || !network || !type) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Missing required fields: wallet, network, type',
+        });
+      }
+
+      const signer = await resolver.resolve(wallet, network);
+      if (!signer) {
+        return res.status(404).json({
+          ok: false,
+          error: `No key for ${wallet} on ${network}`,
+        });
+      }
+
+      console.log(`🔏 Signing ${type} for ${wallet} on ${network}`);
+      res.json({ ok: true, ...(await signRequest(signer, req.body)) });
+    } catch (error) {
+      console.error('❌ Signing error:', error);
+      res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   CLI / STANDALONE SERVER
+   ═══════════════════════════════════════════════════════════════════ */
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      family: { type: 'string', default: NETWORK_FAMILIES.SOLANA },
+      'key-file': { type: 'string' },
+      dir: { type: 'string' },
+    },
+  });
+
+  if (positionals[0] === 'import-key') {
+    const secret = values['key-file'] ? fs.readFileSync(values['key-file'], 'utf8') : process.env.PRIVATE_KEY;
+    if (!secret || !process.env.KEYSTORE_PASSWORD) {
+      console.error('❌ import-key needs PRIVATE_KEY (or --key-file) and KEYSTORE_PASSWORD');
+      process.exit(1);
+    }
+
+    const keystore = new KeystoreSource({ dir: values.dir });
+    const { file, address } = await keystore.importKey({ family: values.family, secret });
+    console.log(`✅ Encrypted ${values.family} key of ${address} to ${file}`);
+  } else {
+    const port = Number(process.env.SIGNER_PORT || 4030);
+    const token = process.env.SIGNER_TOKEN;
+
+    let host;
+    try {
+      host = validateSignerBind({ host: process.env.SIGNER_HOST, token });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    const app = express();
+    app.use('/signer', createSignerRouter({ token }));
+    app.listen(port, host, () => {
+      console.log(`🤖 X4A signer listening on http://${host.includes(':') ? `[${host}]` : host}:${port}/signer`);
+    });
+  }
+}
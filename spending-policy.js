@@ -0,0 +1,547 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A SPENDING POLICY ENGINE
+ * Declarative per-wallet payment policies (JSON / YAML)
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * A policy is an ordered list of rules. Rules are evaluated top to
+ * bottom; the first rule that reaches a verdict decides, and the
+ * decision explains which rule that was. If no rule decides, the
+ * policy's defaultAction applies.
+ *
+ * Example (YAML):
+ *
+ *   defaultAction: allow
+ *   rules:
+ *     - id: block-unknown
+ *       type: domain
+ *       deny: ["*.example.net"]
+ *       allow: ["localhost", "api.*.com"]
+ *     - id: weather-cap
+ *       type: amount_cap
+ *       resource: /api/weather*
+ *       maxAmount: 2
+ *     - id: big-payments
+ *       type: approval_threshold
+ *       amount: 25
+ *     - id: burst
+ *       type: velocity
+ *       maxPayments: 5
+ *       perSeconds: 60
+ *
+ * Rule types:
+ * - amount_cap          maxAmount (USDC) per payment, optionally for resource patterns
+ * - domain              allow / deny host patterns (wildcards)
+ * - trusted_resources   only the listed resources may be paid
+ * - network_limit       maxAmount and/or budget { window, limit } on matching networks
+ * - velocity            at most maxPayments within perSeconds
+ * - time_window         only between startHour and endHour (optionally on days) in timeZone
+ * - budget              spend limit over a ledger window (day / week / month)
+ * - approval_threshold  amounts above `amount` require human approval
+ * - allow / deny        terminal verdict when resource / domain / network match
+ *
+ * Constraint rules (everything but allow / deny) yield their `action`
+ * ('deny' by default, or 'require_approval') when violated and pass
+ * otherwise.
+ */
+
+import YAML from 'yaml';
+import { openFileStore } from './storage.js';
+import { windowStart, isValidTimeZone, LEDGER_WINDOWS, SPENT_STATUSES } from './payment-ledger.js';
+
+const POLICY_ACTIONS = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  REQUIRE_APPROVAL: 'require_approval',
+};
+
+const BUDGET_LABELS = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+const LEDGER_WINDOWS_LIST = Object.values(LEDGER_WINDOWS);
+
+const RULE_TYPES = [
+  'amount_cap',
+  'domain',
+  'trusted_resources',
+  'network_limit',
+  'velocity',
+  'time_window',
+  'budget',
+  'approval_threshold',
+  'allow',
+  'deny',
+];
+
+/* ═══════════════════════════════════════════════════════════════════
+   PARSING & VALIDATION
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Parse a policy document
+ * @param {string|Object} source - Policy object, JSON or YAML text
+ * @param {string} format - 'json' | 'yaml' (detected when omitted)
+ * @returns {Object} Validated policy
+ */
+export function parsePolicy(source, format) {
+  if (typeof source !== 'string') {
+    return validatePolicy(source);
+  }
+
+  const isJSON = format ? format === 'json' : source.trim().startsWith('{');
+  return validatePolicy(isJSON ? JSON.parse(source) : YAML.parse(source));
+}
+
+/**
+ * Validate a policy and fill in defaults
+ * @param {Object} policy - Policy object
+ * @returns {Object} Normalized policy
+ */
+export function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.rules)) {
+    throw new Error('Policy must be an object with a rules array');
+  }
+
+  const defaultAction = policy.defaultAction || POLICY_ACTIONS.ALLOW;
+  if (!Object.values(POLICY_ACTIONS).includes(defaultAction)) {
+    throw new Error(`Invalid defaultAction: ${defaultAction}`);
+  }
+
+  const rules = policy.rules.map((rule, index) => {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Rule ${index}: unknown type "${rule?.type}"`);
+    }
+    if (rule.action && !Object.values(POLICY_ACTIONS).includes(rule.action)) {
+      throw new Error(`Rule ${index}: invalid action "${rule.action}"`);
+    }
+    const problem = ruleProblem(rule);
+    if (problem) {
+      throw new Error(`Rule ${index}: ${rule.type} ${problem}`);
+    }
+    return { id: rule.id || `${rule.type}_${index}`, ...rule };
+  });
+
+  return { ...policy, defaultAction, rules };
+}
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isHour = (value) => typeof value === 'number' && value >= 0 && value <= 24;
+const isPatternList = (value) => typeof value === 'string' ||
+  (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string'));
+
+// A rule's optional match fields (resource, network, ...) are patterns or lists of them
+function patternProblem(rule, fields) {
+  const field = fields.find(f => rule[f] !== undefined && !isPatternList(rule[f]));
+  return field ? `${field} must be a pattern or a list of patterns` : null;
+}
+
+function budgetProblem(budget) {
+  if (!LEDGER_WINDOWS_LIST.includes(budget.window)) {
+    return `needs a window of ${LEDGER_WINDOWS_LIST.join(', ')}`;
+  }
+  if (!isAmount(budget.limit)) {
+    return 'needs a limit (USDC)';
+  }
+  if (budget.timeZone !== undefined && !isValidTimeZone(budget.timeZone)) {
+    return `has an unknown timeZone "${budget.timeZone}"`;
+  }
+  return null;
+}
+
+/**
+ * Check that a rule carries the fields its type is evaluated with, so a
+ * bad policy is refused when it is stored rather than failing (or passing
+ * silently) when a payment is evaluated
+ * @param {Object} rule - Policy rule
+ * @returns {string|null} What is wrong, or null
+ */
+function ruleProblem(rule) {
+  switch (rule.type) {
+    case 'amount_cap':
+      return isAmount(rule.maxAmount) ? patternProblem(rule, ['resource']) : 'needs maxAmount (USDC)';
+
+    case 'domain':
+      if (rule.allow === undefined && rule.deny === undefined) return 'needs allow or deny patterns';
+      if (rule.allow !== undefined && !isPatternList(rule.allow)) return 'allow must be a pattern or a list of patterns';
+      if (rule.deny !== undefined && !isPatternList(rule.deny)) return 'deny must be a pattern or a list of patterns';
+      return null;
+
+    case 'trusted_resources':
+      return Array.isArray(rule.resources) && isPatternList(rule.resources) ? null : 'needs a resources list';
+
+    case 'network_limit': {
+      if (rule.maxAmount === undefined && rule.budget === undefined) return 'needs maxAmount or budget';
+      if (rule.maxAmount !== undefined && !isAmount(rule.maxAmount)) return 'maxAmount must be a USDC amount';
+      const problem = rule.budget === undefined ? null : budgetProblem(rule.budget || {});
+      return problem || patternProblem(rule, ['network']);
+    }
+
+    case 'velocity':
+      return Number.isInteger(rule.maxPayments) && rule.maxPayments >= 0 && rule.perSeconds > 0
+        ? null
+        : 'needs maxPayments and perSeconds';
+
+    case 'time_window':
+      if (!isHour(rule.startHour) || !isHour(rule.endHour)) return 'needs startHour and endHour (0-24)';
+      if (rule.days !== undefined &&
+        !(Array.isArray(rule.days) && rule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+        return 'days must be a list of weekdays (0 = Sunday … 6 = Saturday)';
+      }
+      if (rule.timeZone !== undefined && !isValidTimeZone(rule.timeZone)) {
+        return `has an unknown timeZone "${rule.timeZone}"`;
+      }
+      return null;
+
+    case 'budget':
+      return budgetProblem(rule);
+
+    case 'approval_threshold':
+      return isAmount(rule.amount) ? null : 'needs amount (USDC)';
+
+    case 'allow':
+    case 'deny':
+      return patternProblem(rule, ['resource', 'domain', 'network']);
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build a policy equivalent to the legacy aiContext fields
+ * (maxAutoApprove, trustedResources, dailyBudget, weeklyBudget, monthlyBudget)
+ * @param {Object} context - AI context
+ * @returns {Object} Policy
+ */
+export function policyFromContext(context = {}) {
+  const rules = [];
+
+  if (context.trustedResources) {
+    rules.push({
+      id: 'trusted-resources',
+      type: 'trusted_resources',
+      resources: context.trustedResources,
+      reason: 'Resource not in trusted list',
+    });
+  }
+
+  const budgets = [['day', context.dailyBudget], ['week', context.weeklyBudget], ['month', context.monthlyBudget]];
+  for (const [window, limit] of budgets) {
+    if (limit) {
+      rules.push({
+        id: `${window}-budget`,
+        type: 'budget',
+        window,
+        limit,
+        timeZone: context.timeZone,
+        reason: `${BUDGET_LABELS[window]} budget exceeded`,
+      });
+    }
+  }
+
+  // Last, so an untrusted resource or spent budget is denied outright
+  // instead of being queued for a human who could only approve it
+  rules.push({
+    id: 'max-auto-approve',
+    type: 'amount_cap',
+    maxAmount: context.maxAutoApprove || 10,
+    action: POLICY_ACTIONS.REQUIRE_APPROVAL, // Above the auto-approval limit a human can still approve
+  });
+
+  return { defaultAction: POLICY_ACTIONS.ALLOW, rules };
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   MATCHING HELPERS
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Match a value against a wildcard pattern ('*' matches anything)
+ */
+export function matchesPattern(pattern, value) {
+  if (value === undefined || value === null) return false;
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i').test(value);
+}
+
+function matchesAny(patterns, value) {
+  return [].concat(patterns).some(p => matchesPattern(p, value));
+}
+
+function resourceDomain(resource) {
+  try {
+    return new URL(resource, process.env.BASE_URL || 'http://localhost:3000').hostname;
+  } catch {
+    return null;
+  }
+}
+
+function resourcePath(resource) {
+  try {
+    return new URL(resource, process.env.BASE_URL || 'http://localhost:3000').pathname;
+  } catch {
+    return resource;
+  }
+}
+
+function matchesResource(patterns, resource) {
+  return matchesAny(patterns, resource) || matchesAny(patterns, resourcePath(resource));
+}
+
+function localTime(now, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+  }).formatToParts(now);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    hour: Number(get('hour')) + Number(get('minute')) / 60,
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+  };
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   POLICY ENGINE
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class SpendingPolicyEngine {
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.POLICY_STORE_PATH || './data/policies.json'
+    );
+    this.ledger = config.ledger || null;
+  }
+
+  /**
+   * Get the policy for a wallet
+   * @param {string} wallet - Wallet address
+   * @returns {Object|null} Policy
+   */
+  async getPolicy(wallet) {
+    const record = await this.store.get(wallet);
+    return record ? record.policy : null;
+  }
+
+  /**
+   * Create or replace the policy for a wallet
+   * @param {string} wallet - Wallet address
+   * @param {string|Object} policy - Policy object, JSON or YAML text
+   * @param {string} format - 'json' | 'yaml'
+   * @returns {Object} Stored policy
+   */
+  async setPolicy(wallet, policy, format) {
+    const parsed = parsePolicy(policy, format);
+    await this.store.put(wallet, {
+      wallet,
+      policy: parsed,
+      updatedAt: new Date().toISOString(),
+    });
+    return parsed;
+  }
+
+  /**
+   * Delete the policy for a wallet
+   * @param {string} wallet - Wallet address
+   * @returns {boolean} Whether a policy existed
+   */
+  async deletePolicy(wallet) {
+    return await this.store.delete(wallet);
+  }
+
+  /**
+   * List all stored policies
+   * @returns {Array} { wallet, policy, updatedAt }
+   */
+  async listPolicies() {
+    return await this.store.list();
+  }
+
+  /**
+   * Evaluate a payment against the wallet's policy.
+   * Wallets without a stored policy fall back to the legacy aiContext limits.
+   * A preApproved payment (one a person or schedule approved in advance) skips
+   * rules that would only ask for approval, and evaluation carries on past
+   * them; deny verdicts, budgets and velocity limits still apply.
+   * @param {Object} params - { wallet, amount (base units), resource, network, context, now, simulated, preApproved }
+   * @returns {Object} { approved, requiresApproval, reason, decidedBy, trace }
+   */
+  async evaluate(params) {
+    const { wallet, context = {} } = params;
+    const policy = (await this.getPolicy(wallet)) || validatePolicy(policyFromContext(context));
+
+    const payment = {
+      ...params,
+      amountUSDC: params.amount / 1e6,
+      domain: resourceDomain(params.resource),
+      now: params.now || new Date(),
+    };
+
+    const trace = [];
+
+    const waived = (verdict) => params.preApproved && verdict === POLICY_ACTIONS.REQUIRE_APPROVAL;
+
+    for (const rule of policy.rules) {
+      const outcome = await this.evaluateRule(rule, payment);
+      trace.push({
+        rule: rule.id,
+        type: rule.type,
+        verdict: outcome ? outcome.verdict : 'pass',
+        ...(outcome && waived(outcome.verdict) && { waived: true }),
+      });
+
+      if (outcome && !waived(outcome.verdict)) {
+        return this.decide(outcome.verdict, outcome.reason, rule.id, trace);
+      }
+    }
+
+    if (waived(policy.defaultAction)) {
+      return this.decide(POLICY_ACTIONS.ALLOW, 'No rule matched; approval was given in advance', 'default', trace);
+    }
+
+    return this.decide(policy.defaultAction, `No rule matched; default is ${policy.defaultAction}`, 'default', trace);
+  }
+
+  decide(verdict, reason, decidedBy, trace) {
+    return {
+      approved: verdict === POLICY_ACTIONS.ALLOW,
+      requiresApproval: verdict === POLICY_ACTIONS.REQUIRE_APPROVAL,
+      confidence: 0.95,
+      reason,
+      decidedBy,
+      trace,
+    };
+  }
+
+  /**
+   * Evaluate a single rule
+   * @returns {Object|null} { verdict, reason } or null to continue
+   */
+  async evaluateRule(rule, payment) {
+    const violation = (reason) => ({ verdict: rule.action || POLICY_ACTIONS.DENY, reason: rule.reason || reason });
+
+    switch (rule.type) {
+      case 'amount_cap':
+        if (rule.resource && !matchesResource(rule.resource, payment.resource)) return null;
+        if (payment.amountUSDC > rule.maxAmount) {
+          return violation(`Amount ${payment.amountUSDC} USDC exceeds ${rule.maxAmount} USDC cap (${rule.id})`);
+        }
+        return null;
+
+      case 'trusted_resources':
+        if (!rule.resources.some(r => matchesResource(r, payment.resource))) {
+          return violation(`Resource ${payment.resource} is not trusted (${rule.id})`);
+        }
+        return null;
+
+      case 'domain':
+        if (rule.deny && matchesAny(rule.deny, payment.domain)) {
+          return violation(`Domain ${payment.domain} is denied (${rule.id})`);
+        }
+        if (rule.allow && !matchesAny(rule.allow, payment.domain)) {
+          return violation(`Domain ${payment.domain} is not in the allow list (${rule.id})`);
+        }
+        return null;
+
+      case 'network_limit': {
+        if (rule.network && !matchesAny(rule.network, payment.network)) return null;
+        if (rule.maxAmount !== undefined && payment.amountUSDC > rule.maxAmount) {
+          return violation(`Amount exceeds ${rule.maxAmount} USDC limit on ${payment.network} (${rule.id})`);
+        }
+        if (rule.budget) {
+          const spent = await this.networkSpending(payment, rule.budget);
+          if (spent + payment.amountUSDC > rule.budget.limit) {
+            return violation(`${rule.budget.window} budget of ${rule.budget.limit} USDC on ${payment.network} exceeded (${rule.id})`);
+          }
+        }
+        return null;
+      }
+
+      case 'velocity': {
+        const recent = await this.requireLedger().getEntries({
+          wallet: payment.wallet,
+          status: SPENT_STATUSES,
+          since: new Date(payment.now.getTime() - rule.perSeconds * 1000),
+          simulated: Boolean(payment.simulated),
+        });
+        if (recent.length >= rule.maxPayments) {
+          return violation(`Velocity limit of ${rule.maxPayments} payments per ${rule.perSeconds}s reached (${rule.id})`);
+        }
+        return null;
+      }
+
+      case 'time_window': {
+        const { hour, day } = localTime(payment.now, rule.timeZone);
+        const inHours = rule.startHour <= rule.endHour
+          ? hour >= rule.startHour && hour < rule.endHour
+          : hour >= rule.startHour || hour < rule.endHour; // Window wraps midnight
+        const onDay = !rule.days || rule.days.includes(day);
+        if (!inHours || !onDay) {
+          return violation(`Payments are only allowed ${rule.startHour}:00–${rule.endHour}:00 ${rule.timeZone || 'UTC'} (${rule.id})`);
+        }
+        return null;
+      }
+
+      case 'budget': {
+        const spent = await this.requireLedger().getSpending({
+          wallet: payment.wallet,
+          window: rule.window,
+          timeZone: rule.timeZone || payment.context?.timeZone,
+          rolling: rule.rolling,
+          now: payment.now,
+          simulated: Boolean(payment.simulated),
+        });
+        if (spent + payment.amountUSDC > rule.limit) {
+          return violation(`${BUDGET_LABELS[rule.window]} budget of ${rule.limit} USDC exceeded (${rule.id})`);
+        }
+        return null;
+      }
+
+      case 'approval_threshold':
+        if (payment.amountUSDC > rule.amount) {
+          return {
+            verdict: rule.action || POLICY_ACTIONS.REQUIRE_APPROVAL,
+            reason: `Amount ${payment.amountUSDC} USDC is above the ${rule.amount} USDC approval threshold (${rule.id})`,
+          };
+        }
+        return null;
+
+      case 'allow':
+      case 'deny': {
+        const matches =
+          (!rule.resource || matchesResource(rule.resource, payment.resource)) &&
+          (!rule.domain || matchesAny(rule.domain, payment.domain)) &&
+          (!rule.network || matchesAny(rule.network, payment.network));
+        if (!matches) return null;
+        return {
+          verdict: rule.type === 'allow' ? POLICY_ACTIONS.ALLOW : POLICY_ACTIONS.DENY,
+          reason: rule.reason || `Matched ${rule.type} rule ${rule.id}`,
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  async networkSpending(payment, budget) {
+    const entries = await this.requireLedger().getEntries({
+      wallet: payment.wallet,
+      status: SPENT_STATUSES,
+      since: windowStart(payment.now, budget.window, { timeZone: budget.timeZone, rolling: budget.rolling }),
+      simulated: Boolean(payment.simulated),
+    });
+    return entries
+      .filter(e => e.network === payment.network)
+      .reduce((sum, e) => sum + Number(e.amount), 0) / 1e6;
+  }
+
+  requireLedger() {
+    if (!this.ledger) {
+      throw new Error('Policy rule requires a payment ledger but none is configured');
+    }
+    return this.ledger;
+  }
+}
+
+export { POLICY_ACTIONS };
@@ -0,0 +1,189 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A STORAGE ADAPTERS
+ * Record stores for schedules and other persistent agent state
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Store interface (all methods async):
+ * - get(id)             → record | null
+ * - put(id, record)     → record
+ * - update(id, fn)      → updated record | null
+ *     Atomic read-modify-write: fn receives the current record and
+ *     returns the replacement, or null to leave it untouched.
+ * - delete(id)          → boolean
+ * - list(filter?)       → records[]
+ *
+ * MemoryStore keeps records in a Map; JsonFileStore persists them to a
+ * JSON file with atomic (write + rename) saves. A JsonFileStore reads its
+ * file once, so a file must not be written by two processes at a time:
+ * writers that need that guarantee take lockStoreFile first.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/* ═══════════════════════════════════════════════════════════════════
+   MEMORY STORE
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async put(id, record) {
+    this.records.set(id, structuredClone(record));
+    await this.persist();
+    return record;
+  }
+
+  async update(id, fn) {
+    const current = this.records.get(id);
+    if (!current) {
+      return null;
+    }
+
+    const next = fn(structuredClone(current));
+    if (!next) {
+      return null;
+    }
+
+    this.records.set(id, structuredClone(next));
+    await this.persist();
+    return next;
+  }
+
+  async delete(id) {
+    const deleted = this.records.delete(id);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  async list(filter = null) {
+    const records = Array.from(this.records.values(), r => structuredClone(r));
+    return filter ? records.filter(filter) : records;
+  }
+
+  async persist() {
+    // Nothing to do in memory
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   JSON FILE STORE
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class JsonFileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const [id, record] of Object.entries(data)) {
+      this.records.set(id, record);
+    }
+  }
+
+  async persist() {
+    // Saves are chained so concurrent writers never interleave
+    this.saving = (this.saving || Promise.resolve()).catch(() => {}).then(() => this.save());
+    return this.saving;
+  }
+
+  async save() {
+    // Write to a temp file and rename so a crash never leaves a torn file
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.records), null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+// One store instance per file, so every manager in a process shares state
+const fileStores = new Map();
+
+/**
+ * Open (or reuse) the JSON file store for a path
+ * @param {string} filePath - Store file path
+ * @returns {JsonFileStore} Store
+ */
+export function openFileStore(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fileStores.has(resolved)) {
+    fileStores.set(resolved, new JsonFileStore(resolved));
+  }
+  return fileStores.get(resolved);
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   STORE FILE LOCKS
+   ═══════════════════════════════════════════════════════════════════ */
+
+// Lock files this process holds, removed when it exits
+const heldLocks = new Set();
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0); // Signal 0 only checks that the process exists
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Take an exclusive, process-wide lock on a store file (<file>.lock, holding
+ * our pid). Locks left by processes that no longer run are taken over.
+ * Re-locking from the same process is a no-op; the lock lasts until exit.
+ * @param {string} filePath - Store file path
+ * @throws {Error} If another running process holds the lock
+ */
+export function lockStoreFile(filePath) {
+  const lockPath = `${path.resolve(filePath)}.lock`;
+  if (heldLocks.has(lockPath)) {
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      heldLocks.add(lockPath);
+      if (heldLocks.size === 1) {
+        process.once('exit', () => {
+          for (const held of heldLocks) {
+            fs.rmSync(held, { force: true });
+          }
+        });
+      }
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      const owner = Number(fs.readFileSync(lockPath, 'utf8'));
+      if (owner && owner !== process.pid && processAlive(owner)) {
+        throw new Error(`${filePath} is in use by process ${owner}; give each process its own store path`);
+      }
+      fs.rmSync(lockPath, { force: true }); // Left behind by a process that is gone
+    }
+  }
+
+  throw new Error(`Could not lock ${filePath}`);
+}
@@ -0,0 +1,331 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A TRADING STRATEGIES
+ * Signals, position sizing, entry/exit rules and risk limits
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * A strategy turns market context into trading decisions:
+ * - generateSignal(context)        → { action: 'buy' | 'sell' | 'hold', reason, confidence }
+ * - sizePosition(signal, context)  → USDC to spend (buy) or tokens to sell (sell)
+ * - checkExit(context)             → sell signal (stop loss / take profit) or null
+ * - evaluateEntry(trade)           → { approved, reason, confidence } for a quoted buy
+ * - decide(context)                → exit or signal, sized: { action, amount, reason, confidence }
+ *
+ * context: { token, network, now (ms), price (USDC per token),
+ *            prices ([{ timestamp, price }], oldest first),
+ *            position (see Portfolio.getPositions, or null), lastBuyAt (ms or null) }
+ *
+ * Any method may be async. TradingStrategy implements exits, sizing and
+ * the checks in `risk`; subclasses usually only override generateSignal.
+ * Lookbacks count price samples, i.e. quotes the agent has taken.
+ *
+ * Ship your own without touching the agent:
+ *   registerStrategy('my-strategy', options => new MyStrategy(options));
+ *   new TokenTradingAgent({ strategy: 'my-strategy', strategyOptions: { ... } });
+ */
+
+const DEFAULT_RISK_LIMITS = {
+  maxPriceImpact: null,      // defaults to the trade's slippage
+  minLiquidityMultiple: 10,  // venue liquidity must cover this many times the trade
+  maxVolatility: null,
+  maxPositionUSDC: null,     // cost basis cap per token
+  stopLossPct: null,         // e.g. 0.1 = exit 10% below average entry
+  takeProfitPct: null,       // e.g. 0.25 = exit 25% above average entry
+};
+
+function hold(reason) {
+  return { action: 'hold', reason, confidence: 0 };
+}
+
+function isOpen(position) {
+  return Boolean(position && position.quantity > 0);
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   BASE STRATEGY
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class TradingStrategy {
+  constructor(options = {}) {
+    this.name = options.name || 'custom';
+    this.orderSizeUSDC = options.orderSizeUSDC ?? 10;
+    this.confidence = options.confidence ?? 0.9;
+    this.risk = { ...DEFAULT_RISK_LIMITS, ...options.risk };
+  }
+
+  /**
+   * Signal from market context (holds unless overridden)
+   * @param {Object} context - Strategy context
+   * @returns {Object} { action, reason, confidence }
+   */
+  generateSignal(context) {
+    return hold('Strategy does not generate signals');
+  }
+
+  /**
+   * How much to trade on a signal
+   * @param {Object} signal - Buy or sell signal
+   * @param {Object} context - Strategy context
+   * @returns {number} USDC to spend (buy) or tokens to sell (sell)
+   */
+  sizePosition(signal, context) {
+    const { position } = context;
+
+    if (signal.action === 'sell') {
+      return isOpen(position) ? position.quantity : 0;
+    }
+
+    const size = signal.amountUSDC ?? this.orderSizeUSDC;
+    if (this.risk.maxPositionUSDC === null) {
+      return size;
+    }
+    return Math.max(0, Math.min(size, this.risk.maxPositionUSDC - (position?.costBasisUSDC || 0)));
+  }
+
+  /**
+   * Stop loss / take profit on the open position
+   * @param {Object} context - Strategy context
+   * @returns {Object|null} Sell signal, or null to keep the position
+   */
+  checkExit(context) {
+    const { position, price } = context;
+    const { stopLossPct, takeProfitPct } = this.risk;
+
+    if (!isOpen(position) || !price || !position.avgEntryPrice) {
+      return null;
+    }
+
+    const change = price / position.avgEntryPrice - 1;
+    if (stopLossPct !== null && change <= -stopLossPct) {
+      return { action: 'sell', reason: `Stop loss: ${(change * 100).toFixed(2)}% from entry`, confidence: 1, exit: 'stop_loss' };
+    }
+    if (takeProfitPct !== null && change >= takeProfitPct) {
+      return { action: 'sell', reason: `Take profit: +${(change * 100).toFixed(2)}% from entry`, confidence: 1, exit: 'take_profit' };
+    }
+    return null;
+  }
+
+  /**
+   * Check a quoted buy against the strategy's risk limits
+   * @param {Object} trade - { token, quote, amount (USDC), slippage, position }
+   * @returns {Object} { approved, reason, confidence }
+   */
+  evaluateEntry(trade) {
+    const { quote, amount, slippage, position } = trade;
+    const { maxPriceImpact, minLiquidityMultiple, maxVolatility, maxPositionUSDC } = this.risk;
+
+    const impactLimit = maxPriceImpact ?? slippage;
+    if (quote.priceImpact > impactLimit) {
+      return {
+        approved: false,
+        reason: `Price impact ${quote.priceImpact} exceeds max slippage ${impactLimit}`,
+      };
+    }
+
+    // Liquidity is null when the venue is too deep for the trade to move the price
+    if (quote.liquidity !== null && quote.liquidity < amount * minLiquidityMultiple) {
+      return {
+        approved: false,
+        reason: 'Insufficient liquidity',
+      };
+    }
+
+    if (maxVolatility !== null && quote.volatility > maxVolatility) {
+      return {
+        approved: false,
+        reason: `Token volatility too high for ${this.name} strategy`,
+      };
+    }
+
+    if (maxPositionUSDC !== null && (position?.costBasisUSDC || 0) + amount > maxPositionUSDC) {
+      return {
+        approved: false,
+        reason: `Position would exceed ${maxPositionUSDC} USDC limit of ${this.name} strategy`,
+      };
+    }
+
+    return { approved: true, confidence: this.confidence };
+  }
+
+  /**
+   * Decide what to do now: exits first, then the strategy's signal, sized
+   * @param {Object} context - Strategy context
+   * @returns {Object} { action, amount, reason, confidence }
+   */
+  async decide(context) {
+    const signal = (await this.checkExit(context)) || (await this.generateSignal(context));
+
+    if (signal.action === 'hold') {
+      return { ...signal, amount: 0 };
+    }
+
+    const amount = await this.sizePosition(signal, context);
+    if (!(amount > 0)) {
+      return { ...hold(`${signal.reason} (nothing to ${signal.action})`), amount: 0 };
+    }
+    return { ...signal, amount };
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   BUILT-IN STRATEGIES
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Manual trading with tight entry checks (the default)
+ */
+export class ConservativeStrategy extends TradingStrategy {
+  constructor(options = {}) {
+    super({ name: 'conservative', confidence: 0.95, ...options, risk: { maxVolatility: 0.2, ...options.risk } });
+  }
+}
+
+/**
+ * Manual trading with only the impact and liquidity checks
+ */
+export class AggressiveStrategy extends TradingStrategy {
+  constructor(options = {}) {
+    super({ name: 'aggressive', confidence: 0.8, ...options });
+  }
+}
+
+/**
+ * Dollar-cost averaging: buy a fixed amount every interval
+ * options: { amountUSDC (default 10), intervalMs (default 1 day) }
+ */
+export class DCAStrategy extends TradingStrategy {
+  constructor(options = {}) {
+    super({ name: 'dca', orderSizeUSDC: options.amountUSDC, ...options });
+    this.intervalMs = options.intervalMs ?? 24 * 60 * 60 * 1000;
+  }
+
+  generateSignal(context) {
+    const { now, lastBuyAt } = context;
+
+    if (lastBuyAt && now - lastBuyAt < this.intervalMs) {
+      return hold(`Next buy at ${new Date(lastBuyAt + this.intervalMs).toISOString()}`);
+    }
+    return { action: 'buy', reason: 'Scheduled DCA buy', confidence: this.confidence };
+  }
+}
+
+/**
+ * Momentum: buy when the price has risen `threshold` over `lookback`
+ * samples, sell when it has fallen as much
+ * options: { lookback (default 20), threshold (default 0.05) }
+ */
+export class MomentumStrategy extends TradingStrategy {
+  constructor(options = {}) {
+    super({ name: 'momentum', ...options });
+    this.lookback = options.lookback ?? 20;
+    this.threshold = options.threshold ?? 0.05;
+  }
+
+  generateSignal(context) {
+    const { prices, price, position } = context;
+
+    if (prices.length <= this.lookback) {
+      return hold(`Not enough price history (${prices.length}/${this.lookback + 1})`);
+    }
+
+    const change = price / prices[prices.length - 1 - this.lookback].price - 1;
+    const confidence = Math.min(1, Math.abs(change) / (this.threshold * 2));
+    const pct = `${(change * 100).toFixed(2)}% over ${this.lookback} samples`;
+
+    if (change >= this.threshold && !isOpen(position)) {
+      return { action: 'buy', reason: `Momentum up ${pct}`, confidence };
+    }
+    if (change <= -this.threshold && isOpen(position)) {
+      return { action: 'sell', reason: `Momentum down ${pct}`, confidence };
+    }
+    return hold(`Momentum ${pct}`);
+  }
+}
+
+/**
+ * Mean reversion: buy when the price is `entryZ` standard deviations below
+ * its `lookback`-sample mean, sell once it is back above `exitZ`
+ * options: { lookback (default 20), entryZ (default 2), exitZ (default 0) }
+ */
+export class MeanReversionStrategy extends TradingStrategy {
+  constructor(options = {}) {
+    super({ name: 'mean-reversion', ...options });
+    this.lookback = options.lookback ?? 20;
+    this.entryZ = options.entryZ ?? 2;
+    this.exitZ = options.exitZ ?? 0;
+  }
+
+  generateSignal(context) {
+    const { prices, price, position } = context;
+
+    // The window before the current sample
+    const window = prices.slice(-this.lookback - 1, -1).map(p => p.price);
+    if (window.length < this.lookback) {
+      return hold(`Not enough price history (${prices.length}/${this.lookback + 1})`);
+    }
+
+    const mean = window.reduce((sum, p) => sum + p, 0) / window.length;
+    const std = Math.sqrt(window.reduce((sum, p) => sum + (p - mean) ** 2, 0) / window.length);
+    if (std === 0) {
+      return hold('Price has not moved');
+    }
+
+    const z = (price - mean) / std;
+    const confidence = Math.min(1, Math.abs(z) / (this.entryZ * 2));
+
+    if (z <= -this.entryZ && !isOpen(position)) {
+      return { action: 'buy', reason: `Price ${(-z).toFixed(2)}σ below mean`, confidence };
+    }
+    if (z >= this.exitZ && isOpen(position)) {
+      return { action: 'sell', reason: `Price reverted to ${z.toFixed(2)}σ`, confidence };
+    }
+    return hold(`Price at ${z.toFixed(2)}σ`);
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   REGISTRY
+   ═══════════════════════════════════════════════════════════════════ */
+
+const strategies = new Map([
+  ['conservative', options => new ConservativeStrategy(options)],
+  ['aggressive', options => new AggressiveStrategy(options)],
+  ['dca', options => new DCAStrategy(options)],
+  ['momentum', options => new MomentumStrategy(options)],
+  ['mean-reversion', options => new MeanReversionStrategy(options)],
+]);
+
+/**
+ * Register a strategy so agents, routes and MCP tools can select it by name
+ * @param {string} name - Strategy name
+ * @param {Function} factory - (options) => strategy
+ */
+export function registerStrategy(name, factory) {
+  strategies.set(name, factory);
+}
+
+/**
+ * Names of the registered strategies
+ * @returns {Array} Strategy names
+ */
+export function listStrategies() {
+  return Array.from(strategies.keys());
+}
+
+/**
+ * Resolve a strategy name (or pass an instance through)
+ * @param {string|Object} strategy - Registered name or strategy instance
+ * @param {Object} options - Options for the strategy's factory
+ * @returns {Object} Strategy
+ */
+export function createStrategy(strategy, options = {}) {
+  if (typeof strategy === 'object' && strategy !== null) {
+    return strategy;
+  }
+
+  const factory = strategies.get(strategy);
+  if (!factory) {
+    throw new Error(`Unknown trading strategy: ${strategy} (available: ${listStrategies().join(', ')})`);
+  }
+  return factory(options);
+}
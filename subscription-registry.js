@@ -0,0 +1,127 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A X402 SUBSCRIPTION REGISTRY
+ * Access periods bought with subscription-scheme payments
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * A verified subscription payment grants its payer access to a resource
+ * for the challenge's subscriptionPeriod. The subscription id is an
+ * unguessable bearer token returned in the X-PAYMENT-RESPONSE receipt;
+ * clients present it in an X-SUBSCRIPTION header on later requests.
+ * Paying again while a subscription is active extends it.
+ */
+
+import { openFileStore } from './storage.js';
+import { generateNonce } from './generateRequest.js';
+
+export const SUBSCRIPTION_ERRORS = {
+  UNKNOWN: 'unknown_subscription',
+  EXPIRED: 'subscription_expired',
+  RESOURCE_MISMATCH: 'resource_mismatch',
+};
+
+function reject(invalidReason, message) {
+  return { isValid: false, invalidReason, message };
+}
+
+export class SubscriptionRegistry {
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.SUBSCRIPTION_STORE_PATH || './data/subscriptions.json'
+    );
+  }
+
+  /**
+   * Grant (or extend) access for a verified subscription payment
+   * @param {Object} params - { payer, resource, network, txHash, amount, periodSeconds, challengeId }
+   * @returns {Object} Subscription
+   */
+  async grant(params) {
+    const { payer, resource, network, txHash, amount, periodSeconds, challengeId } = params;
+    const now = Date.now();
+    const periodMs = periodSeconds * 1000;
+    const payment = { txHash, amount, network, challengeId, paidAt: new Date(now).toISOString() };
+
+    const [active] = payer ? await this.store.list(s =>
+      s.payer === payer && s.resource === resource && new Date(s.expiresAt).getTime() > now
+    ) : [];
+
+    if (active) {
+      const extended = await this.store.update(active.id, s => ({
+        ...s,
+        expiresAt: new Date(new Date(s.expiresAt).getTime() + periodMs).toISOString(),
+        payments: [...s.payments, payment],
+      }));
+      console.log(`🎟️  Subscription ${active.id} extended to ${extended.expiresAt}`);
+      return extended;
+    }
+
+    const id = `sub_${generateNonce(32)}`;
+    const subscription = {
+      id,
+      payer: payer || null,
+      resource,
+      startsAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + periodMs).toISOString(),
+      payments: [payment],
+    };
+
+    await this.store.put(id, subscription);
+    console.log(`🎟️  Subscription ${id} granted for ${resource} until ${subscription.expiresAt}`);
+
+    return subscription;
+  }
+
+  /**
+   * Check that a subscription grants access to a resource right now
+   * @param {string} id - Subscription id from the X-SUBSCRIPTION header
+   * @param {string} resource - Resource being requested
+   * @returns {Object} { isValid, subscription } or a structured rejection
+   */
+  async check(id, resource) {
+    const subscription = await this.store.get(id);
+    if (!subscription) {
+      return reject(SUBSCRIPTION_ERRORS.UNKNOWN, 'Subscription was not issued by this server');
+    }
+
+    if (subscription.resource !== resource) {
+      return reject(
+        SUBSCRIPTION_ERRORS.RESOURCE_MISMATCH,
+        `Subscription covers ${subscription.resource}, not ${resource}`
+      );
+    }
+
+    if (new Date(subscription.expiresAt).getTime() <= Date.now()) {
+      return reject(SUBSCRIPTION_ERRORS.EXPIRED, `Subscription expired at ${subscription.expiresAt}`);
+    }
+
+    return { isValid: true, subscription };
+  }
+
+  /**
+   * Get a subscription
+   * @param {string} id - Subscription id
+   * @returns {Object|null} Subscription
+   */
+  async get(id) {
+    return await this.store.get(id);
+  }
+
+  /**
+   * List subscriptions, newest first
+   * @param {Object} filter - { payer, resource, active }
+   * @returns {Array} Subscriptions
+   */
+  async list(filter = {}) {
+    const { payer, resource, active } = filter;
+    const now = Date.now();
+
+    const subscriptions = await this.store.list(s =>
+      (!payer || s.payer === payer) &&
+      (!resource || s.resource === resource) &&
+      (active === undefined || (new Date(s.expiresAt).getTime() > now) === active)
+    );
+
+    return subscriptions.sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+  }
+}
@@ -0,0 +1,446 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A SWAP EXECUTORS
+ * Execute the swap a quote describes, from a wallet we control
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Executor interface:
+ * - name
+ * - swap({ quote, recipient, minOutAmount }) → swap result
+ *     quote comes from quote-providers.js; minOutAmount (base units,
+ *     default quote.minOutAmount) is enforced on-chain where the venue
+ *     supports it and re-checked against what was actually received
+ *
+ * Swap result:
+ *   { provider, network, side, token, txHash, inputMint, outputMint,
+ *     inAmount, outAmount, minOutAmount, inputAmount, outputAmount,
+ *     recipient, route }
+ * outAmount/outputAmount are what the recipient actually received,
+ * read from the confirmed transaction (not the quote).
+ *
+ * An executor only swaps quotes from the quote provider of the same name
+ * (canExecuteQuote): another venue's route, or an offline fixture quote,
+ * describes nothing it can execute.
+ *
+ * Executors:
+ * - JupiterSwapExecutor: Jupiter swap API (Solana), signs with a Solana signer (see signers.js)
+ * - UniswapV3SwapExecutor: SwapRouter02 exactInputSingle on the quoted fee tier
+ * - ZeroExSwapExecutor: 0x allowance-holder swap transaction
+ */
+
+import { Connection, PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  NATIVE_MINT,
+} from '@solana/spl-token';
+import { ethers } from 'ethers';
+import { KeypairSigner } from './signers.js';
+import {
+  SUPPORTED_NETWORKS,
+  NETWORK_FAMILIES,
+  isSolanaNetwork,
+  listNetworks,
+  rpcEndpointFor,
+  loadSolanaKeypair,
+} from './x402-ai-agent.js';
+
+const UNISWAP_V3_ROUTERS = {
+  'base-mainnet': '0x2626664c2603336E57B271c5C0b26F421741e481',
+  'ethereum-mainnet': '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+  'polygon-mainnet': '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+};
+
+const SWAP_ROUTER_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+];
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+
+const erc20 = new ethers.utils.Interface(ERC20_ABI);
+
+/* ═══════════════════════════════════════════════════════════════════
+   SWAP HELPERS
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Whether an executor can carry out a quote (one from its own venue)
+ * @param {Object} executor - Swap executor
+ * @param {Object} quote - Quote from quote-providers.js
+ * @returns {boolean}
+ */
+export function canExecuteQuote(executor, quote) {
+  return Boolean(quote?.provider) && quote.provider === executor.name;
+}
+
+function assertExecutable(executor, quote) {
+  if (!canExecuteQuote(executor, quote)) {
+    throw new Error(`The ${executor.name} executor cannot swap a ${quote?.provider || 'unknown'} quote`);
+  }
+}
+
+/**
+ * Assemble a swap result from its quote and what was received
+ */
+function swapResult(quote, params) {
+  const { provider, txHash, outAmount, minOutAmount, recipient } = params;
+
+  // The venue should have reverted below the minimum; never report such a swap as a success
+  if (BigInt(outAmount) < BigInt(minOutAmount)) {
+    throw new Error(`Swap ${txHash} returned ${outAmount}, below the minimum of ${minOutAmount}`);
+  }
+
+  return {
+    provider,
+    network: quote.network,
+    side: quote.side,
+    token: quote.token,
+    txHash,
+    inputMint: quote.inputMint,
+    outputMint: quote.outputMint,
+    inAmount: quote.inAmount,
+    outAmount: outAmount.toString(),
+    minOutAmount: minOutAmount.toString(),
+    inputAmount: quote.inputAmount,
+    outputAmount: ethers.utils.formatUnits(outAmount.toString(), quote.outputDecimals),
+    recipient,
+    route: quote.route,
+  };
+}
+
+/**
+ * Approve a spender for at least an amount of a token
+ */
+async function ensureAllowance(signer, token, spender, amount) {
+  const contract = new ethers.Contract(token, ERC20_ABI, signer);
+  const allowance = await contract.allowance(await signer.getAddress(), spender);
+  if (allowance.lt(amount)) {
+    const tx = await contract.approve(spender, amount);
+    await tx.wait();
+  }
+}
+
+/**
+ * Sum of a token's Transfer events to an address in a receipt
+ */
+function transferredTo(receipt, token, recipient) {
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === token.toLowerCase())
+    .map(log => {
+      try {
+        return erc20.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(event => event?.name === 'Transfer' && event.args.to.toLowerCase() === recipient.toLowerCase())
+    .reduce((sum, event) => sum + event.args.value.toBigInt(), 0n);
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   JUPITER (SOLANA)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class JupiterSwapExecutor {
+  constructor(config = {}) {
+    if (!config.connection || !(config.signer || config.keypair)) {
+      throw new Error('JupiterSwapExecutor requires a connection and a signer or keypair');
+    }
+    this.name = 'jupiter';
+    this.connection = config.connection;
+    this.signer = config.signer || new KeypairSigner(config.keypair);
+    this.baseUrl = (config.jupiterApiUrl || process.env.JUPITER_API_URL || 'https://quote-api.jup.ag/v6').replace(/\/$/, '');
+  }
+
+  /**
+   * Amount of a mint an owner received in a confirmed transaction
+   */
+  async received(signature, owner, mint) {
+    const tx = await this.connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+    if (!tx?.meta) {
+      throw new Error(`Swap transaction ${signature} not found`);
+    }
+
+    const balance = (balances) => balances
+      .filter(b => b.owner === owner && b.mint === mint)
+      .reduce((sum, b) => sum + BigInt(b.uiTokenAmount.amount), 0n);
+
+    const tokenDelta = balance(tx.meta.postTokenBalances || []) - balance(tx.meta.preTokenBalances || []);
+    if (tokenDelta > 0n || mint !== NATIVE_MINT.toBase58()) {
+      return tokenDelta;
+    }
+
+    // SOL is unwrapped into the owner's account; add back the fee they paid
+    const keys = tx.transaction.message.staticAccountKeys || tx.transaction.message.accountKeys;
+    const index = keys.findIndex(key => key.toBase58() === owner);
+    const fee = index === 0 ? BigInt(tx.meta.fee) : 0n;
+    return BigInt(tx.meta.postBalances[index]) - BigInt(tx.meta.preBalances[index]) + fee;
+  }
+
+  /**
+   * Create an owner's associated token account for a mint, paid by our wallet, if it doesn't exist yet
+   * @returns {PublicKey} Token account
+   */
+  async ensureTokenAccount(mint, owner) {
+    const account = await getAssociatedTokenAddress(mint, owner, true);
+    if (await this.connection.getAccountInfo(account)) {
+      return account;
+    }
+
+    const payer = this.signer.publicKey;
+    const transaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(payer, account, owner, mint)
+    );
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = payer;
+    await this.signer.signTransaction(transaction);
+
+    const signature = await this.connection.sendRawTransaction(transaction.serialize());
+    const confirmation = await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+    if (confirmation.value.err) {
+      throw new Error(`Creating token account ${account.toBase58()} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+    return account;
+  }
+
+  async swap(params) {
+    const { quote, recipient, minOutAmount = quote.minOutAmount } = params;
+    assertExecutable(this, quote);
+
+    if (!quote.quoteResponse) {
+      throw new Error('Jupiter swaps require a Jupiter quote');
+    }
+
+    const owner = this.signer.publicKey;
+    const recipientKey = recipient ? new PublicKey(recipient) : owner;
+
+    // Deliver straight to the recipient's token account (created if needed)
+    let destinationTokenAccount;
+    if (!recipientKey.equals(owner)) {
+      const account = await this.ensureTokenAccount(new PublicKey(quote.outputMint), recipientKey);
+      destinationTokenAccount = account.toBase58();
+    }
+
+    const response = await fetch(`${this.baseUrl}/swap`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        quoteResponse: { ...quote.quoteResponse, otherAmountThreshold: String(minOutAmount) },
+        userPublicKey: owner.toBase58(),
+        destinationTokenAccount,
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.swapTransaction) {
+      throw new Error(`Jupiter swap failed (${response.status}): ${data.error || response.statusText}`);
+    }
+
+    const transaction = VersionedTransaction.deserialize(Buffer.from(data.swapTransaction, 'base64'));
+    await this.signer.signTransaction(transaction);
+
+    const signature = await this.connection.sendRawTransaction(transaction.serialize(), { maxRetries: 3 });
+    const confirmation = await this.connection.confirmTransaction({
+      signature,
+      blockhash: transaction.message.recentBlockhash,
+      lastValidBlockHeight: data.lastValidBlockHeight,
+    }, 'confirmed');
+    if (confirmation.value.err) {
+      throw new Error(`Swap ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+
+    const outAmount = await this.received(signature, recipientKey.toBase58(), quote.outputMint);
+
+    return swapResult(quote, {
+      provider: this.name,
+      txHash: signature,
+      outAmount,
+      minOutAmount,
+      recipient: recipientKey.toBase58(),
+    });
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   UNISWAP V3 (EVM)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class UniswapV3SwapExecutor {
+  constructor(config = {}) {
+    if (!config.signer) {
+      throw new Error('UniswapV3SwapExecutor requires a signer');
+    }
+    this.name = 'uniswap-v3';
+    this.signer = config.signer;
+    this.routers = { ...UNISWAP_V3_ROUTERS, ...config.routerAddresses };
+  }
+
+  async swap(params) {
+    const { quote, minOutAmount = quote.minOutAmount } = params;
+    assertExecutable(this, quote);
+    const recipient = params.recipient || await this.signer.getAddress();
+
+    const routerAddress = this.routers[quote.network];
+    const fee = quote.route?.[0]?.fee;
+    if (!routerAddress) {
+      throw new Error(`No Uniswap V3 router configured for ${quote.network}`);
+    }
+    if (!fee) {
+      throw new Error('Uniswap V3 swaps require a Uniswap V3 quote (route fee tier)');
+    }
+
+    await ensureAllowance(this.signer, quote.inputMint, routerAddress, quote.inAmount);
+
+    const router = new ethers.Contract(routerAddress, SWAP_ROUTER_ABI, this.signer);
+    const tx = await router.exactInputSingle({
+      tokenIn: quote.inputMint,
+      tokenOut: quote.outputMint,
+      fee,
+      recipient,
+      amountIn: quote.inAmount,
+      amountOutMinimum: minOutAmount,
+      sqrtPriceLimitX96: 0,
+    });
+    const receipt = await tx.wait();
+
+    return swapResult(quote, {
+      provider: this.name,
+      txHash: receipt.transactionHash,
+      outAmount: transferredTo(receipt, quote.outputMint, recipient),
+      minOutAmount,
+      recipient,
+    });
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   0x (EVM)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export class ZeroExSwapExecutor {
+  constructor(config = {}) {
+    if (!config.signer) {
+      throw new Error('ZeroExSwapExecutor requires a signer');
+    }
+    this.name = '0x';
+    this.signer = config.signer;
+    this.baseUrl = (config.zeroExApiUrl || process.env.ZEROEX_API_URL || 'https://api.0x.org').replace(/\/$/, '');
+    this.apiKey = config.zeroExApiKey || process.env.ZEROEX_API_KEY;
+    this.chainIds = {
+      ...Object.fromEntries(listNetworks({ family: NETWORK_FAMILIES.EVM }).map(n => [n.id, n.chainId])),
+      ...config.chainIds,
+    };
+  }
+
+  async swap(params) {
+    const { quote, minOutAmount = quote.minOutAmount } = params;
+    assertExecutable(this, quote);
+    const taker = await this.signer.getAddress();
+    const recipient = params.recipient || taker;
+
+    const url = new URL(`${this.baseUrl}/swap/allowance-holder/quote`);
+    url.searchParams.set('chainId', String(this.chainIds[quote.network]));
+    url.searchParams.set('sellToken', quote.inputMint);
+    url.searchParams.set('buyToken', quote.outputMint);
+    url.searchParams.set('sellAmount', quote.inAmount);
+    url.searchParams.set('taker', taker);
+    url.searchParams.set('recipient', recipient);
+    url.searchParams.set('slippageBps', String(quote.slippageBps));
+
+    const response = await fetch(url.toString(), {
+      headers: { '0x-api-key': this.apiKey, '0x-version': 'v2' },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.transaction) {
+      throw new Error(`0x swap failed (${response.status}): ${data.message || data.name || response.statusText}`);
+    }
+
+    // 0x enforces its own minBuyAmount on-chain; it must be at least ours
+    if (BigInt(data.minBuyAmount) < BigInt(minOutAmount)) {
+      throw new Error(`Price moved: 0x minimum ${data.minBuyAmount} is below ${minOutAmount}`);
+    }
+
+    await ensureAllowance(
+      this.signer, quote.inputMint, data.issues?.allowance?.spender || data.transaction.to, quote.inAmount
+    );
+
+    const tx = await this.signer.sendTransaction({
+      to: data.transaction.to,
+      data: data.transaction.data,
+      value: data.transaction.value || 0,
+      gasLimit: data.transaction.gas || undefined,
+    });
+    const receipt = await tx.wait();
+
+    return swapResult(quote, {
+      provider: this.name,
+      txHash: receipt.transactionHash,
+      outAmount: transferredTo(receipt, quote.outputMint, recipient),
+      minOutAmount,
+      recipient,
+    });
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   FACTORIES
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Default swap executor for a network's wallet
+ * @param {string} network - Network identifier
+ * @param {Object} client - { connection, signer } (Solana) or { signer } (EVM)
+ * @param {Object} config - Executor config; EVM_QUOTE_PROVIDER=uniswap swaps through Uniswap V3 instead of 0x
+ * @returns {Object} Swap executor
+ */
+export function createSwapExecutor(network, client, config = {}) {
+  if (isSolanaNetwork(network)) {
+    return new JupiterSwapExecutor({ ...config, connection: client.connection, signer: client.signer, keypair: client.keypair });
+  }
+
+  return (config.evmProvider || process.env.EVM_QUOTE_PROVIDER) === 'uniswap'
+    ? new UniswapV3SwapExecutor({ ...config, signer: client.signer })
+    : new ZeroExSwapExecutor({ ...config, signer: client.signer });
+}
+
+/**
+ * Swap executors for the server's trade wallets
+ * (SWAP_SOLANA_PRIVATE_KEY on Solana mainnet, where Jupiter routes; SWAP_EVM_PRIVATE_KEY on every
+ * EVM network whose RPC env var is set, and on custom networks registered without one)
+ * @param {Object} env - Environment (process.env by default)
+ * @returns {Object} network → swap executor
+ */
+export function createSwapExecutorsFromEnv(env = process.env) {
+  const executors = {};
+
+  if (env.SWAP_SOLANA_PRIVATE_KEY) {
+    executors[SUPPORTED_NETWORKS.SOLANA] = createSwapExecutor(SUPPORTED_NETWORKS.SOLANA, {
+      connection: new Connection(rpcEndpointFor(SUPPORTED_NETWORKS.SOLANA, env), 'confirmed'),
+      keypair: loadSolanaKeypair(env.SWAP_SOLANA_PRIVATE_KEY),
+    });
+  }
+
+  if (env.SWAP_EVM_PRIVATE_KEY) {
+    for (const { id: network, rpcEnv, rpcEndpoint: registered } of listNetworks({ family: NETWORK_FAMILIES.EVM })) {
+      const rpcEndpoint = rpcEnv ? env[rpcEnv] : registered;
+      if (rpcEndpoint) {
+        const signer = new ethers.Wallet(
+          env.SWAP_EVM_PRIVATE_KEY,
+          new ethers.providers.JsonRpcProvider(rpcEndpoint)
+        );
+        executors[network] = createSwapExecutor(network, { signer });
+      }
+    }
+  }
+
+  return executors;
+}
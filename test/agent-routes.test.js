@@ -0,0 +1,88 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+let dir;
+let server;
+let baseUrl;
+let errors;
+
+const post = async (route, body) => {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+describe('agent routes', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    errors = mock.method(console, 'error', () => {});
+
+    // Keep the routes' stores out of ./data
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x4a-routes-'));
+    for (const name of ['APPROVAL', 'CONVERSATION', 'LEDGER', 'PAPER_WALLET', 'POLICY', 'PORTFOLIO',
+      'SCHEDULE', 'SUBSCRIPTION', 'USED_TX', 'WALLET_AUTH']) {
+      process.env[`${name}_STORE_PATH`] = path.join(dir, `${name.toLowerCase()}.json`);
+    }
+
+    // Another running process (the test runner) holds the schedule store
+    fs.writeFileSync(`${process.env.SCHEDULE_STORE_PATH}.lock`, String(process.ppid));
+
+    const { default: router } = await import('../agent-routes.js');
+    const app = express();
+    app.use(express.json());
+    app.use('/api', router);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  it('keeps serving when the scheduler cannot start', async () => {
+    const [call] = errors.mock.calls;
+    assert.equal(call.arguments[0], '❌ Scheduled payments not started:');
+    assert.match(call.arguments[1], /schedule\.json is in use by process \d+/);
+
+    const res = await fetch(`${baseUrl}/agent/strategies`);
+    assert.equal(res.status, 200);
+  });
+
+  describe('POST /agent/backtest', () => {
+    const candles = [[1760832000, 1, 1, 1, 1], [1760835600, 1, 1, 1, 1.1]];
+
+    it('runs a backtest', async () => {
+      const { status, body } = await post('/agent/backtest', { candles, strategy: 'dca', initialUSDC: 500, feeBps: 0 });
+      assert.equal(status, 200);
+      assert.equal(body.ok, true);
+      assert.equal(body.initialUSDC, 500);
+      assert.equal(body.candles, 2);
+    });
+
+    it('answers 400 for amounts, fees and slippage that are not non-negative numbers', async () => {
+      for (const [field, value] of [['initialUSDC', '1000'], ['initialUSDC', -1], ['feeBps', -30],
+        ['feeBps', 'NaN'], ['slippageBps', '10'], ['slippageBps', -1]]) {
+        const { status, body } = await post('/agent/backtest', { candles, strategy: 'dca', [field]: value });
+        assert.equal(status, 400, `${field}: ${value}`);
+        assert.equal(body.ok, false);
+        assert.match(body.error, new RegExp(`Invalid ${field}`));
+      }
+    });
+
+    it('answers 400 for malformed candles', async () => {
+      const { status, body } = await post('/agent/backtest', { candles: [[1760832000, 1, 1, 1, 0]], strategy: 'dca' });
+      assert.equal(status, 400);
+      assert.match(body.error, /Invalid candle close/);
+    });
+  });
+});
@@ -0,0 +1,499 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Keypair } from '@solana/web3.js';
+import { AIPaymentAgent, ScheduledPaymentManager, NLPaymentProcessor } from '../ai-agent.js';
+import { PaymentLedger } from '../payment-ledger.js';
+import { SpendingPolicyEngine } from '../spending-policy.js';
+import { PaperWallet } from '../paper-wallet.js';
+import { MemoryStore, JsonFileStore } from '../storage.js';
+import { USDC_ADDRESSES } from '../networks.js';
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+/* ═══ SOLANA PAYMENTS ═══ */
+
+// Stands in for @solana/web3.js Connection: the node answers confirmTransaction
+// at a later slot than the one the transaction landed in
+function mockConnection({ status = { slot: 250000000, confirmations: 1, err: null }, landedSlot = 250000000 } = {}) {
+  const calls = [];
+  return {
+    calls,
+    getAccountInfo: async () => ({ data: Buffer.alloc(165) }),
+    getLatestBlockhash: async () => ({
+      blockhash: 'EETubP5AKHgjPAhzPAFcb8BAY1hMH639CWCFTqi3hq1k',
+      lastValidBlockHeight: 1000,
+    }),
+    sendRawTransaction: async () => '5'.repeat(88),
+    confirmTransaction: async () => ({ context: { slot: 250000042 }, value: { err: null } }),
+    getSignatureStatuses: async (signatures) => {
+      calls.push(['getSignatureStatuses', signatures]);
+      return { context: { slot: 250000042 }, value: [status] };
+    },
+    getTransaction: async (signature) => {
+      calls.push(['getTransaction', signature]);
+      return landedSlot === null ? null : { slot: landedSlot };
+    },
+  };
+}
+
+function solanaAgent(connection) {
+  return new AIPaymentAgent({
+    network: 'solana-mainnet',
+    connection,
+    keypair: Keypair.generate(),
+    ledger: new PaymentLedger({ store: new MemoryStore() }),
+    approvalQueue: null,
+  });
+}
+
+const requirement = {
+  scheme: 'exact',
+  network: 'solana-mainnet',
+  asset: USDC_MINT,
+  payTo: Keypair.generate().publicKey.toBase58(),
+  maxAmountRequired: '1000000',
+  extra: { decimals: 6 },
+};
+
+describe('AIPaymentAgent.executeSolanaPayment', () => {
+  it('reports the slot the transaction landed in, not the confirmation context slot', async () => {
+    const connection = mockConnection();
+    const result = await solanaAgent(connection).executeSolanaPayment(requirement);
+    assert.equal(result.signature, '5'.repeat(88));
+    assert.equal(result.slot, 250000000);
+    assert.deepEqual(connection.calls[0], ['getSignatureStatuses', ['5'.repeat(88)]]);
+  });
+
+  it('falls back to the transaction when the status cache has no entry', async () => {
+    const connection = mockConnection({ status: null, landedSlot: 249999990 });
+    const result = await solanaAgent(connection).executeSolanaPayment(requirement);
+    assert.equal(result.slot, 249999990);
+  });
+
+  it('reports no slot rather than a wrong one when neither lookup knows it', async () => {
+    const connection = mockConnection({ status: null, landedSlot: null });
+    const result = await solanaAgent(connection).executeSolanaPayment(requirement);
+    assert.equal(result.slot, null);
+  });
+
+  it('throws when the transaction failed', async () => {
+    const connection = mockConnection();
+    connection.confirmTransaction = async () => ({ context: { slot: 1 }, value: { err: { InstructionError: [0, 'Custom'] } } });
+    await assert.rejects(solanaAgent(connection).executeSolanaPayment(requirement), /failed/);
+  });
+});
+
+/* ═══ PAYMENT DECISIONS ═══ */
+
+const PAPER_WALLET = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+// A paper agent whose resource server always answers with a 1 USDC challenge
+function paperAgent(policy) {
+  const ledger = new PaymentLedger({ store: new MemoryStore() });
+  const policyEngine = new SpendingPolicyEngine({ store: new MemoryStore(), ledger });
+  const agent = new AIPaymentAgent({
+    wallet: PAPER_WALLET,
+    network: 'solana-mainnet',
+    paperTrading: true,
+    paperWallet: new PaperWallet({ store: new MemoryStore() }),
+    ledger,
+    policyEngine,
+    approvalQueue: null,
+  });
+
+  agent.requestChallenge = async () => ({
+    status: 402,
+    ok: false,
+    data: { x402Version: 1, accepts: [{ ...requirement }], metadata: {} },
+  });
+
+  return { agent, ledger, ready: policy ? policyEngine.setPolicy(PAPER_WALLET, policy) : Promise.resolve() };
+}
+
+describe('AIPaymentAgent.executePayment', () => {
+  it('lets only as many concurrent payments through as the budget holds', async () => {
+    const { agent, ledger, ready } = paperAgent({ rules: [{ type: 'budget', window: 'day', limit: 1.5 }] });
+    await ready;
+
+    const results = await Promise.all([
+      agent.executePayment({ resource: '/api/x' }),
+      agent.executePayment({ resource: '/api/x' }),
+    ]);
+
+    assert.deepEqual(results.map(r => r.success).sort(), [false, true]);
+    assert.match(results.find(r => !r.success).reason, /budget/);
+    assert.equal(await ledger.getSpending({ wallet: PAPER_WALLET, simulated: true }), 1);
+  });
+
+  it('lets autoApprove skip human approval but not a policy denial', async () => {
+    const { agent, ready } = paperAgent({
+      rules: [
+        { id: 'review', type: 'approval_threshold', amount: 0.5 },
+        { id: 'daily', type: 'budget', window: 'day', limit: 1.5 },
+      ],
+    });
+    await ready;
+
+    const first = await agent.executePayment({ resource: '/api/x', autoApprove: true });
+    assert.equal(first.success, true);
+
+    const second = await agent.executePayment({ resource: '/api/x', autoApprove: true });
+    assert.equal(second.success, false);
+    assert.equal(second.pendingApproval, undefined);
+    assert.equal(second.decidedBy, 'daily');
+  });
+
+  it('settles the reservation it made instead of adding an entry', async () => {
+    const { agent, ledger } = paperAgent();
+
+    const result = await agent.executePayment({ resource: '/api/x' });
+
+    assert.equal(result.success, true);
+    const entries = await ledger.getEntries({ wallet: PAPER_WALLET });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].status, 'completed');
+    assert.equal(entries[0].txHash, result.txHash);
+  });
+});
+
+/* ═══ PAYMENT OPTIONS & SCHEMES ═══ */
+
+// A USDC accepts entry on a network, 1 USDC exact unless changed
+const option = (network, changes = {}) => ({
+  scheme: 'exact',
+  network,
+  asset: USDC_ADDRESSES[network],
+  payTo: requirement.payTo,
+  maxAmountRequired: '1000000',
+  ...changes,
+});
+
+describe('AIPaymentAgent.selectPaymentOption', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  const select = async (accepts, { policy, ...options } = {}) => {
+    const { agent, ready } = paperAgent(policy);
+    await ready;
+    return await agent.selectPaymentOption({ x402Version: 1, accepts, metadata: {} }, { resource: '/api/x', ...options });
+  };
+
+  it('picks the option with the lowest cost including the network fee', async () => {
+    const selected = await select([option('ethereum-mainnet'), option('base-mainnet'), option('solana-mainnet')]);
+    assert.equal(selected.network, 'solana-mainnet');
+    assert.equal(selected.selectedOption.index, 2);
+    assert.equal(selected.selectedOption.totalCost, 1.001);
+    assert.equal(selected.decision.approved, true);
+  });
+
+  it('ranks approved options over ones needing approval, and those over denied ones', async () => {
+    const policy = {
+      rules: [
+        { type: 'network_limit', network: 'solana-mainnet', maxAmount: 0.5 },
+        { type: 'network_limit', network: 'base-mainnet', maxAmount: 0.5, action: 'require_approval' },
+      ],
+    };
+    const accepts = [option('solana-mainnet'), option('base-mainnet'), option('ethereum-mainnet')];
+
+    assert.equal((await select(accepts, { policy })).network, 'ethereum-mainnet');
+
+    const selected = await select(accepts.slice(0, 2), { policy });
+    assert.equal(selected.network, 'base-mainnet');
+    assert.equal(selected.decision.requiresApproval, true);
+  });
+
+  it('breaks ties on the preferred network', async () => {
+    const accepts = [option('solana-devnet'), option('base-sepolia')];
+    assert.equal((await select(accepts, { preferredNetwork: 'base-sepolia' })).network, 'base-sepolia');
+    assert.equal((await select(accepts, { preferredNetwork: 'solana-devnet' })).network, 'solana-devnet');
+  });
+
+  it('skips options it cannot pay, and declines when none is left', async () => {
+    const unknown = option('solana-mainnet', { network: 'nowhere' });
+    const unfunded = option('base-mainnet', { asset: '0x000000000000000000000000000000000000dEaD' });
+
+    const selected = await select([unknown, unfunded, option('ethereum-mainnet')]);
+    assert.equal(selected.network, 'ethereum-mainnet');
+    assert.deepEqual(selected.skippedOptions, [
+      { index: 0, network: 'nowhere', reason: 'No signer configured for this network' },
+      { index: 1, network: 'base-mainnet', reason: 'Insufficient balance (0 USDC)' },
+    ]);
+
+    const none = await select([unknown, unfunded]);
+    assert.equal(none.selectedOption, null);
+    assert.equal(none.decision.approved, false);
+    assert.equal(none.decision.decidedBy, 'option_selection');
+    assert.match(none.decision.reason, /^No payable option: nowhere: No signer .*; base-mainnet: Insufficient balance/);
+  });
+
+  it('throws on a challenge without options', async () => {
+    await assert.rejects(select([]), /X402 challenge offers no payment options/);
+  });
+});
+
+describe('AIPaymentAgent.choosePaymentAmount', () => {
+  const range = option('solana-mainnet', { scheme: 'range', minAmountRequired: '1000000', maxAmountRequired: '3000000' });
+  const approveAll = async () => ({ approved: true, reason: 'ok' });
+
+  const choose = async (req, options = {}) => {
+    const { agent } = paperAgent();
+    agent.evaluatePayment = async ({ amount }) => ({ approved: true, reason: `ok ${amount}` });
+    return (await agent.choosePaymentAmount(req, { resource: '/api/x', ...options })).amount;
+  };
+
+  it('pays exact and subscription prices in full', async () => {
+    assert.equal(await choose(option('solana-mainnet'), { preferredAmount: 1 }), 1000000);
+    assert.equal(await choose(option('solana-mainnet', { scheme: 'subscription', subscriptionPeriod: 3600 })), 1000000);
+  });
+
+  it('clamps the preferred amount into a range, within the balance', async () => {
+    assert.equal(await choose(range), 1000000);
+    assert.equal(await choose(range, { preferredAmount: 2000000 }), 2000000);
+    assert.equal(await choose(range, { preferredAmount: 5000000 }), 3000000);
+    assert.equal(await choose(range, { preferredAmount: 500000 }), 1000000);
+    assert.equal(await choose(range, { preferredAmount: 2500000, balance: 1500000n }), 1500000);
+    assert.equal(await choose(range, { preferredAmount: 2500000, balance: 500000n }), 1000000);
+  });
+
+  it('opens a dynamic price at the suggestion, or the preferred amount above the floor', async () => {
+    const dynamic = option('solana-mainnet', { scheme: 'dynamic', suggestedAmount: '4000000', minAmountRequired: '1000000' });
+    assert.equal(await choose(dynamic), 4000000);
+    assert.equal(await choose(dynamic, { preferredAmount: 2000000 }), 2000000);
+    assert.equal(await choose(dynamic, { preferredAmount: 100 }), 1000000);
+    assert.equal(await choose(dynamic, { balance: 3000000n }), 3000000);
+  });
+
+  describe('negotiateDynamicPrice', () => {
+    const dynamic = option('solana-mainnet', { scheme: 'dynamic', suggestedAmount: '4000000', minAmountRequired: '1000000' });
+    const upTo = (limit) => async (amount) => (amount <= limit
+      ? { approved: true, reason: 'Within budget' }
+      : { approved: false, reason: 'Over budget' });
+
+    it('keeps an approved offer', async () => {
+      const { agent } = paperAgent();
+      assert.deepEqual(await agent.negotiateDynamicPrice(dynamic, 4000000, approveAll), {
+        amount: 4000000, decision: { approved: true, reason: 'ok' },
+      });
+    });
+
+    it('negotiates down to the highest approvable amount', async () => {
+      const { agent } = paperAgent();
+      const { amount, decision } = await agent.negotiateDynamicPrice(dynamic, 4000000, upTo(2500000));
+      assert.ok(amount <= 2500000 && amount > 2500000 - 10000, `${amount}`);
+      assert.equal(decision.approved, true);
+      assert.equal(decision.reason, 'Within budget (negotiated down from 4 USDC)');
+    });
+
+    it('goes down to the floor and no further', async () => {
+      const { agent } = paperAgent();
+      assert.equal((await agent.negotiateDynamicPrice(dynamic, 4000000, upTo(1000000))).amount, 1000000);
+
+      const refused = await agent.negotiateDynamicPrice(dynamic, 4000000, upTo(999999));
+      assert.deepEqual(refused, { amount: 4000000, decision: { approved: false, reason: 'Over budget' } });
+
+      const atFloor = await agent.negotiateDynamicPrice(dynamic, 200, upTo(0));
+      assert.equal(atFloor.amount, 1000000);
+      assert.equal(atFloor.decision.approved, false);
+    });
+  });
+});
+
+describe('AIPaymentAgent payment schemes', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  const charging = (accepts, policy) => {
+    const paper = paperAgent(policy);
+    paper.agent.requestChallenge = async () => ({ status: 402, ok: false, data: { x402Version: 1, accepts, metadata: {} } });
+    return paper;
+  };
+
+  it('pays the exact price whatever amount was asked for', async () => {
+    const { agent } = charging([option('solana-mainnet', { maxAmountRequired: '1500000' })]);
+    const result = await agent.executePayment({ resource: '/api/x', amount: 100 });
+    assert.equal(result.success, true);
+    assert.equal(result.amount, 1500000);
+  });
+
+  it('pays the asked amount of a range, within its bounds', async () => {
+    const accepts = [option('solana-mainnet', { scheme: 'range', minAmountRequired: '1000000', maxAmountRequired: '3000000' })];
+    assert.equal((await charging(accepts).agent.executePayment({ resource: '/api/x', amount: 2000000 })).amount, 2000000);
+    assert.equal((await charging(accepts).agent.executePayment({ resource: '/api/x' })).amount, 1000000);
+  });
+
+  it('negotiates a dynamic price down to what the budget allows', async () => {
+    const accepts = [option('solana-mainnet', { scheme: 'dynamic', suggestedAmount: '4000000', minAmountRequired: '1000000' })];
+    const { agent, ledger, ready } = charging(accepts, { rules: [{ type: 'budget', window: 'day', limit: 2.5 }] });
+    await ready;
+
+    const result = await agent.executePayment({ resource: '/api/x' });
+    assert.equal(result.success, true);
+    assert.ok(result.amount <= 2500000 && result.amount > 2490000, `${result.amount}`);
+    assert.equal(await ledger.getSpending({ wallet: PAPER_WALLET, simulated: true }), result.amount / 1e6);
+  });
+
+  it('pays a subscription price, and not again while a subscription grants access', async () => {
+    const { agent, ledger } = charging([option('solana-mainnet', { scheme: 'subscription', subscriptionPeriod: 3600 })]);
+    assert.equal((await agent.executePayment({ resource: '/api/x' })).amount, 1000000);
+
+    const subscription = { id: 'sub_1', resource: '/api/x', expiresAt: new Date(Date.now() + 3600000).toISOString() };
+    agent.requestChallenge = async () => ({ status: 200, ok: true, subscription, data: { ok: true } });
+    const result = await agent.executePayment({ resource: '/api/x' });
+    assert.equal(result.success, true);
+    assert.equal(result.amount, 0);
+    assert.equal(result.subscription, subscription);
+    assert.equal((await ledger.getEntries({ wallet: PAPER_WALLET })).length, 1);
+  });
+});
+
+/* ═══ SCHEDULED PAYMENTS ═══ */
+
+describe('ScheduledPaymentManager', () => {
+  let store;
+  let payments;
+  let scheduler;
+
+  const agent = {
+    wallet: 'wallet-1',
+    network: 'solana-mainnet',
+    executePayment: async (params) => {
+      payments.push(params);
+      return { success: true, txHash: `tx_${payments.length}` };
+    },
+  };
+
+  const schedule = (id, changes = {}) => store.put(id, {
+    id,
+    resource: '/api/x',
+    amount: 1,
+    wallet: 'wallet-1',
+    network: 'solana-mainnet',
+    executeAt: new Date(Date.now() - 1000).toISOString(),
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: 3,
+    lease: null,
+    ...changes,
+  });
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    payments = [];
+    scheduler = new ScheduledPaymentManager({ store });
+    scheduler.setAgent(agent);
+  });
+
+  it('runs due schedules once and records the outcome', async () => {
+    await schedule('due');
+    await schedule('later', { executeAt: new Date(Date.now() + 60000).toISOString() });
+
+    await scheduler.poll();
+    await scheduler.poll();
+
+    assert.equal(payments.length, 1);
+    const done = await store.get('due');
+    assert.equal(done.status, 'completed');
+    assert.equal(done.txHash, 'tx_1');
+    assert.equal(done.lease, null);
+    assert.equal((await store.get('later')).status, 'pending');
+  });
+
+  it('leases schedules to this process', async () => {
+    await schedule('due');
+    const leased = await scheduler.acquireLease('due');
+    assert.equal(leased.status, 'executing');
+    assert.equal(leased.lease.pid, process.pid);
+    assert.equal(await scheduler.acquireLease('due'), null);
+  });
+
+  it('flags a schedule another process left executing on the next poll, lease or not', async () => {
+    await schedule('crashed', {
+      status: 'executing',
+      lease: { owner: 'worker_old', pid: process.pid + 1, expiresAt: Date.now() + 600000 },
+    });
+
+    await scheduler.poll();
+
+    const flagged = await store.get('crashed');
+    assert.equal(flagged.status, 'interrupted');
+    assert.equal(flagged.lease, null);
+    assert.equal(payments.length, 0);
+  });
+
+  it('flags an expired lease of this process but leaves a live one alone', async () => {
+    await schedule('expired', {
+      status: 'executing',
+      lease: { owner: scheduler.workerId, pid: process.pid, expiresAt: Date.now() - 1 },
+    });
+    await schedule('running', {
+      status: 'executing',
+      lease: { owner: scheduler.workerId, pid: process.pid, expiresAt: Date.now() + 600000 },
+    });
+
+    await scheduler.poll();
+
+    assert.equal((await store.get('expired')).status, 'interrupted');
+    assert.equal((await store.get('running')).status, 'executing');
+  });
+
+  it('refuses to start on a schedule file another running process holds', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x4a-schedules-'));
+    const file = path.join(dir, 'schedules.json');
+    fs.writeFileSync(`${file}.lock`, String(process.ppid));
+
+    const shared = new ScheduledPaymentManager({ store: new JsonFileStore(file) });
+    await assert.rejects(shared.start(), /in use by process/);
+    shared.stop();
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+/* ═══ COMMANDS ═══ */
+
+describe('NLPaymentProcessor cancel_schedule', () => {
+  const EVM_WALLET = '0x22Ca1F8942359826dfa8283998c807F9AD05876e';
+  let store;
+  let processor;
+
+  const cancel = (scheduleId) => processor.execute({ intent: 'cancel_schedule', params: { scheduleId } });
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  beforeEach(async () => {
+    store = new MemoryStore();
+    const scheduler = new ScheduledPaymentManager({ store });
+    processor = new NLPaymentProcessor({ wallet: EVM_WALLET, network: 'base-mainnet' }, scheduler);
+    await store.put('sched_own', { id: 'sched_own', wallet: EVM_WALLET.toLowerCase(), status: 'pending' });
+    await store.put('sched_other', { id: 'sched_other', wallet: '0x000000000000000000000000000000000000dEaD', status: 'pending' });
+  });
+
+  it('cancels the wallet\'s schedule whatever the address case', async () => {
+    assert.deepEqual(await cancel('sched_own'), { success: true });
+    assert.equal((await store.get('sched_own')).status, 'cancelled');
+  });
+
+  it('leaves other wallets\' schedules alone', async () => {
+    assert.equal((await cancel('sched_other')).success, false);
+    assert.equal((await store.get('sched_other')).status, 'pending');
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArbitrageScanner, ArbitrageExecutor, InMemoryPoolVenue } from '../arbitrage.js';
+import { TokenTradingAgent, USDC_ADDRESSES } from '../ai-agent.js';
+import { Portfolio } from '../portfolio.js';
+import { PaymentLedger } from '../payment-ledger.js';
+import { MemoryStore } from '../storage.js';
+
+const NETWORK = 'solana-mainnet';
+const USDC = USDC_ADDRESSES[NETWORK];
+const TOKEN = 'TokenMint1111111111111111111111111111111111';
+
+// TOKEN trades at $1.00 on cheap and $1.10 on dear: buy on cheap, sell on dear
+function venues() {
+  return [
+    new InMemoryPoolVenue({ name: 'cheap', pools: [{ tokenA: USDC, tokenB: TOKEN, reserveA: 1000000, reserveB: 1000000 }] }),
+    new InMemoryPoolVenue({ name: 'dear', pools: [{ tokenA: USDC, tokenB: TOKEN, reserveA: 1100000, reserveB: 1000000 }] }),
+  ];
+}
+
+// Make every sale of TOKEN on a venue fail, as a paused pool or dead RPC would
+function refuseSells(venue) {
+  const swap = venue.swap.bind(venue);
+  venue.swap = async (params) => {
+    if (params.quote.inputMint === TOKEN) {
+      throw new Error(`${venue.name} is paused`);
+    }
+    return swap(params);
+  };
+}
+
+async function plan(pools) {
+  const [best] = await new ArbitrageScanner({ venues: pools }).scan({ tokenA: USDC, tokenB: TOKEN, amount: 1000, usdc: USDC });
+  return best;
+}
+
+describe('ArbitrageExecutor', () => {
+  let cheap;
+  let dear;
+
+  beforeEach(() => {
+    [cheap, dear] = venues();
+  });
+
+  it('closes a planned round trip', async () => {
+    const opportunity = await plan([cheap, dear]);
+    assert.equal(opportunity.buyVenue, 'cheap');
+    assert.equal(opportunity.sellVenue, 'dear');
+
+    const result = await new ArbitrageExecutor({ venues: [cheap, dear] }).execute(opportunity);
+    assert.equal(result.success, true);
+    assert.equal(result.legs.length, 2);
+    assert.ok(result.profitUSDC > 0);
+  });
+
+  it('unwinds when the sell price moves past the tolerance', async () => {
+    const opportunity = await plan([cheap, dear]);
+    dear.pools[0].reserveA = 900000; // TOKEN now sells for $0.90 there
+
+    const result = await new ArbitrageExecutor({ venues: [cheap, dear] }).execute(opportunity);
+    assert.equal(result.success, false);
+    assert.equal(result.aborted, true);
+    assert.match(result.reason, /Sell price moved/);
+    assert.equal(result.legs.length, 1);
+    assert.equal(result.unwind.provider, 'cheap');
+    assert.ok(result.profitUSDC < 0);
+  });
+
+  it('reports the buy leg and what it holds when the unwind fails too', async () => {
+    const opportunity = await plan([cheap, dear]);
+    refuseSells(cheap);
+    refuseSells(dear);
+
+    const result = await new ArbitrageExecutor({ venues: [cheap, dear] }).execute(opportunity);
+    assert.equal(result.success, false);
+    assert.equal(result.aborted, true);
+    assert.match(result.reason, /Sell leg failed: dear is paused/);
+    assert.equal(result.legs.length, 1);
+    assert.equal(result.legs[0].provider, 'cheap');
+    assert.match(result.unwindError, /is paused/);
+    assert.deepEqual(result.holding, { token: TOKEN, amount: Number(result.legs[0].outputAmount) });
+    assert.equal(result.unwind, undefined);
+  });
+});
+
+describe('TokenTradingAgent.executeArbitrageSequence', () => {
+  it('records the buy fill when the round trip cannot be unwound', async () => {
+    const [cheap, dear] = venues();
+    const portfolio = new Portfolio({ store: new MemoryStore() });
+    const agent = new TokenTradingAgent({
+      wallet: '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU',
+      network: NETWORK,
+      arbitrageVenues: [cheap, dear],
+      portfolio,
+      ledger: new PaymentLedger({ store: new MemoryStore() }),
+      approvalQueue: null,
+    });
+
+    const opportunity = await plan([cheap, dear]);
+    refuseSells(cheap);
+    refuseSells(dear);
+
+    const result = await agent.executeArbitrageSequence(opportunity);
+    assert.equal(result.success, false);
+    assert.ok(result.unwindError);
+
+    const fills = await portfolio.getFills({ token: TOKEN });
+    assert.equal(fills.length, 1);
+    assert.equal(fills[0].side, 'buy');
+    assert.equal(fills[0].txHash, result.legs[0].txHash);
+    assert.equal(fills[0].source, 'arbitrage');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCandles, Backtester } from '../backtest.js';
+import { TradingStrategy } from '../strategies.js';
+
+const HOUR = 3600000;
+const start = Date.UTC(2026, 9, 19);
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+// Trades the given action at each candle, 100 USDC a buy
+class ScriptedStrategy extends TradingStrategy {
+  constructor(actions) {
+    super({ name: 'scripted', orderSizeUSDC: 100 });
+    this.actions = actions;
+  }
+
+  generateSignal({ prices }) {
+    return { action: this.actions[prices.length - 1] || 'hold', reason: 'Scripted', confidence: 1 };
+  }
+}
+
+const candles = (...closes) => closes.map((price, i) => ({ timestamp: start + i * HOUR, close: price }));
+
+describe('parseCandles', () => {
+  it('reads CSV with epoch seconds, oldest first', () => {
+    const parsed = parseCandles('Timestamp,Open,High,Low,Close,Volume\n1760832000,2,3,1,2.5,100\n\n1760828400,1,2,1,2,\n');
+    assert.deepEqual(parsed, [
+      { timestamp: 1760828400000, open: 1, high: 2, low: 1, close: 2, volume: null },
+      { timestamp: 1760832000000, open: 2, high: 3, low: 1, close: 2.5, volume: 100 },
+    ]);
+  });
+
+  it('reads JSON objects and arrays with ISO and millisecond timestamps', () => {
+    assert.deepEqual(parseCandles('[{ "time": "2026-10-19T00:00:00Z", "close": "4" }]'), [
+      { timestamp: start, open: 4, high: 4, low: 4, close: 4, volume: null },
+    ]);
+    assert.deepEqual(parseCandles(JSON.stringify({ candles: [[start, 1, 2, 0.5, 1.5, 10]] })), [
+      { timestamp: start, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10 },
+    ]);
+    assert.equal(parseCandles([[1760832000.5, 1, 1, 1, 1]])[0].timestamp, 1760832000500);
+  });
+
+  it('rejects a missing or non-positive close, a bad timestamp and no candles', () => {
+    assert.throws(() => parseCandles([{ timestamp: start, close: 'n/a' }]), /Invalid candle close at 2026-10-19T00:00:00.000Z: n\/a/);
+    assert.throws(() => parseCandles([{ timestamp: start, close: 0 }]), /Invalid candle close/);
+    assert.throws(() => parseCandles([{ timestamp: start }]), /Invalid candle close/);
+    assert.throws(() => parseCandles([{ timestamp: 'yesterday', close: 1 }]), /Invalid candle timestamp: yesterday/);
+    assert.throws(() => parseCandles('timestamp,close\n'), /No candles to backtest/);
+  });
+});
+
+describe('Backtester', () => {
+  it('books PnL, fees, drawdown and win rate', async () => {
+    const strategy = new ScriptedStrategy(['buy', 'hold', 'sell', 'buy', 'sell']);
+    const report = await new Backtester({ strategy, feeBps: 100, slippageBps: 0 }).run(candles(10, 8, 12, 12, 9));
+
+    // Buy 100 USDC at 10: 1 USDC fee, 9.9 tokens; sold at 12 for 118.8 less 1.188
+    assert.deepEqual(report.trades.map(t => t.side), ['buy', 'sell', 'buy', 'sell']);
+    close(report.trades[0].quantity, 9.9);
+    close(report.trades[1].pnlUSDC, 17.612);
+    // Buy 100 USDC at 12: 8.25 tokens; sold at 9 for 74.25 less 0.7425
+    close(report.trades[2].quantity, 8.25);
+    close(report.trades[3].pnlUSDC, -26.4925);
+
+    close(report.feesUSDC, 1 + 1.188 + 1 + 0.7425);
+    close(report.realizedPnlUSDC, 17.612 - 26.4925);
+    close(report.pnlUSDC, 17.612 - 26.4925);
+    close(report.finalEquityUSDC, report.cashUSDC);
+    assert.equal(report.openQuantity, 0);
+    assert.equal(report.winRate, 0.5);
+    assert.equal(report.closedTrades, 2);
+    // Peak 1017.612 after the first sell, down to 991.1195 after the second
+    close(report.maxDrawdownUSDC, 26.4925);
+    close(report.maxDrawdownPct, 26.4925 / 1017.612 * 100);
+    close(report.buyAndHoldReturnPct, -10);
+  });
+
+  it('fills against the slippage and marks open positions to the last close', async () => {
+    const strategy = new ScriptedStrategy(['buy']);
+    const report = await new Backtester({ strategy, feeBps: 0, slippageBps: 100, maxSlippage: 0.02 })
+      .run(candles(10, 11), { equityCurve: true });
+
+    close(report.trades[0].price, 10.1);
+    close(report.openQuantity, 100 / 10.1);
+    close(report.unrealizedPnlUSDC, 100 / 10.1 * 11 - 100);
+    assert.equal(report.winRate, null);
+    assert.equal(report.equityCurve.length, 2);
+    close(report.equityCurve[1].equity, 900 + 100 / 10.1 * 11);
+  });
+
+  it('counts entries the slippage limit rejects', async () => {
+    const strategy = new ScriptedStrategy(['buy', 'buy']);
+    const report = await new Backtester({ strategy, slippageBps: 200, maxSlippage: 0.01 }).run(candles(10, 10));
+    assert.equal(report.totalTrades, 0);
+    assert.equal(report.rejectedEntries, 2);
+  });
+
+  it('refuses amounts, fees and slippage that are not non-negative numbers', () => {
+    assert.throws(() => new Backtester({ initialUSDC: '1000' }), /Invalid initialUSDC: 1000/);
+    assert.throws(() => new Backtester({ initialUSDC: 0 }), /must be a positive number/);
+    assert.throws(() => new Backtester({ feeBps: -5 }), /Invalid feeBps: -5/);
+    assert.throws(() => new Backtester({ slippageBps: NaN }), /Invalid slippageBps: NaN/);
+    assert.throws(() => new Backtester({ maxSlippage: Infinity }), /Invalid maxSlippage/);
+    assert.equal(new Backtester({ feeBps: 0, slippageBps: 0 }).feeBps, 0);
+  });
+});
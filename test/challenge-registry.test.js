@@ -0,0 +1,148 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChallengeRegistry, CHALLENGE_ERRORS } from '../challenge-registry.js';
+import { MemoryStore } from '../storage.js';
+
+const TX_HASH = '0x' + 'Ab'.repeat(32);
+const SOLANA_SIG = '4vJ9JU1bJJE96FWSJKvHsmmFADCg4gpZQff4P3bkLKi';
+
+function challenge() {
+  return {
+    x402Version: 1,
+    accepts: [
+      { scheme: 'exact', network: 'base-mainnet', maxAmountRequired: '1000000', payTo: '0xpayto', asset: '0xusdc' },
+      { scheme: 'exact', network: 'solana-mainnet', maxAmountRequired: '1000000', payTo: 'PayTo', asset: 'Mint' },
+    ],
+    metadata: {},
+  };
+}
+
+describe('ChallengeRegistry', () => {
+  let store;
+  let registry;
+
+  const issue = (resource = '/api/x', ttlMs) =>
+    registry.issue(challenge(), { resource, ttlMs }).metadata.nonce;
+
+  const pay = (nonce, payload = { txHash: TX_HASH }, network = 'base-mainnet') =>
+    ({ x402Version: 1, scheme: 'exact', network, payload: { nonce, ...payload } });
+
+  const binding = { resource: '/api/x', amount: 1000000 };
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    registry = new ChallengeRegistry({ store });
+  });
+
+  it('stamps challenges with a nonce, expiry and resource', () => {
+    const stamped = registry.issue(challenge(), { resource: '/api/x', ttlMs: 60000 });
+    assert.match(stamped.metadata.nonce, /^[A-Za-z0-9]{24}$/);
+    assert.equal(stamped.metadata.resource, '/api/x');
+    assert.ok(stamped.metadata.expiresAt > Date.now());
+    assert.ok(stamped.accepts.every(r => r.resource === '/api/x' && r.maxTimeoutSeconds === 60));
+  });
+
+  it('claims an issued challenge once', async () => {
+    const nonce = issue();
+    const claim = await registry.claim(pay(nonce), binding);
+    assert.equal(claim.isValid, true);
+    assert.equal(claim.requirement.network, 'base-mainnet');
+
+    const again = await registry.claim(pay(nonce, { txHash: '0x' + '01'.repeat(32) }), binding);
+    assert.equal(again.invalidReason, CHALLENGE_ERRORS.CONSUMED);
+  });
+
+  it('rejects missing, unknown and expired nonces', async () => {
+    assert.equal((await registry.claim(pay(undefined), binding)).invalidReason, CHALLENGE_ERRORS.MISSING_NONCE);
+    assert.equal((await registry.claim(pay('x'.repeat(24)), binding)).invalidReason, CHALLENGE_ERRORS.UNKNOWN_NONCE);
+
+    const nonce = issue('/api/x', -1);
+    assert.equal((await registry.claim(pay(nonce), binding)).invalidReason, CHALLENGE_ERRORS.EXPIRED);
+  });
+
+  it('rejects proofs for another resource, amount or network', async () => {
+    const nonce = issue();
+    assert.equal(
+      (await registry.claim(pay(nonce), { ...binding, resource: '/api/y' })).invalidReason,
+      CHALLENGE_ERRORS.RESOURCE_MISMATCH
+    );
+    assert.equal(
+      (await registry.claim(pay(nonce), { ...binding, amount: 2000000 })).invalidReason,
+      CHALLENGE_ERRORS.AMOUNT_MISMATCH
+    );
+    assert.equal(
+      (await registry.claim(pay(nonce, undefined, 'polygon-mainnet'), binding)).invalidReason,
+      CHALLENGE_ERRORS.NETWORK_NOT_OFFERED
+    );
+  });
+
+  it('lets a released challenge be claimed again', async () => {
+    const nonce = issue();
+    await registry.claim(pay(nonce), binding);
+    registry.release(nonce);
+    assert.equal((await registry.claim(pay(nonce), binding)).isValid, true);
+  });
+
+  it('refuses an EVM hash that already paid, in any letter case', async () => {
+    const first = issue();
+    await registry.claim(pay(first), binding);
+    await registry.consume(first, TX_HASH);
+
+    const second = issue();
+    const replay = await registry.claim(pay(second, { txHash: TX_HASH.toUpperCase().replace('0X', '0x') }), binding);
+    assert.equal(replay.invalidReason, CHALLENGE_ERRORS.TX_ALREADY_USED);
+
+    // The challenge stays open for an honest payment
+    assert.equal((await registry.claim(pay(second, { txHash: '0x' + '02'.repeat(32) }), binding)).isValid, true);
+  });
+
+  it('keeps Solana signatures case-sensitive', async () => {
+    const first = issue();
+    await registry.claim(pay(first, { txSignature: SOLANA_SIG }, 'solana-mainnet'), binding);
+    await registry.consume(first, SOLANA_SIG);
+
+    const second = issue();
+    const other = await registry.claim(pay(second, { txSignature: SOLANA_SIG.toLowerCase() }, 'solana-mainnet'), binding);
+    assert.equal(other.isValid, true);
+  });
+
+  it('remembers used transactions across restarts', async () => {
+    const nonce = issue();
+    await registry.claim(pay(nonce), binding);
+    await registry.consume(nonce, TX_HASH);
+    assert.ok(await store.get(TX_HASH.toLowerCase()));
+
+    registry = new ChallengeRegistry({ store });
+    const replay = await registry.claim(pay(issue()), binding);
+    assert.equal(replay.invalidReason, CHALLENGE_ERRORS.TX_ALREADY_USED);
+  });
+
+  it('lets only one of two concurrent claims use a transaction', async () => {
+    const [a, b] = await Promise.all([
+      registry.claim(pay(issue()), binding),
+      registry.claim(pay(issue()), binding),
+    ]);
+    assert.deepEqual([a.isValid, b.isValid], [true, false]);
+    assert.equal(b.invalidReason, CHALLENGE_ERRORS.TX_ALREADY_USED);
+  });
+
+  it('refuses transactions mined before the challenge was issued', async () => {
+    const nonce = issue();
+    const { record } = await registry.claim(pay(nonce), binding);
+    const issuedAt = Math.floor(record.issuedAt / 1000);
+
+    const stale = registry.checkPaymentTime(record, { isValid: true, blockTime: issuedAt - 3600 });
+    assert.equal(stale.invalidReason, CHALLENGE_ERRORS.TX_PREDATES_CHALLENGE);
+
+    const fresh = { isValid: true, blockTime: issuedAt + 5 };
+    assert.equal(registry.checkPaymentTime(record, fresh), fresh);
+
+    // Block clocks may trail ours a little
+    const skewed = { isValid: true, blockTime: issuedAt - 10 };
+    assert.equal(registry.checkPaymentTime(record, skewed), skewed);
+
+    // Settled authorizations carry no block time and are single-use on-chain
+    const settled = { isValid: true, requiresSettlement: true };
+    assert.equal(registry.checkPaymentTime(record, settled), settled);
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommand, tokenize, resolveTokenSymbol } from '../command-parser.js';
+
+// Monday 10:00 local time; expected times below are local too
+const now = new Date('2026-10-19T10:00:00');
+const network = 'solana-mainnet';
+const SOL = 'So11111111111111111111111111111111111111112';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const DAY = 86400000;
+
+function localTime(iso) {
+  const d = new Date(iso);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// [command, intent, expected params (executeAt as local YYYY-MM-DDTHH:mm), missing slots]
+const CORPUS = [
+  // Payments now: amounts in every notation
+  ['Pay 5 USDC for /api/weather', 'pay_now', { amount: 5e6, resource: '/api/weather' }],
+  ['pay $5 for https://api.example.com/weather', 'pay_now', { amount: 5e6, resource: 'https://api.example.com/weather' }],
+  ['pay 5$ for /api/x', 'pay_now', { amount: 5e6 }],
+  ['pay $2k for /api/x', 'pay_now', { amount: 2000e6 }],
+  ['please send five dollars for /api/data', 'pay_now', { amount: 5e6, resource: '/api/data' }],
+  ['pay twenty five usdc for /api/x', 'pay_now', { amount: 25e6 }],
+  ['pay 50 cents for /api/x', 'pay_now', { amount: 5e5 }],
+  ['pay a dollar for /api/x', 'pay_now', { amount: 1e6 }],
+  ['pay 3 bucks for /api/x', 'pay_now', { amount: 3e6 }],
+  ['pay $1,250.50 for /api/x', 'pay_now', { amount: 1250.5e6 }],
+  ['pay one hundred and fifty dollars for /api/x', 'pay_now', { amount: 150e6 }],
+  ['pay a hundred usd for /api/x', 'pay_now', { amount: 100e6 }],
+  ['pay 0.000001 usdc for /api/x', 'pay_now', { amount: 1 }],
+  ['pay 5usdc for /api/x right now', 'pay_now', { amount: 5e6 }],
+  ['pay 5 usdc for /api/x now', 'pay_now', { amount: 5e6 }],
+  ['could you please pay 5 usdc for /api/x', 'pay_now', { amount: 5e6 }],
+  ['5 usdc for /api/x', 'pay_now', { amount: 5e6, resource: '/api/x' }],
+  ['Pay $5 for (https://x.io/a?b=1), please!', 'pay_now', { amount: 5e6, resource: 'https://x.io/a?b=1' }],
+  ['pay 5 usdc to 0x22Ca1F8942359826dfa8283998c807F9AD05876e for /api/x', 'pay_now',
+    { recipient: '0x22Ca1F8942359826dfa8283998c807F9AD05876e', resource: '/api/x' }],
+  ['tip @alice $2 for /api/x', 'pay_now', { amount: 2e6, recipient: '@alice' }],
+
+  // Payments missing or with unpayable slots
+  ['Pay 5 USDC for weather data', 'pay_now', { amount: 5e6, resource: null }, ['resource']],
+  ['pay for /api/x', 'pay_now', { amount: null }, ['amount']],
+  ['pay 5 usdc', 'pay_now', { resource: null }, ['resource']],
+  ['pay 0.0000001 usdc for /api/x', 'pay_now', { amount: null }, ['amount']],
+  ['pay 0 usdc for /api/x', 'pay_now', { amount: null }, ['amount']],
+  ['pay 1.0000005 usdc for /api/x', 'pay_now', { amount: null }, ['amount']],
+
+  // Scheduled payments
+  ['Pay 10 USDC for /api/report tomorrow', 'schedule_payment', { amount: 10e6, resource: '/api/report', executeAt: '2026-10-20T10:00' }],
+  ['Schedule payment of 20 USDC tomorrow', 'schedule_payment', { amount: 20e6, resource: null }, ['resource']],
+  ['schedule $3 for /api/feed', 'schedule_payment', { executeAt: null }, ['time']],
+  ['schedule $3 for /api/feed tomorrow at 9am', 'schedule_payment', { executeAt: '2026-10-20T09:00' }],
+  ['pay 3 usdc for /api/feed at 8am', 'schedule_payment', { executeAt: '2026-10-20T08:00' }],
+  ['pay 3 usdc for /api/feed at 3pm', 'schedule_payment', { executeAt: '2026-10-19T15:00' }],
+  ['pay 3 usdc for /api/feed at 3 pm', 'schedule_payment', { executeAt: '2026-10-19T15:00' }],
+  ['pay 3 usdc for /api/feed at 15:30', 'schedule_payment', { executeAt: '2026-10-19T15:30' }],
+  ['pay 3 usdc for /api/feed tonight', 'schedule_payment', { executeAt: '2026-10-19T20:00' }],
+  ['pay 3 usdc for /api/feed tomorrow at noon', 'schedule_payment', { executeAt: '2026-10-20T12:00' }],
+  ['pay 3 usdc for /api/feed tomorrow at midnight', 'schedule_payment', { executeAt: '2026-10-20T00:00' }],
+  ['pay 2 usdc for /api/feed in 2 hours', 'schedule_payment', { executeAt: '2026-10-19T12:00' }],
+  ['pay 2 usdc for /api/feed in 30 minutes', 'schedule_payment', { executeAt: '2026-10-19T10:30' }],
+  ['pay 2 usdc for /api/feed in three days', 'schedule_payment', { executeAt: '2026-10-22T10:00' }],
+  ['pay 2 usdc for /api/feed next week', 'schedule_payment', { executeAt: '2026-10-26T10:00' }],
+  ['pay $4 for /api/digest next friday at noon', 'schedule_payment', { recurring: false, executeAt: '2026-10-23T12:00' }],
+  ['pay $4 for /api/digest on friday', 'schedule_payment', { executeAt: '2026-10-23T10:00' }],
+  ['pay $4 for /api/digest on nov 10th', 'schedule_payment', { executeAt: '2026-11-10T10:00' }],
+  ['pay $4 for /api/digest on 10 november at 6pm', 'schedule_payment', { executeAt: '2026-11-10T18:00' }],
+  ['pay $4 for /api/digest on 2026-12-01', 'schedule_payment', { executeAt: '2026-12-01T10:00' }],
+
+  // Recurring payments
+  ['pay 10 usdc for /api/sub every month', 'schedule_payment', { recurring: true, interval: 30 * DAY, executeAt: '2026-10-19T10:00' }],
+  ['pay $1 for /api/ping daily', 'schedule_payment', { recurring: true, interval: DAY }],
+  ['pay $1 for /api/ping hourly', 'schedule_payment', { recurring: true, interval: DAY / 24 }],
+  ['pay $1 for /api/ping weekly', 'schedule_payment', { recurring: true, interval: 7 * DAY }],
+  ['pay $1 for /api/ping every day at 9am', 'schedule_payment', { recurring: true, interval: DAY, executeAt: '2026-10-20T09:00' }],
+  ['pay $1 for /api/ping every 2 hours starting tomorrow', 'schedule_payment', { recurring: true, interval: 2 * DAY / 24, executeAt: '2026-10-20T10:00' }],
+  ['pay $4 for /api/digest every friday', 'schedule_payment', { recurring: true, interval: 7 * DAY, executeAt: '2026-10-23T10:00' }],
+  ['pay $4 for /api/digest every friday at 9am', 'schedule_payment', { executeAt: '2026-10-23T09:00' }],
+  ['pay $4 for /api/digest every monday at 9am', 'schedule_payment', { executeAt: '2026-10-26T09:00' }],
+  ['pay $4 for /api/digest every monday at 11am', 'schedule_payment', { executeAt: '2026-10-19T11:00' }],
+  ['every other friday pay twenty dollars for /api/newsletter', 'schedule_payment', { amount: 20e6, interval: 14 * DAY }],
+  ['set up a payment of $5 for /api/x every other week', 'schedule_payment', { interval: 14 * DAY }],
+  ['$5 for /api/x every day', 'schedule_payment', { amount: 5e6, recurring: true }],
+
+  // Token purchases
+  ['Buy 10 USDC worth of SOL token', 'buy_token', { tokenMint: SOL, amountUSDC: 10 }],
+  ['buy $25 of bonk', 'buy_token', { tokenMint: null, amountUSDC: 25 }, ['token']],
+  ['buy SOL with 15 usdc', 'buy_token', { tokenMint: SOL, amountUSDC: 15 }],
+  ['buy 2 SOL', 'buy_token', { tokenMint: SOL, amountUSDC: null, tokenAmount: 2 }],
+  ['buy 10 BONK', 'buy_token', { tokenMint: null, tokenAmount: 10 }, ['token']],
+  ['buy 2 sol with 5 usdc', 'buy_token', { amountUSDC: 5, tokenAmount: undefined }],
+  ['buy sol', 'buy_token', { tokenMint: SOL, amountUSDC: null }, ['amount']],
+  ['buy', 'buy_token', {}, ['token', 'amount']],
+  ['spend five dollars on sol', 'buy_token', { tokenMint: SOL, amountUSDC: 5 }],
+  ['swap 5 usdc for sol', 'buy_token', { amountUSDC: 5 }],
+  ['convert 5 usdc into wsol', 'buy_token', { tokenMint: SOL, amountUSDC: 5 }],
+  ['buy sol to pay for fees with $3', 'buy_token', { amountUSDC: 3 }],
+  [`buy 10 usdc of ${BONK}`, 'buy_token', { tokenMint: BONK, amountUSDC: 10 }],
+  ['buy $0.0000001 of sol', 'buy_token', { amountUSDC: null }, ['amount']],
+
+  // Cancellations
+  ['cancel sched_1731_abc', 'cancel_schedule', { scheduleId: 'sched_1731_abc' }],
+  ['please stop the scheduled payment sched_9_x', 'cancel_schedule', { scheduleId: 'sched_9_x' }],
+  ['delete sched_1_a', 'cancel_schedule', { scheduleId: 'sched_1_a' }],
+  ['cancel my payment', 'cancel_schedule', { scheduleId: null }, ['scheduleId']],
+
+  // Not commands
+  ['what is the weather', 'unknown', {}],
+  ['hello there', 'unknown', {}],
+  ['5 usdc', 'unknown', {}],
+  ['', 'unknown', {}],
+];
+
+describe('parseCommand corpus', () => {
+  for (const [command, intent, expected, missing = []] of CORPUS) {
+    it(JSON.stringify(command), () => {
+      const parsed = parseCommand(command, { now, network });
+
+      assert.equal(parsed.intent, intent);
+      for (const [key, value] of Object.entries(expected)) {
+        const actual = key === 'executeAt' && parsed.params[key] ? localTime(parsed.params[key]) : parsed.params[key];
+        assert.equal(actual, value, `params.${key}`);
+      }
+      assert.deepEqual(parsed.missing.map(m => m.slot), missing);
+      assert.ok(parsed.missing.every(m => m.question), 'every missing slot has a question');
+    });
+  }
+});
+
+describe('parseCommand', () => {
+  it('scores complete commands above incomplete ones and unknown commands at 0', () => {
+    const complete = parseCommand('pay 5 usdc for /api/x', { now });
+    const incomplete = parseCommand('pay 5 usdc', { now });
+    const verbless = parseCommand('5 usdc for /api/x', { now });
+
+    assert.equal(complete.confidence, 1);
+    assert.ok(incomplete.confidence < complete.confidence);
+    assert.ok(verbless.confidence < complete.confidence);
+    assert.equal(parseCommand('hello', { now }).confidence, 0);
+  });
+
+  it('explains unpayable amounts and unresolved resources and symbols', () => {
+    const [tiny] = parseCommand('pay 0.0000001 usdc for /api/x', { now }).missing;
+    assert.match(tiny.question, /smallest is 0\.000001/);
+
+    const [resource] = parseCommand('pay 5 usdc for weather data', { now }).missing;
+    assert.equal(resource.question, 'Which URL or path is "weather data"?');
+
+    const [token] = parseCommand('buy $5 of bonk', { now, network }).missing;
+    assert.equal(token.question, 'Which solana-mainnet address is BONK?');
+  });
+
+  it('resolves symbols through the tokens option', () => {
+    const parsed = parseCommand('buy $5 of bonk', { now, network, tokens: { BONK: { [network]: BONK } } });
+    assert.equal(parsed.params.tokenMint, BONK);
+    assert.deepEqual(parsed.missing, []);
+    assert.equal(resolveTokenSymbol('weth', { network: 'base-mainnet' }), '0x4200000000000000000000000000000000000006');
+    assert.equal(resolveTokenSymbol('sol', { network: 'base-mainnet' }), null);
+  });
+
+  it('reports the entities it found', () => {
+    const { entities } = parseCommand('pay 5 usdc for /api/x every friday at 9am', { now });
+    assert.deepEqual(entities.amount, { value: 5, currency: 'USDC', text: '5 usdc', index: 1 });
+    assert.equal(entities.resource.url, '/api/x');
+    assert.equal(entities.recurrence.weekday, 5);
+    assert.equal(entities.recurrence.interval, 7 * DAY);
+  });
+});
+
+describe('tokenize', () => {
+  it('types each token', () => {
+    const types = tokenize('Pay $5 for (https://x.io/a?b=1), please!').map(t => `${t.type}:${t.text}`);
+    assert.deepEqual(types, ['word:Pay', 'money:$5', 'word:for', 'url:https://x.io/a?b=1', 'word:please']);
+  });
+
+  it('merges spelled-out numbers and clock times', () => {
+    assert.deepEqual(tokenize('one hundred and twenty five').map(t => t.value), [125]);
+    assert.deepEqual(tokenize('at 3 pm')[1].value, { hours: 15, minutes: 0 });
+    assert.equal(tokenize('sched_1_a')[0].type, 'schedule_id');
+    assert.equal(tokenize(BONK)[0].type, 'address');
+    assert.equal(tokenize('@alice')[0].type, 'handle');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationManager } from '../conversation.js';
+import { AIPaymentAgent, NLPaymentProcessor, ScheduledPaymentManager, USDC_ADDRESSES } from '../ai-agent.js';
+import { PaymentLedger } from '../payment-ledger.js';
+import { PaperWallet } from '../paper-wallet.js';
+import { MemoryStore } from '../storage.js';
+
+const WALLET = '0x22Ca1F8942359826dfa8283998c807F9AD05876e';
+
+describe('ConversationManager', () => {
+  let store;
+  let conversations;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    conversations = new ConversationManager({ store, ttlMs: 60000 });
+  });
+
+  it('continues a session for the same wallet in any letter case', async () => {
+    const session = await conversations.open({ wallet: WALLET });
+    const again = await conversations.open({ sessionId: session.id, wallet: WALLET.toLowerCase() });
+    assert.equal(again.id, session.id);
+
+    const other = await conversations.open({ sessionId: session.id, wallet: '0x000000000000000000000000000000000000dEaD' });
+    assert.notEqual(other.id, session.id);
+  });
+
+  it('deletes expired sessions when a session starts', async () => {
+    const past = new Date(Date.now() - 1000).toISOString();
+    await store.put('conv_stale', { id: 'conv_stale', wallet: WALLET, expiresAt: past });
+    const live = await conversations.open({ wallet: WALLET });
+
+    const started = await conversations.open({ wallet: '0x000000000000000000000000000000000000dEaD' });
+
+    const ids = (await store.list()).map(s => s.id).sort();
+    assert.deepEqual(ids, [live.id, started.id].sort());
+  });
+});
+
+describe('ConversationManager confirmations', () => {
+  const PAPER_WALLET = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+  let ledger;
+  let conversations;
+  let processor;
+
+  // A paper agent whose resource server asks for the given requirement
+  function agentCharging(requirement) {
+    ledger = new PaymentLedger({ store: new MemoryStore() });
+    const agent = new AIPaymentAgent({
+      wallet: PAPER_WALLET,
+      network: 'solana-mainnet',
+      paperTrading: true,
+      paperWallet: new PaperWallet({ store: new MemoryStore() }),
+      ledger,
+      approvalQueue: null,
+    });
+    agent.requestChallenge = async () => ({
+      status: 402,
+      ok: false,
+      data: {
+        x402Version: 1,
+        accepts: [{
+          network: 'solana-mainnet',
+          asset: USDC_ADDRESSES['solana-mainnet'],
+          payTo: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM',
+          extra: { decimals: 6 },
+          ...requirement,
+        }],
+        metadata: {},
+      },
+    });
+    processor = new NLPaymentProcessor(agent, new ScheduledPaymentManager({ store: new MemoryStore() }));
+  }
+
+  const confirmPayment = async (command) => {
+    const session = await conversations.open({ wallet: PAPER_WALLET });
+    const question = await conversations.reply(session, command, processor);
+    assert.equal(question.status, 'needs_confirmation');
+    return await conversations.reply(session, 'confirm', processor);
+  };
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    conversations = new ConversationManager({ store: new MemoryStore() });
+  });
+
+  it('declines an exact price above the confirmed amount', async () => {
+    agentCharging({ scheme: 'exact', maxAmountRequired: '7000000' });
+
+    const turn = await confirmPayment('pay 5 usdc for /api/weather');
+
+    assert.equal(turn.status, 'failed');
+    assert.match(turn.reply, /Costs 7 USDC, more than the 5 USDC agreed to/);
+    assert.equal(await ledger.getSpending({ wallet: PAPER_WALLET, simulated: true }), 0);
+  });
+
+  it('declines a range whose minimum is above the confirmed amount', async () => {
+    agentCharging({ scheme: 'range', minAmountRequired: '6000000', maxAmountRequired: '9000000' });
+
+    const turn = await confirmPayment('pay 5 usdc for /api/weather');
+
+    assert.equal(turn.status, 'failed');
+    assert.match(turn.reply, /Costs 6 USDC/);
+  });
+
+  it('pays a price within the confirmed amount', async () => {
+    agentCharging({ scheme: 'exact', maxAmountRequired: '5000000' });
+
+    const turn = await confirmPayment('pay 5 usdc for /api/weather');
+
+    assert.equal(turn.status, 'executed');
+    assert.equal(await ledger.getSpending({ wallet: PAPER_WALLET, simulated: true }), 5);
+  });
+});
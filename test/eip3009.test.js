@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  signTransferAuthorization,
+  recoverAuthorizationSigner,
+  supportsTransferAuthorization,
+} from '../eip3009.js';
+import { EVMPaymentVerifier, INVALID_REASONS } from '../payment-verifier.js';
+import { startChain } from './ganache-chain.js';
+
+describe('EIP-3009 transfer authorizations on a local chain', () => {
+  let chain;
+  let payer;
+  let payTo;
+  let settler;
+  let requirement;
+  let verifier;
+
+  const sign = (changes = {}, signer = payer) => signTransferAuthorization(signer, {
+    requirement: { ...requirement, ...changes },
+  });
+
+  const balance = async (address) => (await chain.token.balanceOf(address)).toString();
+
+  before(async () => {
+    chain = await startChain();
+    [settler, payer, payTo] = chain.wallets;
+    await (await chain.token.mint(payer.address, 5000000)).wait();
+
+    requirement = {
+      scheme: 'exact',
+      network: 'base-mainnet',
+      asset: chain.token.address,
+      payTo: payTo.address,
+      maxAmountRequired: '1000000',
+      maxTimeoutSeconds: 300,
+      extra: { name: 'USD Coin', version: '2' },
+    };
+    verifier = new EVMPaymentVerifier({ provider: chain.provider, signer: settler });
+  });
+
+  after(async () => {
+    await chain?.close();
+  });
+
+  it('signs authorizations the payer can be recovered from', async () => {
+    assert.equal(supportsTransferAuthorization(requirement), true);
+    assert.equal(supportsTransferAuthorization({ ...requirement, extra: {} }), false);
+
+    const payload = await sign();
+    assert.equal(payload.authorization.from, payer.address);
+    assert.equal(payload.authorization.to, payTo.address);
+    assert.equal(payload.authorization.value, '1000000');
+    assert.equal(recoverAuthorizationSigner(payload, requirement, chain.chainId), payer.address);
+  });
+
+  it('verifies an authorization, settles it on-chain once, then refuses it', async () => {
+    const payload = await sign();
+
+    const verification = await verifier.verify(payload, requirement);
+    assert.equal(verification.isValid, true);
+    assert.equal(verification.requiresSettlement, true);
+    assert.equal(verification.payer, payer.address);
+    assert.equal(await balance(payTo.address), '0');
+
+    const settlement = await verifier.settle(payload, requirement);
+    assert.equal(settlement.isValid, true);
+    assert.match(settlement.txHash, /^0x[0-9a-f]{64}$/);
+    assert.equal(settlement.amount, '1000000');
+    assert.equal(await balance(payTo.address), '1000000');
+    assert.equal(await balance(payer.address), '4000000');
+
+    // The settlement transaction is itself a valid proof of payment
+    const proof = await verifier.verify({ txHash: settlement.txHash }, requirement);
+    assert.equal(proof.isValid, true);
+    assert.equal(proof.payer, payer.address);
+    assert.equal(proof.amount, '1000000');
+
+    assert.equal((await verifier.verify(payload, requirement)).invalidReason, INVALID_REASONS.AUTHORIZATION_USED);
+    const replay = await verifier.settle(payload, requirement);
+    assert.equal(replay.invalidReason, INVALID_REASONS.SETTLEMENT_FAILED);
+    assert.equal(await balance(payTo.address), '1000000');
+  });
+
+  it('refuses a signature made for another token domain', async () => {
+    const payload = await sign({ extra: { name: 'USD Coin', version: '1' } });
+    assert.equal((await verifier.verify(payload, requirement)).invalidReason, INVALID_REASONS.INVALID_SIGNATURE);
+
+    // The contract agrees
+    const settlement = await verifier.settle(payload, requirement);
+    assert.equal(settlement.invalidReason, INVALID_REASONS.SETTLEMENT_FAILED);
+  });
+
+  it('refuses an authorization whose from address did not sign it', async () => {
+    const payload = await sign();
+    payload.authorization = { ...payload.authorization, from: payTo.address };
+    assert.equal((await verifier.verify(payload, requirement)).invalidReason, INVALID_REASONS.INVALID_SIGNATURE);
+  });
+
+  it('refuses authorizations to another recipient, for too little or past their validity', async () => {
+    const elsewhere = await sign({ payTo: settler.address });
+    assert.equal((await verifier.verify(elsewhere, requirement)).invalidReason, INVALID_REASONS.WRONG_RECIPIENT);
+
+    const short = await sign({ maxAmountRequired: '999999' });
+    assert.equal((await verifier.verify(short, requirement)).invalidReason, INVALID_REASONS.INSUFFICIENT_AMOUNT);
+
+    const expired = await sign({ maxTimeoutSeconds: -120 });
+    assert.equal((await verifier.verify(expired, requirement)).invalidReason, INVALID_REASONS.AUTHORIZATION_EXPIRED);
+  });
+
+  it('refuses an authorization the payer cannot fund', async () => {
+    const payload = await sign({}, settler);
+    assert.equal((await verifier.verify(payload, requirement)).invalidReason, INVALID_REASONS.INSUFFICIENT_FUNDS);
+  });
+
+  it('cannot settle without a settlement wallet', async () => {
+    const readOnly = new EVMPaymentVerifier({ provider: chain.provider });
+    const settlement = await readOnly.settle(await sign(), requirement);
+    assert.equal(settlement.invalidReason, INVALID_REASONS.SETTLEMENT_FAILED);
+  });
+});
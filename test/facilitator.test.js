@@ -0,0 +1,177 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createFacilitatorRouter, FacilitatorClient, FACILITATOR_ERRORS } from '../facilitator.js';
+import { INVALID_REASONS } from '../payment-verifier.js';
+
+const TOKEN = 'facilitator-secret';
+
+const requirement = {
+  scheme: 'exact',
+  network: 'base-mainnet',
+  asset: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  payTo: '0x000000000000000000000000000000000000dEaD',
+  maxAmountRequired: '1000000',
+};
+
+const authorization = { payload: { authorization: { from: '0xpayer' }, signature: '0xsig' } };
+const onChain = { payload: { txHash: '0x' + 'ab'.repeat(32) } };
+
+// Verifies everything; authorizations need settling, and settling records the call
+function fakeVerifier() {
+  const settled = [];
+  return {
+    settled,
+    verify: async (payment) => {
+      if (payment.payload.explode) throw new Error('RPC exploded');
+      return payment.payload.authorization
+        ? { isValid: true, requiresSettlement: true, payer: '0xpayer', amount: '1000000' }
+        : { isValid: true, txHash: payment.payload.txHash, payer: '0xpayer', amount: '1000000' };
+    },
+    settle: async (payment) => {
+      settled.push(payment);
+      return { isValid: true, txHash: '0xsettled', payer: '0xpayer', amount: '1000000' };
+    },
+    supportedNetworks: () => ['base-mainnet'],
+  };
+}
+
+async function listen(router) {
+  const app = express();
+  app.use('/facilitator', router);
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  return { server, url: `http://127.0.0.1:${server.address().port}/facilitator` };
+}
+
+const post = (url, path, body, headers = {}) => fetch(`${url}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+});
+
+describe('facilitator', () => {
+  let verifier;
+  let secured;
+  let open;
+
+  before(async () => {
+    // Node 20's runner can misread emoji log lines a child writes to stdout
+    mock.method(console, 'log', () => {});
+    verifier = fakeVerifier();
+    secured = await listen(createFacilitatorRouter({ verifier, token: TOKEN }));
+    open = await listen(createFacilitatorRouter({ verifier: fakeVerifier() }));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    secured.server.close();
+    open.server.close();
+  });
+
+  const body = (payment) => ({ x402Version: 1, paymentPayload: payment, paymentRequirements: requirement });
+
+  describe('POST /settle', () => {
+    it('settles for callers with the bearer token', async () => {
+      const res = await post(secured.url, '/settle', body(authorization), { Authorization: `Bearer ${TOKEN}` });
+      assert.equal(res.status, 200);
+      const result = await res.json();
+      assert.equal(result.success, true);
+      assert.equal(result.transaction, '0xsettled');
+      assert.equal(verifier.settled.length, 1);
+    });
+
+    it('refuses callers without the token, or with a wrong one', async () => {
+      for (const headers of [{}, { Authorization: 'Bearer nope' }, { Authorization: TOKEN }]) {
+        const res = await post(secured.url, '/settle', body(authorization), headers);
+        assert.equal(res.status, 401);
+        const result = await res.json();
+        assert.equal(result.success, false);
+        assert.equal(result.errorReason, FACILITATOR_ERRORS.UNAUTHORIZED);
+        assert.equal(result.transaction, null);
+      }
+      assert.equal(verifier.settled.length, 1);
+    });
+
+    it('refuses to settle at all when no token is configured', async () => {
+      const res = await post(open.url, '/settle', body(onChain), { Authorization: 'Bearer ' });
+      assert.equal(res.status, 401);
+      assert.match((await res.json()).message, /FACILITATOR_TOKEN/);
+    });
+
+    it('answers bad requests and failures in the settle shape', async () => {
+      const auth = { Authorization: `Bearer ${TOKEN}` };
+
+      const missing = await post(secured.url, '/settle', { paymentPayload: onChain }, auth);
+      assert.equal(missing.status, 400);
+      assert.deepEqual(await missing.json(), {
+        success: false,
+        errorReason: FACILITATOR_ERRORS.INVALID_REQUIREMENTS,
+        message: 'Missing required field: paymentRequirements',
+        transaction: null,
+        network: null,
+        payer: null,
+      });
+
+      const failed = await post(secured.url, '/settle', body({ payload: { explode: true } }), auth);
+      assert.equal(failed.status, 500);
+      const result = await failed.json();
+      assert.equal(result.success, false);
+      assert.equal(result.errorReason, FACILITATOR_ERRORS.UNEXPECTED_SETTLE_ERROR);
+      assert.equal(result.network, 'base-mainnet');
+    });
+  });
+
+  describe('POST /verify', () => {
+    it('needs no token', async () => {
+      const res = await post(secured.url, '/verify', body(onChain));
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).isValid, true);
+    });
+
+    it('answers bad requests and failures in the verify shape', async () => {
+      const missing = await post(secured.url, '/verify', { paymentPayload: onChain });
+      assert.equal(missing.status, 400);
+      assert.deepEqual(await missing.json(), {
+        isValid: false,
+        invalidReason: FACILITATOR_ERRORS.INVALID_REQUIREMENTS,
+        message: 'Missing required field: paymentRequirements',
+        payer: null,
+      });
+
+      const failed = await post(secured.url, '/verify', body({ payload: { explode: true } }));
+      assert.equal(failed.status, 500);
+      const result = await failed.json();
+      assert.equal(result.isValid, false);
+      assert.equal(result.invalidReason, FACILITATOR_ERRORS.UNEXPECTED_VERIFY_ERROR);
+      assert.equal(result.message, 'RPC exploded');
+    });
+  });
+
+  describe('FacilitatorClient', () => {
+    it('sends its token so settlements go through', async () => {
+      const client = new FacilitatorClient({ url: secured.url, token: TOKEN });
+      const result = await client.settle(authorization, requirement);
+      assert.equal(result.isValid, true);
+      assert.equal(result.txHash, '0xsettled');
+    });
+
+    it('passes refusals on as results', async () => {
+      const client = new FacilitatorClient({ url: secured.url });
+      const settlement = await client.settle(authorization, requirement);
+      assert.equal(settlement.isValid, false);
+      assert.equal(settlement.invalidReason, FACILITATOR_ERRORS.UNAUTHORIZED);
+
+      const verification = await client.verify({ payload: { explode: true } }, requirement);
+      assert.equal(verification.isValid, false);
+      assert.equal(verification.invalidReason, FACILITATOR_ERRORS.UNEXPECTED_VERIFY_ERROR);
+    });
+
+    it('reports an unreachable facilitator as an RPC error', async () => {
+      const client = new FacilitatorClient({ url: 'http://127.0.0.1:9/facilitator' });
+      const verification = await client.verify(onChain, requirement);
+      assert.equal(verification.invalidReason, INVALID_REASONS.RPC_ERROR);
+    });
+  });
+});
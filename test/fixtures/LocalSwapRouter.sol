@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 value) external returns (bool);
+    function transferFrom(address from, address to, uint256 value) external returns (bool);
+}
+
+/**
+ * Local AMM for tests: answers SwapRouter02's exactInputSingle from a
+ * constant-product pool of whatever it holds of the two tokens, charging
+ * the requested fee tier (in hundredths of a basis point, as Uniswap V3)
+ */
+contract LocalSwapRouter {
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    function amountOut(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn) public view returns (uint256) {
+        uint256 reserveIn = IERC20(tokenIn).balanceOf(address(this));
+        uint256 reserveOut = IERC20(tokenOut).balanceOf(address(this));
+        uint256 amountInAfterFee = amountIn * (1000000 - fee) / 1000000;
+        return reserveOut * amountInAfterFee / (reserveIn + amountInAfterFee);
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 out) {
+        out = amountOut(params.tokenIn, params.tokenOut, params.fee, params.amountIn);
+        require(out >= params.amountOutMinimum, "Too little received");
+
+        IERC20(params.tokenIn).transferFrom(msg.sender, address(this), params.amountIn);
+        IERC20(params.tokenOut).transfer(params.recipient, out);
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Local EVM chain for tests: an in-process ganache node with funded
+ * wallets, the solc-compiled contracts in fixtures/ and a USDC stand-in
+ * (EIP3009Token) deployed on it
+ */
+
+import fs from 'node:fs';
+import ganache from 'ganache';
+import solc from 'solc';
+import { ethers } from 'ethers';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+const CHAIN_ID = 1337;
+
+let compiled;
+
+/**
+ * Compile every fixture contract once per test file
+ * @returns {Object} contract name → { abi, bytecode }
+ */
+function compileFixtures() {
+  if (!compiled) {
+    const sources = Object.fromEntries(fs.readdirSync(FIXTURES)
+      .filter(file => file.endsWith('.sol'))
+      .map(file => [file, { content: fs.readFileSync(new URL(file, FIXTURES), 'utf8') }]));
+
+    const output = JSON.parse(solc.compile(JSON.stringify({
+      language: 'Solidity',
+      sources,
+      settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } },
+    })));
+
+    const errors = (output.errors || []).filter(e => e.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`Fixture contracts do not compile: ${errors.map(e => e.formattedMessage).join('\n')}`);
+    }
+
+    compiled = {};
+    for (const contracts of Object.values(output.contracts)) {
+      for (const [name, contract] of Object.entries(contracts)) {
+        compiled[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+      }
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Start a chain and deploy a token on it
+ * @param {Object} options - { accounts (number of funded wallets), name, version }
+ * @returns {Promise<Object>} { provider, chainId, wallets, token, deploy(contract, ...args), close }
+ */
+export async function startChain({ accounts = 3, name = 'USD Coin', version = '2' } = {}) {
+  const keys = Array.from({ length: accounts }, () => ethers.Wallet.createRandom().privateKey);
+
+  const node = ganache.provider({
+    logging: { quiet: true },
+    chain: { chainId: CHAIN_ID },
+    wallet: { accounts: keys.map(secretKey => ({ secretKey, balance: ethers.utils.parseEther('100').toHexString() })) },
+  });
+
+  const provider = new ethers.providers.Web3Provider(node, CHAIN_ID);
+  provider.pollingInterval = 50;
+  const wallets = keys.map(key => new ethers.Wallet(key, provider));
+
+  const deploy = async (contract, ...args) => {
+    const { abi, bytecode } = compileFixtures()[contract];
+    const deployed = await new ethers.ContractFactory(abi, bytecode, wallets[0]).deploy(...args);
+    return await deployed.deployed();
+  };
+
+  return {
+    provider,
+    chainId: CHAIN_ID,
+    wallets,
+    token: await deploy('EIP3009Token', name, version),
+    deploy,
+    close: () => node.disconnect(),
+  };
+}
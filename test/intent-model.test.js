@@ -0,0 +1,101 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { IntentResolver, validateIntent } from '../intent-model.js';
+
+// Monday 10:00 local time, as in the rule parser's corpus
+const now = new Date('2026-10-19T10:00:00');
+const network = 'solana-mainnet';
+const tomorrowAt = (hours) => new Date(2026, 9, 20, hours).toISOString();
+
+// A model that answers every command with the same canned call
+const fakeModel = (answer) => ({
+  complete: async () => {
+    if (answer instanceof Error) {
+      throw answer;
+    }
+    return answer;
+  },
+});
+
+const resolve = (answer, command) => new IntentResolver({ model: fakeModel(answer) }).resolve(command, { now, network });
+
+describe('validateIntent', () => {
+  const check = (args, command) => () => validateIntent(args, command, { now, network });
+
+  it('accepts amounts in words the rule parser reads as USDC', () => {
+    const resolved = validateIntent({ intent: 'pay_now', amountUSDC: 5, resource: '/api/data' },
+      'please send five bucks for /api/data', { now, network });
+    assert.equal(resolved.params.amount, 5e6);
+    assert.equal(resolved.source, 'llm');
+  });
+
+  it('refuses numbers that are not the USDC amount', () => {
+    assert.throws(check({ intent: 'schedule_payment', amountUSDC: 2, resource: '/api/x', every: 2, unit: 'week' },
+      'pay $5 for /api/x every 2 weeks'), /not grounded in the command: amountUSDC 2/);
+    assert.throws(check({ intent: 'buy_token', amountUSDC: 10, token: 'SOL' }, 'buy 10 SOL'), /amountUSDC 10/);
+    assert.throws(check({ intent: 'pay_now', amountUSDC: 5, resource: '/api/x' }, 'pay 5 for /api/x'), /amountUSDC 5/);
+  });
+
+  it('accepts the time the rule parser reads, within a minute', () => {
+    const resolved = validateIntent({ intent: 'schedule_payment', amountUSDC: 5, resource: '/api/x', executeAt: tomorrowAt(9) },
+      'pay $5 for /api/x tomorrow at 9am', { now, network });
+    assert.equal(resolved.params.executeAt, tomorrowAt(9));
+  });
+
+  it('refuses a time the command does not state', () => {
+    assert.throws(check({ intent: 'schedule_payment', amountUSDC: 5, resource: '/api/x', executeAt: tomorrowAt(10) },
+      'pay $5 for /api/x tomorrow at 9am'), /executeAt/);
+    assert.throws(check({ intent: 'schedule_payment', amountUSDC: 5, resource: '/api/x', executeAt: tomorrowAt(9) },
+      'pay $5 for /api/x'), /executeAt/);
+  });
+
+  it('refuses resources, recipients and schedule ids the command does not contain', () => {
+    assert.throws(check({ intent: 'pay_now', amountUSDC: 5, resource: 'https://evil.example.net' }, 'pay $5 for /api/x'), /resource/);
+    assert.throws(check({ intent: 'pay_now', amountUSDC: 5, resource: '/api/x', recipient: '@mallory' }, 'pay $5 for /api/x'), /recipient/);
+    assert.throws(check({ intent: 'cancel_schedule', scheduleId: 'sched_2' }, 'cancel sched_1'), /scheduleId/);
+  });
+
+  it('refuses fields that do not belong to the intent', () => {
+    assert.throws(check({ intent: 'cancel_schedule', scheduleId: 'sched_1', amountUSDC: 5 }, 'cancel sched_1 for $5'), /amountUSDC not allowed/);
+    assert.throws(check({ intent: 'pay_now', amountUSDC: '5' }, 'pay $5'), /must be a number/);
+  });
+});
+
+describe('IntentResolver', () => {
+  before(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('uses a grounded model answer', async () => {
+    const resolved = await resolve({ intent: 'pay_now', amountUSDC: 0.5, resource: '/api/x', confidence: 0.9 },
+      'pay 50 cents for /api/x');
+    assert.equal(resolved.source, 'llm');
+    assert.equal(resolved.params.amount, 5e5);
+    assert.equal(resolved.fallbackReason, null);
+  });
+
+  it('falls back to the rule parser when the answer is not grounded', async () => {
+    const resolved = await resolve({ intent: 'schedule_payment', amountUSDC: 2, resource: '/api/x', every: 2, unit: 'week' },
+      'pay $5 for /api/x every 2 weeks');
+    assert.equal(resolved.source, 'rules');
+    assert.match(resolved.fallbackReason, /amountUSDC 2/);
+    assert.equal(resolved.params.amount, 5e6);
+  });
+
+  it('falls back to the rule parser when the model fails', async () => {
+    const resolved = await resolve(new Error('Model request failed (503): overloaded'), 'pay $5 for /api/x');
+    assert.equal(resolved.source, 'rules');
+    assert.match(resolved.fallbackReason, /503/);
+    assert.equal(resolved.intent, 'pay_now');
+  });
+
+  it('falls back when the model finds no intent', async () => {
+    const resolved = await resolve({ intent: 'unknown' }, 'pay $5 for /api/x');
+    assert.equal(resolved.source, 'rules');
+    assert.equal(resolved.fallbackReason, 'Model found no intent');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Minimal JSON-RPC node for tests: answers each method from a handler
+ * table and records every call it receives
+ */
+
+import http from 'node:http';
+
+/**
+ * Start a mock JSON-RPC server on a random local port
+ * @param {Object} handlers - method -> (params) => result; throw to answer with an RPC error
+ * @returns {Promise<Object>} { url, calls, close }
+ */
+export async function startMockRpc(handlers) {
+  const calls = [];
+
+  const answer = async ({ id, method, params }) => {
+    calls.push({ method, params });
+    const handler = handlers[method];
+    if (!handler) {
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not found` } };
+    }
+    try {
+      return { jsonrpc: '2.0', id, result: await handler(params) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id, error: { code: -32000, message: error.message } };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const request = JSON.parse(body);
+      const response = Array.isArray(request)
+        ? await Promise.all(request.map(answer))
+        : await answer(request);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
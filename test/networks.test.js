@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerNetwork, hasNetwork, getNetwork, listNetworks, isSolanaNetwork, rpcEndpointFor, explorerUrl,
+  USDC_ADDRESSES, SUPPORTED_NETWORKS,
+} from '../networks.js';
+
+const ANVIL_USDC = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const anvil = (changes = {}) => ({
+  id: 'anvil-test', name: 'Anvil', family: 'evm', chainId: 31337, testnet: true,
+  rpcEndpoint: 'http://127.0.0.1:8545',
+  usdc: { address: ANVIL_USDC },
+  ...changes,
+});
+
+describe('registerNetwork', () => {
+  it('refuses definitions without an id, a known family, an EVM chainId or a USDC address', () => {
+    assert.throws(() => registerNetwork(anvil({ id: undefined })), /Network needs an id/);
+    assert.throws(() => registerNetwork(anvil({ family: undefined })), /Network anvil-test: family must be one of solana, evm/);
+    assert.throws(() => registerNetwork(anvil({ family: 'cosmos' })), /family must be one of/);
+    assert.throws(() => registerNetwork(anvil({ chainId: '31337' })), /EVM networks need an integer chainId/);
+    assert.throws(() => registerNetwork(anvil({ chainId: 1.5 })), /integer chainId/);
+    assert.throws(() => registerNetwork(anvil({ usdc: {} })), /Network anvil-test: usdc.address is required/);
+    assert.throws(() => registerNetwork(anvil({ usdc: undefined })), /usdc.address is required/);
+    assert.equal(hasNetwork('anvil-test'), false);
+  });
+
+  it('registers a local network at runtime with defaults', () => {
+    const network = registerNetwork(anvil());
+
+    assert.equal(hasNetwork('anvil-test'), true);
+    assert.equal(getNetwork('anvil-test'), network);
+    assert.deepEqual(network.usdc, { address: ANVIL_USDC, decimals: 6, eip712: null });
+    assert.deepEqual(network.explorer, { tx: null, address: null });
+    assert.equal(network.feeEstimateUSDC, 0);
+    assert.equal(USDC_ADDRESSES['anvil-test'], ANVIL_USDC);
+    assert.equal(isSolanaNetwork('anvil-test'), false);
+    assert.ok(listNetworks({ family: 'evm', testnet: true }).some(n => n.id === 'anvil-test'));
+    assert.ok(!listNetworks({ testnet: false }).some(n => n.id === 'anvil-test'));
+  });
+
+  it('drops the chainId of Solana networks and replaces re-registered ones', () => {
+    const network = registerNetwork(anvil({ id: 'solana-local', family: 'solana', usdc: { address: 'LocalMint111' } }));
+    assert.equal(network.chainId, null);
+    assert.equal(isSolanaNetwork('solana-local'), true);
+
+    registerNetwork(anvil({ id: 'solana-local', family: 'solana', usdc: { address: 'LocalMint222' } }));
+    assert.equal(USDC_ADDRESSES['solana-local'], 'LocalMint222');
+  });
+
+  it('names the registered networks when one is unknown', () => {
+    assert.throws(() => getNetwork('nowhere'), /Unknown network: nowhere \(registered: solana-mainnet, /);
+  });
+});
+
+describe('rpcEndpointFor', () => {
+  it('prefers the network\'s env var over its public endpoint', () => {
+    const env = { BASE_RPC_ENDPOINT: 'https://base.example.com/rpc' };
+    assert.equal(rpcEndpointFor(SUPPORTED_NETWORKS.BASE, env), 'https://base.example.com/rpc');
+    assert.equal(rpcEndpointFor(SUPPORTED_NETWORKS.BASE, {}), 'https://mainnet.base.org');
+    assert.equal(rpcEndpointFor(SUPPORTED_NETWORKS.BASE, { BASE_RPC_ENDPOINT: '' }), 'https://mainnet.base.org');
+  });
+
+  it('uses the public endpoint of networks without an env var', () => {
+    registerNetwork(anvil({ id: 'anvil-rpc' }));
+    assert.equal(rpcEndpointFor('anvil-rpc', { RPC_ENDPOINT: 'https://ignored.example.com' }), 'http://127.0.0.1:8545');
+
+    registerNetwork(anvil({ id: 'anvil-rpc', rpcEnv: 'ANVIL_RPC', rpcEndpoint: undefined }));
+    assert.equal(rpcEndpointFor('anvil-rpc', {}), null);
+    assert.equal(rpcEndpointFor('anvil-rpc', { ANVIL_RPC: 'http://10.0.0.2:8545' }), 'http://10.0.0.2:8545');
+  });
+});
+
+describe('explorerUrl', () => {
+  it('fills in transaction hashes and addresses', () => {
+    assert.equal(explorerUrl(SUPPORTED_NETWORKS.BASE, { tx: '0xabc' }), 'https://basescan.org/tx/0xabc');
+    assert.equal(explorerUrl(SUPPORTED_NETWORKS.SOLANA, { address: 'Wallet111' }), 'https://solscan.io/account/Wallet111');
+  });
+
+  it('returns null when the network has no explorer', () => {
+    registerNetwork(anvil({ id: 'anvil-explorer', explorer: { tx: 'http://127.0.0.1:5100/tx/{hash}' } }));
+    assert.equal(explorerUrl('anvil-explorer', { tx: '0x1' }), 'http://127.0.0.1:5100/tx/0x1');
+    assert.equal(explorerUrl('anvil-explorer', { address: '0x2' }), null);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaymentLedger, windowStart, isValidTimeZone } from '../payment-ledger.js';
+import { MemoryStore } from '../storage.js';
+
+const WALLET = 'wallet-1';
+
+describe('windowStart', () => {
+  const now = new Date('2026-10-21T15:30:00Z'); // Wednesday
+
+  it('aligns calendar windows in a time zone', () => {
+    assert.equal(windowStart(now, 'day').toISOString(), '2026-10-21T00:00:00.000Z');
+    assert.equal(windowStart(now, 'week').toISOString(), '2026-10-19T00:00:00.000Z');
+    assert.equal(windowStart(now, 'month').toISOString(), '2026-10-01T00:00:00.000Z');
+    assert.equal(windowStart(now, 'day', { timeZone: 'America/New_York' }).toISOString(), '2026-10-21T04:00:00.000Z');
+  });
+
+  it('rolls windows back from now', () => {
+    assert.equal(windowStart(now, 'day', { rolling: true }).toISOString(), '2026-10-20T15:30:00.000Z');
+  });
+
+  it('rejects unknown windows', () => {
+    assert.throws(() => windowStart(now, 'year'), /Unknown ledger window/);
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zones and rejects the rest', () => {
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(undefined), false);
+  });
+});
+
+describe('PaymentLedger', () => {
+  let ledger;
+
+  const pay = (amount, changes = {}) => ledger.record({
+    wallet: WALLET, resource: '/api/x', amount, network: 'solana-mainnet', status: 'completed', ...changes,
+  });
+
+  beforeEach(() => {
+    ledger = new PaymentLedger({ store: new MemoryStore() });
+  });
+
+  it('sums completed spend, real and paper apart', async () => {
+    await pay(1000000);
+    await pay(500000, { simulated: true });
+    await pay(700000, { status: 'rejected' });
+    await pay(900000, { wallet: 'wallet-2' });
+
+    assert.equal(await ledger.getSpending({ wallet: WALLET }), 1);
+    assert.equal(await ledger.getSpending({ wallet: WALLET, simulated: true }), 0.5);
+  });
+
+  it('counts reservations as spend until they settle', async () => {
+    const reservation = await ledger.reserve({ wallet: WALLET, resource: '/api/x', amount: 2000000, network: 'solana-mainnet' });
+    assert.equal(reservation.status, 'reserved');
+    assert.equal(await ledger.getSpending({ wallet: WALLET }), 2);
+
+    const failed = await ledger.settle(reservation.id, { status: 'failed', reason: 'RPC down' });
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.reason, 'RPC down');
+    assert.equal(await ledger.getSpending({ wallet: WALLET }), 0);
+  });
+
+  it('filters entries by one or several statuses', async () => {
+    await pay(1);
+    await pay(2, { status: 'failed' });
+    await ledger.reserve({ wallet: WALLET, amount: 3 });
+
+    assert.equal((await ledger.getEntries({ status: 'failed' })).length, 1);
+    assert.equal((await ledger.getEntries({ status: ['completed', 'reserved'] })).length, 2);
+  });
+
+  it('runs exclusive sections for a wallet one at a time', async () => {
+    const order = [];
+    const section = (name, ms) => ledger.exclusive(WALLET, async () => {
+      order.push(`${name}:start`);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      order.push(`${name}:end`);
+      return name;
+    });
+
+    const results = await Promise.all([section('a', 20), section('b', 0)]);
+    assert.deepEqual(results, ['a', 'b']);
+    assert.deepEqual(order, ['a:start', 'a:end', 'b:start', 'b:end']);
+  });
+
+  it('keeps the lock usable after a section throws', async () => {
+    await assert.rejects(ledger.exclusive(WALLET, async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await ledger.exclusive(WALLET, async () => 'ok'), 'ok');
+  });
+});
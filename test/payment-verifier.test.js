@@ -0,0 +1,407 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  PaymentVerifier,
+  SolanaPaymentVerifier,
+  EVMPaymentVerifier,
+  INVALID_REASONS,
+  decodePaymentHeader,
+} from '../payment-verifier.js';
+import { startMockRpc } from './mock-rpc.js';
+
+/* ═══ SOLANA ═══ */
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const PAYER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const PAY_TO = '9WzDXwBbmkg8ZTbNMqUxvQRAyGMeL5tqvxnFm5Q9Y6H5';
+const PAYER_ATA = 'BQcdHdAQW1hczDbBi9hiegXAR7A98Q9jx3X3iBBBDiq4';
+const PAY_TO_ATA = 'GbhvmXQ8c1xXbrBBjtxgaM3CUkw2sMXvRpW5LGXcbsbB';
+const SOLANA_SIG = '5'.repeat(88);
+
+const solanaRequirement = {
+  scheme: 'exact',
+  network: 'solana-mainnet',
+  asset: USDC_MINT,
+  payTo: PAY_TO,
+  maxAmountRequired: '1000000',
+};
+
+function tokenBalance(accountIndex, owner, amount, mint = USDC_MINT) {
+  return {
+    accountIndex,
+    mint,
+    owner,
+    programId: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    uiTokenAmount: { amount: String(amount), decimals: 6, uiAmount: amount / 1e6, uiAmountString: String(amount / 1e6) },
+  };
+}
+
+function parsedTransaction({ received = 1000000, mint = USDC_MINT, recipient = PAY_TO, err = null } = {}) {
+  return {
+    slot: 250000000,
+    blockTime: 1790000000,
+    transaction: {
+      signatures: [SOLANA_SIG],
+      message: {
+        accountKeys: [PAYER, PAYER_ATA, PAY_TO_ATA].map((pubkey, i) => ({
+          pubkey, signer: i === 0, writable: true, source: 'transaction',
+        })),
+        instructions: [],
+        recentBlockhash: 'EETubP5AKHgjPAhzPAFcb8BAY1hMH639CWCFTqi3hq1k',
+      },
+    },
+    meta: {
+      err,
+      fee: 5000,
+      preBalances: [1e9, 2039280, 2039280],
+      postBalances: [1e9 - 5000, 2039280, 2039280],
+      innerInstructions: [],
+      logMessages: [],
+      preTokenBalances: [tokenBalance(1, PAYER, 5000000, mint), tokenBalance(2, recipient, 0, mint)],
+      postTokenBalances: [tokenBalance(1, PAYER, 5000000 - received, mint), tokenBalance(2, recipient, received, mint)],
+    },
+    version: 'legacy',
+  };
+}
+
+describe('SolanaPaymentVerifier', () => {
+  let rpc;
+  let tx;
+  let confirmations;
+
+  before(async () => {
+    rpc = await startMockRpc({
+      getTransaction: () => tx,
+      getSignatureStatuses: () => ({
+        context: { slot: 250000010 },
+        value: [{ slot: 250000000, confirmations, err: null, confirmationStatus: 'confirmed' }],
+      }),
+    });
+  });
+
+  after(() => rpc.close());
+
+  const verify = (payload = { txSignature: SOLANA_SIG }, requirement = solanaRequirement, minConfirmations) =>
+    new SolanaPaymentVerifier({ rpcEndpoint: rpc.url, minConfirmations }).verify(payload, requirement);
+
+  it('accepts a confirmed transfer of the asset to payTo', async () => {
+    tx = parsedTransaction();
+    confirmations = 10;
+    const result = await verify();
+    assert.equal(result.isValid, true);
+    assert.equal(result.amount, '1000000');
+    assert.equal(result.payer, PAYER);
+    assert.equal(result.slot, 250000000);
+    assert.equal(result.blockTime, 1790000000);
+    assert.equal(result.confirmations, 10);
+  });
+
+  it('treats a null confirmation count as finalized', async () => {
+    tx = parsedTransaction();
+    confirmations = null;
+    const result = await verify(undefined, undefined, 32);
+    assert.equal(result.isValid, true);
+    assert.equal(result.confirmations, Infinity);
+  });
+
+  it('rejects a payload without a signature', async () => {
+    const result = await verify({});
+    assert.equal(result.invalidReason, INVALID_REASONS.MALFORMED_PAYLOAD);
+  });
+
+  it('rejects an unknown transaction', async () => {
+    tx = null;
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.TX_NOT_FOUND);
+  });
+
+  it('rejects a failed transaction', async () => {
+    tx = parsedTransaction({ err: { InstructionError: [0, 'Custom'] } });
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.TX_FAILED);
+  });
+
+  it('rejects a transfer of another mint', async () => {
+    tx = parsedTransaction({ mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263' });
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.WRONG_ASSET);
+  });
+
+  it('rejects a transfer to someone else', async () => {
+    tx = parsedTransaction({ recipient: PAYER });
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.WRONG_RECIPIENT);
+  });
+
+  it('rejects an underpayment', async () => {
+    tx = parsedTransaction({ received: 999999 });
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.INSUFFICIENT_AMOUNT);
+    assert.equal(result.amount, '999999');
+  });
+
+  it('accepts the minimum of a range requirement', async () => {
+    tx = parsedTransaction({ received: 250000 });
+    confirmations = 10;
+    const result = await verify(undefined, {
+      ...solanaRequirement, scheme: 'range', minAmountRequired: '250000', maxAmountRequired: '5000000',
+    });
+    assert.equal(result.isValid, true);
+  });
+
+  it('rejects a transaction without enough confirmations', async () => {
+    tx = parsedTransaction();
+    confirmations = 0;
+    const result = await verify(undefined, undefined, 1);
+    assert.equal(result.invalidReason, INVALID_REASONS.INSUFFICIENT_CONFIRMATIONS);
+  });
+});
+
+/* ═══ EVM ═══ */
+
+const EVM_USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const EVM_PAYER = '0x22Ca1F8942359826dfa8283998c807F9AD05876e';
+const EVM_PAY_TO = '0x8ba1f109551bD432803012645Ac136ddd64DBA72';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const BLOCK_HASH = '0x' + 'cd'.repeat(32);
+const TRANSFER = new ethers.utils.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+
+const evmRequirement = {
+  scheme: 'exact',
+  network: 'base-mainnet',
+  asset: EVM_USDC,
+  payTo: EVM_PAY_TO,
+  maxAmountRequired: '1000000',
+};
+
+const hex = n => ethers.utils.hexValue(n);
+
+function transferLog({ asset = EVM_USDC, to = EVM_PAY_TO, value = 1000000 } = {}) {
+  const { data, topics } = TRANSFER.encodeEventLog(TRANSFER.getEvent('Transfer'), [EVM_PAYER, to, value]);
+  return {
+    address: asset, topics, data,
+    blockNumber: hex(100), blockHash: BLOCK_HASH, transactionHash: TX_HASH,
+    transactionIndex: '0x0', logIndex: '0x0', removed: false,
+  };
+}
+
+function receipt({ status = 1, logs = [transferLog()] } = {}) {
+  return {
+    transactionHash: TX_HASH,
+    transactionIndex: '0x0',
+    blockHash: BLOCK_HASH,
+    blockNumber: hex(100),
+    from: EVM_PAYER,
+    to: EVM_USDC,
+    contractAddress: null,
+    cumulativeGasUsed: hex(60000),
+    gasUsed: hex(60000),
+    effectiveGasPrice: hex(1e9),
+    logsBloom: '0x' + '00'.repeat(256),
+    logs,
+    status: hex(status),
+    type: '0x2',
+  };
+}
+
+describe('EVMPaymentVerifier', () => {
+  let rpc;
+  let txReceipt;
+  let head;
+
+  before(async () => {
+    rpc = await startMockRpc({
+      eth_chainId: () => hex(8453),
+      net_version: () => '8453',
+      eth_blockNumber: () => hex(head),
+      eth_getTransactionReceipt: () => txReceipt,
+      eth_getBlockByHash: () => ({
+        hash: BLOCK_HASH,
+        parentHash: '0x' + '00'.repeat(32),
+        number: hex(100),
+        timestamp: hex(1790000000),
+        nonce: '0x0000000000000000',
+        difficulty: '0x0',
+        gasLimit: hex(30000000),
+        gasUsed: hex(60000),
+        baseFeePerGas: hex(1e9),
+        miner: '0x' + '00'.repeat(20),
+        extraData: '0x',
+        transactions: [],
+      }),
+    });
+  });
+
+  after(() => rpc.close());
+
+  const verify = (payload = { txHash: TX_HASH }, requirement = evmRequirement, minConfirmations = 1) =>
+    new EVMPaymentVerifier({ rpcEndpoint: rpc.url, minConfirmations }).verify(payload, requirement);
+
+  it('accepts a confirmed USDC transfer to payTo', async () => {
+    txReceipt = receipt();
+    head = 104;
+    const result = await verify();
+    assert.equal(result.isValid, true);
+    assert.equal(result.payer, EVM_PAYER);
+    assert.equal(result.amount, '1000000');
+    assert.equal(result.blockNumber, 100);
+    assert.equal(result.blockTime, 1790000000);
+    assert.equal(result.confirmations, 5);
+  });
+
+  it('matches asset and payTo regardless of case', async () => {
+    txReceipt = receipt();
+    head = 100;
+    const result = await verify(undefined, {
+      ...evmRequirement, asset: EVM_USDC.toLowerCase(), payTo: EVM_PAY_TO.toUpperCase().replace('0X', '0x'),
+    });
+    assert.equal(result.isValid, true);
+  });
+
+  it('sums several transfers to payTo', async () => {
+    txReceipt = receipt({ logs: [transferLog({ value: 600000 }), transferLog({ value: 400000 })] });
+    head = 100;
+    const result = await verify();
+    assert.equal(result.isValid, true);
+    assert.equal(result.amount, '1000000');
+  });
+
+  it('rejects a payload without a transaction hash', async () => {
+    const result = await verify({});
+    assert.equal(result.invalidReason, INVALID_REASONS.MALFORMED_PAYLOAD);
+  });
+
+  it('rejects an unknown transaction', async () => {
+    txReceipt = null;
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.TX_NOT_FOUND);
+  });
+
+  it('rejects a reverted transaction', async () => {
+    txReceipt = receipt({ status: 0 });
+    head = 100;
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.TX_FAILED);
+  });
+
+  it('rejects a transfer of another token', async () => {
+    txReceipt = receipt({ logs: [transferLog({ asset: EVM_PAYER })] });
+    head = 100;
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.WRONG_ASSET);
+  });
+
+  it('rejects a transfer to someone else', async () => {
+    txReceipt = receipt({ logs: [transferLog({ to: EVM_PAYER })] });
+    head = 100;
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.WRONG_RECIPIENT);
+  });
+
+  it('rejects an underpayment', async () => {
+    txReceipt = receipt({ logs: [transferLog({ value: 999999 })] });
+    head = 100;
+    const result = await verify();
+    assert.equal(result.invalidReason, INVALID_REASONS.INSUFFICIENT_AMOUNT);
+  });
+
+  it('rejects a transaction without enough confirmations', async () => {
+    txReceipt = receipt();
+    head = 101;
+    const result = await verify(undefined, undefined, 3);
+    assert.equal(result.invalidReason, INVALID_REASONS.INSUFFICIENT_CONFIRMATIONS);
+    assert.equal(result.confirmations, 2);
+  });
+
+  it('rejects a malformed transfer authorization before calling the node', async () => {
+    const provider = { getNetwork: async () => { throw new Error('node called'); } };
+    const verifier = new EVMPaymentVerifier({ provider });
+    const requirement = { ...evmRequirement, extra: { name: 'USD Coin', version: '2' } };
+    const payload = {
+      authorization: {
+        from: EVM_PAYER, to: EVM_PAY_TO, value: '1000000', validAfter: '0', validBefore: '1790000000',
+        nonce: '0x' + '11'.repeat(32),
+      },
+      signature: '0x' + '22'.repeat(65),
+    };
+    const authorize = (changes, signature = payload.signature) =>
+      verifier.verify({ authorization: { ...payload.authorization, ...changes }, signature }, requirement);
+
+    for (const [result, message] of [
+      [await authorize({}, 'not-hex'), /signature must be a 64 or 65 byte hex string/],
+      [await authorize({}, '0x1234'), /signature must be/],
+      [await authorize({ from: '0x1234' }), /from and to must be addresses/],
+      [await authorize({ nonce: '0x01' }), /nonce must be a 32 byte hex string/],
+      [await authorize({ value: 'lots' }), /value must be a non-negative integer/],
+      [await authorize({ value: -1 }), /value must be/],
+      [await authorize({ validAfter: '1.5' }), /validAfter must be/],
+      [await authorize({ validBefore: null }), /validBefore must be/],
+      [await authorize({ nonce: undefined }), /is incomplete/],
+    ]) {
+      assert.equal(result.invalidReason, INVALID_REASONS.MALFORMED_PAYLOAD);
+      assert.match(result.message, message);
+    }
+
+    await assert.rejects(verifier.verify(payload, requirement), /node called/);
+  });
+});
+
+/* ═══ DISPATCH ═══ */
+
+describe('PaymentVerifier', () => {
+  const payment = (overrides = {}) => ({
+    x402Version: 1, scheme: 'exact', network: 'base-mainnet', payload: { txHash: TX_HASH }, ...overrides,
+  });
+
+  it('rejects a payment on another network than the requirement', async () => {
+    const result = await new PaymentVerifier().verify(payment({ network: 'base-sepolia' }), evmRequirement);
+    assert.equal(result.invalidReason, INVALID_REASONS.NETWORK_MISMATCH);
+  });
+
+  it('rejects a payment under another scheme', async () => {
+    const result = await new PaymentVerifier().verify(payment({ scheme: 'range' }), evmRequirement);
+    assert.equal(result.invalidReason, INVALID_REASONS.SCHEME_MISMATCH);
+  });
+
+  it('rejects a payment without a transaction reference', async () => {
+    const result = await new PaymentVerifier().verify(payment({ payload: {} }), evmRequirement);
+    assert.equal(result.invalidReason, INVALID_REASONS.MALFORMED_PAYLOAD);
+  });
+
+  it('rejects networks without an RPC endpoint', async () => {
+    const result = await new PaymentVerifier().verify(payment(), evmRequirement);
+    assert.equal(result.invalidReason, INVALID_REASONS.UNSUPPORTED_NETWORK);
+  });
+
+  it('dispatches to a registered verifier and tags the network', async () => {
+    const verifier = new PaymentVerifier();
+    verifier.registerVerifier('base-mainnet', { verify: async () => ({ isValid: true, amount: '1000000' }) });
+    assert.deepEqual(verifier.supportedNetworks(), ['base-mainnet']);
+    const result = await verifier.verify(payment(), evmRequirement);
+    assert.deepEqual(result, { network: 'base-mainnet', isValid: true, amount: '1000000' });
+  });
+
+  it('turns verifier exceptions into rpc_error', async () => {
+    const verifier = new PaymentVerifier();
+    verifier.registerVerifier('base-mainnet', { verify: async () => { throw new Error('connection refused'); } });
+    const result = await verifier.verify(payment(), evmRequirement);
+    assert.equal(result.invalidReason, INVALID_REASONS.RPC_ERROR);
+    assert.equal(result.message, 'connection refused');
+  });
+
+  it('reports settlement as unsupported when the verifier cannot settle', async () => {
+    const verifier = new PaymentVerifier();
+    verifier.registerVerifier('base-mainnet', { verify: async () => ({ isValid: true }) });
+    const result = await verifier.settle(payment(), evmRequirement);
+    assert.equal(result.invalidReason, INVALID_REASONS.UNSUPPORTED_NETWORK);
+  });
+});
+
+describe('decodePaymentHeader', () => {
+  it('decodes base64 JSON and returns null for garbage', () => {
+    const header = Buffer.from(JSON.stringify({ network: 'base-mainnet' })).toString('base64');
+    assert.deepEqual(decodePaymentHeader(header), { network: 'base-mainnet' });
+    assert.equal(decodePaymentHeader('not base64 json'), null);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Portfolio } from '../portfolio.js';
+import { TokenTradingAgent, USDC_ADDRESSES } from '../ai-agent.js';
+import { PaymentLedger } from '../payment-ledger.js';
+import { PaperWallet } from '../paper-wallet.js';
+import { MemoryStore } from '../storage.js';
+
+const WALLET = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const NETWORK = 'solana-mainnet';
+const USDC = USDC_ADDRESSES[NETWORK];
+const TOKEN = 'TokenMint1111111111111111111111111111111111';
+
+describe('Portfolio', () => {
+  let portfolio;
+
+  const fill = (side, quantity, valueUSDC, changes = {}) => portfolio.recordFill({
+    wallet: WALLET, network: NETWORK, token: TOKEN, side, quantity, valueUSDC, ...changes,
+  });
+
+  beforeEach(() => {
+    portfolio = new Portfolio({ store: new MemoryStore() });
+  });
+
+  it('replays positions at average cost', async () => {
+    await fill('buy', 10, 10, { timestamp: '2026-10-01T00:00:00Z' });
+    await fill('buy', 10, 30, { timestamp: '2026-10-02T00:00:00Z' });
+    await fill('sell', 5, 15, { timestamp: '2026-10-03T00:00:00Z' });
+
+    const [position] = await portfolio.getPositions({ wallet: WALLET });
+    assert.equal(position.quantity, 15);
+    assert.equal(position.costBasisUSDC, 30);
+    assert.equal(position.realizedPnlUSDC, 5);
+  });
+
+  it('keeps paper fills and real fills apart', async () => {
+    await fill('buy', 10, 10);
+    await fill('buy', 1000, 1000, { simulated: true });
+
+    assert.equal((await portfolio.getFills({ wallet: WALLET })).length, 2);
+    assert.deepEqual((await portfolio.getFills({ wallet: WALLET, simulated: false })).map(f => f.quantity), [10]);
+    assert.deepEqual((await portfolio.getFills({ wallet: WALLET, simulated: true })).map(f => f.quantity), [1000]);
+
+    const [real] = await portfolio.getPositions({ wallet: WALLET, simulated: false });
+    const [paper] = await portfolio.getPositions({ wallet: WALLET, simulated: true });
+    assert.equal(real.quantity, 10);
+    assert.equal(paper.quantity, 1000);
+  });
+
+  it('flags both fills of a swap', async () => {
+    const fills = await portfolio.recordSwap({
+      wallet: WALLET,
+      swap: { network: NETWORK, inputMint: USDC, outputMint: TOKEN, inputAmount: 5, outputAmount: 4, txHash: 'paper_1' },
+      source: 'buy_token',
+      simulated: true,
+    });
+    assert.deepEqual(fills.map(f => [f.side, f.simulated]), [['buy', true]]);
+  });
+});
+
+describe('TokenTradingAgent portfolio', () => {
+  let portfolio;
+
+  const agent = (paperTrading) => new TokenTradingAgent({
+    wallet: WALLET,
+    network: NETWORK,
+    paperTrading,
+    paperWallet: paperTrading ? new PaperWallet({ store: new MemoryStore() }) : undefined,
+    portfolio,
+    ledger: new PaymentLedger({ store: new MemoryStore() }),
+    approvalQueue: null,
+  });
+
+  beforeEach(async () => {
+    portfolio = new Portfolio({ store: new MemoryStore() });
+    await portfolio.recordFill({ wallet: WALLET, network: NETWORK, token: TOKEN, side: 'buy', quantity: 10, valueUSDC: 10 });
+  });
+
+  it('records the fills of a paper agent as simulated', async () => {
+    await agent(true).recordTrade({
+      swap: { network: NETWORK, inputMint: USDC, outputMint: TOKEN, inputAmount: 5, outputAmount: 4, txHash: 'paper_1' },
+      source: 'buy_token',
+    });
+    const [paperFill] = await portfolio.getFills({ simulated: true });
+    assert.equal(paperFill.txHash, 'paper_1');
+  });
+
+  it('gives a paper agent none of the real position', async () => {
+    const paper = agent(true);
+
+    const context = await paper.getStrategyContext({ token: TOKEN, network: NETWORK, price: 1 });
+    assert.equal(context.position, null);
+    assert.equal(context.lastBuyAt, null);
+
+    const result = await paper.getPortfolio({ markToMarket: false, reconcile: false });
+    assert.equal(result.simulated, true);
+    assert.deepEqual(result.positions, []);
+  });
+
+  it('gives a real agent none of the paper position', async () => {
+    await portfolio.recordFill({ wallet: WALLET, network: NETWORK, token: TOKEN, side: 'buy', quantity: 1000, valueUSDC: 1000, simulated: true });
+
+    const context = await agent(false).getStrategyContext({ token: TOKEN, network: NETWORK, price: 1 });
+    assert.equal(context.position.quantity, 10);
+
+    const result = await agent(false).getPortfolio({ markToMarket: false, reconcile: false });
+    assert.equal(result.totals.costBasisUSDC, 10);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FixtureQuoteProvider, QuoteService, parseQuoteParams } from '../quote-providers.js';
+import { USDC_ADDRESSES } from '../ai-agent.js';
+
+const NETWORK = 'solana-mainnet';
+const USDC = USDC_ADDRESSES[NETWORK];
+
+// $100k of USDC against 50k TOKEN at $2, with the default 0.3% fee
+const pools = { TOKEN: { reserveUSDC: 100000, priceUSDC: 2 } };
+
+describe('parseQuoteParams', () => {
+  it('reads amounts and slippage from numbers or query strings', () => {
+    assert.deepEqual(parseQuoteParams({ amount: '12.5', slippageBps: '75' }), { amount: 12.5, slippageBps: 75 });
+    assert.deepEqual(parseQuoteParams({ amount: 3 }), { amount: 3, slippageBps: undefined });
+    assert.deepEqual(parseQuoteParams({ amount: 3, slippageBps: '' }), { amount: 3, slippageBps: undefined });
+    assert.deepEqual(parseQuoteParams({ amount: 3, slippageBps: 0 }), { amount: 3, slippageBps: 0 });
+  });
+
+  it('rejects amounts that are not positive numbers', () => {
+    for (const amount of ['abc', '', '0', -5, Infinity, undefined]) {
+      assert.throws(() => parseQuoteParams({ amount }), /Invalid quote amount/);
+    }
+  });
+
+  it('rejects slippage outside whole basis points from 0 to 10000', () => {
+    for (const slippageBps of ['abc', '12.5', -1, 10001, 'Infinity']) {
+      assert.throws(() => parseQuoteParams({ amount: 1, slippageBps }), /Invalid slippageBps/);
+    }
+  });
+});
+
+describe('FixtureQuoteProvider', () => {
+  const provider = new FixtureQuoteProvider({ pools });
+
+  it('quotes buys off a constant-product pool, less the fee and slippage', async () => {
+    const quote = await provider.quote({ network: NETWORK, inputMint: USDC, outputMint: 'TOKEN', amount: 100, slippageBps: 100 });
+
+    assert.equal(quote.provider, 'fixture');
+    assert.equal(quote.side, 'buy');
+    assert.equal(quote.token, 'TOKEN');
+    assert.equal(quote.inAmount, '100000000');
+    // 50000 * 99.7 / (100000 + 99.7) TOKEN, at 9 decimals
+    assert.equal(quote.outAmount, '49800349052');
+    assert.equal(quote.minOutAmount, '49302345561');
+    assert.equal(quote.fees.total, 0.3);
+    assert.equal(quote.liquidity, 200000);
+    assert.ok(quote.priceImpact > 0 && quote.priceImpact < 0.002);
+  });
+
+  it('quotes sells into USDC', async () => {
+    const quote = await provider.quote({ network: NETWORK, inputMint: 'TOKEN', outputMint: USDC, amount: 50, slippageBps: 0 });
+
+    assert.equal(quote.side, 'sell');
+    assert.equal(quote.inAmount, '50000000000');
+    assert.equal(quote.outAmount, '99600698');
+    assert.equal(quote.minOutAmount, quote.outAmount);
+  });
+
+  it('derives the same pool for an unconfigured token every time', async () => {
+    const params = { network: NETWORK, inputMint: USDC, outputMint: 'SomeOtherMint', amount: 10, slippageBps: 50 };
+    const [a, b] = await Promise.all([provider.quote(params), new FixtureQuoteProvider().quote(params)]);
+    assert.equal(a.outAmount, b.outAmount);
+  });
+
+  it('moves the price further for bigger trades', async () => {
+    const small = await provider.quote({ network: NETWORK, inputMint: USDC, outputMint: 'TOKEN', amount: 10, slippageBps: 50 });
+    const large = await provider.quote({ network: NETWORK, inputMint: USDC, outputMint: 'TOKEN', amount: 10000, slippageBps: 50 });
+    assert.ok(large.priceImpact > small.priceImpact);
+    assert.ok(large.price < small.price);
+  });
+});
+
+describe('QuoteService', () => {
+  let calls;
+  let service;
+
+  beforeEach(() => {
+    calls = 0;
+    const fixture = new FixtureQuoteProvider({ pools });
+    service = new QuoteService({
+      ttlMs: 60000,
+      providers: {
+        [NETWORK]: { name: 'counting', quote: (params) => { calls++; return fixture.quote(params); } },
+      },
+    });
+  });
+
+  it('defaults to USDC in and 50 bps of slippage', async () => {
+    const quote = await service.getQuote({ network: NETWORK, outputMint: 'TOKEN', amount: '100' });
+    assert.equal(quote.inputMint, USDC);
+    assert.equal(quote.slippageBps, 50);
+    assert.equal(quote.cached, false);
+  });
+
+  it('shares one provider call between identical requests until the quote expires', async () => {
+    const params = { network: NETWORK, outputMint: 'TOKEN', amount: 100, slippageBps: 50 };
+    const [first, second] = await Promise.all([service.getQuote(params), service.getQuote({ ...params, amount: '100' })]);
+    assert.equal(calls, 1);
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+
+    await service.getQuote({ ...params, slippageBps: 100 });
+    assert.equal(calls, 2);
+  });
+
+  it('forgets failed quotes', async () => {
+    service.registerProvider(NETWORK, { quote: async () => { calls++; throw new Error('no route'); } });
+    const params = { network: NETWORK, outputMint: 'TOKEN', amount: 1 };
+    await assert.rejects(service.getQuote(params), /no route/);
+    await assert.rejects(service.getQuote(params), /no route/);
+    assert.equal(calls, 2);
+  });
+
+  it('refuses bad requests before asking a provider', async () => {
+    await assert.rejects(service.getQuote({ network: NETWORK, outputMint: 'TOKEN', amount: 'lots' }), /Invalid quote amount/);
+    await assert.rejects(service.getQuote({ network: NETWORK, outputMint: 'TOKEN', amount: 1, slippageBps: 20000 }), /Invalid slippageBps/);
+    await assert.rejects(service.getQuote({ network: 'base-mainnet', outputMint: 'TOKEN', amount: 1 }), /No quote provider/);
+    assert.equal(calls, 0);
+  });
+});
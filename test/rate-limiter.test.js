@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, rateLimit } from '../rate-limiter.js';
+
+describe('RateLimiter', () => {
+  it('allows up to the limit per key and window', () => {
+    const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+    assert.equal(limiter.hit('a', 0).allowed, true);
+    assert.equal(limiter.hit('a', 10).allowed, true);
+
+    const refused = limiter.hit('a', 400);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfterMs, 600);
+
+    assert.equal(limiter.hit('b', 400).allowed, true);
+    assert.equal(limiter.hit('a', 1000).allowed, true);
+  });
+
+  it('forgets closed windows', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+    limiter.hit('a', 0);
+    limiter.hit('b', 500);
+    limiter.sweep(1200);
+    assert.deepEqual([...limiter.windows.keys()], ['b']);
+  });
+});
+
+describe('rateLimit', () => {
+  const call = (middleware, ip) => {
+    const res = {
+      headers: {},
+      statusCode: 200,
+      body: null,
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let passed = false;
+    middleware({ ip }, res, () => { passed = true; });
+    return { ...res, passed };
+  };
+
+  it('answers 429 with Retry-After once a client is over the limit', () => {
+    const middleware = rateLimit(new RateLimiter({ limit: 1, windowMs: 60000 }));
+    assert.equal(call(middleware, '10.0.0.1').passed, true);
+
+    const refused = call(middleware, '10.0.0.1');
+    assert.equal(refused.passed, false);
+    assert.equal(refused.statusCode, 429);
+    assert.equal(refused.headers['Retry-After'], '60');
+    assert.equal(refused.body.ok, false);
+
+    assert.equal(call(middleware, '10.0.0.2').passed, true);
+  });
+});
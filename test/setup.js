@@ -0,0 +1,25 @@
+/**
+ * Test bootstrap: modules import the agent by its published name,
+ * x402-ai-agent.js, which is ai-agent.js in this repository
+ */
+
+import { register } from 'node:module';
+
+register('data:text/javascript,' + encodeURIComponent(`
+  export async function resolve(specifier, context, next) {
+    if (specifier.endsWith('/x402-ai-agent.js')) {
+      try {
+        return await next(specifier, context);
+      } catch {
+        return next(specifier.replace(/x402-ai-agent\\.js$/, 'ai-agent.js'), context);
+      }
+    }
+    return next(specifier, context);
+  }
+`));
+
+// Keep stores and dev keys out of the working tree and the developer's environment
+process.env.NODE_ENV = 'test';
+for (const key of ['DEV_SOLANA_PRIVATE_KEY', 'DEV_EVM_PRIVATE_KEY', 'REMOTE_SIGNER_URL', 'KEYSTORE_PASSWORD', 'LLM_BASE_URL', 'FACILITATOR_TOKEN', 'X402_FACILITATOR_TOKEN', 'SIGNER_TOKEN']) {
+  delete process.env[key];
+}
@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createSignerRouter, validateSignerBind } from '../signers.js';
+
+const TOKEN = 'signer-secret';
+const WALLET = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+describe('validateSignerBind', () => {
+  it('listens on the loopback interface by default', () => {
+    assert.equal(validateSignerBind(), '127.0.0.1');
+    assert.equal(validateSignerBind({ host: '::1' }), '::1');
+  });
+
+  it('refuses other interfaces without a token', () => {
+    assert.throws(() => validateSignerBind({ host: '0.0.0.0' }), /without SIGNER_TOKEN/);
+    assert.throws(() => validateSignerBind({ host: '10.0.0.5', token: '' }), /without SIGNER_TOKEN/);
+    assert.equal(validateSignerBind({ host: '0.0.0.0', token: TOKEN }), '0.0.0.0');
+  });
+});
+
+describe('createSignerRouter', () => {
+  let server;
+  let url;
+
+  // Knows the one wallet, without a key to sign with
+  const resolver = { resolve: async (wallet) => (wallet === WALLET ? {} : null) };
+
+  const keys = (headers = {}) => fetch(`${url}/keys/${WALLET}?network=solana-mainnet`, { headers });
+
+  before(async () => {
+    const app = express();
+    app.use('/signer', createSignerRouter({ resolver, token: TOKEN }));
+    server = await new Promise(resolve => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    url = `http://127.0.0.1:${server.address().port}/signer`;
+  });
+
+  after(() => server.close());
+
+  it('answers requests that carry the token', async () => {
+    const response = await keys({ Authorization: `Bearer ${TOKEN}` });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).family, 'solana');
+  });
+
+  it('refuses a missing or wrong token', async () => {
+    assert.equal((await keys()).status, 401);
+    assert.equal((await keys({ Authorization: 'Bearer signer-secreT' })).status, 401);
+    assert.equal((await keys({ Authorization: `Bearer ${TOKEN}x` })).status, 401);
+    assert.equal((await keys({ Authorization: TOKEN })).status, 401);
+  });
+});
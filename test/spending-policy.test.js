@@ -0,0 +1,222 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpendingPolicyEngine, validatePolicy, parsePolicy } from '../spending-policy.js';
+import { PaymentLedger } from '../payment-ledger.js';
+import { MemoryStore } from '../storage.js';
+
+const WALLET = 'wallet-1';
+const now = new Date('2026-10-21T15:30:00Z');
+
+describe('validatePolicy', () => {
+  const rule = (r) => () => validatePolicy({ rules: [r] });
+
+  it('accepts complete rules of every type and fills in ids', () => {
+    const policy = validatePolicy({
+      rules: [
+        { type: 'amount_cap', maxAmount: 2 },
+        { type: 'domain', deny: '*.example.net' },
+        { type: 'trusted_resources', resources: ['/api/*'] },
+        { type: 'network_limit', network: 'base-*', budget: { window: 'day', limit: 20, timeZone: 'UTC' } },
+        { type: 'velocity', maxPayments: 5, perSeconds: 60 },
+        { type: 'time_window', startHour: 8, endHour: 20, days: [1, 2, 3, 4, 5], timeZone: 'Europe/Berlin' },
+        { type: 'budget', window: 'month', limit: 500, timeZone: 'America/New_York' },
+        { type: 'approval_threshold', amount: 25 },
+        { type: 'deny', resource: '/admin/*' },
+      ],
+    });
+    assert.equal(policy.defaultAction, 'allow');
+    assert.equal(policy.rules[0].id, 'amount_cap_0');
+  });
+
+  it('refuses rules missing the fields their type needs', () => {
+    assert.throws(rule({ type: 'amount_cap' }), /Rule 0: amount_cap needs maxAmount/);
+    assert.throws(rule({ type: 'amount_cap', maxAmount: '2' }), /needs maxAmount/);
+    assert.throws(rule({ type: 'trusted_resources' }), /needs a resources list/);
+    assert.throws(rule({ type: 'trusted_resources', resources: '/api/*' }), /needs a resources list/);
+    assert.throws(rule({ type: 'domain' }), /needs allow or deny/);
+    assert.throws(rule({ type: 'network_limit', network: 'base-*' }), /needs maxAmount or budget/);
+    assert.throws(rule({ type: 'time_window', startHour: 8 }), /needs startHour and endHour/);
+    assert.throws(rule({ type: 'time_window', startHour: 8, endHour: 20, days: ['mon'] }), /days must be/);
+    assert.throws(rule({ type: 'approval_threshold' }), /needs amount/);
+    assert.throws(rule({ type: 'velocity', maxPayments: 5 }), /needs maxPayments and perSeconds/);
+  });
+
+  it('refuses budgets with an unknown window or time zone', () => {
+    assert.throws(rule({ type: 'budget', window: 'fortnight', limit: 5 }), /needs a window of day, week, month/);
+    assert.throws(rule({ type: 'budget', window: 'day' }), /needs a limit/);
+    assert.throws(rule({ type: 'budget', window: 'day', limit: 5, timeZone: 'Mars/Base' }), /unknown timeZone "Mars\/Base"/);
+    assert.throws(rule({ type: 'network_limit', budget: { window: 'day', limit: 5, timeZone: 'Nowhere' } }), /unknown timeZone/);
+    assert.throws(rule({ type: 'time_window', startHour: 8, endHour: 20, timeZone: 'Nowhere' }), /unknown timeZone/);
+  });
+
+  it('refuses match fields that are not patterns or lists of patterns', () => {
+    assert.throws(rule({ type: 'amount_cap', maxAmount: 2, resource: 42 }), /Rule 0: amount_cap resource must be a pattern or a list of patterns/);
+    assert.throws(rule({ type: 'amount_cap', maxAmount: 2, resource: { path: '/api' } }), /resource must be a pattern/);
+    assert.throws(rule({ type: 'network_limit', network: ['base-*', 8453], maxAmount: 5 }), /network_limit network must be a pattern/);
+    assert.throws(rule({ type: 'network_limit', network: [], budget: { window: 'day', limit: 5 } }), /network must be a pattern/);
+    assert.throws(rule({ type: 'deny', domain: true }), /deny domain must be a pattern/);
+    assert.throws(rule({ type: 'allow', network: 1 }), /allow network must be a pattern/);
+  });
+
+  it('refuses unknown types and actions', () => {
+    assert.throws(rule({ type: 'whatever' }), /unknown type "whatever"/);
+    assert.throws(rule({ type: 'amount_cap', maxAmount: 1, action: 'maybe' }), /invalid action/);
+    assert.throws(() => validatePolicy({ rules: 'none' }), /rules array/);
+  });
+
+  it('validates YAML policies the same way', () => {
+    assert.throws(() => parsePolicy('rules:\n  - { type: budget, limit: 5 }\n'), /budget needs a window/);
+  });
+});
+
+describe('SpendingPolicyEngine', () => {
+  let ledger;
+  let engine;
+
+  const evaluate = (amountUSDC, params = {}) => engine.evaluate({
+    wallet: WALLET,
+    amount: amountUSDC * 1e6,
+    resource: 'https://api.example.com/data',
+    network: 'solana-mainnet',
+    now,
+    ...params,
+  });
+
+  const spend = (amountUSDC) => ledger.record({
+    wallet: WALLET, amount: amountUSDC * 1e6, network: 'solana-mainnet', status: 'completed', timestamp: now,
+  });
+
+  beforeEach(() => {
+    ledger = new PaymentLedger({ store: new MemoryStore() });
+    engine = new SpendingPolicyEngine({ store: new MemoryStore(), ledger });
+  });
+
+  it('stops at the first rule with a verdict', async () => {
+    await engine.setPolicy(WALLET, {
+      rules: [
+        { id: 'cap', type: 'amount_cap', maxAmount: 10 },
+        { id: 'big', type: 'approval_threshold', amount: 5 },
+      ],
+    });
+
+    assert.equal((await evaluate(3)).approved, true);
+    const large = await evaluate(7);
+    assert.equal(large.requiresApproval, true);
+    assert.equal(large.decidedBy, 'big');
+    assert.equal((await evaluate(12)).decidedBy, 'cap');
+  });
+
+  it('matches rules against lists of resource and network patterns', async () => {
+    await engine.setPolicy(WALLET, {
+      rules: [
+        { id: 'cap', type: 'amount_cap', resource: ['/weather*', '/data'], maxAmount: 2 },
+        { id: 'l2', type: 'network_limit', network: ['base-*', 'polygon-*'], maxAmount: 1 },
+      ],
+    });
+
+    assert.equal((await evaluate(3)).decidedBy, 'cap');
+    assert.equal((await evaluate(3, { resource: 'https://api.example.com/other' })).approved, true);
+    assert.equal((await evaluate(1.5, { resource: '/other', network: 'polygon-mainnet' })).decidedBy, 'l2');
+    assert.equal((await evaluate(1.5, { resource: '/other', network: 'ethereum-mainnet' })).approved, true);
+  });
+
+  describe('paper payments', () => {
+    const paperSpend = (amountUSDC) => ledger.record({
+      wallet: WALLET, amount: amountUSDC * 1e6, network: 'solana-mainnet', status: 'completed', timestamp: now, simulated: true,
+    });
+
+    it('count against neither real velocity limits nor real network budgets', async () => {
+      await engine.setPolicy(WALLET, {
+        rules: [
+          { id: 'burst', type: 'velocity', maxPayments: 1, perSeconds: 60 },
+          { id: 'solana', type: 'network_limit', network: 'solana-*', budget: { window: 'day', limit: 10 } },
+        ],
+      });
+      await paperSpend(8);
+
+      assert.equal((await evaluate(5)).approved, true);
+      const paper = await evaluate(5, { simulated: true });
+      assert.equal(paper.approved, false);
+      assert.equal(paper.decidedBy, 'burst');
+    });
+
+    it('are held to their own network budget', async () => {
+      await engine.setPolicy(WALLET, {
+        rules: [{ id: 'solana', type: 'network_limit', network: 'solana-*', budget: { window: 'day', limit: 10 } }],
+      });
+      await spend(8);
+      await paperSpend(8);
+
+      assert.equal((await evaluate(5)).decidedBy, 'solana');
+      assert.equal((await evaluate(1, { simulated: true })).approved, true);
+      assert.equal((await evaluate(5, { simulated: true })).decidedBy, 'solana');
+    });
+  });
+
+  describe('legacy context limits', () => {
+    const context = { maxAutoApprove: 5, trustedResources: ['/api/*'], dailyBudget: 10 };
+
+    it('deny an untrusted resource above the auto-approval limit', async () => {
+      const decision = await evaluate(7, { context, resource: 'https://evil.example.net/drain' });
+      assert.equal(decision.approved, false);
+      assert.equal(decision.requiresApproval, false);
+      assert.equal(decision.decidedBy, 'trusted-resources');
+    });
+
+    it('deny a spent budget above the auto-approval limit', async () => {
+      await spend(8);
+      const decision = await evaluate(7, { context, resource: '/api/x' });
+      assert.equal(decision.requiresApproval, false);
+      assert.equal(decision.decidedBy, 'day-budget');
+    });
+
+    it('ask for approval above the limit when nothing denies', async () => {
+      const decision = await evaluate(7, { context, resource: '/api/x' });
+      assert.equal(decision.requiresApproval, true);
+      assert.equal(decision.decidedBy, 'max-auto-approve');
+    });
+  });
+
+  describe('pre-approved payments', () => {
+    it('skip approval thresholds', async () => {
+      await engine.setPolicy(WALLET, { rules: [{ id: 'big', type: 'approval_threshold', amount: 5 }] });
+      const decision = await evaluate(7, { preApproved: true });
+      assert.equal(decision.approved, true);
+      assert.deepEqual(decision.trace, [{ rule: 'big', type: 'approval_threshold', verdict: 'require_approval', waived: true }]);
+    });
+
+    it('are still held to budgets evaluated after an approval rule', async () => {
+      await engine.setPolicy(WALLET, {
+        rules: [
+          { id: 'big', type: 'approval_threshold', amount: 5 },
+          { id: 'daily', type: 'budget', window: 'day', limit: 10 },
+        ],
+      });
+      await spend(8);
+
+      const decision = await evaluate(7, { preApproved: true });
+      assert.equal(decision.approved, false);
+      assert.equal(decision.requiresApproval, false);
+      assert.equal(decision.decidedBy, 'daily');
+    });
+
+    it('are still held to velocity limits and deny rules', async () => {
+      await engine.setPolicy(WALLET, {
+        rules: [
+          { id: 'burst', type: 'velocity', maxPayments: 1, perSeconds: 60 },
+          { id: 'no-example', type: 'deny', domain: '*.example.com' },
+        ],
+      });
+      assert.equal((await evaluate(1, { preApproved: true })).decidedBy, 'no-example');
+
+      await spend(1);
+      assert.equal((await evaluate(1, { preApproved: true, resource: '/api/x' })).decidedBy, 'burst');
+    });
+
+    it('pass a require_approval default', async () => {
+      await engine.setPolicy(WALLET, { defaultAction: 'require_approval', rules: [] });
+      assert.equal((await evaluate(1)).requiresApproval, true);
+      assert.equal((await evaluate(1, { preApproved: true })).approved, true);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MemoryStore, JsonFileStore, lockStoreFile } from '../storage.js';
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x4a-storage-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('MemoryStore', () => {
+  it('aborts an update when the function returns null', async () => {
+    const store = new MemoryStore();
+    await store.put('a', { id: 'a', n: 1 });
+    assert.equal(await store.update('a', () => null), null);
+    assert.deepEqual(await store.update('a', r => ({ ...r, n: 2 })), { id: 'a', n: 2 });
+    assert.equal(await store.update('missing', r => r), null);
+  });
+
+  it('hands out copies', async () => {
+    const store = new MemoryStore();
+    await store.put('a', { id: 'a', tags: [] });
+    (await store.get('a')).tags.push('x');
+    assert.deepEqual((await store.get('a')).tags, []);
+  });
+});
+
+describe('JsonFileStore', () => {
+  it('persists records and reloads them', async () => {
+    const file = path.join(dir, 'records.json');
+    const store = new JsonFileStore(file);
+    await store.put('a', { id: 'a' });
+    await store.put('b', { id: 'b' });
+    await store.delete('b');
+    assert.deepEqual(await new JsonFileStore(file).list(), [{ id: 'a' }]);
+  });
+});
+
+describe('lockStoreFile', () => {
+  it('locks a store file to this process', () => {
+    const file = path.join(dir, 'locked.json');
+    lockStoreFile(file);
+    assert.equal(fs.readFileSync(`${file}.lock`, 'utf8'), String(process.pid));
+    lockStoreFile(file); // Again from the same process
+  });
+
+  it('refuses a file locked by another running process', () => {
+    const file = path.join(dir, 'taken.json');
+    fs.writeFileSync(`${file}.lock`, String(process.ppid));
+    assert.throws(() => lockStoreFile(file), /in use by process/);
+  });
+
+  it('takes over a lock left by a process that exited', () => {
+    const file = path.join(dir, 'stale.json');
+    fs.writeFileSync(`${file}.lock`, '2147483646');
+    lockStoreFile(file);
+    assert.equal(fs.readFileSync(`${file}.lock`, 'utf8'), String(process.pid));
+  });
+});
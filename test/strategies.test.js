@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TradingStrategy, DCAStrategy, MomentumStrategy, MeanReversionStrategy,
+  registerStrategy, listStrategies, createStrategy,
+} from '../strategies.js';
+
+const DAY = 86400000;
+const now = Date.UTC(2026, 9, 19, 10);
+
+// Price samples one minute apart, the last one at now
+const series = (...prices) => prices.map((price, i) => ({ timestamp: now - (prices.length - 1 - i) * 60000, price }));
+
+const position = (quantity, avgEntryPrice) => ({
+  quantity, avgEntryPrice, costBasisUSDC: quantity * avgEntryPrice,
+});
+
+const context = (changes = {}) => {
+  const prices = changes.prices || series(1);
+  return {
+    token: 'TOKEN', network: 'solana-mainnet', now, price: prices[prices.length - 1].price,
+    prices, position: null, lastBuyAt: null, ...changes,
+  };
+};
+
+describe('TradingStrategy', () => {
+  const strategy = (risk = {}, options = {}) => new TradingStrategy({ orderSizeUSDC: 10, ...options, risk });
+
+  it('sizes buys by order size up to the position cap', () => {
+    const buy = { action: 'buy' };
+    assert.equal(strategy().sizePosition(buy, context()), 10);
+    assert.equal(strategy().sizePosition({ ...buy, amountUSDC: 3 }, context()), 3);
+    assert.equal(strategy({ maxPositionUSDC: 25 }).sizePosition(buy, context({ position: position(20, 1) })), 5);
+    assert.equal(strategy({ maxPositionUSDC: 25 }).sizePosition(buy, context({ position: position(30, 1) })), 0);
+  });
+
+  it('sizes sells as the whole open position', () => {
+    assert.equal(strategy().sizePosition({ action: 'sell' }, context({ position: position(7, 1) })), 7);
+    assert.equal(strategy().sizePosition({ action: 'sell' }, context()), 0);
+  });
+
+  it('exits at the stop loss and the take profit', () => {
+    const limits = strategy({ stopLossPct: 0.1, takeProfitPct: 0.25 });
+    const at = (price) => limits.checkExit(context({ price, position: position(10, 2) }));
+
+    assert.equal(at(1.7).exit, 'stop_loss');
+    assert.equal(at(2.6).exit, 'take_profit');
+    assert.equal(at(2.2), null);
+    assert.equal(strategy().checkExit(context({ price: 0.5, position: position(10, 2) })), null);
+    assert.equal(limits.checkExit(context({ price: 1 })), null);
+  });
+
+  it('decides exits before signals, and holds when there is nothing to trade', async () => {
+    const eager = strategy({ stopLossPct: 0.1 });
+    eager.generateSignal = () => ({ action: 'buy', reason: 'Always', confidence: 1 });
+
+    const exit = await eager.decide(context({ price: 1.5, position: position(4, 2) }));
+    assert.deepEqual([exit.action, exit.amount, exit.exit], ['sell', 4, 'stop_loss']);
+
+    const entry = await eager.decide(context({ price: 2, position: position(4, 2) }));
+    assert.deepEqual([entry.action, entry.amount], ['buy', 10]);
+
+    const capped = strategy({ maxPositionUSDC: 8 });
+    capped.generateSignal = () => ({ action: 'buy', reason: 'Always', confidence: 1 });
+    const held = await capped.decide(context({ position: position(8, 1) }));
+    assert.deepEqual([held.action, held.amount], ['hold', 0]);
+    assert.match(held.reason, /nothing to buy/);
+
+    assert.equal((await strategy().decide(context())).action, 'hold');
+  });
+
+  it('checks quoted buys against the risk limits', () => {
+    const quote = { priceImpact: 0.001, liquidity: null, volatility: 0.1 };
+    const entry = (limits, changes = {}) => strategy(limits).evaluateEntry({ quote, amount: 10, slippage: 0.01, ...changes });
+
+    assert.equal(entry({}).approved, true);
+    assert.match(entry({}, { quote: { ...quote, priceImpact: 0.02 } }).reason, /Price impact/);
+    assert.equal(entry({}, { quote: { ...quote, liquidity: 50 } }).reason, 'Insufficient liquidity');
+    assert.match(entry({ maxVolatility: 0.05 }).reason, /volatility/);
+    assert.match(entry({ maxPositionUSDC: 15 }, { position: position(6, 1) }).reason, /15 USDC limit/);
+  });
+});
+
+describe('DCAStrategy', () => {
+  it('buys once per interval', async () => {
+    const dca = new DCAStrategy({ amountUSDC: 25, intervalMs: DAY });
+
+    const first = await dca.decide(context());
+    assert.deepEqual([first.action, first.amount], ['buy', 25]);
+    assert.equal((await dca.decide(context({ lastBuyAt: now - DAY / 2 }))).action, 'hold');
+    assert.equal((await dca.decide(context({ lastBuyAt: now - DAY }))).action, 'buy');
+  });
+});
+
+describe('MomentumStrategy', () => {
+  const momentum = new MomentumStrategy({ lookback: 3, threshold: 0.05 });
+
+  it('waits for enough history', () => {
+    assert.match(momentum.generateSignal(context({ prices: series(1, 1, 1) })).reason, /Not enough price history \(3\/4\)/);
+  });
+
+  it('buys a rise without a position and sells a fall with one', () => {
+    assert.equal(momentum.generateSignal(context({ prices: series(1, 1, 1.02, 1.06) })).action, 'buy');
+    assert.equal(momentum.generateSignal(context({ prices: series(1, 1, 1.02, 1.06), position: position(5, 1) })).action, 'hold');
+    assert.equal(momentum.generateSignal(context({ prices: series(1, 1, 0.98, 0.94), position: position(5, 1) })).action, 'sell');
+    assert.equal(momentum.generateSignal(context({ prices: series(1, 1, 0.98, 0.94) })).action, 'hold');
+    assert.equal(momentum.generateSignal(context({ prices: series(1, 1, 1, 1.02) })).action, 'hold');
+  });
+});
+
+describe('MeanReversionStrategy', () => {
+  const reversion = new MeanReversionStrategy({ lookback: 4, entryZ: 1.5, exitZ: 0 });
+
+  it('holds on a flat or short history', () => {
+    assert.equal(reversion.generateSignal(context({ prices: series(1, 1, 1, 1, 0.5) })).reason, 'Price has not moved');
+    assert.match(reversion.generateSignal(context({ prices: series(1, 1.1, 0.5) })).reason, /Not enough price history/);
+  });
+
+  it('buys a drop below the band and sells the return to the mean', () => {
+    // Window 1.0, 1.1, 0.9, 1.0: mean 1, σ ≈ 0.071
+    assert.equal(reversion.generateSignal(context({ prices: series(1, 1.1, 0.9, 1, 0.85) })).action, 'buy');
+    assert.equal(reversion.generateSignal(context({ prices: series(1, 1.1, 0.9, 1, 0.95) })).action, 'hold');
+    assert.equal(reversion.generateSignal(context({ prices: series(1, 1.1, 0.9, 1, 1.01), position: position(5, 0.85) })).action, 'sell');
+    assert.equal(reversion.generateSignal(context({ prices: series(1, 1.1, 0.9, 1, 0.97), position: position(5, 0.85) })).action, 'hold');
+  });
+});
+
+describe('strategy registry', () => {
+  it('creates built-ins by name and passes instances through', () => {
+    assert.ok(createStrategy('momentum', { lookback: 5 }) instanceof MomentumStrategy);
+    assert.equal(createStrategy('momentum', { lookback: 5 }).lookback, 5);
+    const instance = new DCAStrategy();
+    assert.equal(createStrategy(instance), instance);
+    assert.throws(() => createStrategy('moon'), /Unknown trading strategy: moon \(available: conservative/);
+  });
+
+  it('creates a registered custom strategy', async () => {
+    class AlwaysBuy extends TradingStrategy {
+      generateSignal() {
+        return { action: 'buy', reason: 'Always', confidence: 1 };
+      }
+    }
+    registerStrategy('always-buy', options => new AlwaysBuy({ name: 'always-buy', ...options }));
+
+    assert.ok(listStrategies().includes('always-buy'));
+    const strategy = createStrategy('always-buy', { orderSizeUSDC: 3 });
+    assert.equal(strategy.name, 'always-buy');
+    assert.deepEqual(await strategy.decide(context()), { action: 'buy', reason: 'Always', confidence: 1, amount: 3 });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubscriptionRegistry, SUBSCRIPTION_ERRORS } from '../subscription-registry.js';
+import { MemoryStore } from '../storage.js';
+
+const PAYER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const HOUR = 3600000;
+
+const payment = (changes = {}) => ({
+  payer: PAYER,
+  resource: '/api/data',
+  network: 'solana-mainnet',
+  txHash: 'tx1',
+  amount: '1000000',
+  periodSeconds: 3600,
+  challengeId: 'ch1',
+  ...changes,
+});
+
+describe('SubscriptionRegistry', () => {
+  let store;
+  let registry;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    registry = new SubscriptionRegistry({ store });
+  });
+
+  it('grants access for the paid period', async () => {
+    const grantedFrom = Date.now();
+    const subscription = await registry.grant(payment());
+
+    assert.match(subscription.id, /^sub_/);
+    assert.equal(subscription.payer, PAYER);
+    assert.equal(subscription.resource, '/api/data');
+    const period = new Date(subscription.expiresAt) - new Date(subscription.startsAt);
+    assert.equal(period, HOUR);
+    assert.ok(new Date(subscription.startsAt).getTime() >= grantedFrom);
+    assert.deepEqual(subscription.payments.map(p => p.txHash), ['tx1']);
+  });
+
+  it('extends an active subscription when its payer pays again', async () => {
+    const first = await registry.grant(payment());
+    const second = await registry.grant(payment({ txHash: 'tx2', periodSeconds: 7200 }));
+
+    assert.equal(second.id, first.id);
+    assert.equal(new Date(second.expiresAt) - new Date(first.expiresAt), 2 * HOUR);
+    assert.deepEqual(second.payments.map(p => p.txHash), ['tx1', 'tx2']);
+    assert.equal((await registry.list()).length, 1);
+  });
+
+  it('starts a new subscription for another payer, resource or an expired one', async () => {
+    const first = await registry.grant(payment());
+    assert.notEqual((await registry.grant(payment({ payer: 'someone-else' }))).id, first.id);
+    assert.notEqual((await registry.grant(payment({ resource: '/api/other' }))).id, first.id);
+    assert.notEqual((await registry.grant(payment({ payer: null }))).id, first.id);
+
+    await store.update(first.id, s => ({ ...s, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+    const renewed = await registry.grant(payment());
+    assert.notEqual(renewed.id, first.id);
+    assert.equal((await registry.list({ payer: PAYER, resource: '/api/data', active: true }))[0].id, renewed.id);
+    assert.equal((await registry.list({ active: false }))[0].id, first.id);
+  });
+
+  it('checks a subscription against the resource and its expiry', async () => {
+    const { id } = await registry.grant(payment());
+
+    const valid = await registry.check(id, '/api/data');
+    assert.equal(valid.isValid, true);
+    assert.equal(valid.subscription.id, id);
+
+    const unknown = await registry.check('sub_forged', '/api/data');
+    assert.equal(unknown.invalidReason, SUBSCRIPTION_ERRORS.UNKNOWN);
+
+    const elsewhere = await registry.check(id, '/api/other');
+    assert.equal(elsewhere.invalidReason, SUBSCRIPTION_ERRORS.RESOURCE_MISMATCH);
+    assert.equal(elsewhere.message, 'Subscription covers /api/data, not /api/other');
+
+    await store.update(id, s => ({ ...s, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+    const expired = await registry.check(id, '/api/data');
+    assert.equal(expired.isValid, false);
+    assert.equal(expired.invalidReason, SUBSCRIPTION_ERRORS.EXPIRED);
+  });
+});
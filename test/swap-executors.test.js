@@ -0,0 +1,125 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { ethers } from 'ethers';
+import {
+  JupiterSwapExecutor,
+  UniswapV3SwapExecutor,
+  ZeroExSwapExecutor,
+  canExecuteQuote,
+} from '../swap-executors.js';
+import { FixtureQuoteProvider, buildQuote } from '../quote-providers.js';
+import { USDC_ADDRESSES } from '../ai-agent.js';
+import { startChain } from './ganache-chain.js';
+
+const fixtureQuote = (network, outputMint) => new FixtureQuoteProvider().quote({
+  network, inputMint: USDC_ADDRESSES[network], outputMint, amount: 10, slippageBps: 50,
+});
+
+describe('canExecuteQuote', () => {
+  it('matches executors to quotes from their own venue', () => {
+    assert.equal(canExecuteQuote({ name: 'jupiter' }, { provider: 'jupiter' }), true);
+    assert.equal(canExecuteQuote({ name: 'jupiter' }, { provider: 'fixture' }), false);
+    assert.equal(canExecuteQuote({ name: '0x' }, { provider: 'uniswap-v3' }), false);
+    assert.equal(canExecuteQuote({ name: '0x' }, {}), false);
+  });
+
+  it('keeps every real executor away from fixture quotes before touching the network', async () => {
+    const jupiter = new JupiterSwapExecutor({ connection: {}, keypair: Keypair.generate() });
+    await assert.rejects(
+      jupiter.swap({ quote: await fixtureQuote('solana-mainnet', 'So11111111111111111111111111111111111111112') }),
+      /jupiter executor cannot swap a fixture quote/
+    );
+
+    const signer = ethers.Wallet.createRandom();
+    const quote = await fixtureQuote('base-mainnet', '0x4200000000000000000000000000000000000006');
+    await assert.rejects(new ZeroExSwapExecutor({ signer }).swap({ quote }), /0x executor cannot swap a fixture quote/);
+    await assert.rejects(new UniswapV3SwapExecutor({ signer }).swap({ quote }), /uniswap-v3 executor cannot swap a fixture quote/);
+  });
+});
+
+describe('UniswapV3SwapExecutor on a local AMM', () => {
+  const NETWORK = 'base-mainnet';
+  const FEE_TIER = 3000;
+
+  let chain;
+  let usdc;
+  let token;
+  let router;
+  let trader;
+  let recipient;
+  let executor;
+
+  // What the quoter would say: the router's own constant-product price
+  const quote = async (amountIn, slippageBps = 50) => {
+    const outAmount = await router.amountOut(usdc.address, token.address, FEE_TIER, amountIn);
+    return buildQuote({
+      provider: 'uniswap-v3',
+      network: NETWORK,
+      inputMint: usdc.address,
+      outputMint: token.address,
+      inAmount: String(amountIn),
+      outAmount: outAmount.toString(),
+      inputDecimals: 6,
+      outputDecimals: 6,
+      priceImpact: 0,
+      route: [{ venue: 'uniswap-v3', pool: 'local', inputMint: usdc.address, outputMint: token.address, percent: 100, fee: FEE_TIER }],
+      slippageBps,
+    });
+  };
+
+  before(async () => {
+    chain = await startChain();
+    [, trader, recipient] = chain.wallets;
+    usdc = chain.token;
+    token = await chain.deploy('EIP3009Token', 'Token', '1');
+    router = await chain.deploy('LocalSwapRouter');
+
+    // $100k against 50k TOKEN, and 1000 USDC to trade with
+    await (await usdc.mint(router.address, 100000e6)).wait();
+    await (await token.mint(router.address, 50000e6)).wait();
+    await (await usdc.mint(trader.address, 1000e6)).wait();
+
+    executor = new UniswapV3SwapExecutor({ signer: trader, routerAddresses: { [NETWORK]: router.address } });
+  });
+
+  after(async () => {
+    await chain?.close();
+  });
+
+  it('approves the router, swaps and reports what the recipient received', async () => {
+    const quoted = await quote(100e6);
+    const trade = await executor.swap({ quote: quoted, recipient: recipient.address });
+
+    const received = (await token.balanceOf(recipient.address)).toString();
+    assert.equal(trade.provider, 'uniswap-v3');
+    assert.equal(trade.recipient, recipient.address);
+    assert.equal(trade.outAmount, received);
+    assert.equal(trade.outAmount, quoted.outAmount);
+    assert.match(trade.txHash, /^0x[0-9a-f]{64}$/);
+    assert.equal((await usdc.balanceOf(trader.address)).toString(), String(900e6));
+  });
+
+  it('reverts rather than fill below the minimum', async () => {
+    const quoted = await quote(100e6);
+    const before = (await token.balanceOf(recipient.address)).toString();
+
+    await assert.rejects(
+      executor.swap({ quote: quoted, recipient: recipient.address, minOutAmount: (BigInt(quoted.outAmount) + 1n).toString() })
+    );
+    assert.equal((await token.balanceOf(recipient.address)).toString(), before);
+    assert.equal((await usdc.balanceOf(trader.address)).toString(), String(900e6));
+  });
+
+  it('reverts a quote the price has since moved past its slippage', async () => {
+    const stale = await quote(50e6, 100);
+
+    // Someone else buys first and moves the price by far more than 1%
+    await (await usdc.mint(trader.address, 5000e6)).wait();
+    await executor.swap({ quote: await quote(5000e6), recipient: trader.address });
+
+    const before = (await token.balanceOf(recipient.address)).toString();
+    await assert.rejects(executor.swap({ quote: stale, recipient: recipient.address }));
+    assert.equal((await token.balanceOf(recipient.address)).toString(), before);
+  });
+});
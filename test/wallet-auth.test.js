@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ethers } from 'ethers';
+import { WalletAuth, createAuthRouter, bearerTokenMatches, sameWallet } from '../wallet-auth.js';
+import { RateLimiter } from '../rate-limiter.js';
+import { MemoryStore } from '../storage.js';
+
+describe('bearerTokenMatches', () => {
+  it('matches only the exact bearer token', () => {
+    assert.equal(bearerTokenMatches('Bearer secret', 'secret'), true);
+    assert.equal(bearerTokenMatches('Bearer secrets', 'secret'), false);
+    assert.equal(bearerTokenMatches('secret', 'secret'), false);
+    assert.equal(bearerTokenMatches(undefined, 'secret'), false);
+    assert.equal(bearerTokenMatches('Bearer ', ''), false);
+  });
+});
+
+describe('sameWallet', () => {
+  it('ignores case for EVM addresses only', () => {
+    const wallet = ethers.Wallet.createRandom().address;
+    assert.equal(sameWallet(wallet, wallet.toLowerCase()), true);
+    assert.equal(sameWallet('7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU', '7xkxtg2cw87d97txjsdpbd5jbkhetqa83tzrujosgasu'), false);
+  });
+});
+
+describe('WalletAuth', () => {
+  let store;
+  let auth;
+  const signer = ethers.Wallet.createRandom();
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    auth = new WalletAuth({ store, domain: 'x4a.test' });
+  });
+
+  it('signs a wallet in once per nonce', async () => {
+    const { message } = await auth.createChallenge({ wallet: signer.address, network: 'base-mainnet' });
+    const signature = await signer.signMessage(message);
+
+    const session = await auth.verifySignIn({ message, signature });
+    assert.equal(session.wallet, signer.address);
+    assert.equal((await auth.authenticate(session.token)).wallet, signer.address);
+    await assert.rejects(auth.verifySignIn({ message, signature }), /already used/);
+  });
+
+  it('sweeps expired nonces and sessions when a sign-in starts', async () => {
+    const past = new Date(Date.now() - 1000).toISOString();
+    await store.put('nonce_stale', { id: 'nonce_stale', message: 'never signed', expiresAt: past });
+    await auth.issueToken({ type: 'session', wallet: signer.address, family: 'evm', expiresAt: past });
+    const key = await auth.createApiKey(signer.address, { label: 'bot' });
+
+    const { nonce } = await auth.createChallenge({ wallet: signer.address, network: 'base-mainnet' });
+
+    const ids = (await store.list()).map(r => r.id).sort();
+    assert.deepEqual(ids, [key.id, `nonce_${nonce}`].sort());
+  });
+});
+
+describe('createAuthRouter', () => {
+  let server;
+  let url;
+
+  const requestNonce = () => fetch(`${url}/nonce`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ wallet: ethers.Wallet.createRandom().address, network: 'base-mainnet' }),
+  });
+
+  before(async () => {
+    const auth = new WalletAuth({ store: new MemoryStore() });
+    const app = express();
+    app.use(express.json());
+    app.use('/auth', createAuthRouter(auth, { nonceLimiter: new RateLimiter({ limit: 2, windowMs: 60000 }) }));
+    server = await new Promise(resolve => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    url = `http://127.0.0.1:${server.address().port}/auth`;
+  });
+
+  after(() => server.close());
+
+  it('rate-limits nonce requests per client', async () => {
+    assert.equal((await requestNonce()).status, 200);
+    assert.equal((await requestNonce()).status, 200);
+
+    const limited = await requestNonce();
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await limited.json()).ok, false);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { x402Paywall, priceToBaseUnits } from '../x402-paywall.js';
+import { ChallengeRegistry } from '../challenge-registry.js';
+import { MemoryStore } from '../storage.js';
+
+const PAY_TO = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+// Runs the middleware against a bare request and captures the answer
+async function request(middleware, { query = {}, headers = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+  };
+  let passed = false;
+  await middleware({ baseUrl: '/api', path: '/x', query, headers }, res, () => { passed = true; });
+  return { ...res, passed };
+}
+
+const paywall = (options) => x402Paywall({
+  payTo: PAY_TO,
+  registry: new ChallengeRegistry({ store: new MemoryStore() }),
+  verifier: { verify: async () => assert.fail('nothing should be verified') },
+  ...options,
+});
+
+describe('priceToBaseUnits', () => {
+  it('reads numbers, decimal strings and dollar prices', () => {
+    assert.equal(priceToBaseUnits(2), 2000000);
+    assert.equal(priceToBaseUnits('0.5'), 500000);
+    assert.equal(priceToBaseUnits('$0.01'), 10000);
+  });
+
+  it('rejects anything that is not a price', () => {
+    for (const price of ['abc', '10abc', '', '$', -1, NaN, Infinity, null, {}]) {
+      assert.throws(() => priceToBaseUnits(price), /Invalid price/);
+    }
+  });
+});
+
+describe('x402Paywall', () => {
+  it('challenges for a price taken from the request', async () => {
+    const middleware = paywall({ price: (req) => Number(req.query.amount) });
+    const res = await request(middleware, { query: { amount: '2.5' } });
+    assert.equal(res.statusCode, 402);
+    assert.equal(res.body.accepts[0].maxAmountRequired, 2500000);
+    assert.equal(res.passed, false);
+  });
+
+  it('answers 400 when the request makes the price invalid', async () => {
+    const middleware = paywall({ price: (req) => Number(req.query.amount) });
+    const res = await request(middleware, { query: { amount: 'lots' } });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { ok: false, error: 'Invalid price: NaN' });
+  });
+
+  it('refuses an invalid fixed price when it is configured', () => {
+    assert.throws(() => paywall({ price: 'free' }), /Invalid price: free/);
+    assert.throws(
+      () => paywall({ scheme: 'range', minPrice: 1, maxPrice: '-2' }),
+      /Invalid price: -2/
+    );
+  });
+
+  it('accepts a proof only for the resource its challenge was bound to', async (t) => {
+    const middleware = paywall({
+      price: 1,
+      resource: (req) => `/api/x?wallet=${req.query.wallet}`,
+      verifier: { verify: async () => ({ isValid: true, txHash: '5'.repeat(88), payer: 'payer', amount: '1000000', network: 'solana-mainnet' }) },
+    });
+    t.mock.method(console, 'log', () => {});
+
+    const challenge = await request(middleware, { query: { wallet: 'alice' } });
+    assert.equal(challenge.body.accepts[0].resource, '/api/x?wallet=alice');
+    const proof = Buffer.from(JSON.stringify({
+      network: 'solana-mainnet',
+      payload: { txSignature: '5'.repeat(88), nonce: challenge.body.metadata.nonce },
+    })).toString('base64');
+
+    const replayed = await request(middleware, { query: { wallet: 'mallory' }, headers: { 'x-payment': proof } });
+    assert.equal(replayed.statusCode, 402);
+    assert.equal(replayed.body.invalidReason, 'resource_mismatch');
+    assert.equal(replayed.passed, false);
+
+    const paid = await request(middleware, { query: { wallet: 'alice' }, headers: { 'x-payment': proof } });
+    assert.equal(paid.passed, true);
+  });
+
+  it('still answers 500 when resolving a price fails', async () => {
+    const middleware = paywall({ price: async () => { throw new Error('oracle down'); } });
+    const res = await request(middleware);
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'oracle down');
+  });
+});
@@ -0,0 +1,465 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A WALLET AUTH
+ * Sign in with a wallet; sessions and API keys scoped to it
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Sign-in:
+ * 1. POST /agent/auth/nonce { wallet, network } → { message }
+ *    An EIP-4361 (SIWE) message for EVM wallets, the same format with
+ *    "Solana account" for Solana wallets, carrying a single-use nonce.
+ * 2. The wallet signs the message (personal_sign / signMessage).
+ * 3. POST /agent/auth/verify { message, signature } → { token, expiresAt }
+ *    EVM signatures are hex, Solana signatures base58.
+ *
+ * The session token (AUTH_SESSION_TTL_MS, default 1 hour) or an API key
+ * created with it is sent as `Authorization: Bearer <token>` (API keys
+ * also as `X-API-Key`). Either proves the caller owns exactly one wallet;
+ * routes only act on that wallet's agents, schedules and data.
+ *
+ * Only hashes of tokens and keys are stored. Expired nonces, sessions and
+ * API keys are swept each time a sign-in starts, and nonce requests are
+ * rate-limited per IP (AUTH_NONCE_RATE_LIMIT per minute, default 10).
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { ethers } from 'ethers';
+import { openFileStore } from './storage.js';
+import { RateLimiter, rateLimit } from './rate-limiter.js';
+import { NETWORK_FAMILIES, getNetwork, hasNetwork, listNetworks } from './x402-ai-agent.js';
+
+const DEFAULT_SESSION_TTL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_NONCE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const TOKEN_TYPES = {
+  SESSION: 'session',
+  API_KEY: 'api_key',
+};
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw 32-byte key follows
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Family of a wallet address (EVM addresses are 0x-prefixed hex)
+ */
+function walletFamily(wallet) {
+  return /^0x[0-9a-fA-F]{40}$/.test(wallet) ? NETWORK_FAMILIES.EVM : NETWORK_FAMILIES.SOLANA;
+}
+
+/**
+ * Whether two addresses are the same wallet (EVM addresses are case-insensitive)
+ * @param {string} a - Wallet address
+ * @param {string} b - Wallet address
+ * @returns {boolean}
+ */
+export function sameWallet(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  return walletFamily(a) === NETWORK_FAMILIES.EVM ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Whether an Authorization header carries a service's bearer token,
+ * compared in constant time (digests first, so lengths always match)
+ * @param {string} header - Authorization header value
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+export function bearerTokenMatches(header, token) {
+  if (!token || typeof header !== 'string' || !header.startsWith('Bearer ')) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(header.slice('Bearer '.length)), digest(token));
+}
+
+function verifySolanaSignature(message, signature, wallet) {
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(ethers.utils.base58.decode(wallet))]),
+    format: 'der',
+    type: 'spki',
+  });
+  return crypto.verify(null, Buffer.from(message), publicKey, Buffer.from(ethers.utils.base58.decode(signature)));
+}
+
+export class WalletAuth {
+  constructor(config = {}) {
+    this.store = config.store || openFileStore(
+      config.storePath || process.env.WALLET_AUTH_STORE_PATH || './data/wallet-auth.json'
+    );
+    this.domain = config.domain || process.env.AUTH_DOMAIN || 'localhost';
+    this.uri = config.uri || process.env.AUTH_URI || `https://${this.domain}`;
+    this.statement = config.statement || 'Sign in to X4A to manage your payment agents.';
+    this.sessionTtlMs = config.sessionTtlMs || Number(process.env.AUTH_SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS;
+    this.nonceTtlMs = config.nonceTtlMs || DEFAULT_NONCE_TTL_MS;
+  }
+
+  /**
+   * Start a sign-in: the message the wallet has to sign
+   * @param {Object} params - { wallet, network (first registered network of the wallet's family if omitted) }
+   * @returns {Object} { wallet, network, nonce, message, expiresAt }
+   */
+  async createChallenge(params) {
+    const { wallet } = params;
+    const family = walletFamily(wallet);
+
+    await this.sweep();
+
+    if (family === NETWORK_FAMILIES.SOLANA) {
+      try {
+        if (ethers.utils.base58.decode(wallet).length !== 32) {
+          throw new Error();
+        }
+      } catch {
+        throw new Error(`Not a wallet address: ${wallet}`);
+      }
+    }
+
+    const network = params.network || listNetworks({ family })[0].id;
+    if (!hasNetwork(network) || getNetwork(network).family !== family) {
+      throw new Error(`${wallet} can't sign in on ${network}`);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.nonceTtlMs);
+    const address = family === NETWORK_FAMILIES.EVM ? ethers.utils.getAddress(wallet) : wallet;
+
+    const message = [
+      `${this.domain} wants you to sign in with your ${family === NETWORK_FAMILIES.EVM ? 'Ethereum' : 'Solana'} account:`,
+      address,
+      '',
+      this.statement,
+      '',
+      `URI: ${this.uri}`,
+      'Version: 1',
+      `Chain ID: ${family === NETWORK_FAMILIES.EVM ? getNetwork(network).chainId : network}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`,
+    ].join('\n');
+
+    await this.store.put(`nonce_${nonce}`, {
+      id: `nonce_${nonce}`,
+      wallet: address,
+      family,
+      network,
+      message,
+      expiresAt: expiresAt.toISOString(),
+    });
+
+    return { wallet: address, network, nonce, message, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Finish a sign-in: check the signed message and open a session
+   * @param {Object} params - { message, signature }
+   * @returns {Object} { token, wallet, family, expiresAt }
+   */
+  async verifySignIn(params) {
+    const { message, signature } = params;
+
+    const nonce = /^Nonce: (\w+)$/m.exec(message || '')?.[1];
+    const challenge = nonce && await this.store.get(`nonce_${nonce}`);
+
+    // Nonces are single-use, whether or not the signature checks out
+    if (!challenge || !(await this.store.delete(challenge.id))) {
+      throw new Error('Unknown or already used sign-in nonce');
+    }
+    if (new Date(challenge.expiresAt).getTime() < Date.now()) {
+      throw new Error('Sign-in message expired');
+    }
+    if (message !== challenge.message) {
+      throw new Error('Sign-in message was altered');
+    }
+
+    let valid;
+    try {
+      valid = challenge.family === NETWORK_FAMILIES.EVM
+        ? sameWallet(ethers.utils.verifyMessage(message, signature), challenge.wallet)
+        : verifySolanaSignature(message, signature, challenge.wallet);
+    } catch {
+      valid = false;
+    }
+    if (!valid) {
+      throw new Error(`Signature was not made by ${challenge.wallet}`);
+    }
+
+    console.log(`🔐 ${challenge.wallet} signed in`);
+    return await this.issueToken({
+      type: TOKEN_TYPES.SESSION,
+      wallet: challenge.wallet,
+      family: challenge.family,
+      expiresAt: new Date(Date.now() + this.sessionTtlMs).toISOString(),
+    });
+  }
+
+  /**
+   * Delete expired nonces, sessions and API keys
+   * @param {number} now - Current time (ms)
+   * @returns {number} Records deleted
+   */
+  async sweep(now = Date.now()) {
+    const expired = await this.store.list(r => r.expiresAt && new Date(r.expiresAt).getTime() < now);
+    for (const record of expired) {
+      await this.store.delete(record.id);
+    }
+    return expired.length;
+  }
+
+  async issueToken(params) {
+    const { type, wallet, family, expiresAt = null, label = null } = params;
+    const prefix = type === TOKEN_TYPES.SESSION ? 'sess' : 'key';
+    const id = `${prefix}_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+    const token = `x4a_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    await this.store.put(id, {
+      id,
+      type,
+      wallet,
+      family,
+      label,
+      tokenHash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+    });
+
+    return { id, token, type, wallet, family, label, expiresAt };
+  }
+
+  /**
+   * Create an API key for a signed-in wallet
+   * @param {string} wallet - Wallet address (from the caller's session)
+   * @param {Object} options - { label, expiresInDays (never expires if omitted) }
+   * @returns {Object} { id, token (shown once), wallet, label, expiresAt }
+   */
+  async createApiKey(wallet, options = {}) {
+    const { label, expiresInDays } = options;
+
+    return await this.issueToken({
+      type: TOKEN_TYPES.API_KEY,
+      wallet,
+      family: walletFamily(wallet),
+      label: label || null,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 86400000).toISOString() : null,
+    });
+  }
+
+  /**
+   * API keys of a wallet (without their hashes)
+   * @param {string} wallet - Wallet address
+   * @returns {Array} API keys
+   */
+  async listApiKeys(wallet) {
+    const keys = await this.store.list(r => r.type === TOKEN_TYPES.API_KEY && sameWallet(r.wallet, wallet));
+    return keys.map(({ tokenHash, ...key }) => key);
+  }
+
+  /**
+   * Revoke a session or API key of a wallet
+   * @param {string} wallet - Wallet address
+   * @param {string} id - Session or API key identifier
+   * @returns {boolean} Whether anything was revoked
+   */
+  async revoke(wallet, id) {
+    const record = await this.store.get(id);
+    if (!record?.tokenHash || !sameWallet(record.wallet, wallet)) {
+      return false;
+    }
+    return await this.store.delete(id);
+  }
+
+  /**
+   * Who a session token or API key belongs to
+   * @param {string} token - Token or API key
+   * @returns {Object|null} { id, type, wallet, family, expiresAt }, null if unknown or expired
+   */
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const [record] = await this.store.list(r => r.tokenHash === tokenHash);
+    if (!record) {
+      return null;
+    }
+
+    if (record.expiresAt && new Date(record.expiresAt).getTime() < Date.now()) {
+      await this.store.delete(record.id);
+      return null;
+    }
+
+    const { id, type, wallet, family, expiresAt } = record;
+    return { id, type, wallet, family, expiresAt };
+  }
+
+  /**
+   * Express middleware: require a session token or API key; sets req.auth
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return async (req, res, next) => {
+      try {
+        const bearer = /^Bearer (.+)$/.exec(req.get('Authorization') || '')?.[1];
+        const auth = await this.authenticate(bearer || req.get('X-API-Key'));
+
+        if (!auth) {
+          return res.status(401).json({
+            ok: false,
+            error: 'Sign in with your wallet (POST /api/agent/auth/nonce) or send an API key',
+          });
+        }
+
+        req.auth = auth;
+        next();
+      } catch (error) {
+        console.error('❌ Authentication error:', error);
+        res.status(500).json({
+          ok: false,
+          error: error.message,
+        });
+      }
+    };
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   ROUTES
+   ═══════════════════════════════════════════════════════════════════ */
+
+/**
+ * Create the sign-in and API key routes
+ * @param {WalletAuth} auth - Wallet auth
+ * @param {Object} config - { nonceLimiter (RateLimiter for POST /nonce) }
+ * @returns {express.Router} Router to mount at /agent/auth
+ */
+export function createAuthRouter(auth, config = {}) {
+  const router = express.Router();
+  const authenticated = auth.middleware();
+  const nonceLimit = rateLimit(config.nonceLimiter || new RateLimiter({
+    limit: Number(process.env.AUTH_NONCE_RATE_LIMIT) || 10,
+    windowMs: 60 * 1000,
+  }));
+
+  router.post('/nonce', nonceLimit, async (req, res) => {
+    const { wallet, network } = req.body;
+
+    if (!wallet) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required field: wallet',
+      });
+    }
+
+    try {
+      res.json({ ok: true, ...(await auth.createChallenge({ wallet, network })) });
+    } catch (error) {
+      res.status(400).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  });
+
+  router.post('/verify', async (req, res) => {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required fields: message, signature',
+      });
+    }
+
+    try {
+      const session = await auth.verifySignIn({ message, signature });
+      res.json({ ok: true, ...session });
+    } catch (error) {
+      res.status(401).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  });
+
+  router.get('/session', authenticated, (req, res) => {
+    res.json({ ok: true, ...req.auth });
+  });
+
+  router.post('/logout', authenticated, async (req, res) => {
+    try {
+      await auth.revoke(req.auth.wallet, req.auth.id);
+      res.json({ ok: true, revoked: req.auth.id });
+    } catch (error) {
+      console.error('❌ Logout error:', error);
+      res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  });
+
+  router.get('/api-keys', authenticated, async (req, res) => {
+    try {
+      res.json({ ok: true, wallet: req.auth.wallet, apiKeys: await auth.listApiKeys(req.auth.wallet) });
+    } catch (error) {
+      console.error('❌ List API keys error:', error);
+      res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  });
+
+  router.post('/api-keys', authenticated, async (req, res) => {
+    // A leaked key must not be able to mint more keys
+    if (req.auth.type !== TOKEN_TYPES.SESSION) {
+      return res.status(403).json({
+        ok: false,
+        error: 'API keys can only be created from a wallet sign-in session',
+      });
+    }
+
+    try {
+      const { label, expiresInDays } = req.body;
+      const apiKey = await auth.createApiKey(req.auth.wallet, { label, expiresInDays });
+      res.json({ ok: true, ...apiKey });
+    } catch (error) {
+      console.error('❌ Create API key error:', error);
+      res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  });
+
+  router.delete('/api-keys/:id', authenticated, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!(await auth.revoke(req.auth.wallet, id))) {
+        return res.status(404).json({
+          ok: false,
+          error: `No API key ${id} for this wallet`,
+        });
+      }
+
+      res.json({ ok: true, revoked: id });
+    } catch (error) {
+      console.error('❌ Revoke API key error:', error);
+      res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,277 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════
+ * X4A X402 PAYWALL MIDDLEWARE
+ * Protect any Express route with an X402 payment
+ * ═══════════════════════════════════════════════════════════════════
+ *
+ * Usage:
+ *
+ *   router.get('/premium-data',
+ *     x402Paywall({ price: '$0.01', payTo: process.env.X402_PAY_TO_ADDRESS, verifier }),
+ *     (req, res) => res.json({ data: '...', paidWith: req.x402Payment.txHash })
+ *   );
+ *
+ * Without an X-PAYMENT header the route answers 402 with a nonce-bound
+ * challenge, offering every network in paymentOptions (or just network).
+ * The challenge covers the resource (the route's path, or what the resource
+ * option makes of the request) and the price; a proof is only accepted for
+ * a request with the same ones.
+ * With one, the proof is matched to its challenge and verified on-chain
+ * (a signed EIP-3009 authorization is settled on-chain by the verifier's
+ * settlement wallet), then attached as req.x402Payment and echoed back
+ * in an X-PAYMENT-RESPONSE header before the route handler runs.
+ *
+ * Schemes:
+ * - exact: pay price
+ * - range: pay anything between minPrice and maxPrice
+ * - dynamic: price is a suggestion the payer may negotiate down to minPrice
+ * - subscription: pay price for subscriptionPeriod seconds of access; the
+ *   receipt carries a subscription id to send as X-SUBSCRIPTION afterwards
+ */
+
+import {
+  X402ChallengeBuilder,
+  PAYMENT_SCHEMES,
+  SUPPORTED_NETWORKS,
+} from './x402-ai-agent.js';
+import { ChallengeRegistry } from './challenge-registry.js';
+import { PaymentVerifier, decodePaymentHeader } from './payment-verifier.js';
+import { SubscriptionRegistry } from './subscription-registry.js';
+
+/**
+ * Convert a USDC price (number, '0.5' or '$0.01') to base units
+ * @param {number|string} price - Price in USDC
+ * @returns {number} Amount in base units (1e6 = 1 USDC)
+ */
+export function priceToBaseUnits(price) {
+  const text = typeof price === 'string' ? price.trim().replace(/^\$/, '') : null;
+  const value = text === null ? price : (text === '' ? NaN : Number(text));
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid price: ${price}`);
+  }
+  return Math.round(value * 1e6);
+}
+
+/**
+ * Create X402 paywall middleware
+ * @param {Object} options - Paywall options
+ * @param {number|string|Function} options.price - USDC price, or (req) => price
+ *   (the suggested price for dynamic); a price function's invalid result answers 400
+ * @param {number|string|Function} options.minPrice - Range minimum / dynamic floor
+ * @param {number|string|Function} options.maxPrice - Range maximum
+ * @param {number} options.subscriptionPeriod - Seconds of access a subscription payment buys
+ * @param {SubscriptionRegistry} options.subscriptions - Subscription registry (subscription scheme)
+ * @param {string} options.scheme - Payment scheme (default exact)
+ * @param {string} options.network - Network to be paid on (default Solana)
+ * @param {string} options.payTo - Recipient address
+ * @param {string} options.asset - USDC address/mint (network default if omitted)
+ * @param {Array|Function} options.paymentOptions - Networks to offer ({ network, asset, payTo }),
+ *   or (req) => options; overrides network/asset
+ * @param {string|Function} options.resource - Resource a payment is bound to, or (req) => resource
+ *   (default the route's path); include every parameter a payment must not be replayed with others of
+ * @param {string} options.description - Human-readable description of the resource
+ * @param {Object|Function} options.metadata - Extra challenge metadata, or (req) => metadata
+ * @param {X402ChallengeBuilder} options.challengeBuilder - Builder to reuse instead of creating one
+ * @param {ChallengeRegistry} options.registry - Challenge registry (shared across routes if given)
+ * @param {PaymentVerifier} options.verifier - Payment verifier
+ * @param {Object} options.rpcEndpoints - RPC endpoints for a default verifier
+ * @returns {Function} Express middleware
+ */
+export function x402Paywall(options) {
+  const {
+    price,
+    minPrice,
+    maxPrice,
+    subscriptionPeriod,
+    scheme = PAYMENT_SCHEMES.EXACT,
+    network = SUPPORTED_NETWORKS.SOLANA,
+    payTo,
+    asset,
+    paymentOptions,
+    description,
+    metadata = {},
+    registry = new ChallengeRegistry(),
+    rpcEndpoints,
+  } = options;
+
+  if (scheme === PAYMENT_SCHEMES.RANGE) {
+    if (minPrice === undefined || maxPrice === undefined) {
+      throw new Error('x402Paywall requires minPrice and maxPrice for the range scheme');
+    }
+  } else if (price === undefined) {
+    throw new Error('x402Paywall requires a price');
+  }
+
+  // Fixed prices are configuration, so a bad one fails here rather than per request
+  for (const value of [price, minPrice, maxPrice]) {
+    if (value !== undefined && typeof value !== 'function') priceToBaseUnits(value);
+  }
+
+  const subscriptions = scheme === PAYMENT_SCHEMES.SUBSCRIPTION
+    ? options.subscriptions || new SubscriptionRegistry()
+    : null;
+
+  const resolvePrice = async (value, req) => (typeof value === 'function' ? value(req) : value);
+  const resolveResource = async (req) => (typeof options.resource === 'function'
+    ? options.resource(req)
+    : options.resource || `${req.baseUrl}${req.path}`);
+
+  const challengeBuilder = options.challengeBuilder || new X402ChallengeBuilder({
+    network,
+    payTo,
+    usdcAddress: asset,
+    paymentOptions: typeof paymentOptions === 'function' ? undefined : paymentOptions,
+  });
+
+  const verifier = options.verifier || new PaymentVerifier({ rpcEndpoints });
+
+  return async function x402PaywallMiddleware(req, res, next) {
+    try {
+      const resource = await resolveResource(req);
+      const prices = [
+        await resolvePrice(price, req),
+        await resolvePrice(minPrice, req),
+        await resolvePrice(maxPrice, req),
+      ];
+
+      // Per-request prices come from the request (e.g. ?amount=), so a bad one is the caller's to fix
+      let amount, minAmount, maxAmount;
+      try {
+        [amount, minAmount, maxAmount] = prices.map(value => (value === undefined ? undefined : priceToBaseUnits(value)));
+      } catch (error) {
+        return res.status(400).json({
+          ok: false,
+          error: error.message,
+        });
+      }
+
+      const extraMetadata = typeof metadata === 'function' ? await metadata(req) : metadata;
+      const offeredOptions = typeof paymentOptions === 'function' ? await paymentOptions(req) : undefined;
+
+      const issueChallenge = () => registry.issue(
+        challengeBuilder.buildChallenge({
+          amount,
+          minAmount,
+          maxAmount,
+          subscriptionPeriod,
+          scheme,
+          paymentOptions: offeredOptions,
+          metadata: {
+            ...extraMetadata,
+            description,
+          },
+        }),
+        { resource }
+      );
+
+      const paymentHeader = req.headers['x-payment'];
+      const subscriptionHeader = req.headers['x-subscription'];
+
+      // An active subscription grants access without a new payment
+      let access = null;
+      if (subscriptions && subscriptionHeader) {
+        access = await subscriptions.check(subscriptionHeader, resource);
+        if (access.isValid) {
+          req.x402Subscription = access.subscription;
+          return next();
+        }
+      }
+
+      if (!paymentHeader) {
+        return res.status(402).json(access ? {
+          ...issueChallenge(),
+          error: access.message,
+          invalidReason: access.invalidReason,
+        } : issueChallenge());
+      }
+
+      // Match the proof to the challenge we issued, then verify on-chain
+      const payment = decodePaymentHeader(paymentHeader);
+      const claim = await registry.claim(payment, {
+        resource,
+        amount: scheme === PAYMENT_SCHEMES.RANGE ? maxAmount : amount,
+      });
+
+      let verification = claim;
+      if (claim.isValid) {
+        verification = await verifier.verify(payment, claim.requirement);
+
+        // An older transaction to payTo paid for something else
+        if (verification.isValid) {
+          verification = registry.checkPaymentTime(claim.record, verification);
+        }
+
+        // Signed authorizations (EIP-3009) only move funds once we submit them
+        if (verification.isValid && verification.requiresSettlement) {
+          verification = await verifier.settle(payment, claim.requirement);
+        }
+
+        if (verification.isValid) {
+          await registry.consume(claim.record.nonce, verification.txHash);
+        } else {
+          registry.release(claim.record.nonce);
+        }
+      }
+
+      if (!verification.isValid) {
+        console.log(`🚫 Payment rejected for ${resource} (${verification.invalidReason}): ${verification.message}`);
+        return res.status(402).json({
+          ...issueChallenge(),
+          error: verification.message,
+          invalidReason: verification.invalidReason,
+        });
+      }
+
+      req.x402Payment = {
+        txHash: verification.txHash,
+        payer: verification.payer,
+        amount: verification.amount,
+        network: verification.network,
+        scheme: payment.scheme,
+        challengeId: claim.record.challengeId,
+        requirement: claim.requirement,
+      };
+
+      let subscription = null;
+      if (subscriptions) {
+        const granted = await subscriptions.grant({
+          payer: verification.payer,
+          resource,
+          network: verification.network,
+          txHash: verification.txHash,
+          amount: verification.amount,
+          periodSeconds: claim.requirement.subscriptionPeriod,
+          challengeId: claim.record.challengeId,
+        });
+        subscription = { id: granted.id, expiresAt: granted.expiresAt };
+        req.x402Subscription = granted;
+      }
+
+      const paymentResponse = challengeBuilder.buildPaymentResponse({
+        txHash: verification.txHash,
+        amount: verification.amount,
+        network: verification.network,
+        subscription,
+        metadata: {
+          resource,
+          challengeId: claim.record.challengeId,
+          payer: verification.payer,
+        },
+      });
+
+      res.setHeader(
+        'X-PAYMENT-RESPONSE',
+        Buffer.from(JSON.stringify(paymentResponse)).toString('base64')
+      );
+
+      console.log(`💰 Payment verified for ${resource}: ${verification.txHash}`);
+      next();
+    } catch (error) {
+      console.error('❌ X402 paywall error:', error);
+      res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+  };
+}